@@ -0,0 +1,80 @@
+// File: config/venue.js
+// Venue capacity model: tables, opening hours and slot length used by the availability engine.
+// This is the default venue (and the base every Restaurant document is merged onto).
+// Defaults can be overridden with VENUE_CONFIG_FILE (JSON with the same shape) or the single env vars below.
+
+const fs = require("fs");
+const path = require("path");
+
+// Opening hours are per weekday (mon..sun), each a list of [open, close] "HH:MM" ranges.
+// Ranges must close on the same day (use "23:59" rather than running past midnight).
+const DEFAULTS = {
+    id: "default",          // restaurantId of the venue served by /api/bookings
+    name: "Default venue",
+    timezone: "Asia/Kolkata",
+    location: null,         // weather location (DEFAULT_LOCATION)
+    cuisines: [],
+    voice: { lang: "en-IN", languages: ["en-IN", "hi-IN"] },
+    slotMinutes: 30,        // booking grid granularity
+    diningMinutes: 90,      // how long a party holds its table
+    allowTableJoining: true, // combine free tables for parties larger than any single table
+    maxAlternatives: 3,
+    confirmationPartySize: null, // parties this size or larger wait as "pending" until staff confirm them (null: never)
+    tables: [
+        { id: "T1", seats: 2 }, { id: "T2", seats: 2 }, { id: "T3", seats: 2 }, { id: "T4", seats: 2 },
+        { id: "T5", seats: 4 }, { id: "T6", seats: 4 }, { id: "T7", seats: 4 }, { id: "T8", seats: 4 },
+        { id: "T9", seats: 4 }, { id: "T10", seats: 4 },
+        { id: "T11", seats: 6 }, { id: "T12", seats: 6 },
+        { id: "T13", seats: 8 }
+    ],
+    openingHours: {
+        mon: [["12:00", "15:30"], ["19:00", "23:00"]],
+        tue: [["12:00", "15:30"], ["19:00", "23:00"]],
+        wed: [["12:00", "15:30"], ["19:00", "23:00"]],
+        thu: [["12:00", "15:30"], ["19:00", "23:00"]],
+        fri: [["12:00", "15:30"], ["19:00", "23:30"]],
+        sat: [["12:00", "16:00"], ["18:30", "23:30"]],
+        sun: [["12:00", "16:00"], ["18:30", "23:00"]]
+    }
+};
+
+// "2:4,4:6" -> four 2-seat tables and six 4-seat tables
+function parseTablesSpec(spec) {
+    const tables = [];
+    let n = 0;
+    for (const part of String(spec).split(",")) {
+        const [seats, count] = part.split(":").map(x => parseInt(x, 10));
+        if (!seats || seats < 1) continue;
+        for (let i = 0; i < (count || 1); i++) tables.push({ id: `T${++n}`, seats });
+    }
+    return tables;
+}
+
+function loadVenueConfig() {
+    let cfg = { ...DEFAULTS };
+
+    const file = process.env.VENUE_CONFIG_FILE;
+    if (file) {
+        try {
+            const json = JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+            cfg = { ...cfg, ...json };
+        } catch (e) {
+            console.warn("[venue] could not read VENUE_CONFIG_FILE:", e && e.message ? e.message : e);
+        }
+    }
+
+    if (process.env.VENUE_TABLES) {
+        const tables = parseTablesSpec(process.env.VENUE_TABLES);
+        if (tables.length) cfg.tables = tables;
+    }
+    if (process.env.SLOT_MINUTES) cfg.slotMinutes = parseInt(process.env.SLOT_MINUTES, 10) || cfg.slotMinutes;
+    if (process.env.DINING_MINUTES) cfg.diningMinutes = parseInt(process.env.DINING_MINUTES, 10) || cfg.diningMinutes;
+    if (process.env.CONFIRMATION_PARTY_SIZE) cfg.confirmationPartySize = parseInt(process.env.CONFIRMATION_PARTY_SIZE, 10) || null;
+    if (process.env.DEFAULT_RESTAURANT_ID) cfg.id = process.env.DEFAULT_RESTAURANT_ID;
+    if (process.env.DEFAULT_LOCATION) cfg.location = process.env.DEFAULT_LOCATION;
+    if (process.env.VENUE_TIMEZONE) cfg.timezone = process.env.VENUE_TIMEZONE;
+
+    return cfg;
+}
+
+module.exports = { venue: loadVenueConfig(), DEFAULTS, loadVenueConfig, parseTablesSpec };
@@ -1,7 +1,6 @@
 require('dotenv').config();
 
 const express = require('express');
-const mongoose = require('mongoose');
 const path = require('path');
 
 const app = express();
@@ -12,21 +11,111 @@ app.use(express.urlencoded({ extended: true }));
 // ⭐ Serve UI from public folder ⭐
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Parsing module shared with the server, plus the chrono-node ES build it uses in the browser
+app.use('/shared', express.static(path.join(__dirname, 'shared')));
+app.use('/vendor/chrono-node', express.static(path.join(__dirname, 'node_modules', 'chrono-node', 'dist', 'esm')));
+
 // When user opens http://localhost:4000/
 // send public/index.html
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// API routes
+// Host dashboard (today's bookings, live over /api/events)
+app.get('/host', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'host.html'));
+});
+
+// API routes (every /api request is authenticated first; routes check roles)
+const { authenticate } = require('./middleware/auth');
+app.use('/api', authenticate);
+const authRoute = require('./routes/auth');
+app.use('/api/auth', authRoute);
 const bookingsRoute = require('./routes/bookings');
 app.use('/api/bookings', bookingsRoute);
+const restaurantsRoute = require('./routes/restaurants');
+app.use('/api/restaurants', restaurantsRoute);
+const conversationsRoute = require('./routes/conversations');
+app.use('/api/conversations', conversationsRoute);
+const nluRoute = require('./routes/nlu');
+app.use('/api/nlu', nluRoute);
+const waitlistRoute = require('./routes/waitlist');
+app.use('/api/waitlist', waitlistRoute);
+const reportsRoute = require('./routes/reports');
+app.use('/api/reports', reportsRoute);
+const eventsRoute = require('./routes/events');
+app.use('/api/events', eventsRoute);
+const telephonyRoute = require('./routes/telephony');
+app.use('/api/telephony', telephonyRoute);
+
+const storage = require('./repositories');
+const waitlistService = require('./services/waitlistService');
+const notificationService = require('./services/notificationService');
+const bookingEvents = require('./services/bookingEvents');
+
+// Health check: 503 while the database is unreachable
+app.get('/api/health', async (req, res) => {
+    const db = await storage.health();
+    const up = db.status === 'up';
+    res.status(up ? 200 : 503).json({ status: up ? 'ok' : 'degraded', version: '1.0', storage: db });
+});
 
-// Health check
-app.get('/api/health', (req, res) => {
-    res.json({ status: 'ok', version: '1.0' });
+// OpenAPI 3.1 document for integrators, built from the same schemas the routes validate against
+const openapi = require('./schemas/openapi');
+app.get('/api/openapi.json', (req, res) => {
+    res.json(openapi.buildDocument());
 });
 
-// Start server
 const PORT = process.env.PORT || 4000;
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+const SHUTDOWN_GRACE_MS = 10 * 1000;
+
+// Connect to storage first (MongoDB with retries, or the in-memory store), then start the background
+// jobs and take requests
+async function start() {
+    try {
+        await storage.connect();
+    } catch (err) {
+        console.error('Storage unavailable, exiting:', err.message);
+        process.exit(1);
+    }
+
+    // Held waitlist offers that expire pass their table on to the next guest
+    waitlistService.startOfferSweep();
+    // Queued confirmations, updates and reminders (see services/notificationService.js)
+    notificationService.startScheduler();
+
+    const server = app.listen(PORT, () => console.log(`Server running on port ${PORT} (storage: ${storage.backend})`));
+
+    // SIGTERM / SIGINT: stop taking requests and the jobs, end live event streams (dashboards reconnect),
+    // let open requests finish (cut after the grace period), then close storage
+    let stopping = false;
+    async function shutdown(signal) {
+        if (stopping) return;
+        stopping = true;
+        console.log(`${signal} received, shutting down`);
+        const force = setTimeout(() => {
+            console.error('Shutdown timed out, exiting');
+            process.exit(1);
+        }, SHUTDOWN_GRACE_MS + 5000);
+        force.unref();
+
+        waitlistService.stopOfferSweep();
+        notificationService.stopScheduler();
+        const closed = new Promise(resolve => server.close(resolve));
+        bookingEvents.close();
+        server.closeIdleConnections();
+        const grace = setTimeout(() => server.closeAllConnections(), SHUTDOWN_GRACE_MS);
+        await closed;
+        clearTimeout(grace);
+        try {
+            await storage.close();
+        } catch (err) {
+            console.error('Error closing storage:', err.message);
+        }
+        process.exit(0);
+    }
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+start();
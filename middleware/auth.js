@@ -0,0 +1,97 @@
+// File: middleware/auth.js
+// Express middleware: authenticate every /api request and guard routes by role.
+// Credentials, in order: "Authorization: Bearer <session token>", "X-API-Key: <key>",
+// "X-Booking-Ref: <reference>" (a guest, limited to that booking). No credentials = anonymous guest.
+
+const authService = require("../services/authService");
+
+function unauthorized(res, message) {
+    return res.status(401).json({ success: false, error: "unauthorized", message });
+}
+
+function forbidden(res, message) {
+    return res.status(403).json({ success: false, error: "forbidden", message });
+}
+
+async function authenticate(req, res, next) {
+    const header = req.get("Authorization") || "";
+    const bearer = header.match(/^Bearer\s+(.+)$/i);
+    if (bearer) {
+        const out = authService.verifyToken(bearer[1].trim());
+        if (out.error) return unauthorized(res, out.error);
+        req.auth = out.principal;
+        return next();
+    }
+    const apiKey = req.get("X-API-Key");
+    if (apiKey) {
+        const principal = authService.principalForApiKey(apiKey.trim());
+        if (!principal) return unauthorized(res, "Unknown API key");
+        req.auth = principal;
+        return next();
+    }
+    const ref = req.get("X-Booking-Ref");
+    if (ref) {
+        const principal = await authService.principalForBookingRef(ref.trim());
+        if (!principal) return unauthorized(res, "Unknown booking reference");
+        req.auth = principal;
+        return next();
+    }
+    req.auth = authService.anonymous();
+    return next();
+}
+
+// For clients that can't send headers (calendar subscriptions, download links, EventSource): on routes that
+// use this, ?token=<session token>, ?key=<API key> or ?ref=<booking reference> count as credentials when
+// the headers carried none
+async function queryCredentials(req, res, next) {
+    if (req.auth && req.auth.via !== "anonymous") return next();
+    const { token, key, ref } = req.query;
+    if (token) {
+        const out = authService.verifyToken(String(token).trim());
+        if (out.error) return unauthorized(res, out.error);
+        req.auth = out.principal;
+    } else if (key) {
+        const principal = authService.principalForApiKey(String(key).trim());
+        if (!principal) return unauthorized(res, "Unknown API key");
+        req.auth = principal;
+    } else if (ref) {
+        const principal = await authService.principalForBookingRef(String(ref).trim());
+        if (!principal) return unauthorized(res, "Unknown booking reference");
+        req.auth = principal;
+    }
+    return next();
+}
+
+// Only principals with at least this role
+function requireRole(role) {
+    return (req, res, next) => {
+        const principal = req.auth || authService.anonymous();
+        if (authService.hasRole(principal, role)) return next();
+        if (principal.via === "anonymous") return unauthorized(res, `Sign in with a ${role} API key or session token`);
+        return forbidden(res, `Requires the ${role} role`);
+    };
+}
+
+// Staff with this role, or the guest whose booking is :id
+function requireRoleOrOwner(role) {
+    return (req, res, next) => {
+        const principal = req.auth || authService.anonymous();
+        if (authService.hasRole(principal, role)) return next();
+        if (principal.bookingId && principal.bookingId === req.params.id) return next();
+        if (principal.via === "anonymous") return unauthorized(res, "Provide your booking reference (X-Booking-Ref) or a staff credential");
+        return forbidden(res, "You can only access your own booking");
+    };
+}
+
+// Who to record in statusHistory / changeHistory
+function actorOf(req) {
+    return req.auth ? req.auth.subject : "anonymous";
+}
+
+module.exports = {
+    authenticate,
+    queryCredentials,
+    requireRole,
+    requireRoleOrOwner,
+    actorOf
+};
@@ -0,0 +1,45 @@
+// File: middleware/validate.js
+// Express middleware: check a route's query string and JSON body against its schema (schemas/*.js) and
+// answer 400 invalid_fields listing every problem. On success req.query and req.body hold the checked
+// values: numbers and booleans converted, defaults filled in.
+
+const { validate: check } = require("../schemas/validator");
+
+// { success: false, error: "invalid_fields", message, fields: [names], errors: [{ field, in, message }] }
+function invalidFields(errors) {
+    return {
+        success: false,
+        error: "invalid_fields",
+        message: `Invalid: ${errors.map(e => `${e.field} ${e.message}`).join("; ")}`,
+        fields: [...new Set(errors.map(e => e.field))],
+        errors
+    };
+}
+
+// operation: an entry of a schema module's operations ({ query?, body? })
+function validate(operation) {
+    return (req, res, next) => {
+        const errors = [];
+        let query;
+        let body;
+        if (operation.query) {
+            const out = check(operation.query, { ...req.query }, { location: "query" });
+            errors.push(...out.errors);
+            query = out.value;
+        }
+        if (operation.body) {
+            const out = check(operation.body, req.body === undefined ? {} : req.body, { location: "body" });
+            errors.push(...out.errors);
+            body = out.value;
+        }
+        if (errors.length) return res.status(400).json(invalidFields(errors));
+
+        // Express 5's req.query is a getter that parses the URL again on every read, so the checked
+        // values go on the request as its own property
+        if (query) Object.defineProperty(req, "query", { value: query, writable: true, configurable: true, enumerable: true });
+        if (body) req.body = body;
+        return next();
+    };
+}
+
+module.exports = { validate, invalidFields };
@@ -0,0 +1,18 @@
+// File: middleware/venue.js
+// Resolve the restaurant a request is for: req.params.rid on /api/restaurants/:rid/..., the default
+// restaurant on the unprefixed routes. Sets req.venue (see services/restaurantService.js) or answers 404.
+
+const restaurants = require("../services/restaurantService");
+
+async function loadVenue(req, res, next) {
+    try {
+        req.venue = await restaurants.getVenue(req.params.rid);
+        if (!req.venue) return res.status(404).json({ success: false, error: "not_found", message: `Unknown restaurant "${req.params.rid}"` });
+        return next();
+    } catch (err) {
+        console.error("Restaurant lookup error", err);
+        return res.status(500).json({ success: false, error: "server_error", message: err.message });
+    }
+}
+
+module.exports = { loadVenue };
@@ -1,9 +1,40 @@
 // models/Booking.js
 const mongoose = require("mongoose");
 
+// Lifecycle states; transitions between them are enforced by services/bookingStatus.js
+const STATUSES = ["pending", "confirmed", "seated", "completed", "cancelled", "no-show"];
+// No longer holding a table (kept here so the availability engine needn't load the lifecycle)
+const INACTIVE_STATUSES = ["cancelled", "no-show", "completed"];
+
+// One status transition, with who made it and why
+const StatusChangeSchema = new mongoose.Schema({
+    from: String,
+    to: String,
+    at: { type: Date, default: Date.now },
+    actor: String,
+    reason: String
+}, { _id: false });
+
+// One modification: who made it, when, and each field's old and new value
+const ChangeSchema = new mongoose.Schema({
+    changedAt: { type: Date, default: Date.now },
+    changedBy: String,
+    changes: [{
+        _id: false,
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed
+    }]
+}, { _id: false });
+
 const BookingSchema = new mongoose.Schema({
     bookingId: { type: String, required: true, unique: true },
+    bookingRef: { type: String, unique: true, sparse: true }, // short code guests can read out on the phone
+    restaurantId: { type: String, index: true }, // missing on bookings made before multi-restaurant support (= default venue)
     customerName: String,
+    contactPhone: String,
+    contactEmail: String,
+    language: String, // guest's language for notifications ("hi-IN"); the venue's voice language when not given
     numberOfGuests: Number,
     bookingDate: Date,
     bookingTime: String,
@@ -11,8 +42,15 @@ const BookingSchema = new mongoose.Schema({
     specialRequests: String,
     weatherInfo: Object,
     seatingPreference: String,
-    status: { type: String, default: "confirmed" },
-    createdAt: { type: Date, default: Date.now }
+    tableIds: [String], // tables assigned by the availability engine
+    status: { type: String, enum: STATUSES, default: "confirmed" },
+    statusHistory: [StatusChangeSchema],
+    createdAt: { type: Date, default: Date.now },
+    changeHistory: [ChangeSchema]
 });
 
-module.exports = mongoose.model("Booking", BookingSchema);
+const Booking = mongoose.model("Booking", BookingSchema);
+Booking.STATUSES = STATUSES;
+Booking.INACTIVE_STATUSES = INACTIVE_STATUSES;
+
+module.exports = Booking;
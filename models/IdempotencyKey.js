@@ -0,0 +1,15 @@
+// models/IdempotencyKey.js
+const mongoose = require("mongoose");
+
+// Stored response for a request sent with an Idempotency-Key header, replayed on retries.
+// responseStatus stays null while the first request is still running.
+const IdempotencyKeySchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true },
+    scope: String, // e.g. "POST /api/bookings"
+    requestHash: String,
+    responseStatus: { type: Number, default: null },
+    responseBody: Object,
+    createdAt: { type: Date, default: Date.now, expires: 60 * 60 * 24 } // TTL: keys are kept for a day
+});
+
+module.exports = mongoose.model("IdempotencyKey", IdempotencyKeySchema);
@@ -0,0 +1,34 @@
+// models/Notification.js
+const mongoose = require("mongoose");
+
+// One message to one guest address, queued until runAt (now for confirmations, hours ahead for reminders).
+// This collection is the scheduler's queue, so pending messages survive restarts.
+// pending -> sending -> sent | failed (after the last retry); cancelled when no longer relevant.
+const NOTIFICATION_STATUSES = ["pending", "sending", "sent", "failed", "cancelled"];
+
+const NotificationSchema = new mongoose.Schema({
+    notificationId: { type: String, required: true, unique: true },
+    type: String, // confirmation | request | update | cancellation | reminder | waitlist_offer
+    channel: String, // email | sms
+    to: String,
+    language: String,
+    restaurantId: String,
+    bookingId: { type: String, index: true },
+    waitlistId: String,
+    runAt: { type: Date, index: true },
+    status: { type: String, enum: NOTIFICATION_STATUSES, default: "pending", index: true },
+    attempts: { type: Number, default: 0 },
+    lockedAt: Date,
+    lastError: String,
+    transport: String,
+    providerId: String, // id the transport gave the message
+    subject: String,
+    text: String,
+    sentAt: Date,
+    createdAt: { type: Date, default: Date.now }
+});
+
+const Notification = mongoose.model("Notification", NotificationSchema);
+Notification.STATUSES = NOTIFICATION_STATUSES;
+
+module.exports = Notification;
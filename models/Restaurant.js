@@ -0,0 +1,26 @@
+// models/Restaurant.js
+const mongoose = require("mongoose");
+
+// One venue. Fields left empty fall back to config/venue.js defaults (see services/restaurantService.js).
+const RestaurantSchema = new mongoose.Schema({
+    restaurantId: { type: String, required: true, unique: true }, // slug used in /api/restaurants/:rid/...
+    name: { type: String, required: true },
+    timezone: { type: String, default: "Asia/Kolkata" },
+    location: String, // city (or "lat,lon") for weather lookups
+    cuisines: [String],
+    openingHours: Object, // { mon: [["12:00", "15:30"], ...], ... }
+    tables: [{ _id: false, id: String, seats: Number }],
+    slotMinutes: Number,
+    diningMinutes: Number,
+    allowTableJoining: Boolean,
+    maxAlternatives: Number,
+    confirmationPartySize: Number, // parties this size or larger start as "pending" until staff confirm
+    voice: {
+        lang: { type: String, default: "en-IN" }, // language the voice flow starts in
+        languages: [String] // languages offered to callers
+    },
+    active: { type: Boolean, default: true },
+    createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model("Restaurant", RestaurantSchema);
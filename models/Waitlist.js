@@ -0,0 +1,38 @@
+// models/Waitlist.js
+const mongoose = require("mongoose");
+
+// waiting -> offered (a table is held until offer.expiresAt) -> accepted | declined | expired.
+// accepting = an accept is booking the held table (still held); cancelled = the guest left the list.
+// See services/waitlistService.js.
+const WAITLIST_STATUSES = ["waiting", "offered", "accepting", "accepted", "declined", "expired", "cancelled"];
+
+const WaitlistSchema = new mongoose.Schema({
+    waitlistId: { type: String, required: true, unique: true },
+    waitlistRef: { type: String, unique: true, sparse: true }, // short code, same alphabet as bookingRef
+    restaurantId: { type: String, index: true },
+    customerName: String,
+    contactPhone: String,
+    contactEmail: String,
+    language: String, // for the offer notification, as on Booking
+    numberOfGuests: Number,
+    bookingDate: Date, // requested venue-local day (stored as UTC, like Booking.bookingDate)
+    bookingTime: String, // requested "HH:MM"
+    flexibleMinutes: { type: Number, default: 0 }, // also accept a table this many minutes either side
+    specialRequests: String,
+    status: { type: String, enum: WAITLIST_STATUSES, default: "waiting", index: true },
+    offer: {
+        bookingTime: String,
+        tableIds: [String],
+        offeredAt: Date,
+        expiresAt: Date
+    },
+    respondedAt: Date,
+    bookingId: String, // set once the offer is accepted
+    createdBy: String,
+    createdAt: { type: Date, default: Date.now }
+});
+
+const Waitlist = mongoose.model("Waitlist", WaitlistSchema);
+Waitlist.STATUSES = WAITLIST_STATUSES;
+
+module.exports = Waitlist;
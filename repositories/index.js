@@ -0,0 +1,47 @@
+// File: repositories/index.js
+// Storage for every collection, behind one repository interface. STORAGE picks the backend:
+// "mongo" (default, repositories/mongo.js) or "memory" (repositories/memory.js, optionally saved to
+// STORAGE_FILE). Services and routes use these repositories instead of the Mongoose models directly.
+//
+// Each repository has the same methods on both backends; filters, sorts and updates are MongoDB-style:
+//   build(fields)                        unsaved document (call save())
+//   create(fields)                       insert -> document (err.code 11000 on a duplicate unique key)
+//   find(filter, { sort, skip, limit, lean })   -> documents (plain objects with lean)
+//   findOne(filter, { sort, lean })      -> document or null
+//   count(filter)
+//   updateOne(filter, update)            $set / $inc / $unset
+//   findOneAndUpdate(filter, update, { sort })  -> the updated document or null
+//   findOneAndDelete(filter)             -> the deleted document or null
+//   deleteOne(filter), deleteMany(filter)       -> { deletedCount }
+//   aggregate(pipeline)
+//   stream(filter, { sort })             async iterable of plain objects, with close()
+// Documents have save() and toObject() and their fields as properties.
+
+const Booking = require("../models/Booking");
+const Waitlist = require("../models/Waitlist");
+const Notification = require("../models/Notification");
+const Restaurant = require("../models/Restaurant");
+const IdempotencyKey = require("../models/IdempotencyKey");
+
+const BACKENDS = {
+    mongo: () => require("./mongo"),
+    memory: () => require("./memory")
+};
+
+const backendName = String(process.env.STORAGE || "mongo").trim().toLowerCase();
+if (!BACKENDS[backendName]) {
+    throw new Error(`Unknown STORAGE "${process.env.STORAGE}" (use ${Object.keys(BACKENDS).join(" or ")})`);
+}
+const backend = BACKENDS[backendName]();
+
+module.exports = {
+    bookings: backend.createRepository("bookings", Booking),
+    waitlist: backend.createRepository("waitlist", Waitlist),
+    notifications: backend.createRepository("notifications", Notification),
+    restaurants: backend.createRepository("restaurants", Restaurant),
+    idempotencyKeys: backend.createRepository("idempotencyKeys", IdempotencyKey),
+    backend: backend.name,
+    connect: backend.connect,
+    health: backend.health,
+    close: backend.close
+};
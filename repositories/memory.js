@@ -0,0 +1,283 @@
+// File: repositories/memory.js
+// In-memory storage backend (STORAGE=memory), optionally saved to a JSON file (STORAGE_FILE) so data
+// survives restarts. Meant for demos, development and running the API without a MongoDB server.
+// The Mongoose models are still the schema: every write is cast, defaulted and validated by them, and
+// their unique and TTL indexes are enforced here, so documents look the same as with MongoDB.
+// Queries use the subset of MongoDB's language in repositories/memoryQuery.js.
+
+const fs = require("fs");
+const path = require("path");
+const query = require("./memoryQuery");
+
+const FILE = process.env.STORAGE_FILE ? path.resolve(process.env.STORAGE_FILE) : null;
+const SAVE_DELAY_MS = 200; // coalesce bursts of writes into one file write
+
+// ---------- Values ----------
+
+function clone(v) {
+    if (v instanceof Date) return new Date(v.getTime());
+    if (Array.isArray(v)) return v.map(clone);
+    if (v && typeof v === "object") {
+        if (v._bsontype === "ObjectId" || v._bsontype === "ObjectID") return String(v);
+        const out = {};
+        for (const [k, x] of Object.entries(v)) if (x !== undefined) out[k] = clone(x);
+        return out;
+    }
+    return v;
+}
+
+// Dates are written as { "$date": "<ISO>" } (as in MongoDB Extended JSON) so they come back as Dates
+function encode(v) {
+    if (v instanceof Date) return { $date: v.toISOString() };
+    if (Array.isArray(v)) return v.map(encode);
+    if (v && typeof v === "object") {
+        const out = {};
+        for (const [k, x] of Object.entries(v)) out[k] = encode(x);
+        return out;
+    }
+    return v;
+}
+
+function decode(v) {
+    if (Array.isArray(v)) return v.map(decode);
+    if (v && typeof v === "object") {
+        const keys = Object.keys(v);
+        if (keys.length === 1 && keys[0] === "$date") return new Date(v.$date);
+        const out = {};
+        for (const [k, x] of Object.entries(v)) out[k] = decode(x);
+        return out;
+    }
+    return v;
+}
+
+function duplicateKeyError(collection, index, value) {
+    const err = new Error(`E11000 duplicate key error collection: ${collection} index: ${index} dup key: ${JSON.stringify(value)}`);
+    err.name = "MongoServerError";
+    err.code = 11000; // same code as MongoDB, which callers check for
+    return err;
+}
+
+// ---------- File persistence ----------
+
+const collections = new Map(); // name -> MemoryCollection
+let saveTimer = null;
+let saving = Promise.resolve();
+
+function snapshot() {
+    const data = {};
+    for (const [name, c] of collections) data[name] = [...c.records.values()].map(encode);
+    return JSON.stringify({ version: 1, savedAt: new Date().toISOString(), collections: data });
+}
+
+// Write to a temp file and rename it over the old one, so a crash never leaves half a file
+function writeFile() {
+    if (!FILE) return Promise.resolve();
+    const body = snapshot();
+    saving = saving.then(async () => {
+        await fs.promises.mkdir(path.dirname(FILE), { recursive: true });
+        const tmp = `${FILE}.tmp`;
+        await fs.promises.writeFile(tmp, body);
+        await fs.promises.rename(tmp, FILE);
+    }).catch(err => console.error("[storage] could not write", FILE, err.message));
+    return saving;
+}
+
+function scheduleSave() {
+    if (!FILE || saveTimer) return;
+    saveTimer = setTimeout(() => {
+        saveTimer = null;
+        writeFile();
+    }, SAVE_DELAY_MS);
+}
+
+// ---------- Documents ----------
+
+/**
+ * A stored record as a document: fields are plain properties, save() writes it back (casting and
+ * validating through the model) and toObject() returns a copy, like a Mongoose document.
+ */
+class MemoryDocument {
+    constructor(collection, record, isNew = false) {
+        Object.defineProperty(this, "$collection", { value: collection });
+        Object.defineProperty(this, "isNew", { value: isNew, writable: true });
+        Object.assign(this, record);
+    }
+
+    async save() {
+        const saved = this.$collection.write({ ...this }, { insert: this.isNew });
+        for (const key of Object.keys(this)) if (!(key in saved)) delete this[key];
+        Object.assign(this, clone(saved));
+        this.isNew = false;
+        return this;
+    }
+
+    toObject() {
+        return clone({ ...this });
+    }
+
+    toJSON() {
+        return this.toObject();
+    }
+}
+
+// ---------- Collections ----------
+
+class MemoryCollection {
+    constructor(name, Model) {
+        this.name = name;
+        this.Model = Model;
+        this.records = new Map(); // _id -> record, in insertion (natural) order
+        const indexes = Model.schema.indexes();
+        this.unique = indexes.filter(([, o]) => o.unique).map(([fields, o]) => ({ fields: Object.keys(fields), sparse: Boolean(o.sparse) }));
+        this.ttl = indexes.filter(([, o]) => o.expireAfterSeconds !== undefined).map(([fields, o]) => ({ field: Object.keys(fields)[0], seconds: o.expireAfterSeconds }));
+    }
+
+    // Cast, default and validate through the model; the result is a plain record with a string _id
+    cast(data) {
+        const doc = new this.Model(data);
+        const err = doc.validateSync();
+        if (err) throw err;
+        return clone(doc.toObject());
+    }
+
+    checkUnique(record) {
+        for (const { fields, sparse } of this.unique) {
+            const values = fields.map(f => query.getPath(record, f));
+            if (sparse && values.every(v => v === null || v === undefined)) continue;
+            for (const other of this.records.values()) {
+                if (other._id === record._id) continue;
+                if (fields.every((f, i) => query.compare(query.getPath(other, f), values[i]) === 0)) {
+                    throw duplicateKeyError(this.name, fields.map(f => `${f}_1`).join("_"), Object.fromEntries(fields.map((f, i) => [f, values[i]])));
+                }
+            }
+        }
+    }
+
+    write(data, { insert = false } = {}) {
+        const record = this.cast(data);
+        if (insert && this.records.has(record._id)) throw duplicateKeyError(this.name, "_id_", { _id: record._id });
+        this.checkUnique(record);
+        this.records.set(record._id, record);
+        scheduleSave();
+        return record;
+    }
+
+    // Like MongoDB's TTL monitor: records past their expiry are removed
+    expire() {
+        if (!this.ttl.length) return;
+        const now = Date.now();
+        for (const [id, r] of this.records) {
+            if (this.ttl.some(({ field, seconds }) => r[field] instanceof Date && r[field].getTime() + seconds * 1000 <= now)) {
+                this.records.delete(id);
+                scheduleSave();
+            }
+        }
+    }
+
+    select(filter, { sort, skip, limit } = {}) {
+        this.expire();
+        let rows = [...this.records.values()].filter(r => query.matches(r, filter));
+        if (sort) rows.sort(query.sorter(sort));
+        if (skip) rows = rows.slice(parseInt(skip, 10) || 0);
+        if (limit) rows = rows.slice(0, parseInt(limit, 10) || undefined);
+        return rows;
+    }
+
+    wrap(record, lean) {
+        return lean ? clone(record) : new MemoryDocument(this, clone(record));
+    }
+
+    remove(records) {
+        for (const r of records) this.records.delete(r._id);
+        if (records.length) scheduleSave();
+        return { deletedCount: records.length };
+    }
+}
+
+function createRepository(name, Model) {
+    const c = new MemoryCollection(name, Model);
+    collections.set(name, c);
+    return {
+        name,
+        build: fields => new MemoryDocument(c, fields, true),
+        create: async fields => c.wrap(c.write(fields, { insert: true })),
+        find: async (filter = {}, { sort, skip, limit, lean = false } = {}) => c.select(filter, { sort, skip, limit }).map(r => c.wrap(r, lean)),
+        findOne: async (filter = {}, { sort, lean = false } = {}) => {
+            const [r] = c.select(filter, { sort, limit: 1 });
+            return r ? c.wrap(r, lean) : null;
+        },
+        count: async (filter = {}) => c.select(filter).length,
+        updateOne: async (filter, update) => {
+            const [r] = c.select(filter, { limit: 1 });
+            if (!r) return { matchedCount: 0, modifiedCount: 0 };
+            c.write(query.applyUpdate(clone(r), update));
+            return { matchedCount: 1, modifiedCount: 1 };
+        },
+        findOneAndUpdate: async (filter, update, { sort } = {}) => {
+            const [r] = c.select(filter, { sort, limit: 1 });
+            return r ? c.wrap(c.write(query.applyUpdate(clone(r), update))) : null;
+        },
+        findOneAndDelete: async filter => {
+            const [r] = c.select(filter, { limit: 1 });
+            if (!r) return null;
+            c.remove([r]);
+            return c.wrap(r);
+        },
+        deleteOne: async filter => c.remove(c.select(filter, { limit: 1 })),
+        deleteMany: async (filter = {}) => c.remove(c.select(filter)),
+        aggregate: async pipeline => query.aggregate(c.select({}).map(r => clone(r)), pipeline),
+        stream: (filter = {}, { sort } = {}) => {
+            const rows = c.select(filter, { sort });
+            let i = 0;
+            return {
+                async next() { return i < rows.length ? clone(rows[i++]) : null; },
+                async close() { i = rows.length; },
+                [Symbol.asyncIterator]() {
+                    return { next: async () => (i < rows.length ? { value: clone(rows[i++]), done: false } : { value: undefined, done: true }) };
+                }
+            };
+        }
+    };
+}
+
+// ---------- Lifecycle ----------
+
+async function connect() {
+    if (!FILE) {
+        console.log("[storage] in memory (data is lost on restart; set STORAGE_FILE to keep it)");
+        return;
+    }
+    let text = null;
+    try {
+        text = await fs.promises.readFile(FILE, "utf8");
+    } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+    }
+    if (text) {
+        const saved = JSON.parse(text);
+        for (const [name, records] of Object.entries(saved.collections || {})) {
+            const c = collections.get(name);
+            if (!c) continue;
+            c.records.clear();
+            for (const r of decode(records)) c.records.set(String(r._id), r);
+        }
+    }
+    const counts = [...collections.values()].map(c => `${c.records.size} ${c.name}`).join(", ");
+    console.log(`[storage] in memory, saved to ${FILE} (${counts})`);
+}
+
+async function health() {
+    return { backend: "memory", status: "up", file: FILE };
+}
+
+// Write out anything still pending
+async function close() {
+    if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        await writeFile();
+    }
+    await saving;
+}
+
+module.exports = { createRepository, connect, health, close, name: "memory" };
@@ -0,0 +1,301 @@
+// File: repositories/memoryQuery.js
+// The part of MongoDB's query language this app uses, evaluated over plain objects for the in-memory
+// backend: filters ($in, $nin, $ne, $gt/$gte/$lt/$lte, $exists, $regex, $or/$and/$nor, dotted paths),
+// sort specs, $set/$inc/$unset updates and aggregation pipelines ($match, $group, $project, $addFields,
+// $sort, $skip, $limit, $count). Anything outside that subset throws rather than silently mismatching.
+
+const moment = require("moment-timezone");
+
+function unsupported(what) {
+    return new Error(`memory storage: unsupported ${what}`);
+}
+
+function isPlainObject(v) {
+    return v !== null && typeof v === "object" && !Array.isArray(v) && !(v instanceof Date);
+}
+
+function getPath(obj, path) {
+    return String(path).split(".").reduce((o, key) => {
+        if (o === null || o === undefined) return undefined;
+        if (Array.isArray(o) && !/^\d+$/.test(key)) return o.map(el => (el == null ? undefined : el[key]));
+        return o[key];
+    }, obj);
+}
+
+function setPath(obj, path, value) {
+    const keys = String(path).split(".");
+    let o = obj;
+    for (const key of keys.slice(0, -1)) {
+        if (!isPlainObject(o[key]) && !Array.isArray(o[key])) o[key] = {};
+        o = o[key];
+    }
+    o[keys[keys.length - 1]] = value;
+}
+
+function unsetPath(obj, path) {
+    const keys = String(path).split(".");
+    const parent = keys.length > 1 ? getPath(obj, keys.slice(0, -1).join(".")) : obj;
+    if (parent && typeof parent === "object") delete parent[keys[keys.length - 1]];
+}
+
+// ---------- Comparison ----------
+
+// BSON-like type order, so mixed values sort the way MongoDB sorts them
+function typeRank(v) {
+    if (v === undefined || v === null) return 0;
+    if (typeof v === "number") return 1;
+    if (typeof v === "string") return 2;
+    if (isPlainObject(v)) return 3;
+    if (Array.isArray(v)) return 4;
+    if (typeof v === "boolean") return 5;
+    if (v instanceof Date) return 6;
+    return 7;
+}
+
+function compare(a, b) {
+    const ra = typeRank(a);
+    const rb = typeRank(b);
+    if (ra !== rb) return ra < rb ? -1 : 1;
+    if (a instanceof Date) return Math.sign(a.getTime() - b.getTime());
+    if (ra === 3 || ra === 4) return compare(JSON.stringify(a), JSON.stringify(b));
+    if (a < b) return -1;
+    if (a > b) return 1;
+    return 0;
+}
+
+function equals(a, b) {
+    if ((a === null || a === undefined) && (b === null || b === undefined)) return true;
+    if (a instanceof Date || b instanceof Date) return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+    if (typeof a === "object" && typeof b === "object" && a && b) return JSON.stringify(a) === JSON.stringify(b);
+    return a === b;
+}
+
+// A field holding an array matches a condition when the array itself or any element does
+function candidates(value) {
+    return Array.isArray(value) ? [value, ...value] : [value];
+}
+
+function comparable(a, b) {
+    return a !== null && a !== undefined && typeRank(a) === typeRank(b);
+}
+
+const OPERATORS = {
+    $eq: (v, arg) => candidates(v).some(c => equals(c, arg)),
+    $ne: (v, arg) => !candidates(v).some(c => equals(c, arg)),
+    $in: (v, arg) => candidates(v).some(c => arg.some(a => (a instanceof RegExp ? typeof c === "string" && a.test(c) : equals(c, a)))),
+    $nin: (v, arg) => !OPERATORS.$in(v, arg),
+    $gt: (v, arg) => candidates(v).some(c => comparable(c, arg) && compare(c, arg) > 0),
+    $gte: (v, arg) => candidates(v).some(c => comparable(c, arg) && compare(c, arg) >= 0),
+    $lt: (v, arg) => candidates(v).some(c => comparable(c, arg) && compare(c, arg) < 0),
+    $lte: (v, arg) => candidates(v).some(c => comparable(c, arg) && compare(c, arg) <= 0),
+    $exists: (v, arg) => (v !== undefined) === Boolean(arg)
+};
+
+function isOperatorObject(cond) {
+    return isPlainObject(cond) && Object.keys(cond).length > 0 && Object.keys(cond).every(k => k.startsWith("$"));
+}
+
+function matchesCondition(value, cond) {
+    if (cond instanceof RegExp) return candidates(value).some(c => typeof c === "string" && cond.test(c));
+    if (!isOperatorObject(cond)) return OPERATORS.$eq(value, cond);
+    return Object.entries(cond).every(([op, arg]) => {
+        if (op === "$options") return true;
+        if (op === "$regex") {
+            const re = arg instanceof RegExp ? arg : new RegExp(arg, cond.$options || "");
+            return candidates(value).some(c => typeof c === "string" && re.test(c));
+        }
+        if (op === "$not") return !matchesCondition(value, arg);
+        if (!OPERATORS[op]) throw unsupported(`query operator ${op}`);
+        return OPERATORS[op](value, arg);
+    });
+}
+
+/** Does the object match a MongoDB filter? */
+function matches(obj, query = {}) {
+    return Object.entries(query || {}).every(([key, cond]) => {
+        if (key === "$or") return cond.some(q => matches(obj, q));
+        if (key === "$and") return cond.every(q => matches(obj, q));
+        if (key === "$nor") return !cond.some(q => matches(obj, q));
+        if (key.startsWith("$")) throw unsupported(`query operator ${key}`);
+        return matchesCondition(getPath(obj, key), cond);
+    });
+}
+
+// ---------- Sort ----------
+
+// { field: 1 | -1 } or a Mongoose-style string ("-createdAt bookingTime") -> [[field, direction], ...]
+function normalizeSort(spec) {
+    if (!spec) return [];
+    if (typeof spec === "string") {
+        return spec.split(/\s+/).filter(Boolean).map(f => (f.startsWith("-") ? [f.slice(1), -1] : [f.replace(/^\+/, ""), 1]));
+    }
+    return Object.entries(spec).map(([f, dir]) => [f, dir === -1 || dir === "desc" || dir === "descending" ? -1 : 1]);
+}
+
+function sorter(spec) {
+    const keys = normalizeSort(spec);
+    return (a, b) => {
+        for (const [field, dir] of keys) {
+            const c = compare(getPath(a, field), getPath(b, field));
+            if (c) return c * dir;
+        }
+        return 0;
+    };
+}
+
+// ---------- Updates ----------
+
+/** Apply an update document ($set, $inc, $unset, or plain fields as $set) to obj in place */
+function applyUpdate(obj, update = {}) {
+    for (const [key, value] of Object.entries(update)) {
+        if (key === "$set") for (const [p, v] of Object.entries(value)) setPath(obj, p, v);
+        else if (key === "$inc") for (const [p, v] of Object.entries(value)) setPath(obj, p, (Number(getPath(obj, p)) || 0) + v);
+        else if (key === "$unset") for (const p of Object.keys(value)) unsetPath(obj, p);
+        else if (key.startsWith("$")) throw unsupported(`update operator ${key}`);
+        else setPath(obj, key, value);
+    }
+    return obj;
+}
+
+// ---------- Aggregation ----------
+
+function dateInZone(date, timezone) {
+    return timezone ? moment.tz(date, timezone) : moment.utc(date);
+}
+
+const DATE_FORMAT_TOKENS = { "%Y": "YYYY", "%m": "MM", "%d": "DD", "%H": "HH", "%M": "mm", "%S": "ss", "%L": "SSS", "%j": "DDDD", "%u": "E", "%%": "[%]" };
+
+const EXPRESSIONS = {
+    $ifNull: (args, doc) => {
+        for (const a of args) {
+            const v = evaluate(a, doc);
+            if (v !== null && v !== undefined) return v;
+        }
+        return null;
+    },
+    $substrCP: (args, doc) => {
+        const [s, start, count] = args.map(a => evaluate(a, doc));
+        return Array.from(s == null ? "" : String(s)).slice(start, start + count).join("");
+    },
+    $toLower: (arg, doc) => { const v = evaluate(arg, doc); return v == null ? "" : String(v).toLowerCase(); },
+    $toUpper: (arg, doc) => { const v = evaluate(arg, doc); return v == null ? "" : String(v).toUpperCase(); },
+    $trim: (arg, doc) => { const v = evaluate(arg.input, doc); return v == null ? null : String(v).trim(); },
+    $concat: (args, doc) => {
+        const parts = args.map(a => evaluate(a, doc));
+        return parts.some(p => p == null) ? null : parts.join("");
+    },
+    $add: (args, doc) => args.map(a => evaluate(a, doc)).reduce((n, v) => n + (Number(v) || 0), 0),
+    $eq: (args, doc) => equals(evaluate(args[0], doc), evaluate(args[1], doc)),
+    $cond: (arg, doc) => {
+        const [ifExpr, thenExpr, elseExpr] = Array.isArray(arg) ? arg : [arg.if, arg.then, arg.else];
+        return evaluate(ifExpr, doc) ? evaluate(thenExpr, doc) : evaluate(elseExpr, doc);
+    },
+    $isoDayOfWeek: (arg, doc) => {
+        const { date, timezone } = isPlainObject(arg) && "date" in arg ? arg : { date: arg };
+        const d = evaluate(date, doc);
+        return d == null ? null : dateInZone(d, timezone && evaluate(timezone, doc)).isoWeekday();
+    },
+    $hour: (arg, doc) => {
+        const { date, timezone } = isPlainObject(arg) && "date" in arg ? arg : { date: arg };
+        const d = evaluate(date, doc);
+        return d == null ? null : dateInZone(d, timezone && evaluate(timezone, doc)).hour();
+    },
+    $dateToString: (arg, doc) => {
+        const d = evaluate(arg.date, doc);
+        if (d == null) return null;
+        const format = (arg.format || "%Y-%m-%dT%H:%M:%S.%LZ").replace(/%[A-Za-z%]|[^%]+/g, t => DATE_FORMAT_TOKENS[t] || (t.startsWith("%") ? t : `[${t}]`));
+        return dateInZone(d, arg.timezone && evaluate(arg.timezone, doc)).format(format);
+    }
+};
+
+/** Evaluate an aggregation expression ("$field", literal, { $op: ... } or an object of expressions) */
+function evaluate(expr, doc) {
+    if (typeof expr === "string" && expr.startsWith("$")) return getPath(doc, expr.slice(1));
+    if (Array.isArray(expr)) return expr.map(e => evaluate(e, doc));
+    if (!isPlainObject(expr)) return expr;
+    const keys = Object.keys(expr);
+    if (keys.length === 1 && keys[0].startsWith("$")) {
+        const op = keys[0];
+        if (op === "$literal") return expr.$literal;
+        if (!EXPRESSIONS[op]) throw unsupported(`aggregation operator ${op}`);
+        return EXPRESSIONS[op](expr[op], doc);
+    }
+    const out = {};
+    for (const k of keys) out[k] = evaluate(expr[k], doc);
+    return out;
+}
+
+const ACCUMULATORS = {
+    $sum: () => ({ value: 0, add(v) { if (typeof v === "number") this.value += v; } }),
+    $avg: () => ({ sum: 0, n: 0, add(v) { if (typeof v === "number") { this.sum += v; this.n++; } }, get value() { return this.n ? this.sum / this.n : null; } }),
+    $min: () => ({ value: null, add(v) { if (v != null && (this.value === null || compare(v, this.value) < 0)) this.value = v; } }),
+    $max: () => ({ value: null, add(v) { if (v != null && (this.value === null || compare(v, this.value) > 0)) this.value = v; } }),
+    $first: () => ({ value: undefined, seen: false, add(v) { if (!this.seen) { this.value = v; this.seen = true; } } }),
+    $last: () => ({ value: undefined, add(v) { this.value = v; } }),
+    $push: () => ({ value: [], add(v) { this.value.push(v); } })
+};
+
+function group(rows, spec) {
+    const groups = new Map();
+    const fields = Object.keys(spec).filter(k => k !== "_id");
+    for (const row of rows) {
+        const id = evaluate(spec._id, row);
+        const key = JSON.stringify(id === undefined ? null : id);
+        if (!groups.has(key)) {
+            groups.set(key, {
+                _id: id === undefined ? null : id,
+                acc: fields.map(f => {
+                    const op = Object.keys(spec[f])[0];
+                    if (!ACCUMULATORS[op]) throw unsupported(`accumulator ${op}`);
+                    return ACCUMULATORS[op]();
+                })
+            });
+        }
+        const g = groups.get(key);
+        fields.forEach((f, i) => g.acc[i].add(evaluate(Object.values(spec[f])[0], row)));
+    }
+    return [...groups.values()].map(g => {
+        const out = { _id: g._id };
+        fields.forEach((f, i) => { out[f] = g.acc[i].value; });
+        return out;
+    });
+}
+
+function project(row, spec, { addFields = false } = {}) {
+    const entries = Object.entries(spec);
+    const inclusion = !addFields && entries.some(([k, v]) => k !== "_id" && v !== 0 && v !== false);
+    let out;
+    if (addFields) {
+        out = { ...row };
+    } else if (inclusion) {
+        out = spec._id === 0 || spec._id === false ? {} : { _id: row._id };
+    } else {
+        out = { ...row };
+    }
+    for (const [k, v] of entries) {
+        if (v === 0 || v === false) { unsetPath(out, k); continue; }
+        setPath(out, k, v === 1 || v === true ? getPath(row, k) : evaluate(v, row));
+    }
+    return out;
+}
+
+/** Run an aggregation pipeline over plain objects */
+function aggregate(rows, pipeline = []) {
+    let out = rows;
+    for (const stage of pipeline) {
+        const [name] = Object.keys(stage);
+        const arg = stage[name];
+        if (name === "$match") out = out.filter(r => matches(r, arg));
+        else if (name === "$group") out = group(out, arg);
+        else if (name === "$project") out = out.map(r => project(r, arg));
+        else if (name === "$addFields" || name === "$set") out = out.map(r => project(r, arg, { addFields: true }));
+        else if (name === "$sort") out = [...out].sort(sorter(arg));
+        else if (name === "$skip") out = out.slice(arg);
+        else if (name === "$limit") out = out.slice(0, arg);
+        else if (name === "$count") out = out.length ? [{ [arg]: out.length }] : [];
+        else throw unsupported(`aggregation stage ${name}`);
+    }
+    return out;
+}
+
+module.exports = { matches, sorter, normalizeSort, applyUpdate, aggregate, evaluate, getPath, compare };
@@ -0,0 +1,110 @@
+// File: repositories/mongo.js
+// MongoDB storage backend (the default). Connects with MONGODB_URI, retrying with backoff at startup
+// (DB_CONNECT_RETRIES attempts, default 5); after that the driver reconnects on its own and health()
+// reports the connection state and ping time. Repositories are thin wrappers around the Mongoose models.
+
+const mongoose = require("mongoose");
+
+const URI = process.env.MONGODB_URI || "mongodb://127.0.0.1:27017/vaiu-voice-agent";
+const CONNECT_RETRIES = Math.max(1, parseInt(process.env.DB_CONNECT_RETRIES, 10) || 5);
+const RETRY_BASE_MS = parseInt(process.env.DB_RETRY_DELAY_MS, 10) || 1000; // doubles per attempt, capped at 30s
+const SERVER_SELECTION_TIMEOUT_MS = 5000;
+const PING_TIMEOUT_MS = 2000;
+
+const STATES = ["disconnected", "connected", "connecting", "disconnecting"];
+
+// The URI without its password, for logs
+function redact(uri) {
+    return String(uri).replace(/\/\/([^:/@]+):[^@]*@/, "//$1:***@");
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function createRepository(name, Model) {
+    return {
+        name,
+        build: fields => new Model(fields),
+        create: fields => Model.create(fields),
+        find: (filter = {}, { sort, skip, limit, lean = false } = {}) => {
+            const q = Model.find(filter);
+            if (sort) q.sort(sort);
+            if (skip) q.skip(parseInt(skip, 10) || 0);
+            if (limit) q.limit(parseInt(limit, 10) || 0);
+            if (lean) q.lean();
+            return q.exec();
+        },
+        findOne: (filter = {}, { sort, lean = false } = {}) => {
+            const q = Model.findOne(filter);
+            if (sort) q.sort(sort);
+            if (lean) q.lean();
+            return q.exec();
+        },
+        count: (filter = {}) => Model.countDocuments(filter).exec(),
+        updateOne: (filter, update) => Model.updateOne(filter, update).exec(),
+        findOneAndUpdate: (filter, update, { sort } = {}) => Model.findOneAndUpdate(filter, update, { sort, new: true }).exec(),
+        findOneAndDelete: filter => Model.findOneAndDelete(filter).exec(),
+        deleteOne: filter => Model.deleteOne(filter).exec(),
+        deleteMany: (filter = {}) => Model.deleteMany(filter).exec(),
+        aggregate: pipeline => Model.aggregate(pipeline).exec(),
+        // Lean documents one at a time; close() when stopping early
+        stream: (filter = {}, { sort } = {}) => {
+            const q = Model.find(filter).lean();
+            if (sort) q.sort(sort);
+            return q.cursor();
+        }
+    };
+}
+
+let listening = false;
+function logConnectionEvents() {
+    if (listening) return;
+    listening = true;
+    mongoose.connection.on("disconnected", () => console.warn("[storage] MongoDB disconnected"));
+    mongoose.connection.on("reconnected", () => console.log("[storage] MongoDB reconnected"));
+    mongoose.connection.on("error", err => console.error("[storage] MongoDB error:", err.message));
+}
+
+/** Connect, retrying with exponential backoff. Rejects after the last attempt fails. */
+async function connect() {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            await mongoose.connect(URI, { serverSelectionTimeoutMS: SERVER_SELECTION_TIMEOUT_MS });
+            console.log(`[storage] MongoDB connected (${redact(URI)})`);
+            logConnectionEvents();
+            return;
+        } catch (err) {
+            if (attempt >= CONNECT_RETRIES) {
+                throw new Error(`Could not connect to MongoDB at ${redact(URI)} after ${attempt} attempts: ${err.message}`);
+            }
+            const delay = Math.min(RETRY_BASE_MS * 2 ** (attempt - 1), 30000);
+            console.warn(`[storage] MongoDB connection failed (${err.message}); retry ${attempt}/${CONNECT_RETRIES - 1} in ${delay} ms`);
+            await sleep(delay);
+        }
+    }
+}
+
+async function health() {
+    const state = STATES[mongoose.connection.readyState] || "unknown";
+    if (state !== "connected") return { backend: "mongo", status: "down", state };
+    const started = Date.now();
+    let timer;
+    try {
+        await Promise.race([
+            mongoose.connection.db.admin().ping(),
+            new Promise((resolve, reject) => { timer = setTimeout(() => reject(new Error("ping timed out")), PING_TIMEOUT_MS); })
+        ]);
+        return { backend: "mongo", status: "up", state, latencyMs: Date.now() - started };
+    } catch (err) {
+        return { backend: "mongo", status: "down", state, error: err.message };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+async function close() {
+    await mongoose.disconnect();
+}
+
+module.exports = { createRepository, connect, health, close, name: "mongo" };
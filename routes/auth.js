@@ -0,0 +1,47 @@
+// File: routes/auth.js
+// Session tokens for staff (in exchange for an API key) and for guests (in exchange for a booking reference)
+
+const express = require("express");
+const router = express.Router();
+const authService = require("../services/authService");
+const { validate } = require("../middleware/validate");
+const { operations: api } = require("../schemas/auth");
+
+// POST /api/auth/session
+// Header X-API-Key (host/admin key) -> { token, role, expiresAt }; send it as "Authorization: Bearer <token>"
+router.post("/session", async (req, res) => {
+    try {
+        const principal = req.auth;
+        if (!principal || principal.via !== "api_key") {
+            return res.status(401).json({ success: false, error: "unauthorized", message: "Send a staff API key in X-API-Key" });
+        }
+        const { token, expiresAt } = authService.issueToken(principal, authService.SESSION_TTL_SECONDS);
+        return res.status(201).json({ success: true, token, role: principal.role, subject: principal.subject, expiresAt });
+    } catch (err) {
+        console.error("POST /api/auth/session error", err);
+        return res.status(500).json({ success: false, error: "server_error", message: err.message });
+    }
+});
+
+// POST /api/auth/guest
+// Body: { bookingRef: "AB3K7Q" } -> guest token limited to that booking
+router.post("/guest", validate(api.createGuestSession), async (req, res) => {
+    try {
+        const { bookingRef } = req.body;
+        const principal = await authService.principalForBookingRef(bookingRef);
+        if (!principal) return res.status(401).json({ success: false, error: "unauthorized", message: "Unknown booking reference" });
+        const { token, expiresAt } = authService.issueToken(principal, authService.GUEST_TTL_SECONDS);
+        return res.status(201).json({ success: true, token, role: principal.role, bookingId: principal.bookingId, expiresAt });
+    } catch (err) {
+        console.error("POST /api/auth/guest error", err);
+        return res.status(500).json({ success: false, error: "server_error", message: err.message });
+    }
+});
+
+// GET /api/auth/me -> who the current credentials belong to
+router.get("/me", (req, res) => {
+    const { role, subject, bookingId, via } = req.auth || authService.anonymous();
+    return res.json({ success: true, role, subject, bookingId, via });
+});
+
+module.exports = router;
@@ -1,122 +1,74 @@
 // File: routes/bookings.js
 // Express router for bookings with IST defaults, compact weatherInfo (minimal), preview + autoConfirm support
+// Access (middleware/auth.js): creating and availability are open, a guest can read or cancel their own booking
+// by reference, hosts list and change bookings, admins delete.
+// Mounted at /api/bookings (default restaurant) and /api/restaurants/:rid/bookings; every query is scoped to
+// req.venue and dates are read in that venue's timezone.
+// Query strings and bodies are checked against schemas/bookings.js (middleware/validate.js) before a handler
+// runs, so handlers get converted values (numbers, booleans, defaults) and answer 400 only for semantic problems.
 
 const express = require("express");
-const router = express.Router();
+const router = express.Router({ mergeParams: true });
 const moment = require("moment-timezone");
-const Booking = require("../models/Booking");
-const { randomUUID } = require("crypto");
-
-// Default timezone = IST
-const DEFAULT_TZ = "Asia/Kolkata";
-
-// Try to load weatherService (optional)
-let weatherService = null;
-try {
-    weatherService = require("../services/weatherService");
-} catch (e) {
-    console.warn("[bookings] weatherService not available:", e && e.message ? e.message : e);
-    weatherService = null;
+const repos = require("../repositories");
+const availability = require("../services/availabilityService");
+const bookingService = require("../services/bookingService");
+const bookingEvents = require("../services/bookingEvents");
+const bookingStatus = require("../services/bookingStatus");
+const calendar = require("../services/calendarService");
+const transfer = require("../services/bookingTransfer");
+const idempotency = require("../services/idempotencyService");
+const notifications = require("../services/notificationService");
+const restaurants = require("../services/restaurantService");
+const waitlist = require("../services/waitlistService");
+const { queryCredentials, requireRole, requireRoleOrOwner, actorOf } = require("../middleware/auth");
+const { loadVenue } = require("../middleware/venue");
+const { validate } = require("../middleware/validate");
+const { operations: api } = require("../schemas/bookings");
+
+// Resolve the restaurant for every route below (req.params.rid is unset on /api/bookings -> default venue)
+router.use(loadVenue);
+
+// Bookings of the request's restaurant
+function scoped(req, q = {}) {
+    return { restaurantId: restaurants.bookingScope(req.venue), ...q };
 }
 
-// Helper: coerce to safe string
-function asString(x) {
-    if (x === undefined || x === null) return "";
-    if (typeof x === "string") return x.trim();
-    if (typeof x === "number" || typeof x === "boolean" || typeof x === "bigint") return String(x);
-    try { return JSON.stringify(x); } catch (e) { return String(x); }
-}
-
-// words -> number (small)
-function wordsToNumber(s) {
-    s = (s || "").toString().toLowerCase().replace(/[-,]/g, " ").replace(/\band\b/g, " ");
-    const small = {
-        zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
-        ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19
-    };
-    const tens = { twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 };
-    const parts = s.split(/\s+/).filter(Boolean);
-    let total = 0, cur = 0;
-    for (const p of parts) {
-        if (small[p] != null) cur += small[p];
-        else if (tens[p] != null) cur += tens[p];
-        else if (p === "hundred") cur *= 100;
-        else if (p === "thousand") { cur *= 1000; total += cur; cur = 0; }
-        else if (!isNaN(parseInt(p, 10))) cur += parseInt(p, 10);
-    }
-    return total + cur;
-}
-
-// Parse booking date: interpret input as IST by default and return a Date (UTC) for storage
-function parseBookingDate(value) {
-    if (!value) return null;
-    if (value instanceof Date && !isNaN(value)) return value;
-    const raw = String(value).trim();
-    // Try YYYY-MM-DD or ISO as IST
-    const m = moment.tz(raw, ["YYYY-MM-DD", moment.ISO_8601], DEFAULT_TZ);
-    if (m && m.isValid()) return m.toDate(); // Date object (UTC)
-    // fallback to Date constructor
-    const d = new Date(raw);
-    if (!isNaN(d)) return d;
-    return null;
-}
-
-// Summarize suggestion into compact category/text
-function summarizeSuggestion(condition, rainProb) {
-    const cond = (condition || "").toString().toLowerCase();
-    const pop = Number(rainProb || 0);
-    if (cond.includes("clear") || cond.includes("sun") || pop < 0.2) return { category: "good", text: "Good for outdoor dining" };
-    if (cond.includes("rain") || pop >= 0.4) return { category: "bad", text: "Rain likely — indoor seating recommended" };
-    return { category: "moderate", text: "Weather moderate — indoor recommended for safety" };
-}
-
-// Default minimal good weather (used when service unavailable or fails)
-function defaultGoodWeather(/* targetDate not needed */) {
-    return {
-        category: "good",
-        text: "Good for outdoor dining",
-        note: "default"
-    };
+function localDate(o, tz) {
+    return o.bookingDate ? moment.utc(o.bookingDate).tz(tz).format() : null;
 }
 
 // ---------- Date filter helper for counts ----------
-function buildDateFilter({ date, startDate, endDate }) {
+// Dates are YYYY-MM-DD (checked by the route schemas), read as whole days in the venue's timezone
+function buildDateFilter({ date, startDate, endDate }, tz) {
     if (date) {
-        const d = moment.tz(date, DEFAULT_TZ);
-        if (!d.isValid()) return null;
+        const d = moment.tz(date, "YYYY-MM-DD", tz);
         return {
             bookingDate: { $gte: d.clone().startOf("day").toDate(), $lte: d.clone().endOf("day").toDate() }
         };
     }
     if (startDate || endDate) {
         const filter = {};
-        if (startDate) {
-            const sd = moment.tz(startDate, DEFAULT_TZ);
-            if (!sd.isValid()) return null;
-            filter.$gte = sd.clone().startOf("day").toDate();
-        }
-        if (endDate) {
-            const ed = moment.tz(endDate, DEFAULT_TZ);
-            if (!ed.isValid()) return null;
-            filter.$lte = ed.clone().endOf("day").toDate();
-        }
+        if (startDate) filter.$gte = moment.tz(startDate, "YYYY-MM-DD", tz).startOf("day").toDate();
+        if (endDate) filter.$lte = moment.tz(endDate, "YYYY-MM-DD", tz).endOf("day").toDate();
         return { bookingDate: filter };
     }
     return {};
 }
 
 // ---------- Count endpoints ----------
-router.get('/count', async (req, res) => {
+router.get('/count', requireRole('host'), validate(api.countBookings), async (req, res) => {
     try {
         const { date, startDate, endDate, status, seatingPreference } = req.query;
-        const dateFilter = buildDateFilter({ date, startDate, endDate });
-        if (dateFilter === null) return res.status(400).json({ success: false, error: 'bad_date', message: 'Invalid date format' });
+        const dateFilter = buildDateFilter({ date, startDate, endDate }, req.venue.timezone);
 
-        const q = { ...dateFilter };
-        if (status) q.status = status;
+        const statusCond = bookingStatus.statusFilter(status);
+
+        const q = scoped(req, dateFilter);
+        if (statusCond !== undefined) q.status = statusCond;
         if (seatingPreference) q.seatingPreference = seatingPreference;
 
-        const total = await Booking.countDocuments(q);
+        const total = await repos.bookings.count(q);
         return res.json({ success: true, count: total, filter: q });
     } catch (err) {
         console.error('GET /api/bookings/count error', err);
@@ -124,24 +76,25 @@ router.get('/count', async (req, res) => {
     }
 });
 
-router.get('/count/daily', async (req, res) => {
+router.get('/count/daily', requireRole('host'), validate(api.dailyBookingCounts), async (req, res) => {
     try {
-        let { startDate, endDate } = req.query;
-        const end = endDate ? moment.tz(endDate, DEFAULT_TZ).endOf('day') : moment.tz(DEFAULT_TZ).endOf('day');
-        const start = startDate ? moment.tz(startDate, DEFAULT_TZ).startOf('day') : moment(end).utc().subtract(6, 'days').startOf('day');
+        const { startDate, endDate } = req.query;
+        const tz = req.venue.timezone;
+        const end = endDate ? moment.tz(endDate, 'YYYY-MM-DD', tz).endOf('day') : moment.tz(tz).endOf('day');
+        const start = startDate ? moment.tz(startDate, 'YYYY-MM-DD', tz).startOf('day') : end.clone().subtract(6, 'days').startOf('day');
 
-        if (!start.isValid() || !end.isValid()) return res.status(400).json({ success: false, error: 'bad_date', message: 'Invalid startDate or endDate' });
         if (start.isAfter(end)) return res.status(400).json({ success: false, error: 'bad_range', message: 'startDate must be <= endDate' });
 
         const pipeline = [
-            { $match: { bookingDate: { $gte: start.toDate(), $lte: end.toDate() } } },
-            { $project: { day: { $dateToString: { format: "%Y-%m-%d", date: "$bookingDate", timezone: "UTC" } } } },
+            { $match: scoped(req, { bookingDate: { $gte: start.toDate(), $lte: end.toDate() } }) },
+            // Group by the venue-local day, not the UTC one (an 01:00 IST booking belongs to its own date)
+            { $project: { day: { $dateToString: { format: "%Y-%m-%d", date: "$bookingDate", timezone: tz } } } },
             { $group: { _id: "$day", count: { $sum: 1 } } },
             { $project: { _id: 0, date: "$_id", count: 1 } },
             { $sort: { date: 1 } }
         ];
 
-        const agg = await Booking.aggregate(pipeline);
+        const agg = await repos.bookings.aggregate(pipeline);
         const aggMap = agg.reduce((m, item) => { m[item.date] = item.count; return m; }, {});
         const days = [];
         const cur = start.clone();
@@ -158,18 +111,19 @@ router.get('/count/daily', async (req, res) => {
     }
 });
 
-router.get('/list', async (req, res) => {
+router.get('/list', requireRole('host'), validate(api.listBookings), async (req, res) => {
     try {
-        const { startDate, endDate, status, seatingPreference, limit = 50, skip = 0 } = req.query;
-        const dateFilter = buildDateFilter({ startDate, endDate });
-        if (dateFilter === null) return res.status(400).json({ success: false, error: 'bad_date', message: 'Invalid date format' });
+        const { startDate, endDate, status, seatingPreference, limit, skip } = req.query;
+        const dateFilter = buildDateFilter({ startDate, endDate }, req.venue.timezone);
+
+        const statusCond = bookingStatus.statusFilter(status);
 
-        const q = { ...dateFilter };
-        if (status) q.status = status;
+        const q = scoped(req, dateFilter);
+        if (statusCond !== undefined) q.status = statusCond;
         if (seatingPreference) q.seatingPreference = seatingPreference;
 
-        const list = await Booking.find(q).sort({ bookingDate: -1 }).skip(parseInt(skip, 10)).limit(Math.min(1000, parseInt(limit, 10)));
-        const total = await Booking.countDocuments(q);
+        const list = await repos.bookings.find(q, { sort: { bookingDate: -1 }, skip, limit });
+        const total = await repos.bookings.count(q);
         return res.json({ success: true, count: list.length, total, bookings: list });
     } catch (err) {
         console.error('GET /api/bookings/list error', err);
@@ -177,122 +131,86 @@ router.get('/list', async (req, res) => {
     }
 });
 
-// ---------- Create booking (preview + autoConfirm) ----------
-router.post("/", async (req, res) => {
-    try {
-        const raw = req.body || {};
-
-        // normalize fields
-        const customerName = asString(raw.customerName || raw.name || "");
-        const numberOfGuests = (typeof raw.numberOfGuests === "number")
-            ? raw.numberOfGuests
-            : (() => {
-                const s = asString(raw.numberOfGuests || raw.guests || raw.number || "");
-                const m = s.match(/\d+/);
-                if (m) return parseInt(m[0], 10);
-                const wn = wordsToNumber(s);
-                return wn || undefined;
-            })();
-
-        const bookingDateRaw = raw.bookingDate || raw.date || "";
-        const bookingDate = parseBookingDate(bookingDateRaw) || null; // stored as UTC Date
-        const bookingTime = asString(raw.bookingTime || raw.time || "");
-        const cuisinePreference = asString(raw.cuisinePreference || raw.cuisine || "");
-        const specialRequests = asString(raw.specialRequests || raw.notes || "");
-        const location = raw.location || process.env.DEFAULT_LOCATION || null;
-
-        const previewOnly = (req.query.preview === "true" || req.query.preview === true || raw.preview === true);
-        const autoConfirmQuery = (req.query.autoConfirm === "true" || req.query.autoConfirm === true);
-        const autoConfirmBody = (raw.autoConfirm === true);
-        const autoConfirm = previewOnly && (autoConfirmQuery || autoConfirmBody);
-
-        // validate required fields for non-preview or autoConfirm
-        if (!previewOnly || autoConfirm) {
-            if (!customerName || !numberOfGuests || !bookingDate || !bookingTime) {
-                return res.status(400).json({ success: false, error: "missing_fields", message: "Required: customerName, numberOfGuests, bookingDate, bookingTime" });
-            }
-        }
+// ---------- Calendar ----------
 
-        // ---------- Weather lookup (compact minimal) ----------
-        let compactWeather = null;
-        let weatherError = null;
-
-        const hasWeatherService = !!weatherService;
-        const hasApiKey = !!process.env.OPENWEATHERMAP_API_KEY;
-        const clientProvidedDate = !!(raw.bookingDate || raw.date);
-
-        if (!hasWeatherService || !hasApiKey || !clientProvidedDate) {
-            compactWeather = defaultGoodWeather();
-            weatherError = { code: "skipped", message: "weather service not used; default suggestion returned" };
-        } else {
-            try {
-                const w = await weatherService.getWeatherForDate(bookingDate, location);
-                // if service returns error shape
-                if (!w || w.error) {
-                    compactWeather = defaultGoodWeather();
-                    weatherError = { code: w && w.error ? w.error : "no_data", message: w && w.message ? w.message : "no usable weather data" };
-                } else {
-                    // w may already be compact; unify shapes
-                    const wi = w.weatherInfo ? w.weatherInfo : w;
-                    const summary = summarizeSuggestion(wi.condition || wi.category || (wi.suggestion || ""), wi.rainProbability || wi.pop || 0);
-                    compactWeather = {
-                        category: summary.category,
-                        text: summary.text,
-                        note: wi.note || (wi.source ? wi.source : null)
-                    };
-                    weatherError = null;
-                }
-            } catch (we) {
-                console.error("[bookings] weatherService threw:", we && we.message ? we.message : we);
-                compactWeather = defaultGoodWeather();
-                weatherError = { code: "exception", message: we && we.message ? we.message : String(we) };
-            }
-        }
+// Feed window when no date filter is given: the last 30 days and everything ahead
+const CALENDAR_PAST_DAYS = 30;
+const CALENDAR_MAX_EVENTS = 5000;
 
-        // seating preference
-        let seatingPreference = (compactWeather && compactWeather.category === "good") ? "outdoor" : "indoor";
-
-        // build preview object (use local IST for display)
-        const bookingDateLocal = bookingDate ? moment.utc(bookingDate).tz(DEFAULT_TZ).format() : null;
-        const preview = {
-            customerName,
-            numberOfGuests,
-            bookingDate: bookingDate ? bookingDate.toISOString() : null, // UTC stored ISO
-            bookingDateLocal,
-            bookingTime,
-            cuisinePreference,
-            specialRequests,
-            weatherInfo: compactWeather, // now minimal: { category, text, note? }
-            seatingPreference
-        };
+function sendCalendar(res, body, filename, disposition = 'inline') {
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `${disposition}; filename="${filename}"`);
+    return res.send(body);
+}
 
-        // if preview only and not autoConfirm -> return preview
-        if (previewOnly && !autoConfirm) {
-            return res.json({ success: true, preview });
-        }
+// GET /api/bookings/calendar.ics
+// Subscribable staff feed. Query: date, startDate, endDate, status (as /list). Calendar apps can't send
+// headers, so the feed also takes ?key=<host API key>. Cancelled bookings are included as CANCELLED events
+// unless the status filter leaves them out.
+router.get('/calendar.ics', queryCredentials, requireRole('host'), validate(api.bookingsCalendar), async (req, res) => {
+    try {
+        const { date, startDate, endDate, status } = req.query;
+        const tz = req.venue.timezone;
+        let dateFilter = buildDateFilter({ date, startDate, endDate }, tz);
+        if (!dateFilter.bookingDate) dateFilter = { bookingDate: { $gte: moment.tz(tz).subtract(CALENDAR_PAST_DAYS, 'days').startOf('day').toDate() } };
 
-        // Save booking (autoConfirm or normal save)
-        const booking = new Booking({
-            bookingId: randomUUID(),
-            customerName,
-            numberOfGuests,
-            bookingDate,
-            bookingTime,
-            cuisinePreference,
-            specialRequests,
-            weatherInfo: compactWeather,
-            seatingPreference,
-            status: "confirmed",
-            createdAt: new Date()
-        });
+        const statusCond = bookingStatus.statusFilter(status);
 
-        await booking.save();
+        const q = scoped(req, dateFilter);
+        if (statusCond !== undefined) q.status = statusCond;
 
-        const saved = booking.toObject();
-        saved.bookingDateLocal = booking.bookingDate ? moment.utc(booking.bookingDate).tz(DEFAULT_TZ).format() : null;
+        const bookings = await repos.bookings.find(q, { sort: { bookingDate: 1, bookingTime: 1 }, limit: CALENDAR_MAX_EVENTS });
+        const body = calendar.buildCalendar(bookings.map(b => b.toObject()), req.venue, { name: `${req.venue.name} bookings`, staff: true });
+        return sendCalendar(res, body, `${req.venue.id}-bookings.ics`);
+    } catch (err) {
+        console.error('GET /api/bookings/calendar.ics error', err);
+        return res.status(500).json({ success: false, error: 'server_error', message: err.message });
+    }
+});
 
-        return res.status(201).json({ success: true, booking: saved });
+// GET /api/bookings/:id/ics
+// "Add to calendar" download for one booking (host, or the guest: X-Booking-Ref header or ?ref=)
+router.get('/:id/ics', queryCredentials, requireRoleOrOwner('host'), validate(api.bookingCalendarEvent), async (req, res) => {
+    try {
+        const booking = await repos.bookings.findOne(scoped(req, { bookingId: req.params.id }));
+        if (!booking) return res.status(404).json({ success: false, error: 'not_found' });
+        const o = booking.toObject();
+        const body = calendar.buildCalendar([o], req.venue);
+        return sendCalendar(res, body, `booking-${o.bookingRef || o.bookingId}.ics`, 'attachment');
+    } catch (err) {
+        console.error('GET /:id/ics error', err);
+        return res.status(500).json({ success: false, error: 'server_error', message: err.message });
+    }
+});
+
+// ---------- Availability ----------
 
+// GET /api/bookings/availability?date=YYYY-MM-DD
+// Per-slot free-capacity grid for one day (venue-local)
+router.get('/availability', validate(api.getAvailability), async (req, res) => {
+    try {
+        const { date } = req.query;
+        const grid = await availability.getAvailabilityGrid(date, req.venue);
+        if (!grid) return res.status(400).json({ success: false, error: 'bad_date', message: 'Invalid date format' });
+        return res.json({ success: true, ...grid });
+    } catch (err) {
+        console.error('GET /api/bookings/availability error', err);
+        return res.status(500).json({ success: false, error: 'server_error', message: err.message });
+    }
+});
+
+// ---------- Create booking (preview + autoConfirm, Idempotency-Key header) ----------
+router.post("/", validate(api.createBooking), async (req, res) => {
+    try {
+        const raw = req.body;
+        const preview = req.query.preview || raw.preview === true;
+        const autoConfirm = req.query.autoConfirm || raw.autoConfirm === true;
+
+        // A retried request with the same Idempotency-Key gets the first response back instead of a second booking
+        const result = await idempotency.runIdempotent(req.get("Idempotency-Key"), { scope: `POST /api/bookings ${req.venue.id}`, payload: { preview, autoConfirm, raw } },
+            () => bookingService.createBooking(raw, { preview, autoConfirm, actor: actorOf(req), venue: req.venue }));
+        if (result.replayed) res.set("Idempotent-Replayed", "true");
+        return res.status(result.status).json(result.body);
     } catch (err) {
         console.error("Create booking error:", err && err.stack ? err.stack : err);
         return res.status(500).json({ success: false, error: "server_error", message: err && err.message ? err.message : "Server error" });
@@ -301,12 +219,12 @@ router.post("/", async (req, res) => {
 
 // GET all bookings (existing root GET, returns all bookings)
 // Note: to fetch with pagination/filters use /list or /all (added below)
-router.get("/", async (req, res) => {
+router.get("/", requireRole('host'), async (req, res) => {
     try {
-        const bookings = await Booking.find().sort({ createdAt: -1 });
+        const bookings = await repos.bookings.find(scoped(req), { sort: { createdAt: -1 } });
         const out = bookings.map(b => {
             const o = b.toObject();
-            o.bookingDateLocal = o.bookingDate ? moment.utc(o.bookingDate).tz(DEFAULT_TZ).format() : null;
+            o.bookingDateLocal = localDate(o, req.venue.timezone);
             return o;
         });
         res.json({ success: true, bookings: out });
@@ -320,21 +238,22 @@ router.get("/", async (req, res) => {
 
 // GET /api/bookings/all
 // Explicit listing (filtering + paging). Query: startDate, endDate, status, seatingPreference, limit, skip, sort
-router.get('/all', async (req, res) => {
+router.get('/all', requireRole('host'), validate(api.searchBookings), async (req, res) => {
     try {
-        const { startDate, endDate, status, seatingPreference, limit = 100, skip = 0, sort = '-createdAt' } = req.query;
-        const dateFilter = buildDateFilter({ startDate, endDate });
-        if (dateFilter === null) return res.status(400).json({ success: false, error: 'bad_date', message: 'Invalid date format' });
+        const { startDate, endDate, status, seatingPreference, limit, skip, sort } = req.query;
+        const dateFilter = buildDateFilter({ startDate, endDate }, req.venue.timezone);
 
-        const q = { ...dateFilter };
-        if (status) q.status = status;
+        const statusCond = bookingStatus.statusFilter(status);
+
+        const q = scoped(req, dateFilter);
+        if (statusCond !== undefined) q.status = statusCond;
         if (seatingPreference) q.seatingPreference = seatingPreference;
 
-        const list = await Booking.find(q).sort(sort).skip(parseInt(skip, 10)).limit(Math.min(5000, parseInt(limit, 10)));
-        const total = await Booking.countDocuments(q);
+        const list = await repos.bookings.find(q, { sort, skip, limit });
+        const total = await repos.bookings.count(q);
         const out = list.map(b => {
             const o = b.toObject();
-            o.bookingDateLocal = o.bookingDate ? moment.utc(o.bookingDate).tz(DEFAULT_TZ).format() : null;
+            o.bookingDateLocal = localDate(o, req.venue.timezone);
             return o;
         });
         return res.json({ success: true, total, count: out.length, bookings: out });
@@ -344,18 +263,80 @@ router.get('/all', async (req, res) => {
     }
 });
 
+// GET /api/bookings/export?format=csv|ndjson (admin)
+// Same filters as /all (startDate, endDate, status, seatingPreference, sort) without the row cap; the
+// bookings are streamed from the database, so large ranges don't load into memory.
+router.get('/export', requireRole('admin'), validate(api.exportBookings), async (req, res) => {
+    try {
+        const { startDate, endDate, status, seatingPreference, sort, format } = req.query;
+        const dateFilter = buildDateFilter({ startDate, endDate }, req.venue.timezone);
+
+        const statusCond = bookingStatus.statusFilter(status);
+
+        const q = scoped(req, dateFilter);
+        if (statusCond !== undefined) q.status = statusCond;
+        if (seatingPreference) q.seatingPreference = seatingPreference;
+
+        const stamp = moment.tz(req.venue.timezone).format('YYYYMMDD-HHmm');
+        res.set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="bookings-${req.venue.id}-${stamp}.${format}"`);
+        await transfer.streamExport(q, { res, format, venue: req.venue, sort });
+    } catch (err) {
+        console.error('GET /export error', err);
+        if (res.headersSent) return res.destroy(err); // mid-stream: cut the download short rather than send a partial file as complete
+        return res.status(500).json({ success: false, error: 'server_error', message: err.message });
+    }
+});
+
+// POST /api/bookings/import?format=csv|ndjson&dryRun=true&allowDuplicates=true (admin)
+// Body: the file as text/csv or application/x-ndjson (format defaults from the Content-Type). Every row is
+// normalized like POST /; the response lists each row as imported (or ok in a dry run), duplicate or error.
+router.post('/import', requireRole('admin'), validate(api.importBookings), express.text({ type: ['text/*', 'application/x-ndjson', 'application/ndjson'], limit: '20mb' }), async (req, res) => {
+    try {
+        const type = req.get('Content-Type') || '';
+        const format = req.query.format || (/ndjson|jsonl/i.test(type) ? 'ndjson' : /csv/i.test(type) ? 'csv' : '');
+        if (!transfer.FORMATS.includes(format)) return res.status(400).json({ success: false, error: 'bad_format', message: `Send text/csv or application/x-ndjson, or set format to one of: ${transfer.FORMATS.join(', ')}` });
+        if (typeof req.body !== 'string' || !req.body.trim()) return res.status(400).json({ success: false, error: 'empty_file', message: 'Send the file as the request body' });
+
+        let records;
+        try {
+            records = transfer.parseImport(req.body, format);
+        } catch (err) {
+            return res.status(400).json({ success: false, error: 'invalid_file', message: err.message });
+        }
+        const result = await transfer.importBookings(records, {
+            venue: req.venue,
+            actor: actorOf(req),
+            dryRun: req.query.dryRun,
+            allowDuplicates: req.query.allowDuplicates
+        });
+        return res.status(result.status).json(result.body);
+    } catch (err) {
+        console.error('POST /import error', err);
+        return res.status(500).json({ success: false, error: 'server_error', message: err.message });
+    }
+});
+
 // GET /api/bookings/today
-router.get('/today', async (req, res) => {
+// Query: status (a status, a group such as "active", or a comma list). Each booking carries the
+// statuses a host can move it to next.
+router.get('/today', requireRole('host'), validate(api.todaysBookings), async (req, res) => {
     try {
-        const start = moment.tz(DEFAULT_TZ).startOf('day').toDate();
-        const end = moment.tz(DEFAULT_TZ).endOf('day').toDate();
-        const bookings = await Booking.find({ bookingDate: { $gte: start, $lte: end } }).sort({ bookingTime: 1 });
+        const statusCond = bookingStatus.statusFilter(req.query.status);
+
+        const today = moment.tz(req.venue.timezone);
+        const start = today.clone().startOf('day').toDate();
+        const end = today.clone().endOf('day').toDate();
+        const q = scoped(req, { bookingDate: { $gte: start, $lte: end } });
+        if (statusCond !== undefined) q.status = statusCond;
+        const bookings = await repos.bookings.find(q, { sort: { bookingTime: 1 } });
         const out = bookings.map(b => {
             const o = b.toObject();
-            o.bookingDateLocal = o.bookingDate ? moment.utc(o.bookingDate).tz(DEFAULT_TZ).format() : null;
+            o.bookingDateLocal = localDate(o, req.venue.timezone);
+            o.allowedTransitions = bookingStatus.allowedTransitions(o.status);
             return o;
         });
-        return res.json({ success: true, date: moment.tz(DEFAULT_TZ).format('YYYY-MM-DD'), count: out.length, bookings: out });
+        return res.json({ success: true, date: today.format('YYYY-MM-DD'), count: out.length, bookings: out });
     } catch (err) {
         console.error('GET /today error', err);
         return res.status(500).json({ success: false, error: 'server_error', message: err.message });
@@ -363,30 +344,51 @@ router.get('/today', async (req, res) => {
 });
 
 // PATCH /api/bookings/:id/status
-// Body: { status: "cancelled" } etc.
-router.patch('/:id/status', async (req, res) => {
+// Body: { status: "seated", reason?: "walked in late" } (host). The caller is recorded as the actor.
+// Only lifecycle transitions are accepted (see services/bookingStatus.js): 409 illegal_transition.
+// Seating a no-show re-checks availability (409 slot_full once its table has gone to the waitlist).
+router.patch('/:id/status', requireRole('host'), validate(api.changeBookingStatus), async (req, res) => {
     try {
-        const { status } = req.body || {};
-        if (!status) return res.status(400).json({ success: false, error: 'missing_status', message: 'Provide status in request body' });
-        const updated = await Booking.findOneAndUpdate({ bookingId: req.params.id }, { $set: { status } }, { new: true });
-        if (!updated) return res.status(404).json({ success: false, error: 'not_found' });
-        const o = updated.toObject();
-        o.bookingDateLocal = o.bookingDate ? moment.utc(o.bookingDate).tz(DEFAULT_TZ).format() : null;
-        return res.json({ success: true, booking: o });
+        const { status, reason } = req.body;
+        const result = await bookingStatus.transitionBooking(req.params.id, status, { actor: actorOf(req), reason: bookingService.asString(reason) || null, venue: req.venue });
+        if (result.body.booking) {
+            // A cancellation or no-show frees the table for the waitlist
+            if (['cancelled', 'no-show'].includes(result.body.transition.to)) await waitlist.promoteAfterRelease(req.venue, [result.body.booking]);
+            result.body.booking.bookingDateLocal = localDate(result.body.booking, req.venue.timezone);
+        }
+        return res.status(result.status).json(result.body);
     } catch (err) {
         console.error('PATCH /:id/status error', err);
         return res.status(500).json({ success: false, error: 'server_error', message: err.message });
     }
 });
 
+// PATCH /api/bookings/:id
+// Body: any of customerName, numberOfGuests, bookingDate, bookingTime, cuisinePreference, specialRequests
+// (same aliases as POST /) (host). Re-checks availability and seating; logs changeHistory with the caller.
+router.patch('/:id', requireRole('host'), validate(api.modifyBooking), async (req, res) => {
+    try {
+        const result = await bookingService.modifyBooking(req.params.id, req.body, { changedBy: actorOf(req), venue: req.venue });
+        // A new day or time, or a smaller party, frees tables for the waitlist
+        if (result.released) await waitlist.promoteAfterRelease(req.venue, result.released);
+        return res.status(result.status).json(result.body);
+    } catch (err) {
+        console.error('PATCH /:id error', err);
+        return res.status(500).json({ success: false, error: 'server_error', message: err.message });
+    }
+});
+
 // PATCH /api/bookings/:id/cancel (shortcut)
-router.patch('/:id/cancel', async (req, res) => {
+// Body (optional): { reason }. Host, or the guest holding this booking's reference.
+router.patch('/:id/cancel', requireRoleOrOwner('host'), validate(api.cancelBooking), async (req, res) => {
     try {
-        const updated = await Booking.findOneAndUpdate({ bookingId: req.params.id }, { $set: { status: 'cancelled' } }, { new: true });
-        if (!updated) return res.status(404).json({ success: false, error: 'not_found' });
-        const o = updated.toObject();
-        o.bookingDateLocal = o.bookingDate ? moment.utc(o.bookingDate).tz(DEFAULT_TZ).format() : null;
-        return res.json({ success: true, booking: o });
+        const { reason } = req.body;
+        const result = await bookingStatus.transitionBooking(req.params.id, 'cancelled', { actor: actorOf(req), reason: bookingService.asString(reason) || null, venue: req.venue });
+        if (result.body.booking) {
+            await waitlist.promoteAfterRelease(req.venue, [result.body.booking]);
+            result.body.booking.bookingDateLocal = localDate(result.body.booking, req.venue.timezone);
+        }
+        return res.status(result.status).json(result.body);
     } catch (err) {
         console.error('PATCH /:id/cancel error', err);
         return res.status(500).json({ success: false, error: 'server_error', message: err.message });
@@ -395,11 +397,17 @@ router.patch('/:id/cancel', async (req, res) => {
 
 // DELETE /api/bookings/bulk
 // Body: { ids: ["bookingId1","bookingId2", ...] }
-router.delete('/bulk', async (req, res) => {
+router.delete('/bulk', requireRole('admin'), validate(api.deleteBookings), async (req, res) => {
     try {
-        const { ids } = req.body || {};
-        if (!Array.isArray(ids) || !ids.length) return res.status(400).json({ success: false, error: 'missing_ids', message: 'Provide array of bookingIds in body.ids' });
-        const result = await Booking.deleteMany({ bookingId: { $in: ids } });
+        const { ids } = req.body;
+        const q = scoped(req, { bookingId: { $in: ids } });
+        const released = await repos.bookings.find(q);
+        const result = await repos.bookings.deleteMany(q);
+        for (const booking of released) {
+            await notifications.bookingClosed(booking);
+            bookingEvents.publish('deleted', booking, req.venue);
+        }
+        await waitlist.promoteAfterRelease(req.venue, released);
         return res.json({ success: true, deletedCount: result.deletedCount || 0 });
     } catch (err) {
         console.error('DELETE /bulk error', err);
@@ -408,12 +416,12 @@ router.delete('/bulk', async (req, res) => {
 });
 
 // Get booking by bookingId
-router.get("/:id", async (req, res) => {
+router.get("/:id", requireRoleOrOwner('host'), async (req, res) => {
     try {
-        const booking = await Booking.findOne({ bookingId: req.params.id });
+        const booking = await repos.bookings.findOne(scoped(req, { bookingId: req.params.id }));
         if (!booking) return res.status(404).json({ success: false, error: "Not found" });
         const o = booking.toObject();
-        o.bookingDateLocal = o.bookingDate ? moment.utc(o.bookingDate).tz(DEFAULT_TZ).format() : null;
+        o.bookingDateLocal = localDate(o, req.venue.timezone);
         res.json({ success: true, booking: o });
     } catch (err) {
         console.error("Get booking error:", err && err.stack ? err.stack : err);
@@ -422,10 +430,13 @@ router.get("/:id", async (req, res) => {
 });
 
 // Delete booking (existing)
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requireRole('admin'), async (req, res) => {
     try {
-        const result = await Booking.findOneAndDelete({ bookingId: req.params.id });
+        const result = await repos.bookings.findOneAndDelete(scoped(req, { bookingId: req.params.id }));
         if (!result) return res.status(404).json({ success: false, error: "Not found" });
+        await notifications.bookingClosed(result);
+        bookingEvents.publish('deleted', result, req.venue);
+        await waitlist.promoteAfterRelease(req.venue, [result]);
         res.json({ success: true });
     } catch (err) {
         console.error("Delete booking error:", err && err.stack ? err.stack : err);
@@ -0,0 +1,47 @@
+// File: routes/conversations.js
+// Text-in/text-out booking conversations on top of services/dialogueManager.js
+// Mounted at /api/conversations (default restaurant) and /api/restaurants/:rid/conversations.
+
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const dialogue = require("../services/dialogueManager");
+const { loadVenue } = require("../middleware/venue");
+const { validate } = require("../middleware/validate");
+const { operations: api } = require("../schemas/conversations");
+
+// POST /api/conversations
+// Body: { lang: "en-IN" | "hi-IN" } -> first prompt + empty slot state. lang defaults to the restaurant's voice language.
+router.post("/", loadVenue, validate(api.startConversation), async (req, res) => {
+    try {
+        const { lang } = req.body;
+        const session = dialogue.createSession({ lang, venue: req.venue });
+        return res.status(201).json({ success: true, ...session });
+    } catch (err) {
+        console.error("POST /api/conversations error", err);
+        return res.status(500).json({ success: false, error: "server_error", message: err.message });
+    }
+});
+
+// POST /api/conversations/:id/turns
+// Body: { text: "table for four tomorrow" } (empty text = nothing was heard)
+router.post("/:id/turns", validate(api.conversationTurn), async (req, res) => {
+    try {
+        const body = req.body;
+        const text = body.text != null ? body.text : body.utterance;
+        const out = await dialogue.handleTurn(req.params.id, text || "");
+        if (!out) return res.status(404).json({ success: false, error: "not_found", message: "Unknown or expired conversation" });
+        return res.json({ success: true, ...out });
+    } catch (err) {
+        console.error("POST /api/conversations/:id/turns error", err);
+        return res.status(500).json({ success: false, error: "server_error", message: err.message });
+    }
+});
+
+// GET /api/conversations/:id (state + transcript, for debugging)
+router.get("/:id", async (req, res) => {
+    const out = dialogue.describeSession(req.params.id);
+    if (!out) return res.status(404).json({ success: false, error: "not_found", message: "Unknown or expired conversation" });
+    return res.json({ success: true, ...out });
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+// File: routes/events.js
+// Live booking events as Server-Sent Events (services/bookingEvents.js) for hosts. Mounted at /api/events
+// (default restaurant) and /api/restaurants/:rid/events. EventSource can't send headers, so the stream also
+// takes ?token=<session token> or ?key=<host API key>.
+
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const bookingEvents = require("../services/bookingEvents");
+const bookingStatus = require("../services/bookingStatus");
+const { queryCredentials, requireRole } = require("../middleware/auth");
+const { loadVenue } = require("../middleware/venue");
+const { validate } = require("../middleware/validate");
+const { operations: api } = require("../schemas/events");
+
+const HEARTBEAT_MS = 25 * 1000; // keeps proxies from closing an idle stream
+const RETRY_MS = 3000;
+
+router.use(loadVenue);
+
+function frame(id, name, data) {
+    return `id: ${id}\nevent: ${name}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// Booking events carry the statuses a host can move the booking to next, as /today does
+function withTransitions(event) {
+    const booking = { ...event.booking, allowedTransitions: bookingStatus.allowedTransitions(event.booking.status || "confirmed") };
+    return { ...event, booking };
+}
+
+// GET /api/events
+// Event names: ready (on connect), booking.created, booking.updated, booking.status, booking.cancelled,
+// booking.deleted, and resync when a reconnecting client missed more than the server kept (reload then).
+// Reconnects send Last-Event-ID (or ?lastEventId=) and get the missed events first.
+router.get("/", queryCredentials, requireRole("host"), validate(api.bookingEvents), (req, res) => {
+    res.status(200).set({
+        "Content-Type": "text/event-stream; charset=utf-8",
+        "Cache-Control": "no-cache, no-transform",
+        "Connection": "keep-alive",
+        "X-Accel-Buffering": "no"
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const send = event => res.write(frame(event.id, event.type, withTransitions(event)));
+    const since = req.get("Last-Event-ID") || req.query.lastEventId;
+    if (since !== undefined) {
+        const missed = bookingEvents.eventsSince(req.venue, since);
+        if (missed) missed.forEach(send);
+        else res.write(frame(bookingEvents.lastEventId(), "resync", { restaurantId: req.venue.id }));
+    }
+    res.write(frame(bookingEvents.lastEventId(), "ready", { restaurantId: req.venue.id, timezone: req.venue.timezone, lastEventId: bookingEvents.lastEventId() }));
+
+    const unsubscribe = bookingEvents.subscribe(req.venue, send, () => res.end());
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+    res.on("close", () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,24 @@
+// File: routes/nlu.js
+// Utterance understanding endpoints (services/nluService.js)
+
+const express = require("express");
+const router = express.Router();
+const nlu = require("../services/nluService");
+const { validate } = require("../middleware/validate");
+const { operations: api } = require("../schemas/nlu");
+
+// POST /api/nlu/parse
+// Body: { text: "table for four under Priya tomorrow at 8", timezone?: "Asia/Kolkata", lang?: "hi-IN" }
+// -> { intent, entities (value/confidence/ambiguity per field), slots, missing, lowConfidence }
+router.post("/parse", validate(api.parseUtterance), async (req, res) => {
+    try {
+        const { text, timezone, lang } = req.body;
+        const out = nlu.extractBookingFields(text, { timezone, lang });
+        return res.json({ success: true, ...out });
+    } catch (err) {
+        console.error("POST /api/nlu/parse error", err);
+        return res.status(500).json({ success: false, error: "server_error", message: err.message });
+    }
+});
+
+module.exports = router;
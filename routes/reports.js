@@ -0,0 +1,39 @@
+// File: routes/reports.js
+// Booking reports (services/reportService.js) for hosts. Mounted at /api/reports (default restaurant)
+// and /api/restaurants/:rid/reports. Add format=csv to any report for a spreadsheet download.
+
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const reports = require("../services/reportService");
+const { requireRole } = require("../middleware/auth");
+const { loadVenue } = require("../middleware/venue");
+const { validate } = require("../middleware/validate");
+const { operations: api } = require("../schemas/reports");
+
+router.use(loadVenue);
+router.use(requireRole("host"));
+
+// GET /api/reports
+router.get("/", (req, res) => {
+    return res.json({ success: true, reports: reports.listReports() });
+});
+
+// GET /api/reports/:report?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD&status=&format=json|csv
+// :report is by-hour, by-weekday, by-cuisine, party-sizes, outcomes or seating-by-weather.
+router.get("/:report", validate(api.runReport), async (req, res) => {
+    try {
+        const { format } = req.query;
+        const result = await reports.runReport(req.params.report, req.query, req.venue);
+        if (result.status !== 200 || format === "json") return res.status(result.status).json(result.body);
+
+        const { report, restaurantId, startDate, endDate } = result.body;
+        res.set("Content-Type", "text/csv; charset=utf-8");
+        res.set("Content-Disposition", `attachment; filename="${report}-${restaurantId}-${startDate}-${endDate}.csv"`);
+        return res.send(reports.toCsv(result.body));
+    } catch (err) {
+        console.error("GET /api/reports/:report error", err);
+        return res.status(500).json({ success: false, error: "server_error", message: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,105 @@
+// File: routes/restaurants.js
+// Restaurants (tenants) and their namespaced booking and conversation routes:
+// /api/restaurants/:rid/bookings/..., /api/restaurants/:rid/conversations/..., /api/restaurants/:rid/waitlist/...,
+// /api/restaurants/:rid/reports/..., /api/restaurants/:rid/events and /api/restaurants/:rid/telephony/...
+// Listing is public; creating and editing a restaurant is admin only.
+
+const express = require("express");
+const router = express.Router();
+const repos = require("../repositories");
+const restaurants = require("../services/restaurantService");
+const { requireRole } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { operations: api } = require("../schemas/restaurants");
+const bookingsRoute = require("./bookings");
+const conversationsRoute = require("./conversations");
+const waitlistRoute = require("./waitlist");
+const reportsRoute = require("./reports");
+const eventsRoute = require("./events");
+const telephonyRoute = require("./telephony");
+
+// The editable fields of a restaurant body (already checked against schemas/restaurants.js)
+function readRestaurantBody(body) {
+    const fields = {};
+    for (const f of [...restaurants.VENUE_FIELDS, "active"]) {
+        if (body[f] !== undefined) fields[f] = body[f];
+    }
+    return fields;
+}
+
+// GET /api/restaurants
+router.get("/", async (req, res) => {
+    try {
+        const venues = await restaurants.listVenues();
+        return res.json({ success: true, restaurants: venues.map(restaurants.describeVenue) });
+    } catch (err) {
+        console.error("GET /api/restaurants error", err);
+        return res.status(500).json({ success: false, error: "server_error", message: err.message });
+    }
+});
+
+// POST /api/restaurants (admin)
+// Body: { restaurantId: "koramangala", name, timezone?, location?, cuisines?, openingHours?, tables?, voice? }
+router.post("/", requireRole("admin"), validate(api.createRestaurant), async (req, res) => {
+    try {
+        const restaurantId = req.body.restaurantId.toLowerCase();
+        const fields = readRestaurantBody(req.body);
+
+        if (await repos.restaurants.findOne({ restaurantId })) {
+            return res.status(409).json({ success: false, error: "already_exists", message: `Restaurant "${restaurantId}" already exists` });
+        }
+        const doc = repos.restaurants.build({ restaurantId, ...fields });
+        await doc.save();
+        restaurants.invalidate(restaurantId);
+        return res.status(201).json({ success: true, restaurant: restaurants.describeVenue(restaurants.toVenue(doc)) });
+    } catch (err) {
+        console.error("POST /api/restaurants error", err);
+        return res.status(500).json({ success: false, error: "server_error", message: err.message });
+    }
+});
+
+// GET /api/restaurants/:rid
+router.get("/:rid", async (req, res) => {
+    try {
+        const venue = await restaurants.getVenue(req.params.rid);
+        if (!venue) return res.status(404).json({ success: false, error: "not_found" });
+        return res.json({ success: true, restaurant: restaurants.describeVenue(venue) });
+    } catch (err) {
+        console.error("GET /api/restaurants/:rid error", err);
+        return res.status(500).json({ success: false, error: "server_error", message: err.message });
+    }
+});
+
+// PATCH /api/restaurants/:rid (admin)
+// Body: any venue field, or { active: false } to stop taking bookings. The first edit of the default
+// restaurant stores it as a document; fields it doesn't set keep coming from config/venue.js.
+router.patch("/:rid", requireRole("admin"), validate(api.updateRestaurant), async (req, res) => {
+    try {
+        const rid = req.params.rid;
+        const fields = readRestaurantBody(req.body);
+        if (!Object.keys(fields).length) return res.status(400).json({ success: false, error: "no_changes", message: "Nothing to update" });
+
+        let doc = await repos.restaurants.findOne({ restaurantId: rid });
+        if (!doc) {
+            const venue = await restaurants.getVenue(rid);
+            if (!venue || !venue.isDefault) return res.status(404).json({ success: false, error: "not_found" });
+            doc = repos.restaurants.build({ restaurantId: rid, name: venue.name });
+        }
+        Object.assign(doc, fields);
+        await doc.save();
+        restaurants.invalidate(rid);
+        return res.json({ success: true, restaurant: restaurants.describeVenue(restaurants.toVenue(doc)) });
+    } catch (err) {
+        console.error("PATCH /api/restaurants/:rid error", err);
+        return res.status(500).json({ success: false, error: "server_error", message: err.message });
+    }
+});
+
+router.use("/:rid/bookings", bookingsRoute);
+router.use("/:rid/conversations", conversationsRoute);
+router.use("/:rid/waitlist", waitlistRoute);
+router.use("/:rid/reports", reportsRoute);
+router.use("/:rid/events", eventsRoute);
+router.use("/:rid/telephony", telephonyRoute);
+
+module.exports = router;
@@ -0,0 +1,85 @@
+// File: routes/telephony.js
+// Phone-call webhooks for a programmable-voice provider (services/telephonyService.js). Answers are XML
+// call instructions, not the JSON envelope; failures are spoken to the caller before hanging up.
+// Mounted at /api/telephony (default restaurant) and /api/restaurants/:rid/telephony.
+// With TELEPHONY_AUTH_TOKEN set, every webhook must be signed (X-Twilio-Signature) over the URL the
+// provider was given: TELEPHONY_BASE_URL (the public origin, e.g. behind a proxy) + the request path.
+
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const telephony = require("../services/telephonyService");
+const { loadVenue } = require("../middleware/venue");
+const { validate } = require("../middleware/validate");
+const { operations: api } = require("../schemas/telephony");
+
+function sendXml(res, xml, status = 200) {
+    return res.status(status).type("text/xml").send(xml);
+}
+
+function sayError(req, res, status) {
+    return sendXml(res, telephony.errorResponse(req.query.lang), status);
+}
+
+// The shared middleware (loadVenue, validate) answers failures in the JSON envelope, which a provider
+// can't speak: on these routes such an answer becomes the spoken error, with the same status
+router.use((req, res, next) => {
+    res.json = () => sayError(req, res, res.statusCode);
+    return next();
+});
+
+// Runs before validate(): the signature covers the form fields exactly as the provider sent them
+function verifyProvider(req, res, next) {
+    const token = process.env.TELEPHONY_AUTH_TOKEN;
+    if (!token) return next();
+    const origin = process.env.TELEPHONY_BASE_URL || `${req.protocol}://${req.get("host")}`;
+    const url = origin.replace(/\/+$/, "") + req.originalUrl;
+    if (!telephony.verifySignature(url, req.body || {}, req.get("X-Twilio-Signature"), token)) {
+        console.warn(`Rejected ${req.originalUrl}: missing or invalid webhook signature`);
+        return sayError(req, res, 403);
+    }
+    return next();
+}
+
+// POST /api/telephony/voice?lang=hi-IN
+// Form body from the provider: CallSid, From, To, ... -> greeting + first question
+router.post("/voice", verifyProvider, loadVenue, validate(api.incomingCall), (req, res) => {
+    try {
+        const xml = telephony.startCall({
+            from: req.body.From,
+            lang: req.query.lang,
+            venue: req.venue,
+            actionPath: `${req.baseUrl}/gather`
+        });
+        return sendXml(res, xml);
+    } catch (err) {
+        console.error("POST /api/telephony/voice error", err);
+        return sayError(req, res, 500);
+    }
+});
+
+// POST /api/telephony/gather?session=<id>&lang=<lang>
+// Form body: SpeechResult (what was heard) or Digits (keypad) -> the next question, or the goodbye
+router.post("/gather", verifyProvider, validate(api.callTurn), async (req, res) => {
+    try {
+        const xml = await telephony.continueCall({
+            sessionId: req.query.session,
+            speech: req.body.SpeechResult,
+            digits: req.body.Digits,
+            lang: req.query.lang,
+            actionPath: `${req.baseUrl}/gather`
+        });
+        return sendXml(res, xml);
+    } catch (err) {
+        console.error("POST /api/telephony/gather error", err);
+        return sayError(req, res, 500);
+    }
+});
+
+// Anything else that fails in this router
+router.use((err, req, res, next) => {
+    console.error(`${req.method} ${req.originalUrl} error`, err);
+    if (res.headersSent) return next(err);
+    return sayError(req, res, err.status || err.statusCode || 500);
+});
+
+module.exports = router;
@@ -0,0 +1,97 @@
+// File: routes/waitlist.js
+// Waitlist for full slots (services/waitlistService.js). Mounted at /api/waitlist (default restaurant)
+// and /api/restaurants/:rid/waitlist.
+// Access: anyone can join; the waitlistId or waitlistRef returned on joining is what lets a guest check,
+// accept, decline or leave their entry. Hosts list the waitlist.
+
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const moment = require("moment-timezone");
+const repos = require("../repositories");
+const waitlist = require("../services/waitlistService");
+const { requireRole, actorOf } = require("../middleware/auth");
+const { loadVenue } = require("../middleware/venue");
+const { validate } = require("../middleware/validate");
+const { operations: api } = require("../schemas/waitlist");
+
+router.use(loadVenue);
+
+// POST /api/waitlist
+// Body: booking fields as for POST /api/bookings, plus flexibleMinutes (accept a table this many minutes
+// either side of the requested time). 201 with the entry and its position; 409 slot_available when the slot is free.
+router.post("/", validate(api.joinWaitlist), async (req, res) => {
+    try {
+        const result = await waitlist.joinWaitlist(req.body, { venue: req.venue, actor: actorOf(req) });
+        return res.status(result.status).json(result.body);
+    } catch (err) {
+        console.error("POST /api/waitlist error", err);
+        return res.status(500).json({ success: false, error: "server_error", message: err.message });
+    }
+});
+
+// GET /api/waitlist?date=YYYY-MM-DD&status=waiting (host)
+// Without status, open entries (waiting and offered) are listed, oldest first.
+router.get("/", requireRole("host"), validate(api.listWaitlist), async (req, res) => {
+    try {
+        const { date, status } = req.query;
+        const q = { restaurantId: req.venue.id };
+        const wanted = String(status || "").split(",").map(s => s.trim()).filter(Boolean);
+        q.status = { $in: wanted.length ? wanted : ["waiting", "offered"] };
+        if (date) {
+            const d = moment.tz(date, "YYYY-MM-DD", req.venue.timezone);
+            q.bookingDate = { $gte: d.clone().startOf("day").toDate(), $lte: d.clone().endOf("day").toDate() };
+        }
+        const entries = await repos.waitlist.find(q, { sort: { createdAt: 1 } });
+        return res.json({ success: true, count: entries.length, waitlist: entries.map(e => waitlist.describeEntry(e, req.venue)) });
+    } catch (err) {
+        console.error("GET /api/waitlist error", err);
+        return res.status(500).json({ success: false, error: "server_error", message: err.message });
+    }
+});
+
+// GET /api/waitlist/:id (waitlistId or waitlistRef)
+router.get("/:id", async (req, res) => {
+    try {
+        const result = await waitlist.getEntry(req.params.id, { venue: req.venue });
+        return res.status(result.status).json(result.body);
+    } catch (err) {
+        console.error("GET /api/waitlist/:id error", err);
+        return res.status(500).json({ success: false, error: "server_error", message: err.message });
+    }
+});
+
+// POST /api/waitlist/:id/accept -> 201 with the booking made from the held offer
+// 409 not_offered (nothing held) or offer_expired
+router.post("/:id/accept", async (req, res) => {
+    try {
+        const result = await waitlist.acceptOffer(req.params.id, { venue: req.venue, actor: actorOf(req) });
+        return res.status(result.status).json(result.body);
+    } catch (err) {
+        console.error("POST /api/waitlist/:id/accept error", err);
+        return res.status(500).json({ success: false, error: "server_error", message: err.message });
+    }
+});
+
+// POST /api/waitlist/:id/decline -> the held table is offered to the next entry
+router.post("/:id/decline", async (req, res) => {
+    try {
+        const result = await waitlist.declineOffer(req.params.id, { venue: req.venue });
+        return res.status(result.status).json(result.body);
+    } catch (err) {
+        console.error("POST /api/waitlist/:id/decline error", err);
+        return res.status(500).json({ success: false, error: "server_error", message: err.message });
+    }
+});
+
+// DELETE /api/waitlist/:id -> leave the waitlist
+router.delete("/:id", async (req, res) => {
+    try {
+        const result = await waitlist.leaveWaitlist(req.params.id, { venue: req.venue });
+        return res.status(result.status).json(result.body);
+    } catch (err) {
+        console.error("DELETE /api/waitlist/:id error", err);
+        return res.status(500).json({ success: false, error: "server_error", message: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,25 @@
+// File: schemas/auth.js
+// Request schemas for routes/auth.js (/api/auth).
+
+const { object, envelope } = require("./common");
+
+const operations = {
+    createSession: {
+        method: "post", path: "/session", access: "apiKey",
+        summary: "Exchange a staff API key for a session token",
+        responses: { 201: { description: "Send the token as \"Authorization: Bearer <token>\"", schema: envelope({ token: { type: "string" }, role: { type: "string" }, subject: { type: "string" }, expiresAt: { type: "string", format: "date-time" } }) } }
+    },
+    createGuestSession: {
+        method: "post", path: "/guest", access: "public",
+        summary: "Exchange a booking reference for a guest token",
+        body: object({ bookingRef: { type: "string", minLength: 1, examples: ["AB3K7Q"] } }, ["bookingRef"]),
+        responses: { 201: { description: "A token limited to that booking", schema: envelope({ token: { type: "string" }, role: { type: "string" }, bookingId: { type: "string" }, expiresAt: { type: "string", format: "date-time" } }) } }
+    },
+    whoAmI: {
+        method: "get", path: "/me", access: "public",
+        summary: "Who the current credentials belong to",
+        responses: { 200: { description: "The principal (a guest with via anonymous when no credentials were sent)", schema: envelope({ role: { type: "string" }, subject: { type: "string" }, bookingId: { type: ["string", "null"] }, via: { type: "string" } }) } }
+    }
+};
+
+module.exports = { operations };
@@ -0,0 +1,195 @@
+// File: schemas/bookings.js
+// Request schemas for routes/bookings.js (/api/bookings and /api/restaurants/{rid}/bookings), one per
+// route. middleware/validate.js checks requests against them; schemas/openapi.js publishes them.
+
+const { MAX_GUESTS } = require("../shared/parsing");
+const Booking = require("../models/Booking");
+const bookingService = require("../services/bookingService");
+const transfer = require("../services/bookingTransfer");
+const { object, date, statusFilter, seatingPreference, paging, credentials, ref, envelope, listOf } = require("./common");
+
+// The booking fields under their API names. Values may be null or "" (not given), which previews allow.
+const BOOKING_FIELDS = {
+    customerName: { type: ["string", "null"], maxLength: 200, description: "Guest name" },
+    contactPhone: { type: ["string", "null"], maxLength: 40 },
+    contactEmail: { type: ["string", "null"], format: "email", maxLength: 200 },
+    language: { type: ["string", "null"], pattern: "^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$", "x-pattern-message": "must be a language tag such as en-IN", description: "Language for messages to the guest; defaults to the restaurant's voice language" },
+    numberOfGuests: { type: ["integer", "string", "null"], minimum: 1, maximum: MAX_GUESTS, "x-parse": "party-size", description: `Party size, 1 to ${MAX_GUESTS}; a string such as "four" is read as a number` },
+    bookingDate: { type: ["string", "null"], "x-parse": "booking-date", description: "YYYY-MM-DD in the restaurant's timezone (spoken forms such as \"tomorrow\" are read too)" },
+    bookingTime: { type: ["string", "null"], "x-parse": "booking-time", description: "HH:MM, 24-hour (\"7:30 pm\" and \"half past seven\" are read too)" },
+    cuisinePreference: { type: ["string", "null"], maxLength: 200 },
+    specialRequests: { type: ["string", "null"], maxLength: 2000 }
+};
+
+// Each field plus its aliases (bookingService.EDITABLE_FIELDS), which take the same values
+function withAliases(fields) {
+    const out = {};
+    for (const [name, schema] of Object.entries(fields)) {
+        out[name] = schema;
+        for (const alias of (bookingService.EDITABLE_FIELDS[name] || []).filter(a => a !== name)) {
+            out[alias] = { ...schema, description: `Alias of ${name}` };
+        }
+    }
+    return out;
+}
+
+const bookingInput = object({
+    ...withAliases(BOOKING_FIELDS),
+    location: { type: ["string", "null"], description: "Weather location; defaults to the restaurant's" },
+    preview: { type: "boolean", description: "Same as ?preview=true" },
+    autoConfirm: { type: "boolean", description: "Same as ?autoConfirm=true" },
+    allowDuplicate: { type: "boolean", description: "Save even when it looks like a repeat of the guest's active booking" }
+});
+
+const bookingChanges = object(withAliases(BOOKING_FIELDS));
+
+const filters = {
+    startDate: date("First day (restaurant-local)"),
+    endDate: date("Last day (restaurant-local)"),
+    status: statusFilter,
+    seatingPreference
+};
+
+const SORT_FIELDS = ["createdAt", "bookingDate", "bookingTime", "customerName", "numberOfGuests", "status"];
+const sort = { type: "string", enum: SORT_FIELDS.flatMap(f => [f, `-${f}`]), default: "-createdAt", description: "Field to sort by; a leading - sorts descending" };
+
+const reason = { type: ["string", "null"], maxLength: 500 };
+
+const bookingResponse = { description: "The booking", schema: envelope({ booking: ref("Booking") }) };
+const bookingsPage = { description: "Bookings", schema: envelope({ total: { type: "integer" }, count: { type: "integer" }, bookings: listOf(ref("Booking")) }) };
+const transitionResponse = { description: "The booking after the change", schema: envelope({ booking: ref("Booking"), transition: object({ from: { type: "string" }, to: { type: "string" } }) }) };
+
+const operations = {
+    countBookings: {
+        method: "get", path: "/count", access: "host",
+        summary: "Count bookings",
+        query: object({ date: date("A single day (restaurant-local)"), ...filters }),
+        responses: { 200: { description: "The count and the filter used", schema: envelope({ count: { type: "integer" }, filter: { type: "object" } }) } }
+    },
+    dailyBookingCounts: {
+        method: "get", path: "/count/daily", access: "host",
+        summary: "Bookings per day",
+        description: "Counts by the restaurant's local date. Defaults to the 7 days ending today.",
+        query: object({ startDate: filters.startDate, endDate: filters.endDate }),
+        responses: { 200: { description: "One entry per day, zero days included", schema: envelope({ start: { type: "string", format: "date-time" }, end: { type: "string", format: "date-time" }, daily: listOf(object({ date: { type: "string", format: "date" }, count: { type: "integer" } })) }) } }
+    },
+    listBookings: {
+        method: "get", path: "/list", access: "host",
+        summary: "List bookings, newest first",
+        query: object({ ...filters, ...paging(1000, 50) }),
+        responses: { 200: bookingsPage }
+    },
+    bookingsCalendar: {
+        method: "get", path: "/calendar.ics", access: "host",
+        summary: "Staff calendar feed (iCalendar)",
+        description: "Without dates, the last 30 days and everything ahead. Cancelled bookings appear as CANCELLED events unless the status filter leaves them out.",
+        query: object({ date: date("A single day (restaurant-local)"), startDate: filters.startDate, endDate: filters.endDate, status: statusFilter, key: credentials.key, token: credentials.token }),
+        responses: { 200: { description: "The feed", type: "text/calendar" } }
+    },
+    bookingCalendarEvent: {
+        method: "get", path: "/{id}/ics", access: "owner",
+        summary: "One booking as an iCalendar download",
+        query: object({ ref: credentials.ref, key: credentials.key, token: credentials.token }),
+        responses: { 200: { description: "The event", type: "text/calendar" }, 404: "Unknown booking" }
+    },
+    getAvailability: {
+        method: "get", path: "/availability", access: "public",
+        summary: "Free capacity per slot for one day",
+        query: object({ date: date("The day (restaurant-local)") }, ["date"]),
+        responses: { 200: { description: "Slots with free tables and seats", schema: envelope({ date: { type: "string", format: "date" }, timezone: { type: "string" }, slotMinutes: { type: "integer" }, diningMinutes: { type: "integer" }, totalSeats: { type: "integer" }, open: { type: "boolean" }, slots: listOf(ref("Slot")) }) } }
+    },
+    createBooking: {
+        method: "post", path: "/", access: "public",
+        summary: "Create or preview a booking",
+        description: "customerName, numberOfGuests, bookingDate and bookingTime are required unless previewing. 409 when the slot is full or closed (with alternatives) or the booking looks like a duplicate.",
+        query: object({
+            preview: { type: "boolean", default: false, description: "Check availability and weather without saving" },
+            autoConfirm: { type: "boolean", default: false, description: "With preview, save anyway" }
+        }),
+        headers: { "Idempotency-Key": { description: "A retry with the same key returns the first response instead of booking twice" } },
+        body: bookingInput,
+        responses: {
+            200: { description: "Preview: the normalized booking with its seating suggestion, the availability check and any possible duplicates", schema: envelope({ preview: { type: "object" }, availability: { type: ["object", "null"] }, possibleDuplicates: listOf(ref("Booking")) }) },
+            201: bookingResponse,
+            409: "Slot unavailable, or a possible duplicate"
+        }
+    },
+    getBookings: {
+        method: "get", path: "/", access: "host",
+        summary: "All bookings, newest first",
+        responses: { 200: { description: "Bookings", schema: envelope({ bookings: listOf(ref("Booking")) }) } }
+    },
+    searchBookings: {
+        method: "get", path: "/all", access: "host",
+        summary: "Filter, sort and page bookings",
+        query: object({ ...filters, ...paging(5000, 100), sort }),
+        responses: { 200: bookingsPage }
+    },
+    exportBookings: {
+        method: "get", path: "/export", access: "admin",
+        summary: "Export bookings as CSV or NDJSON",
+        description: "Same filters as /all, without a row limit.",
+        query: object({ format: { type: "string", enum: transfer.FORMATS, default: "csv" }, ...filters, sort }),
+        responses: { 200: { description: "The file", type: "text/csv" } }
+    },
+    importBookings: {
+        method: "post", path: "/import", access: "admin",
+        summary: "Import bookings from CSV or NDJSON",
+        description: "Send the file as the body (text/csv or application/x-ndjson). Each row is checked like POST /; the response reports every row.",
+        query: object({
+            format: { type: "string", enum: transfer.FORMATS, description: "Defaults from the Content-Type" },
+            dryRun: { type: "boolean", default: false, description: "Check the rows without saving" },
+            allowDuplicates: { type: "boolean", default: false }
+        }),
+        content: ["text/csv", "application/x-ndjson"],
+        responses: {
+            200: { description: "Counts and the result of every row (imported or ok, duplicate, error)", schema: envelope({ dryRun: { type: "boolean" }, total: { type: "integer" }, valid: { type: "integer" }, imported: { type: "integer" }, duplicates: { type: "integer" }, failed: { type: "integer" }, rows: listOf({ type: "object" }) }) },
+            413: "Too many rows"
+        }
+    },
+    todaysBookings: {
+        method: "get", path: "/today", access: "host",
+        summary: "Today's bookings by time",
+        description: "Each booking lists the statuses it can move to next (allowedTransitions).",
+        query: object({ status: statusFilter }),
+        responses: { 200: { description: "Today's bookings", schema: envelope({ date: { type: "string", format: "date" }, count: { type: "integer" }, bookings: listOf(ref("Booking")) }) } }
+    },
+    changeBookingStatus: {
+        method: "patch", path: "/{id}/status", access: "host",
+        summary: "Move a booking to another status",
+        description: "pending -> confirmed | cancelled; confirmed -> seated | cancelled | no-show; seated -> completed; no-show -> seated (only while a table is free at its time: the no-show's table goes to the waitlist). 409 for any other move.",
+        body: object({ status: { type: "string", enum: Booking.STATUSES }, reason }, ["status"]),
+        responses: { 200: transitionResponse, 404: "Unknown booking", 409: "Transition not allowed, or no free table to seat a no-show" }
+    },
+    modifyBooking: {
+        method: "patch", path: "/{id}", access: "host",
+        summary: "Change a booking",
+        description: "Send only the fields to change. Guests, date and time changes re-check availability.",
+        body: bookingChanges,
+        responses: { 200: { description: "The booking and what changed", schema: envelope({ booking: ref("Booking"), changes: listOf(object({ field: { type: "string" }, from: {}, to: {} })) }) }, 404: "Unknown booking", 409: "Slot unavailable, or the booking is closed" }
+    },
+    cancelBooking: {
+        method: "patch", path: "/{id}/cancel", access: "owner",
+        summary: "Cancel a booking",
+        body: object({ reason }),
+        responses: { 200: transitionResponse, 404: "Unknown booking", 409: "Already closed" }
+    },
+    deleteBookings: {
+        method: "delete", path: "/bulk", access: "admin",
+        summary: "Delete several bookings",
+        body: object({ ids: { type: "array", items: { type: "string", minLength: 1 }, minItems: 1, description: "bookingIds" } }, ["ids"]),
+        responses: { 200: { description: "How many were deleted", schema: envelope({ deletedCount: { type: "integer" } }) } }
+    },
+    getBooking: {
+        method: "get", path: "/{id}", access: "owner",
+        summary: "Get a booking",
+        responses: { 200: bookingResponse, 404: "Unknown booking" }
+    },
+    deleteBooking: {
+        method: "delete", path: "/{id}", access: "admin",
+        summary: "Delete a booking",
+        responses: { 200: { description: "Deleted", schema: envelope() }, 404: "Unknown booking" }
+    }
+};
+
+module.exports = { operations, BOOKING_FIELDS, withAliases };
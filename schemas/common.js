@@ -0,0 +1,60 @@
+// File: schemas/common.js
+// Schema pieces shared by the route schemas (dates, status filters, paging, query-string credentials)
+// and helpers for describing responses in the OpenAPI document.
+
+const bookingStatus = require("../services/bookingStatus");
+const { register } = require("./validator");
+
+const STATUS_GROUPS = Object.keys(bookingStatus.STATUS_GROUPS);
+
+register("status-filter",
+    v => (bookingStatus.statusFilter(v) === null ? undefined : v),
+    `must be a status (${bookingStatus.STATUSES.join(", ")}), a group (${STATUS_GROUPS.join(", ")}) or a comma-separated list of them`);
+
+function object(properties, required = []) {
+    const schema = { type: "object", properties };
+    if (required.length) schema.required = required;
+    return schema;
+}
+
+function date(description) {
+    return { type: "string", format: "date", description };
+}
+
+const statusFilter = {
+    type: "string",
+    "x-parse": "status-filter",
+    description: `A status (${bookingStatus.STATUSES.join(", ")}), a group (${STATUS_GROUPS.map(g => `${g} = ${bookingStatus.STATUS_GROUPS[g].join("/")}`).join(", ")}) or a comma-separated list`,
+    examples: ["active", "confirmed,seated"]
+};
+
+const seatingPreference = { type: "string", enum: ["indoor", "outdoor"] };
+
+function paging(maxLimit, defaultLimit) {
+    return {
+        limit: { type: "integer", minimum: 1, maximum: maxLimit, default: defaultLimit },
+        skip: { type: "integer", minimum: 0, default: 0 }
+    };
+}
+
+// For clients that can't send headers (middleware/auth.js queryCredentials)
+const credentials = {
+    token: { type: "string", description: "Session token, instead of the Authorization header" },
+    key: { type: "string", description: "API key, instead of the X-API-Key header" },
+    ref: { type: "string", description: "Booking reference, instead of the X-Booking-Ref header" }
+};
+
+function ref(name) {
+    return { $ref: `#/components/schemas/${name}` };
+}
+
+// The { success: true, ... } envelope every JSON response uses
+function envelope(properties = {}) {
+    return object({ success: { type: "boolean", enum: [true] }, ...properties }, ["success"]);
+}
+
+function listOf(schema) {
+    return { type: "array", items: schema };
+}
+
+module.exports = { object, date, statusFilter, seatingPreference, paging, credentials, ref, envelope, listOf };
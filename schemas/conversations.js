@@ -0,0 +1,31 @@
+// File: schemas/conversations.js
+// Request schemas for routes/conversations.js (/api/conversations and /api/restaurants/{rid}/conversations).
+
+const { object, ref, envelope } = require("./common");
+
+const session = { description: "The conversation state and the next prompt", schema: { allOf: [envelope(), ref("Conversation")] } };
+
+const operations = {
+    startConversation: {
+        method: "post", path: "/", access: "public",
+        summary: "Start a booking conversation",
+        body: object({ lang: { type: ["string", "null"], pattern: "^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$", "x-pattern-message": "must be a language tag such as hi-IN", description: "Defaults to the restaurant's voice language; languages without a locale pack (shared/locales) get English prompts" } }),
+        responses: { 201: session }
+    },
+    conversationTurn: {
+        method: "post", path: "/{id}/turns", access: "public",
+        summary: "Say something to the conversation",
+        body: object({
+            text: { type: ["string", "null"], maxLength: 2000, description: "What the guest said; empty means nothing was heard" },
+            utterance: { type: ["string", "null"], maxLength: 2000, description: "Alias of text" }
+        }),
+        responses: { 200: session, 404: "Unknown or expired conversation" }
+    },
+    getConversation: {
+        method: "get", path: "/{id}", access: "public",
+        summary: "Conversation state and transcript",
+        responses: { 200: session, 404: "Unknown or expired conversation" }
+    }
+};
+
+module.exports = { operations };
@@ -0,0 +1,21 @@
+// File: schemas/events.js
+// Request schemas for routes/events.js (/api/events and /api/restaurants/{rid}/events).
+
+const { object, credentials } = require("./common");
+
+const operations = {
+    bookingEvents: {
+        method: "get", path: "/", access: "host",
+        summary: "Live booking events (Server-Sent Events)",
+        description: "Events: ready, booking.created, booking.updated, booking.status, booking.cancelled, booking.deleted, and resync when a reconnecting client missed more than the server kept. Each booking event carries the booking as JSON.",
+        query: object({
+            lastEventId: { type: "string", description: "Same as the Last-Event-ID header: replay the events after this one" },
+            token: credentials.token,
+            key: credentials.key
+        }),
+        headers: { "Last-Event-ID": { description: "Sent by EventSource on reconnect" } },
+        responses: { 200: { description: "The event stream", type: "text/event-stream" } }
+    }
+};
+
+module.exports = { operations };
@@ -0,0 +1,24 @@
+// File: schemas/nlu.js
+// Request schemas for routes/nlu.js (/api/nlu).
+
+const { object, envelope } = require("./common");
+
+const operations = {
+    parseUtterance: {
+        method: "post", path: "/parse", access: "public",
+        summary: "Extract booking fields from an utterance",
+        body: object({
+            text: { type: "string", minLength: 1, maxLength: 2000, examples: ["table for four under Priya tomorrow at 8"] },
+            timezone: { type: "string", format: "timezone", description: "For relative dates; defaults to the default venue's timezone" },
+            lang: { type: "string", pattern: "^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$", "x-pattern-message": "must be a language tag such as hi-IN", description: "Language of the text; without it every locale pack is tried" }
+        }, ["text"]),
+        responses: {
+            200: {
+                description: "Intent, entities (value, confidence, ambiguity per field), slots, missing and lowConfidence fields",
+                schema: envelope({ intent: { type: "string" }, entities: { type: "object" }, slots: { type: "object" }, missing: { type: "array", items: { type: "string" } }, lowConfidence: { type: "array", items: { type: "string" } } })
+            }
+        }
+    }
+};
+
+module.exports = { operations };
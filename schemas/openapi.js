@@ -0,0 +1,236 @@
+// File: schemas/openapi.js
+// The OpenAPI 3.1 document served at /api/openapi.json, built from the same route schemas that
+// middleware/validate.js checks requests against, so the published contract can't drift from the API.
+// Stored documents (Booking, WaitlistEntry) are described from their Mongoose models.
+
+const pkg = require("../package.json");
+const Booking = require("../models/Booking");
+const Waitlist = require("../models/Waitlist");
+const { object, listOf } = require("./common");
+const { VENUE_FIELDS } = require("./restaurants");
+
+const system = {
+    health: {
+        method: "get", path: "/health", access: "public",
+        summary: "Service and storage health",
+        responses: {
+            200: { description: "Up", schema: object({ status: { type: "string", enum: ["ok"] }, version: { type: "string" }, storage: { type: "object" } }) },
+            503: { description: "The database is unreachable", schema: object({ status: { type: "string", enum: ["degraded"] }, version: { type: "string" }, storage: { type: "object" } }) }
+        }
+    },
+    openapi: {
+        method: "get", path: "/openapi.json", access: "public",
+        summary: "This document",
+        responses: { 200: { description: "OpenAPI 3.1 document", schema: { type: "object" } } }
+    }
+};
+
+// Route schema modules and where index.js / routes/restaurants.js mount their routers
+const MODULES = [
+    { tag: "Bookings", operations: require("./bookings").operations, mounts: ["/api/bookings", "/api/restaurants/{rid}/bookings"], params: { id: "bookingId" } },
+    { tag: "Waitlist", operations: require("./waitlist").operations, mounts: ["/api/waitlist", "/api/restaurants/{rid}/waitlist"], params: { id: "waitlistId or waitlistRef" } },
+    { tag: "Restaurants", operations: require("./restaurants").operations, mounts: ["/api/restaurants"] },
+    { tag: "Reports", operations: require("./reports").operations, mounts: ["/api/reports", "/api/restaurants/{rid}/reports"], params: { report: "Report name (GET /api/reports lists them)" } },
+    { tag: "Conversations", operations: require("./conversations").operations, mounts: ["/api/conversations", "/api/restaurants/{rid}/conversations"], params: { id: "sessionId" } },
+    { tag: "Events", operations: require("./events").operations, mounts: ["/api/events", "/api/restaurants/{rid}/events"] },
+    { tag: "Auth", operations: require("./auth").operations, mounts: ["/api/auth"] },
+    { tag: "Telephony", operations: require("./telephony").operations, mounts: ["/api/telephony", "/api/restaurants/{rid}/telephony"] },
+    { tag: "NLU", operations: require("./nlu").operations, mounts: ["/api/nlu"] },
+    { tag: "System", operations: system, mounts: ["/api"] }
+];
+
+const ACCESS = {
+    public: { security: undefined, note: null },
+    apiKey: { security: [{ apiKey: [] }], note: "Requires a staff API key." },
+    owner: { security: [{ apiKey: [] }, { bearerAuth: [] }, { bookingRef: [] }], note: "Hosts, or the guest holding this booking's reference." },
+    host: { security: [{ apiKey: [] }, { bearerAuth: [] }], note: "Requires the host role." },
+    admin: { security: [{ apiKey: [] }, { bearerAuth: [] }], note: "Requires the admin role." }
+};
+
+const PATH_PARAMS = { rid: "restaurantId" };
+
+// ---------- Components ----------
+
+const MONGOOSE_TYPES = {
+    String: { type: "string" },
+    Number: { type: "number" },
+    Boolean: { type: "boolean" },
+    Date: { type: "string", format: "date-time" },
+    ObjectId: { type: "string" },
+    Mixed: {}
+};
+
+function pathSchema(type) {
+    if (type.instance === "Array") {
+        return { type: "array", items: type.schema ? modelSchema(type.schema) : pathSchema(type.embeddedSchemaType) };
+    }
+    const out = { ...(MONGOOSE_TYPES[type.instance] || {}) };
+    if (type.enumValues && type.enumValues.length) out.enum = type.enumValues;
+    return out;
+}
+
+// A Mongoose schema as JSON Schema (dotted paths become nested objects)
+function modelSchema(schema, { omit = ["__v"] } = {}) {
+    const root = { type: "object", properties: {} };
+    const required = [];
+    schema.eachPath((path, type) => {
+        if (omit.includes(path)) return;
+        const parts = path.split(".");
+        let node = root;
+        for (const part of parts.slice(0, -1)) {
+            node.properties[part] = node.properties[part] || { type: "object", properties: {} };
+            node = node.properties[part];
+        }
+        node.properties[parts[parts.length - 1]] = pathSchema(type);
+        if (type.isRequired && parts.length === 1) required.push(path);
+    });
+    if (required.length) root.required = required;
+    return root;
+}
+
+function withProperties(schema, properties) {
+    return { ...schema, properties: { ...schema.properties, ...properties } };
+}
+
+function components() {
+    const errorSchema = object({ success: { type: "boolean", enum: [false] }, error: { type: "string" }, message: { type: "string" } }, ["success", "error"]);
+    return {
+        schemas: {
+            Booking: withProperties(modelSchema(Booking.schema), {
+                bookingDateLocal: { type: ["string", "null"], format: "date-time", description: "bookingDate in the restaurant's timezone" },
+                allowedTransitions: { type: "array", items: { type: "string", enum: Booking.STATUSES }, description: "On /today and live events: the statuses a host can move the booking to" }
+            }),
+            WaitlistEntry: withProperties(modelSchema(Waitlist.schema, { omit: ["__v", "_id"] }), {
+                bookingDateLocal: { type: ["string", "null"], format: "date" },
+                position: { type: ["integer", "null"], description: "Place in the queue while waiting" }
+            }),
+            Restaurant: object({
+                restaurantId: { type: "string" },
+                ...Object.fromEntries(["name", "timezone", "location", "cuisines", "openingHours", "voice", "slotMinutes", "diningMinutes"].map(f => [f, VENUE_FIELDS[f]]))
+            }),
+            Slot: object({ time: { type: "string" }, freeTables: { type: "integer" }, freeSeats: { type: "integer" }, maxParty: { type: "integer" }, available: { type: "boolean" } }),
+            Conversation: object({
+                sessionId: { type: "string" },
+                restaurantId: { type: "string" },
+                lang: { type: "string" },
+                mode: { type: "string", enum: ["create", "modify"] },
+                state: { type: "string" },
+                expecting: { type: ["string", "null"], description: "The slot the prompt asks for" },
+                prompt: { type: "string" },
+                slots: { type: "object" },
+                missing: listOf({ type: "string" }),
+                alternatives: listOf({ type: "object" }),
+                attempts: { type: "integer" },
+                fallback: { type: ["string", "null"], description: "\"type\" after repeated misunderstandings" },
+                booking: { type: ["object", "null"] },
+                waitlist: { type: ["object", "null"] }
+            }),
+            Error: errorSchema,
+            ValidationError: withProperties(errorSchema, {
+                error: { type: "string", enum: ["invalid_fields"] },
+                fields: listOf({ type: "string" }),
+                errors: listOf(object({ field: { type: "string" }, in: { type: "string", enum: ["query", "body"] }, message: { type: "string" } }))
+            })
+        },
+        securitySchemes: {
+            apiKey: { type: "apiKey", in: "header", name: "X-API-Key", description: "Staff API key (host or admin)" },
+            bearerAuth: { type: "http", scheme: "bearer", description: "Session token from POST /api/auth/session or /api/auth/guest" },
+            bookingRef: { type: "apiKey", in: "header", name: "X-Booking-Ref", description: "A guest's booking reference, limited to that booking" }
+        }
+    };
+}
+
+// ---------- Paths ----------
+
+function jsonContent(schema) {
+    return { "application/json": { schema } };
+}
+
+function errorResponse(description, name = "Error") {
+    return { description, content: jsonContent({ $ref: `#/components/schemas/${name}` }) };
+}
+
+function response(spec) {
+    if (typeof spec === "string") return errorResponse(spec);
+    if (spec.type) return { description: spec.description, content: { [spec.type]: { schema: { type: "string" } } } };
+    return spec.schema ? { description: spec.description, content: jsonContent(spec.schema) } : { description: spec.description };
+}
+
+function parameters(op, fullPath, paramDescriptions) {
+    const params = [...fullPath.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({
+        name, in: "path", required: true, schema: { type: "string" }, description: paramDescriptions[name] || PATH_PARAMS[name]
+    }));
+    for (const [name, { description }] of Object.entries(op.headers || {})) {
+        params.push({ name, in: "header", required: false, schema: { type: "string" }, description });
+    }
+    if (op.query) {
+        for (const [name, schema] of Object.entries(op.query.properties)) {
+            const { description, ...rest } = schema;
+            const param = { name, in: "query", required: (op.query.required || []).includes(name), schema: rest };
+            if (description) param.description = description;
+            params.push(param);
+        }
+    }
+    return params;
+}
+
+function operationObject(id, op, mod, mount) {
+    const fullPath = mount + (op.path === "/" ? "" : op.path);
+    const scoped = mount.includes("{rid}");
+    const access = ACCESS[op.access] || ACCESS.public;
+    const out = {
+        operationId: scoped ? `${id}AtRestaurant` : id,
+        tags: [mod.tag],
+        summary: op.summary
+    };
+    const description = [op.description, access.note].filter(Boolean).join(" ");
+    if (description) out.description = description;
+    const params = parameters(op, fullPath, mod.params || {});
+    if (params.length) out.parameters = params;
+    if (access.security) out.security = access.security;
+
+    if (op.body) out.requestBody = { required: Boolean(op.body.required), content: { [op.bodyType || "application/json"]: { schema: op.body } } };
+    else if (op.content) out.requestBody = { required: true, content: Object.fromEntries(op.content.map(t => [t, { schema: { type: "string" } }])) };
+
+    const responses = {};
+    for (const [code, spec] of Object.entries(op.responses)) responses[code] = response(spec);
+    if (op.query || op.body) responses[400] = responses[400] || errorResponse("Invalid fields: one entry in errors per problem", "ValidationError");
+    if (op.access && op.access !== "public") {
+        responses[401] = responses[401] || errorResponse("Missing or unknown credentials");
+        if (op.access !== "apiKey") responses[403] = responses[403] || errorResponse("The credentials don't allow this");
+    }
+    if (scoped) responses[404] = responses[404] || errorResponse("Unknown restaurant");
+    responses.default = responses.default || errorResponse("Unexpected error");
+    out.responses = responses;
+    return [fullPath, out];
+}
+
+let cached = null;
+
+function buildDocument() {
+    if (cached) return cached;
+    const paths = {};
+    for (const mod of MODULES) {
+        for (const mount of mod.mounts) {
+            for (const [id, op] of Object.entries(mod.operations)) {
+                const [path, operation] = operationObject(id, op, mod, mount);
+                paths[path] = paths[path] || {};
+                paths[path][op.method] = operation;
+            }
+        }
+    }
+    cached = {
+        openapi: "3.1.0",
+        info: {
+            title: "Restaurant booking API",
+            version: pkg.version,
+            description: "Bookings, waitlist, reports and voice conversations. Every /api/bookings, /api/waitlist, /api/conversations, /api/reports and /api/events route is also served per restaurant under /api/restaurants/{rid}. JSON responses (all but the telephony webhooks, which answer with call-instruction XML) use the { success, ... } envelope; failures carry error (a code) and message, and a 400 lists every invalid field."
+        },
+        tags: MODULES.map(m => ({ name: m.tag })),
+        paths,
+        components: components()
+    };
+    return cached;
+}
+
+module.exports = { buildDocument, modelSchema };
@@ -0,0 +1,42 @@
+// File: schemas/reports.js
+// Request schemas for routes/reports.js (/api/reports and /api/restaurants/{rid}/reports).
+
+const reports = require("../services/reportService");
+const { object, date, statusFilter, envelope, listOf } = require("./common");
+
+const operations = {
+    listReports: {
+        method: "get", path: "/", access: "host",
+        summary: "Available reports",
+        responses: { 200: { description: "Report names and descriptions", schema: envelope({ reports: listOf(object({ name: { type: "string" }, description: { type: "string" } })) }) } }
+    },
+    runReport: {
+        method: "get", path: "/{report}", access: "host",
+        summary: "Run a report",
+        description: `report is one of: ${Object.keys(reports.REPORTS).join(", ")}. The range defaults to the week ending today and covers at most a year.`,
+        query: object({
+            startDate: date("First day (restaurant-local)"),
+            endDate: date("Last day (restaurant-local)"),
+            status: { ...statusFilter, description: `${statusFilter.description}. Volume reports leave cancelled bookings out by default; outcomes counts every status.` },
+            format: { type: "string", enum: ["json", "csv"], default: "json" }
+        }),
+        responses: {
+            200: {
+                description: "Rows under the report's columns, and a summary (CSV: the rows, a blank line, then metric,value lines)",
+                schema: envelope({
+                    report: { type: "string" },
+                    restaurantId: { type: "string" },
+                    timezone: { type: "string" },
+                    startDate: { type: "string", format: "date" },
+                    endDate: { type: "string", format: "date" },
+                    columns: listOf({ type: "string" }),
+                    rows: listOf({ type: "object" }),
+                    summary: { type: "object" }
+                })
+            },
+            404: "Unknown report"
+        }
+    }
+};
+
+module.exports = { operations };
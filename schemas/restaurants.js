@@ -0,0 +1,69 @@
+// File: schemas/restaurants.js
+// Request schemas for routes/restaurants.js (/api/restaurants). The restaurant-scoped booking, waitlist,
+// conversation, report and event routes are described by their own schema modules.
+
+const { object, ref, envelope, listOf } = require("./common");
+
+const HHMM = { type: "string", pattern: "^([01]\\d|2[0-3]):[0-5]\\d$", "x-pattern-message": "must be a time (HH:MM)" };
+const WEEKDAYS = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"];
+const openingRanges = { type: "array", items: { type: "array", items: HHMM, minItems: 2, maxItems: 2 }, description: "[open, close] ranges closing the same day" };
+
+// The editable venue fields (restaurantService.VENUE_FIELDS) plus active
+const VENUE_FIELDS = {
+    name: { type: "string", minLength: 1, maxLength: 200 },
+    timezone: { type: "string", format: "timezone", examples: ["Asia/Kolkata"] },
+    location: { type: ["string", "null"], description: "Weather location" },
+    cuisines: { type: "array", items: { type: "string" } },
+    openingHours: { type: "object", properties: Object.fromEntries(WEEKDAYS.map(d => [d, openingRanges])), additionalProperties: false },
+    tables: {
+        type: "array",
+        minItems: 1,
+        items: object({ id: { type: "string", minLength: 1 }, seats: { type: "integer", minimum: 1 } }, ["id", "seats"])
+    },
+    slotMinutes: { type: "integer", minimum: 1, description: "Booking grid granularity" },
+    diningMinutes: { type: "integer", minimum: 1, description: "How long a party holds its table" },
+    allowTableJoining: { type: "boolean" },
+    maxAlternatives: { type: "integer", minimum: 1 },
+    confirmationPartySize: { type: ["integer", "null"], minimum: 1, description: "Parties this size or larger are booked as pending until staff confirm them; null: every booking is confirmed at once" },
+    voice: object({ lang: { type: "string" }, languages: { type: "array", items: { type: "string" } } }),
+    active: { type: "boolean", description: "false stops taking bookings" }
+};
+
+const restaurantId = {
+    type: "string",
+    pattern: "^[A-Za-z0-9][A-Za-z0-9-]{1,47}$",
+    "x-pattern-message": "must be 2-48 letters, digits or dashes",
+    description: "Stored in lowercase",
+    examples: ["koramangala"]
+};
+
+const restaurantResponse = { description: "The restaurant", schema: envelope({ restaurant: ref("Restaurant") }) };
+
+const operations = {
+    listRestaurants: {
+        method: "get", path: "/", access: "public",
+        summary: "List active restaurants",
+        responses: { 200: { description: "Restaurants", schema: envelope({ restaurants: listOf(ref("Restaurant")) }) } }
+    },
+    createRestaurant: {
+        method: "post", path: "/", access: "admin",
+        summary: "Add a restaurant",
+        description: "Fields left out come from the default venue (config/venue.js).",
+        body: object({ restaurantId, ...VENUE_FIELDS }, ["restaurantId", "name"]),
+        responses: { 201: restaurantResponse, 409: "The restaurantId is taken" }
+    },
+    getRestaurant: {
+        method: "get", path: "/{rid}", access: "public",
+        summary: "Get a restaurant",
+        responses: { 200: restaurantResponse, 404: "Unknown restaurant" }
+    },
+    updateRestaurant: {
+        method: "patch", path: "/{rid}", access: "admin",
+        summary: "Change a restaurant",
+        description: "Send only the fields to change. The first edit of the default restaurant stores it; fields it doesn't set keep coming from config/venue.js.",
+        body: object(VENUE_FIELDS),
+        responses: { 200: restaurantResponse, 404: "Unknown restaurant" }
+    }
+};
+
+module.exports = { operations, VENUE_FIELDS };
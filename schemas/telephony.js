@@ -0,0 +1,52 @@
+// File: schemas/telephony.js
+// Request schemas for routes/telephony.js (/api/telephony and /api/restaurants/{rid}/telephony).
+// Providers post form-encoded webhooks with many more fields than these; the rest are accepted and ignored.
+
+const { object } = require("./common");
+
+const lang = { type: "string", pattern: "^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$", "x-pattern-message": "must be a language tag such as hi-IN" };
+const call = {
+    CallSid: { type: "string", description: "The provider's id for the call" },
+    From: { type: "string", description: "Caller ID; a phone number becomes the booking's contact" },
+    To: { type: "string", description: "The number that was called" }
+};
+const instructions = { description: "Call instructions: <Say> the next prompt inside a <Gather>, or <Hangup/> / <Dial> to end the call", type: "text/xml" };
+// Failures are call instructions too: an apology in the call's language, then <Hangup/>
+const spoken = description => ({ description: `${description}; the caller hears an apology and the call ends`, type: "text/xml" });
+const failures = {
+    400: spoken("Invalid fields"),
+    403: spoken("Missing or invalid webhook signature"),
+    404: spoken("Unknown restaurant"),
+    default: spoken("Unexpected error")
+};
+
+const operations = {
+    incomingCall: {
+        method: "post", path: "/voice", access: "public",
+        summary: "Incoming call webhook",
+        description: "Point the phone number's voice webhook here. Answers with the greeting and the first question. Requests must carry a valid X-Twilio-Signature when TELEPHONY_AUTH_TOKEN is set.",
+        bodyType: "application/x-www-form-urlencoded",
+        query: object({ lang: { ...lang, description: "The call's language; defaults to the restaurant's voice language" } }),
+        body: object(call),
+        responses: { 200: instructions, ...failures }
+    },
+    callTurn: {
+        method: "post", path: "/gather", access: "public",
+        summary: "Speech-recognition result webhook",
+        description: "The <Gather> action from the previous answer; the provider posts what the caller said or keyed in and gets the next question. An unknown or expired conversation ends the call.",
+        bodyType: "application/x-www-form-urlencoded",
+        query: object({
+            session: { type: "string", minLength: 1, description: "Conversation id, set by the previous answer" },
+            lang: { ...lang, description: "Set by the previous answer" }
+        }, ["session"]),
+        body: object({
+            ...call,
+            SpeechResult: { type: "string", maxLength: 2000, description: "What the caller said; absent when nothing was heard" },
+            Digits: { type: "string", maxLength: 32, description: "Keypad input, used when there is no speech" },
+            Confidence: { type: "number", minimum: 0, maximum: 1, description: "Recognition confidence" }
+        }),
+        responses: { 200: instructions, ...failures }
+    }
+};
+
+module.exports = { operations };
@@ -0,0 +1,177 @@
+// File: schemas/validator.js
+// Checks request bodies and query strings against the declarative schemas in schemas/*.js.
+// Schemas are plain JSON Schema (the subset below), so schemas/openapi.js publishes them unchanged:
+//   type (one type or a list, "null" included), enum, default
+//   strings: minLength, maxLength, pattern, format (date = YYYY-MM-DD, email, timezone)
+//   numbers: minimum, maximum          arrays: items, minItems, maxItems
+//   objects: properties, required, additionalProperties
+// plus "x-parse": the name of a reader in PARSERS that turns a string into the value the other keywords
+// check ("four" -> 4 for party sizes), or rejects it. An empty string counts as not given for pattern,
+// format and x-parse (the booking page sends "" for fields the guest skipped).
+// Numbers and booleans may arrive as strings (always in a query string, and from form posts); they are
+// converted before checking. The result is the converted value with defaults filled in, and one
+// { field, in, message } per problem found.
+
+const moment = require("moment-timezone");
+const parsing = require("../shared/parsing");
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL_RE = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+
+const FORMATS = {
+    date: {
+        test: v => DATE_RE.test(v) && moment(v, "YYYY-MM-DD", true).isValid(),
+        message: "must be a date (YYYY-MM-DD)"
+    },
+    email: {
+        test: v => EMAIL_RE.test(v),
+        message: "must be an email address"
+    },
+    timezone: {
+        test: v => Boolean(moment.tz.zone(v)),
+        message: "must be an IANA timezone such as Asia/Kolkata"
+    }
+};
+
+// Readers for "x-parse": string -> value, or undefined when the string can't be read.
+// Schema modules add their own with register().
+const PARSERS = {
+    // "4", "four", "party of 6"
+    "party-size": {
+        read: v => {
+            const n = parsing.parsePartySize(v).value;
+            return n === null || n === undefined ? undefined : n;
+        },
+        message: "must be a number of guests"
+    },
+    // "2025-03-21", "tomorrow", "21st March": kept as sent, the booking service reads it in the venue's timezone
+    "booking-date": {
+        read: v => (moment(v.trim(), ["YYYY-MM-DD", moment.ISO_8601], true).isValid() || parsing.parseDate(v).value ? v : undefined),
+        message: "must be a date (YYYY-MM-DD, or words such as \"tomorrow\")"
+    },
+    // "19:30", "7:30 pm", "half past seven"
+    "booking-time": {
+        read: v => (parsing.parseTime(v).value ? v : undefined),
+        message: "must be a time (HH:MM, or words such as \"7:30 pm\")"
+    }
+};
+
+function register(name, read, message) {
+    PARSERS[name] = { read, message };
+}
+
+function typesOf(schema) {
+    if (!schema.type) return [];
+    return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+function typeMatches(type, v) {
+    switch (type) {
+        case "null": return v === null;
+        case "string": return typeof v === "string";
+        case "integer": return Number.isInteger(v);
+        case "number": return typeof v === "number" && Number.isFinite(v);
+        case "boolean": return typeof v === "boolean";
+        case "array": return Array.isArray(v);
+        case "object": return v !== null && typeof v === "object" && !Array.isArray(v);
+        default: return true;
+    }
+}
+
+const TYPE_NAMES = { string: "a string", integer: "a whole number", number: "a number", boolean: "true or false", array: "a list", object: "an object" };
+
+// "12" -> 12, "true" -> true when the schema wants that type and the string isn't acceptable as is
+function coerce(schema, v) {
+    const types = typesOf(schema);
+    if (typeof v !== "string" || types.includes("string")) return v;
+    const s = v.trim();
+    if ((types.includes("integer") || types.includes("number")) && /^-?\d+(\.\d+)?$/.test(s)) return Number(s);
+    if (types.includes("boolean") && ["true", "1"].includes(s.toLowerCase())) return true;
+    if (types.includes("boolean") && ["false", "0"].includes(s.toLowerCase())) return false;
+    if (types.includes("null") && s === "") return null;
+    return v;
+}
+
+function joinPath(parent, key) {
+    if (typeof key === "number") return `${parent}[${key}]`;
+    return parent ? `${parent}.${key}` : key;
+}
+
+/**
+ * Check value against schema. field is the name used in messages; location is "body", "query" or "path".
+ * Returns { value, errors }.
+ */
+function validate(schema, value, { field = "", location = "body" } = {}) {
+    const errors = [];
+    const fail = (path, message) => errors.push({ field: path || location, in: location, message });
+
+    function check(s, v, path) {
+        if (v === undefined) return s.default !== undefined ? JSON.parse(JSON.stringify(s.default)) : undefined;
+        v = coerce(s, v);
+        const types = typesOf(s);
+
+        const parser = s["x-parse"] && PARSERS[s["x-parse"]];
+        if (parser && typeof v === "string" && v.trim()) {
+            const read = parser.read(v);
+            if (read === undefined) {
+                fail(path, parser.message);
+                return v;
+            }
+            v = read;
+        }
+
+        if (types.length && !types.some(t => typeMatches(t, v))) {
+            const wanted = types.filter(t => t !== "null").map(t => TYPE_NAMES[t] || t);
+            fail(path, v === null ? "must not be null" : `must be ${wanted.join(" or ")}`);
+            return v;
+        }
+        if (v === null) return v;
+
+        if (s.enum && !s.enum.includes(v)) {
+            fail(path, `must be one of: ${s.enum.join(", ")}`);
+            return v;
+        }
+
+        if (typeof v === "string") {
+            if (s.minLength !== undefined && v.trim().length < s.minLength) fail(path, s.minLength === 1 ? "must not be empty" : `must be at least ${s.minLength} characters`);
+            else if (s.maxLength !== undefined && v.length > s.maxLength) fail(path, `must be at most ${s.maxLength} characters`);
+            else if (!v.trim()) { /* nothing to match */ }
+            else if (s.pattern && !new RegExp(s.pattern).test(v)) fail(path, s["x-pattern-message"] || `must match ${s.pattern}`);
+            else if (s.format && FORMATS[s.format] && !FORMATS[s.format].test(v)) fail(path, FORMATS[s.format].message);
+        } else if (typeof v === "number") {
+            if (s.minimum !== undefined && v < s.minimum) fail(path, `must be at least ${s.minimum}`);
+            else if (s.maximum !== undefined && v > s.maximum) fail(path, `must be at most ${s.maximum}`);
+        } else if (Array.isArray(v)) {
+            if (s.minItems !== undefined && v.length < s.minItems) fail(path, s.minItems === 1 ? "must not be empty" : `must have at least ${s.minItems} items`);
+            else if (s.maxItems !== undefined && v.length > s.maxItems) fail(path, `must have at most ${s.maxItems} items`);
+            if (s.items) v = v.map((x, i) => check(s.items, x, joinPath(path, i)));
+        } else if (typeof v === "object") {
+            v = checkObject(s, v, path);
+        }
+        return v;
+    }
+
+    function checkObject(s, obj, path) {
+        const out = { ...obj };
+        for (const key of s.required || []) {
+            if (obj[key] === undefined || obj[key] === null || obj[key] === "") fail(joinPath(path, key), "is required");
+        }
+        for (const [key, propSchema] of Object.entries(s.properties || {})) {
+            if (obj[key] === undefined && propSchema.default === undefined) continue;
+            if ((s.required || []).includes(key) && (obj[key] === undefined || obj[key] === null || obj[key] === "")) continue;
+            const v = check(propSchema, obj[key], joinPath(path, key));
+            if (v !== undefined) out[key] = v;
+        }
+        const extra = Object.keys(obj).filter(k => !(s.properties || {})[k]);
+        if (s.additionalProperties === false) extra.forEach(k => fail(joinPath(path, k), "is not allowed"));
+        else if (s.additionalProperties && typeof s.additionalProperties === "object") {
+            for (const k of extra) out[k] = check(s.additionalProperties, obj[k], joinPath(path, k));
+        }
+        return out;
+    }
+
+    const result = check(schema, value, field);
+    return { value: result, errors };
+}
+
+module.exports = { validate, register, FORMATS, PARSERS };
@@ -0,0 +1,63 @@
+// File: schemas/waitlist.js
+// Request schemas for routes/waitlist.js (/api/waitlist and /api/restaurants/{rid}/waitlist).
+
+const Waitlist = require("../models/Waitlist");
+const waitlist = require("../services/waitlistService");
+const { BOOKING_FIELDS, withAliases } = require("./bookings");
+const { object, date, ref, envelope, listOf } = require("./common");
+
+const STATUS_LIST = `(${Waitlist.STATUSES.join("|")})`;
+
+const entryResponse = { description: "The waitlist entry", schema: envelope({ waitlist: ref("WaitlistEntry") }) };
+
+const operations = {
+    joinWaitlist: {
+        method: "post", path: "/", access: "public",
+        summary: "Wait for a table in a full slot",
+        description: "customerName, numberOfGuests, bookingDate and bookingTime are required. 409 slot_available when the slot can be booked right away.",
+        body: object({
+            ...withAliases(BOOKING_FIELDS),
+            flexibleMinutes: { type: "integer", minimum: 0, maximum: waitlist.MAX_FLEXIBLE_MINUTES, default: 0, description: "Also accept a table this many minutes either side of the time" }
+        }),
+        responses: {
+            201: { description: "The entry with its place in the queue, and bookable alternatives", schema: envelope({ waitlist: ref("WaitlistEntry"), alternatives: listOf({ type: "object" }) }) },
+            409: "The slot is free, closed or can't seat the party"
+        }
+    },
+    listWaitlist: {
+        method: "get", path: "/", access: "host",
+        summary: "List waitlist entries, oldest first",
+        query: object({
+            date: date("Requested day (restaurant-local)"),
+            status: {
+                type: "string",
+                pattern: `^\\s*${STATUS_LIST}\\s*(,\\s*${STATUS_LIST}\\s*)*$`,
+                "x-pattern-message": `must be a comma-separated list of: ${Waitlist.STATUSES.join(", ")}`,
+                description: "Comma-separated statuses; open entries (waiting, offered) when left out"
+            }
+        }),
+        responses: { 200: { description: "Entries", schema: envelope({ count: { type: "integer" }, waitlist: listOf(ref("WaitlistEntry")) }) } }
+    },
+    getWaitlistEntry: {
+        method: "get", path: "/{id}", access: "public",
+        summary: "Get an entry by waitlistId or waitlistRef",
+        responses: { 200: entryResponse, 404: "Unknown entry" }
+    },
+    acceptWaitlistOffer: {
+        method: "post", path: "/{id}/accept", access: "public",
+        summary: "Accept the table held for this entry",
+        responses: { 201: { description: "The booking made from the offer", schema: envelope({ booking: ref("Booking"), waitlist: ref("WaitlistEntry") }) }, 404: "Unknown entry", 409: "Nothing offered, or the offer expired" }
+    },
+    declineWaitlistOffer: {
+        method: "post", path: "/{id}/decline", access: "public",
+        summary: "Decline the offer; the table goes to the next entry",
+        responses: { 200: entryResponse, 404: "Unknown entry", 409: "Nothing offered" }
+    },
+    leaveWaitlist: {
+        method: "delete", path: "/{id}", access: "public",
+        summary: "Leave the waitlist",
+        responses: { 200: entryResponse, 404: "Unknown entry", 409: "Already closed" }
+    }
+};
+
+module.exports = { operations };
@@ -0,0 +1,139 @@
+// File: scripts/simulateCall.js
+// Local call simulator: plays the voice provider's part against the telephony webhooks
+// (routes/telephony.js), so a phone booking can be tested end to end without a phone number.
+// It posts the incoming-call webhook, prints what would be spoken, and answers each <Gather> with
+// typed text (or keypad digits) as if it were the speech-recognition result.
+//
+//   npm run simulate-call -- [--url http://localhost:4000/api/telephony] [--lang hi-IN] [--from +919876543210]
+//                            [--say "table for four tomorrow at 8" --say "yes" ...]
+//
+// Each --say answers one question in order; when they run out the caller hangs up (or, at a
+// terminal, you're asked to type). At the prompt an empty line is silence, "#123" presses keys 1 2 3
+// and "/hangup" ends the call. Requests are signed when TELEPHONY_AUTH_TOKEN is set, like the provider's.
+
+require("dotenv").config();
+const readline = require("readline/promises");
+const { randomUUID } = require("crypto");
+const axios = require("axios");
+const { signature } = require("../services/telephonyService");
+
+function parseArgs(argv) {
+    const opts = { url: `http://localhost:${process.env.PORT || 4000}/api/telephony`, lang: null, from: "+919876543210", to: "+910000000000", say: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inline] = argv[i].split(/=(.*)/s);
+        const value = () => (inline !== undefined ? inline : argv[++i]);
+        if (flag === "--url") opts.url = value().replace(/\/+$/, "");
+        else if (flag === "--lang") opts.lang = value();
+        else if (flag === "--from") opts.from = value();
+        else if (flag === "--to") opts.to = value();
+        else if (flag === "--say") opts.say.push(value());
+        else if (flag === "--help" || flag === "-h") opts.help = true;
+        else throw new Error(`Unknown option ${argv[i]}`);
+    }
+    return opts;
+}
+
+function unescapeXml(s) {
+    return s.replace(/&(lt|gt|quot|apos|amp);/g, (m, e) => ({ lt: "<", gt: ">", quot: "\"", apos: "'", amp: "&" })[e]);
+}
+
+function attributes(tag) {
+    const out = {};
+    for (const [, name, value] of tag.matchAll(/(\w+)="([^"]*)"/g)) out[name] = unescapeXml(value);
+    return out;
+}
+
+// <Response> XML -> [{ verb, attrs, text, says }] for the verbs this simulator plays
+function parseVerbs(xml) {
+    const body = (xml.match(/<Response>([\s\S]*)<\/Response>/) || [, ""])[1];
+    const verbs = [];
+    const re = /<(Say|Gather|Redirect|Dial|Hangup|Pause)\b([^>]*?)(\/>|>([\s\S]*?)<\/\1>)/g;
+    for (const [, verb, attrs, , inner = ""] of body.matchAll(re)) {
+        const says = verb === "Gather" ? [...inner.matchAll(/<Say\b[^>]*>([\s\S]*?)<\/Say>/g)].map(m => unescapeXml(m[1])) : [];
+        verbs.push({ verb, attrs: attributes(attrs), text: unescapeXml(inner.trim()), says });
+    }
+    return verbs;
+}
+
+async function main() {
+    const opts = parseArgs(process.argv.slice(2));
+    if (opts.help) {
+        console.log("Usage: node scripts/simulateCall.js [--url <telephony mount>] [--lang <tag>] [--from <caller id>] [--say <answer>]...");
+        return;
+    }
+    const call = { CallSid: `CA${randomUUID().replace(/-/g, "")}`, AccountSid: "ACsimulator", From: opts.from, To: opts.to, Direction: "inbound", CallStatus: "in-progress" };
+    const token = process.env.TELEPHONY_AUTH_TOKEN;
+    const interactive = process.stdin.isTTY && opts.say.length === 0;
+    const rl = interactive ? readline.createInterface({ input: process.stdin, output: process.stdout }) : null;
+    const answers = [...opts.say];
+
+    async function post(url, fields) {
+        const params = { ...call, ...fields };
+        const headers = { "Content-Type": "application/x-www-form-urlencoded" };
+        if (token) headers["X-Twilio-Signature"] = signature(url, params, token);
+        const res = await axios.post(url, new URLSearchParams(params).toString(), { headers, responseType: "text", validateStatus: () => true, timeout: 15000 });
+        if (!/xml/.test(res.headers["content-type"] || "")) {
+            throw new Error(`${res.status} from ${url}: ${typeof res.data === "string" ? res.data : JSON.stringify(res.data)}`);
+        }
+        return res.data;
+    }
+
+    // The caller's reply: { SpeechResult } | { Digits } | {} (silence) | null (hang up)
+    async function listen() {
+        let line;
+        if (answers.length) {
+            line = answers.shift();
+            console.log(`Caller: ${line || "(silence)"}`);
+        } else if (rl) {
+            line = await rl.question("Caller: ");
+        } else {
+            return null;
+        }
+        line = line.trim();
+        if (line === "/hangup") return null;
+        if (line.startsWith("#")) return { Digits: line.slice(1).replace(/[^\d*#]/g, "") };
+        return line ? { SpeechResult: line, Confidence: "0.9" } : {};
+    }
+
+    let url = `${opts.url}/voice${opts.lang ? `?lang=${encodeURIComponent(opts.lang)}` : ""}`;
+    let xml = await post(url, {});
+    let ended = null;
+    try {
+        while (!ended) {
+            let next = null;
+            for (const { verb, attrs, text, says } of parseVerbs(xml)) {
+                if (verb === "Say") console.log(`Agent: ${text}`);
+                else if (verb === "Gather") {
+                    for (const s of says) console.log(`Agent: ${s}`);
+                    const heard = await listen();
+                    if (!heard) { ended = "caller hung up"; break; }
+                    if (Object.keys(heard).length || attrs.actionOnEmptyResult === "true") {
+                        next = { url: new URL(attrs.action || url, url).href, fields: heard };
+                        break;
+                    }
+                } else if (verb === "Redirect") {
+                    next = { url: new URL(text, url).href, fields: {} };
+                    break;
+                } else if (verb === "Dial") {
+                    ended = `transferred to ${text}`;
+                    break;
+                } else if (verb === "Hangup") {
+                    ended = "agent hung up";
+                    break;
+                }
+            }
+            if (ended) break;
+            if (!next) { ended = "call ended"; break; }
+            url = next.url;
+            xml = await post(url, next.fields);
+        }
+    } finally {
+        if (rl) rl.close();
+    }
+    console.log(`[${ended}]`);
+}
+
+main().catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,113 @@
+// File: services/authService.js
+// Credentials for the booking API: static API keys (API_KEYS), HMAC-signed session tokens (AUTH_SECRET)
+// and guest access through a booking reference. Roles are ranked guest < host < admin.
+
+const crypto = require("crypto");
+const bookingService = require("./bookingService");
+
+const ROLES = ["guest", "host", "admin"];
+const SESSION_TTL_SECONDS = 12 * 60 * 60;
+const GUEST_TTL_SECONDS = 2 * 60 * 60;
+
+let generatedSecret = null;
+
+function secret() {
+    if (process.env.AUTH_SECRET) return process.env.AUTH_SECRET;
+    if (!generatedSecret) {
+        generatedSecret = crypto.randomBytes(32).toString("hex");
+        console.warn("[auth] AUTH_SECRET is not set; session tokens will stop working when the server restarts");
+    }
+    return generatedSecret;
+}
+
+function roleRank(role) {
+    return ROLES.indexOf(role);
+}
+
+function hasRole(principal, role) {
+    return !!principal && roleRank(principal.role) >= roleRank(role);
+}
+
+// API_KEYS="key:role[:name],key:role[:name]" -> [{ key, role, name }]
+let parsedKeys = { spec: null, keys: [] };
+function apiKeys() {
+    const spec = process.env.API_KEYS || "";
+    if (parsedKeys.spec !== spec) {
+        const keys = spec.split(",").map(s => s.trim()).filter(Boolean).map(entry => {
+            const [key, role, name] = entry.split(":").map(x => (x || "").trim());
+            if (!key || !ROLES.includes(role) || role === "guest") {
+                console.warn(`[auth] ignoring API_KEYS entry with role "${role}"`);
+                return null;
+            }
+            return { key, role, name: name || `${role}-key` };
+        }).filter(Boolean);
+        parsedKeys = { spec, keys };
+    }
+    return parsedKeys.keys;
+}
+
+function sameSecret(a, b) {
+    const ha = crypto.createHash("sha256").update(String(a)).digest();
+    const hb = crypto.createHash("sha256").update(String(b)).digest();
+    return crypto.timingSafeEqual(ha, hb);
+}
+
+/** API key -> principal { role, subject, via: "api_key" }, or null when unknown */
+function principalForApiKey(key) {
+    if (!key) return null;
+    const match = apiKeys().find(k => sameSecret(k.key, key));
+    return match ? { role: match.role, subject: match.name, bookingId: null, via: "api_key" } : null;
+}
+
+function base64url(buf) {
+    return Buffer.from(buf).toString("base64").replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_");
+}
+
+function sign(data) {
+    return base64url(crypto.createHmac("sha256", secret()).update(data).digest());
+}
+
+/** Signed session token for a principal; resolves to { token, expiresAt } */
+function issueToken({ role, subject, bookingId = null }, ttlSeconds = SESSION_TTL_SECONDS) {
+    const exp = Math.floor(Date.now() / 1000) + ttlSeconds;
+    const payload = base64url(JSON.stringify({ role, sub: subject, bid: bookingId, exp }));
+    return { token: `${payload}.${sign(payload)}`, expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+/** Token -> principal, or { error } when malformed, forged or expired */
+function verifyToken(token) {
+    const [payload, sig] = String(token || "").split(".");
+    if (!payload || !sig || !sameSecret(sign(payload), sig)) return { error: "Invalid session token" };
+    let data;
+    try {
+        data = JSON.parse(Buffer.from(payload.replace(/-/g, "+").replace(/_/g, "/"), "base64").toString("utf8"));
+    } catch (e) {
+        return { error: "Invalid session token" };
+    }
+    if (!ROLES.includes(data.role)) return { error: "Invalid session token" };
+    if (!data.exp || data.exp * 1000 < Date.now()) return { error: "Session token has expired" };
+    return { principal: { role: data.role, subject: data.sub, bookingId: data.bid || null, via: "token" } };
+}
+
+/** Booking reference (or bookingId) -> guest principal bound to that booking, or null */
+async function principalForBookingRef(ref) {
+    const booking = await bookingService.findBookingByReference(ref);
+    if (!booking) return null;
+    return { role: "guest", subject: `guest:${booking.bookingRef || booking.bookingId}`, bookingId: booking.bookingId, via: "booking_ref" };
+}
+
+function anonymous() {
+    return { role: "guest", subject: "anonymous", bookingId: null, via: "anonymous" };
+}
+
+module.exports = {
+    ROLES,
+    SESSION_TTL_SECONDS,
+    GUEST_TTL_SECONDS,
+    hasRole,
+    principalForApiKey,
+    principalForBookingRef,
+    issueToken,
+    verifyToken,
+    anonymous
+};
@@ -0,0 +1,263 @@
+// File: services/availabilityService.js
+// Availability engine: table allocation per time window, opening-hours checks,
+// nearest-free alternatives and the per-slot free-capacity grid.
+
+const moment = require("moment-timezone");
+const repos = require("../repositories");
+const { venue: defaultVenue } = require("../config/venue");
+const parsing = require("../shared/parsing");
+const { INACTIVE_STATUSES } = require("../models/Booking");
+const { bookingScope } = require("./restaurantService");
+
+// How many days after the requested one we search when the day itself has no alternatives
+const ALTERNATIVE_LOOKAHEAD_DAYS = 7;
+
+// "19:30", "7:30 pm", "7 pm" -> minutes since midnight (null when unreadable)
+function timeToMinutes(value) {
+    if (value === undefined || value === null || value === "") return null;
+    if (typeof value === "number") return value;
+    const s = String(value).trim();
+    const m = s.match(/^(\d{1,2}):(\d{2})$/) || (parsing.parseTime(s).value || "").match(/^(\d{1,2}):(\d{2})$/);
+    if (!m) return null;
+    const h = parseInt(m[1], 10);
+    const mm = parseInt(m[2], 10);
+    if (h > 23 || mm > 59) return null;
+    return h * 60 + mm;
+}
+
+function minutesToTime(min) {
+    const h = Math.floor(min / 60), m = min % 60;
+    return `${String(h).padStart(2, "0")}:${String(m).padStart(2, "0")}`;
+}
+
+// Date | "YYYY-MM-DD" | ISO -> moment at start of the venue-local day
+function toDay(value, tz) {
+    if (!value) return null;
+    const m = (value instanceof Date)
+        ? moment(value).tz(tz)
+        : moment.tz(String(value), ["YYYY-MM-DD", moment.ISO_8601], tz);
+    return m.isValid() ? m.clone().startOf("day") : null;
+}
+
+function openingRanges(venue, day) {
+    const key = day.clone().locale("en").format("ddd").toLowerCase();
+    const ranges = (venue.openingHours && venue.openingHours[key]) || [];
+    return ranges
+        .map(([open, close]) => [timeToMinutes(open), timeToMinutes(close)])
+        .filter(([o, c]) => o != null && c != null && c > o);
+}
+
+// Start times offered for a day: every slot from opening until the last seating that still fits the dining window
+function slotsForDay(venue, day) {
+    const out = [];
+    for (const [o, c] of openingRanges(venue, day)) {
+        for (let t = o; t + venue.diningMinutes <= c; t += venue.slotMinutes) out.push(t);
+    }
+    return out;
+}
+
+function isWithinHours(venue, day, start) {
+    return openingRanges(venue, day).some(([o, c]) => start >= o && start + venue.diningMinutes <= c);
+}
+
+function maxPartySize(venue) {
+    const seats = venue.tables.map(t => t.seats);
+    if (!seats.length) return 0;
+    return venue.allowTableJoining ? seats.reduce((a, b) => a + b, 0) : Math.max(...seats);
+}
+
+// Smallest single table that fits, otherwise (if allowed) join the largest free tables
+function allocate(venue, free, party) {
+    const single = free.filter(t => t.seats >= party).sort((a, b) => a.seats - b.seats)[0];
+    if (single) return [single.id];
+    if (!venue.allowTableJoining) return null;
+    const picked = [];
+    let seats = 0;
+    for (const t of [...free].sort((a, b) => b.seats - a.seats)) {
+        picked.push(t.id);
+        seats += t.seats;
+        if (seats >= party) return picked;
+    }
+    return null;
+}
+
+function freeTables(venue, occupancy, start, end) {
+    return venue.tables.filter(t => !occupancy.some(o => o.start < end && start < o.end && o.tableIds.includes(t.id)));
+}
+
+// Load the active bookings of a day and place each one on tables.
+// Bookings saved before table assignment existed are allocated on the fly in creation order.
+// Tables held for an open waitlist offer count as taken until the offer expires.
+// exclude: { bookingId, waitlistId } to leave out (the booking being changed, the offer being accepted).
+async function loadOccupancy(venue, day, exclude = {}) {
+    const dayRange = { $gte: day.clone().startOf("day").toDate(), $lte: day.clone().endOf("day").toDate() };
+    const q = {
+        restaurantId: bookingScope(venue),
+        bookingDate: dayRange,
+        status: { $nin: INACTIVE_STATUSES }
+    };
+    if (exclude.bookingId) q.bookingId = { $ne: exclude.bookingId };
+    const bookings = await repos.bookings.find(q, { sort: { createdAt: 1 }, lean: true });
+
+    const holdQuery = { restaurantId: venue.id, bookingDate: dayRange, status: { $in: ["offered", "accepting"] }, "offer.expiresAt": { $gt: new Date() } };
+    if (exclude.waitlistId) holdQuery.waitlistId = { $ne: exclude.waitlistId };
+    const holds = await repos.waitlist.find(holdQuery, { lean: true });
+
+    const known = new Set(venue.tables.map(t => t.id));
+    const occupancy = [];
+    for (const h of holds) {
+        const start = timeToMinutes(h.offer.bookingTime);
+        const ids = (h.offer.tableIds || []).filter(id => known.has(id));
+        if (start != null && ids.length) occupancy.push({ waitlistId: h.waitlistId, start, end: start + venue.diningMinutes, guests: h.numberOfGuests || 1, tableIds: ids });
+    }
+    const unplaced = [];
+    for (const b of bookings) {
+        const start = timeToMinutes(b.bookingTime);
+        if (start == null) continue;
+        const entry = { bookingId: b.bookingId, start, end: start + venue.diningMinutes, guests: b.numberOfGuests || 1, tableIds: [] };
+        const ids = (b.tableIds || []).filter(id => known.has(id));
+        if (ids.length) { entry.tableIds = ids; occupancy.push(entry); }
+        else unplaced.push(entry);
+    }
+    for (const entry of unplaced) {
+        entry.tableIds = allocate(venue, freeTables(venue, occupancy, entry.start, entry.end), entry.guests) || [];
+        occupancy.push(entry);
+    }
+    return occupancy;
+}
+
+// Start times up to this minute of the venue-local day have passed: all of a past day, none of a future one
+function pastCutoff(venue, day) {
+    const now = moment.tz(venue.timezone);
+    if (day.isBefore(now, "day")) return Infinity;
+    if (day.isSame(now, "day")) return now.hours() * 60 + now.minutes();
+    return -1;
+}
+
+function slotsToCheck(venue, day) {
+    const cutoff = pastCutoff(venue, day);
+    return slotsForDay(venue, day).filter(t => t > cutoff);
+}
+
+async function findAlternatives(venue, day, start, party, occupancy, exclude) {
+    const out = [];
+    const sameDay = slotsToCheck(venue, day)
+        .filter(t => t !== start && allocate(venue, freeTables(venue, occupancy, t, t + venue.diningMinutes), party))
+        .sort((a, b) => Math.abs(a - start) - Math.abs(b - start));
+    for (const t of sameDay) out.push({ date: day.format("YYYY-MM-DD"), time: minutesToTime(t) });
+
+    for (let i = 1; i <= ALTERNATIVE_LOOKAHEAD_DAYS && out.length < venue.maxAlternatives; i++) {
+        const next = day.clone().add(i, "days");
+        const slots = slotsToCheck(venue, next);
+        if (!slots.length) continue;
+        const occ = await loadOccupancy(venue, next, exclude);
+        slots
+            .filter(t => allocate(venue, freeTables(venue, occ, t, t + venue.diningMinutes), party))
+            .sort((a, b) => Math.abs(a - start) - Math.abs(b - start))
+            .forEach(t => out.push({ date: next.format("YYYY-MM-DD"), time: minutesToTime(t) }));
+    }
+    return out.slice(0, venue.maxAlternatives);
+}
+
+/**
+ * Can a party be seated at bookingDate/bookingTime?
+ * Returns { available: true, date, time, tableIds } or
+ * { available: false, reason, message, alternatives: [{ date, time }] }.
+ * reason is one of: bad_slot, party_too_large, past, closed, slot_full.
+ * excludeBookingId / excludeWaitlistId leave that booking's tables or that offer's hold out of the count.
+ * allowPast skips the "already passed" check, for bookings that already hold that time (a late no-show
+ * being seated, a seated party growing, an import from another system).
+ */
+async function checkAvailability({ bookingDate, bookingTime, numberOfGuests, excludeBookingId, excludeWaitlistId, allowPast = false } = {}, venue = defaultVenue) {
+    const day = toDay(bookingDate, venue.timezone);
+    const start = timeToMinutes(bookingTime);
+    if (!day || start == null) {
+        return { available: false, reason: "bad_slot", message: "A valid bookingDate and bookingTime are required", alternatives: [] };
+    }
+
+    const party = Math.max(1, parseInt(numberOfGuests, 10) || 1);
+    const maxParty = maxPartySize(venue);
+    if (party > maxParty) {
+        return { available: false, reason: "party_too_large", message: `We can seat at most ${maxParty} guests in one booking`, alternatives: [] };
+    }
+
+    const exclude = { bookingId: excludeBookingId, waitlistId: excludeWaitlistId };
+    const occupancy = await loadOccupancy(venue, day, exclude);
+
+    if (!allowPast && start <= pastCutoff(venue, day)) {
+        return {
+            available: false,
+            reason: "past",
+            message: `${minutesToTime(start)} on ${day.format("YYYY-MM-DD")} has already passed`,
+            alternatives: await findAlternatives(venue, day, start, party, occupancy, exclude)
+        };
+    }
+
+    if (!isWithinHours(venue, day, start)) {
+        return {
+            available: false,
+            reason: "closed",
+            message: `We are not taking bookings at ${minutesToTime(start)} on ${day.format("YYYY-MM-DD")}`,
+            alternatives: await findAlternatives(venue, day, start, party, occupancy, exclude)
+        };
+    }
+
+    const tableIds = allocate(venue, freeTables(venue, occupancy, start, start + venue.diningMinutes), party);
+    if (tableIds) {
+        return { available: true, date: day.format("YYYY-MM-DD"), time: minutesToTime(start), tableIds };
+    }
+
+    return {
+        available: false,
+        reason: "slot_full",
+        message: `No table for ${party} at ${minutesToTime(start)} on ${day.format("YYYY-MM-DD")}`,
+        alternatives: await findAlternatives(venue, day, start, party, occupancy, exclude)
+    };
+}
+
+/**
+ * Per-slot free capacity for one venue-local day.
+ * maxParty is the largest party that could still be seated at that slot.
+ */
+async function getAvailabilityGrid(date, venue = defaultVenue) {
+    const day = toDay(date, venue.timezone);
+    if (!day) return null;
+    const occupancy = await loadOccupancy(venue, day);
+    const slots = slotsForDay(venue, day).map(t => {
+        const free = freeTables(venue, occupancy, t, t + venue.diningMinutes);
+        const freeSeats = free.reduce((n, tb) => n + tb.seats, 0);
+        const maxParty = venue.allowTableJoining ? freeSeats : Math.max(0, ...free.map(tb => tb.seats));
+        return { time: minutesToTime(t), freeTables: free.length, freeSeats, maxParty, available: free.length > 0 };
+    });
+    return {
+        date: day.format("YYYY-MM-DD"),
+        timezone: venue.timezone,
+        slotMinutes: venue.slotMinutes,
+        diningMinutes: venue.diningMinutes,
+        totalSeats: venue.tables.reduce((n, t) => n + t.seats, 0),
+        open: slots.length > 0,
+        slots
+    };
+}
+
+// Serialise check-then-save per venue day so two concurrent requests can't take the same table
+const dayLocks = new Map();
+function withDayLock(bookingDate, fn, venue = defaultVenue) {
+    const day = toDay(bookingDate, venue.timezone);
+    const key = `${venue.id}|${day ? day.format("YYYY-MM-DD") : "unknown"}`;
+    const prev = dayLocks.get(key) || Promise.resolve();
+    const run = prev.then(() => fn());
+    const tail = run.catch(() => { });
+    dayLocks.set(key, tail);
+    tail.then(() => { if (dayLocks.get(key) === tail) dayLocks.delete(key); });
+    return run;
+}
+
+module.exports = {
+    checkAvailability,
+    getAvailabilityGrid,
+    withDayLock,
+    timeToMinutes,
+    minutesToTime,
+    INACTIVE_STATUSES
+};
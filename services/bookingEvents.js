@@ -0,0 +1,91 @@
+// File: services/bookingEvents.js
+// In-process feed of booking changes for live screens (GET /api/events, the host dashboard).
+// Published next to the guest notifications, so bookings made by voice, the web page, the API or a
+// waitlist offer all show up: booking.created, booking.updated, booking.status (seated, completed,
+// no-show, ...), booking.cancelled and booking.deleted.
+// Events live in this process only; the last REPLAY_SIZE are kept so a reconnecting client
+// (Last-Event-ID) catches up on what it missed.
+
+const { EventEmitter } = require("events");
+const moment = require("moment-timezone");
+const restaurants = require("./restaurantService");
+
+const REPLAY_SIZE = 500;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // one listener per open dashboard
+
+let lastId = 0;
+const recent = [];
+
+function toObject(booking) {
+    return booking && typeof booking.toObject === "function" ? booking.toObject() : { ...booking };
+}
+
+/**
+ * Publish one event. type: created | updated | status | cancelled | deleted; extra is merged into the
+ * event (transition, changes). Never throws: a failing listener must not fail the booking request.
+ */
+function publish(type, booking, venue, extra = {}) {
+    try {
+        const o = toObject(booking);
+        delete o._id;
+        delete o.__v;
+        const fallback = restaurants.defaultVenue();
+        const restaurantId = o.restaurantId || fallback.id;
+        // Without a venue only the default restaurant's timezone is known
+        const tz = venue ? venue.timezone : restaurantId === fallback.id ? fallback.timezone : null;
+        o.bookingDateLocal = o.bookingDate && tz ? moment.utc(o.bookingDate).tz(tz).format() : null;
+        const event = { id: ++lastId, type: `booking.${type}`, restaurantId, at: new Date().toISOString(), booking: o, ...extra };
+        recent.push(event);
+        if (recent.length > REPLAY_SIZE) recent.shift();
+        emitter.emit("event", event);
+        return event;
+    } catch (err) {
+        console.error(`bookingEvents.publish(${type}) error`, err);
+        return null;
+    }
+}
+
+/**
+ * Call listener(event) for every new event of this venue, and onClose() when the feed shuts down.
+ * Returns the unsubscribe function.
+ */
+function subscribe(venue, listener, onClose = () => { }) {
+    const onEvent = event => {
+        if (event.restaurantId !== venue.id) return;
+        try {
+            listener(event);
+        } catch (err) {
+            console.error("bookingEvents listener error", err);
+        }
+    };
+    emitter.on("event", onEvent);
+    emitter.on("close", onClose);
+    return () => {
+        emitter.off("event", onEvent);
+        emitter.off("close", onClose);
+    };
+}
+
+// Server shutdown: tell every subscriber to finish (open streams end so the server can close)
+function close() {
+    emitter.emit("close");
+}
+
+/**
+ * Events of this venue published after sinceId, oldest first. null when sinceId is older than the
+ * replay buffer (or from before a restart): the client has to reload instead.
+ */
+function eventsSince(venue, sinceId) {
+    const since = parseInt(sinceId, 10);
+    if (!Number.isInteger(since) || since < 0 || since > lastId) return null;
+    if (since < lastId && (!recent.length || recent[0].id > since + 1)) return null;
+    return recent.filter(e => e.id > since && e.restaurantId === venue.id);
+}
+
+function lastEventId() {
+    return lastId;
+}
+
+module.exports = { publish, subscribe, close, eventsSince, lastEventId, REPLAY_SIZE };
@@ -0,0 +1,510 @@
+// File: services/bookingService.js
+// Create-booking logic shared by POST /api/bookings and the conversation engine:
+// field normalization, availability check, weather-based seating, preview and save.
+// createBooking resolves to { status, body } where body is the API's { success, ... } envelope.
+
+const moment = require("moment-timezone");
+const repos = require("../repositories");
+const availability = require("./availabilityService");
+const bookingStatus = require("./bookingStatus");
+const restaurants = require("./restaurantService");
+const parsing = require("../shared/parsing");
+const notifications = require("./notificationService");
+const bookingEvents = require("./bookingEvents");
+const { randomUUID, randomInt } = require("crypto");
+
+// Try to load weatherService (optional)
+let weatherService = null;
+try {
+    weatherService = require("./weatherService");
+} catch (e) {
+    console.warn("[bookings] weatherService not available:", e && e.message ? e.message : e);
+    weatherService = null;
+}
+
+// Helper: coerce to safe string
+function asString(x) {
+    if (x === undefined || x === null) return "";
+    if (typeof x === "string") return x.trim();
+    if (typeof x === "number" || typeof x === "boolean" || typeof x === "bigint") return String(x);
+    try { return JSON.stringify(x); } catch (e) { return String(x); }
+}
+
+// Parse booking date: interpret input in the venue timezone (the default venue's by default) and return a Date (UTC) for storage
+function parseBookingDate(value, timezone = restaurants.defaultVenue().timezone, lang) {
+    if (!value) return null;
+    if (value instanceof Date && !isNaN(value)) return value;
+    const raw = String(value).trim();
+    // Try YYYY-MM-DD or ISO as venue-local
+    const m = moment.tz(raw, ["YYYY-MM-DD", moment.ISO_8601], timezone);
+    if (m && m.isValid()) return m.toDate(); // Date object (UTC)
+    // Spoken/free-form dates ("tomorrow", "21st March", "next Friday", "20 अगस्त" with lang hi-IN)
+    const spoken = parsing.parseDate(raw, { timezone, lang });
+    if (spoken.value) return moment.tz(spoken.value, "YYYY-MM-DD", timezone).toDate();
+    // fallback to Date constructor (not for YYYY-MM-DD: it rolls 2026-02-30 over into March)
+    if (/^\d{4}-\d{1,2}-\d{1,2}$/.test(raw)) return null;
+    const d = new Date(raw);
+    if (!isNaN(d)) return d;
+    return null;
+}
+
+const EMAIL_RE = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+
+// Booking references: 6 characters without look-alikes (0/O, 1/I/L) so they survive being read out on a call
+const REF_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const REF_LENGTH = 6;
+
+// isTaken: ref -> truthy when already used (waitlist codes pass their own check)
+async function generateBookingRef(isTaken = ref => repos.bookings.findOne({ bookingRef: ref })) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+        let ref = "";
+        for (let i = 0; i < REF_LENGTH; i++) ref += REF_ALPHABET[randomInt(REF_ALPHABET.length)];
+        if (!(await isTaken(ref))) return ref;
+    }
+    throw new Error("could not allocate a unique booking reference");
+}
+
+// "ab3 k7q", "A B three K seven Q" -> "AB3K7Q" (null when it can't be a reference)
+function normalizeBookingRef(value) {
+    const s = parsing.digitizeNumberWords(String(value || "").toLowerCase())
+        .replace(/\b(my|booking|reference|ref|number|code|is|it's|its|the)\b/g, " ")
+        .replace(/[^a-z0-9]/g, "")
+        .toUpperCase();
+    return s.length === REF_LENGTH ? s : null;
+}
+
+// Find a booking by its spoken reference or its full bookingId (within one restaurant when a venue is given)
+async function findBookingByReference(value, { venue = null } = {}) {
+    const raw = asString(value);
+    if (!raw) return null;
+    const scope = venue ? { restaurantId: restaurants.bookingScope(venue) } : {};
+    const ref = normalizeBookingRef(raw);
+    if (ref) {
+        const byRef = await repos.bookings.findOne({ ...scope, bookingRef: ref });
+        if (byRef) return byRef;
+    }
+    return repos.bookings.findOne({ ...scope, bookingId: raw });
+}
+
+// ---------- Duplicate detection ----------
+
+// DUPLICATE_POLICY: "block" (default) refuses a likely duplicate unless allowDuplicate is sent,
+// "flag" saves it but reports the match, "off" skips the check
+function duplicatePolicy() {
+    const p = String(process.env.DUPLICATE_POLICY || "block").toLowerCase();
+    return ["block", "flag", "off"].includes(p) ? p : "block";
+}
+
+function phoneDigits(value) {
+    const d = String(value || "").replace(/\D/g, "");
+    return d.length >= 7 ? d.slice(-10) : null;
+}
+
+function lowerTrim(value) {
+    const s = String(value || "").trim().toLowerCase();
+    return s || null;
+}
+
+// Same name, phone (last 10 digits) or email
+function isSameGuest(a, b) {
+    const name = lowerTrim(a.customerName);
+    const phone = phoneDigits(a.contactPhone);
+    const email = lowerTrim(a.contactEmail);
+    return !!((name && lowerTrim(b.customerName) === name)
+        || (phone && phoneDigits(b.contactPhone) === phone)
+        || (email && lowerTrim(b.contactEmail) === email));
+}
+
+/**
+ * Active bookings on the same venue day for the same guest (same name, phone or email)
+ * whose dining window overlaps the requested time.
+ */
+async function findPossibleDuplicates({ customerName, contactPhone, contactEmail, bookingDate, bookingTime }, { excludeBookingId, venue = restaurants.defaultVenue() } = {}) {
+    const start = availability.timeToMinutes(bookingTime);
+    if (!bookingDate || start === null) return [];
+    const guest = { customerName, contactPhone, contactEmail };
+    if (!lowerTrim(customerName) && !phoneDigits(contactPhone) && !lowerTrim(contactEmail)) return [];
+
+    const day = moment.utc(bookingDate).tz(venue.timezone);
+    const q = {
+        restaurantId: restaurants.bookingScope(venue),
+        bookingDate: { $gte: day.clone().startOf("day").toDate(), $lte: day.clone().endOf("day").toDate() },
+        status: { $in: bookingStatus.STATUS_GROUPS.active }
+    };
+    if (excludeBookingId) q.bookingId = { $ne: excludeBookingId };
+    const sameDay = await repos.bookings.find(q);
+
+    return sameDay.filter(b => {
+        if (!isSameGuest(guest, b)) return false;
+        const other = availability.timeToMinutes(b.bookingTime);
+        return other !== null && Math.abs(other - start) < venue.diningMinutes;
+    }).map(b => ({
+        bookingId: b.bookingId,
+        bookingRef: b.bookingRef || null,
+        customerName: b.customerName,
+        numberOfGuests: b.numberOfGuests,
+        bookingDate: moment.utc(b.bookingDate).tz(venue.timezone).format("YYYY-MM-DD"),
+        bookingTime: b.bookingTime,
+        status: b.status
+    }));
+}
+
+function duplicateResponse(duplicates) {
+    const first = duplicates[0];
+    return {
+        success: false,
+        error: "possible_duplicate",
+        message: `${first.customerName} already has a table for ${first.numberOfGuests} at ${first.bookingTime} on ${first.bookingDate}`,
+        duplicates,
+        hint: "Send allowDuplicate: true to book another table anyway"
+    };
+}
+
+// Summarize suggestion into compact category/text
+function summarizeSuggestion(condition, rainProb) {
+    const cond = (condition || "").toString().toLowerCase();
+    const pop = Number(rainProb || 0);
+    if (cond.includes("clear") || cond.includes("sun") || pop < 0.2) return { category: "good", text: "Good for outdoor dining" };
+    if (cond.includes("rain") || pop >= 0.4) return { category: "bad", text: "Rain likely — indoor seating recommended" };
+    return { category: "moderate", text: "Weather moderate — indoor recommended for safety" };
+}
+
+// Default minimal good weather (used when service unavailable or fails)
+function defaultGoodWeather(/* targetDate not needed */) {
+    return {
+        category: "good",
+        text: "Good for outdoor dining",
+        note: "default"
+    };
+}
+
+// Map an availability refusal onto the API error envelope
+function unavailableResponse(check) {
+    return {
+        success: false,
+        error: check.reason,
+        message: check.message,
+        alternatives: check.alternatives || []
+    };
+}
+
+// Accepts the API body (with its aliases: name, guests, date, time, cuisine, notes) and returns normalized fields.
+// Dates and times are read in the venue's timezone; the venue's location is the default weather location.
+function normalizeBookingInput(raw = {}, venue = restaurants.defaultVenue()) {
+    const customerName = asString(raw.customerName || raw.name || "");
+    const contactPhone = asString(raw.contactPhone || raw.phone || "");
+    const contactEmail = asString(raw.contactEmail || raw.email || "").toLowerCase();
+    // Spoken values are read in the language sent; without one, every locale pack is tried
+    const spokenIn = asString(raw.language || raw.lang || "") || undefined;
+    const language = spokenIn || (venue.voice && venue.voice.lang) || "";
+    const numberOfGuests = (typeof raw.numberOfGuests === "number")
+        ? raw.numberOfGuests
+        : (() => {
+            const s = asString(raw.numberOfGuests || raw.guests || raw.number || "");
+            const m = s.match(/\d+/);
+            if (m) return parseInt(m[0], 10);
+            const wn = parsing.wordsToNumber(s, { lang: spokenIn });
+            return wn || undefined;
+        })();
+
+    const bookingDateRaw = raw.bookingDate || raw.date || "";
+    const bookingDate = parseBookingDate(bookingDateRaw, venue.timezone, spokenIn) || null; // stored as UTC Date
+    const bookingTimeRaw = asString(raw.bookingTime || raw.time || "");
+    // "7:30 pm" / "half past seven" / "शाम साढ़े सात बजे" -> "19:30"; anything unreadable is kept as sent
+    const bookingTime = parsing.parseTime(bookingTimeRaw, { timezone: venue.timezone, lang: spokenIn }).value || bookingTimeRaw;
+    const cuisinePreference = asString(raw.cuisinePreference || raw.cuisine || "");
+    const specialRequests = asString(raw.specialRequests || raw.notes || "");
+    const location = raw.location || venue.location || null;
+
+    return {
+        customerName,
+        contactPhone,
+        contactEmail,
+        language,
+        numberOfGuests,
+        bookingDate,
+        bookingTime,
+        cuisinePreference,
+        specialRequests,
+        location,
+        clientProvidedDate: !!bookingDateRaw
+    };
+}
+
+// ---------- Weather lookup (compact minimal) ----------
+async function lookupSeating({ bookingDate, bookingTime, location, clientProvidedDate, timezone = restaurants.defaultVenue().timezone }) {
+    let compactWeather = null;
+    let weatherError = null;
+
+    if (!weatherService || !clientProvidedDate) {
+        compactWeather = defaultGoodWeather();
+        weatherError = { code: "skipped", message: "weather service not used; default suggestion returned" };
+    } else {
+        try {
+            const w = await weatherService.getWeatherForDate(bookingDate, location, { time: bookingTime, timezone });
+            // if service returns error shape
+            if (!w || w.error) {
+                compactWeather = defaultGoodWeather();
+                weatherError = { code: w && w.error ? w.error : "no_data", message: w && w.message ? w.message : "no usable weather data" };
+            } else {
+                // w may already be compact; unify shapes
+                const wi = w.weatherInfo ? w.weatherInfo : w;
+                const summary = summarizeSuggestion(wi.condition || wi.category || (wi.suggestion || ""), wi.rainProbability || wi.pop || 0);
+                compactWeather = {
+                    category: summary.category,
+                    text: summary.text,
+                    note: wi.note || (wi.source ? wi.source : null)
+                };
+            }
+        } catch (we) {
+            console.error("[bookings] weatherService threw:", we && we.message ? we.message : we);
+            compactWeather = defaultGoodWeather();
+            weatherError = { code: "exception", message: we && we.message ? we.message : String(we) };
+        }
+    }
+
+    // seating preference
+    const seatingPreference = (compactWeather && compactWeather.category === "good") ? "outdoor" : "indoor";
+    return { weatherInfo: compactWeather, seatingPreference, weatherError };
+}
+
+// Large parties can need a staff check before they're confirmed (venue.confirmationPartySize)
+function initialStatus(numberOfGuests, venue) {
+    return venue.confirmationPartySize && numberOfGuests >= venue.confirmationPartySize ? "pending" : "confirmed";
+}
+
+/**
+ * Preview or save a booking.
+ * options.preview: return the preview without saving; options.autoConfirm: with preview, save anyway.
+ * options.actor is recorded as the creator in statusHistory; options.venue (default: the default restaurant)
+ * decides timezone, tables and weather location.
+ * A booking that looks like a repeat of the same guest's active booking is refused with 409 possible_duplicate
+ * unless raw.allowDuplicate is true (see DUPLICATE_POLICY).
+ * options.waitlistId books the tables held for that waitlist offer (its hold doesn't count against it).
+ * Parties of the venue's confirmationPartySize or more are saved as "pending" for staff to confirm.
+ */
+async function createBooking(raw, { preview: previewOnly = false, autoConfirm: autoConfirmRequested = false, actor = "api", venue = restaurants.defaultVenue(), waitlistId = null } = {}) {
+    const input = normalizeBookingInput(raw || {}, venue);
+    const { customerName, contactPhone, contactEmail, language, numberOfGuests, bookingDate, bookingTime, cuisinePreference, specialRequests } = input;
+    const autoConfirm = previewOnly && autoConfirmRequested;
+    const allowDuplicate = raw && (raw.allowDuplicate === true || raw.allowDuplicate === "true");
+    const policy = duplicatePolicy();
+
+    // validate required fields for non-preview or autoConfirm
+    if (!previewOnly || autoConfirm) {
+        if (!customerName || !numberOfGuests || !bookingDate || !bookingTime) {
+            return { status: 400, body: { success: false, error: "missing_fields", message: "Required: customerName, numberOfGuests, bookingDate, bookingTime" } };
+        }
+    }
+    if (contactEmail && !EMAIL_RE.test(contactEmail)) {
+        return { status: 400, body: { success: false, error: "invalid_fields", message: "Invalid: contactEmail", fields: ["contactEmail"] } };
+    }
+
+    // ---------- Availability (tables, opening hours) ----------
+    const slotRequest = { bookingDate, bookingTime, numberOfGuests, excludeWaitlistId: waitlistId || undefined };
+    const canCheckSlot = !!(bookingDate && bookingTime && numberOfGuests);
+    const slotCheck = canCheckSlot ? await availability.checkAvailability(slotRequest, venue) : null;
+    if (slotCheck && !slotCheck.available && (!previewOnly || autoConfirm)) {
+        return { status: 409, body: unavailableResponse(slotCheck) };
+    }
+
+    const { weatherInfo, seatingPreference } = await lookupSeating({ ...input, timezone: venue.timezone });
+
+    // build preview object (venue-local date for display)
+    const bookingDateLocal = bookingDate ? moment.utc(bookingDate).tz(venue.timezone).format() : null;
+    const preview = {
+        restaurantId: venue.id,
+        customerName,
+        contactPhone,
+        contactEmail,
+        language,
+        numberOfGuests,
+        bookingDate: bookingDate ? bookingDate.toISOString() : null, // UTC stored ISO
+        bookingDateLocal,
+        bookingTime,
+        cuisinePreference,
+        specialRequests,
+        weatherInfo, // now minimal: { category, text, note? }
+        seatingPreference
+    };
+
+    // if preview only and not autoConfirm -> return preview
+    if (previewOnly && !autoConfirm) {
+        const possibleDuplicates = policy === "off" ? [] : await findPossibleDuplicates(input, { venue });
+        return { status: 200, body: { success: true, preview, availability: slotCheck, possibleDuplicates } };
+    }
+
+    // Save booking (autoConfirm or normal save).
+    // Re-check inside the day lock so a concurrent request can't take the same table in between.
+    const saveResult = await availability.withDayLock(bookingDate, async () => {
+        const check = await availability.checkAvailability(slotRequest, venue);
+        if (!check.available) return { check };
+        const duplicates = policy === "off" ? [] : await findPossibleDuplicates(input, { venue });
+        if (duplicates.length && policy === "block" && !allowDuplicate) return { check, duplicates };
+        const status = initialStatus(numberOfGuests, venue);
+        const booking = repos.bookings.build({
+            bookingId: randomUUID(),
+            bookingRef: await generateBookingRef(),
+            restaurantId: venue.id,
+            customerName,
+            contactPhone,
+            contactEmail,
+            language,
+            numberOfGuests,
+            bookingDate,
+            bookingTime,
+            cuisinePreference,
+            specialRequests,
+            weatherInfo,
+            seatingPreference,
+            tableIds: check.tableIds,
+            status,
+            statusHistory: [{ from: null, to: status, at: new Date(), actor, reason: waitlistId ? "waitlist offer accepted" : "created" }],
+            createdAt: new Date()
+        });
+        await booking.save();
+        return { check, booking, duplicates };
+    }, venue);
+    if (!saveResult.booking && saveResult.duplicates) return { status: 409, body: duplicateResponse(saveResult.duplicates) };
+    if (!saveResult.booking) return { status: 409, body: unavailableResponse(saveResult.check) };
+    const booking = saveResult.booking;
+    await notifications.bookingCreated(booking, venue);
+    bookingEvents.publish("created", booking, venue);
+
+    const saved = booking.toObject();
+    saved.bookingDateLocal = booking.bookingDate ? moment.utc(booking.bookingDate).tz(venue.timezone).format() : null;
+
+    const body = { success: true, booking: saved };
+    if (saveResult.duplicates.length) body.possibleDuplicates = saveResult.duplicates;
+    return { status: 201, body };
+}
+
+// ---------- Modification ----------
+
+const EDITABLE_FIELDS = {
+    customerName: ["customerName", "name"],
+    contactPhone: ["contactPhone", "phone"],
+    contactEmail: ["contactEmail", "email"],
+    language: ["language", "lang"],
+    numberOfGuests: ["numberOfGuests", "guests", "number"],
+    bookingDate: ["bookingDate", "date"],
+    bookingTime: ["bookingTime", "time"],
+    cuisinePreference: ["cuisinePreference", "cuisine"],
+    specialRequests: ["specialRequests", "notes"]
+};
+const SLOT_FIELDS = ["numberOfGuests", "bookingDate", "bookingTime"];
+
+function comparable(value) {
+    if (value === undefined || value === null || value === "") return null;
+    if (value instanceof Date) return value.toISOString();
+    return value;
+}
+
+/**
+ * Apply a partial update to an existing booking.
+ * Only fields present in raw (API names or their aliases) are touched; they go through the same
+ * normalization as createBooking. Guests/date/time changes re-run the availability check (ignoring
+ * this booking's own tables) and date/time changes re-run the weather seating recommendation.
+ * options.changedBy is recorded in changeHistory; options.venue limits the lookup to that restaurant.
+ * Resolves to { status, body }, plus released: [the booking as it was] when a guests/date/time change
+ * freed tables, for the caller to hand to waitlistService.promoteAfterRelease.
+ */
+async function modifyBooking(bookingId, raw, { changedBy = "api", venue = restaurants.defaultVenue() } = {}) {
+    raw = raw || {};
+    const present = Object.keys(EDITABLE_FIELDS).filter(f => EDITABLE_FIELDS[f].some(k => raw[k] !== undefined));
+    if (!present.length) {
+        return { status: 400, body: { success: false, error: "no_changes", message: `Provide at least one of: ${Object.keys(EDITABLE_FIELDS).join(", ")}` } };
+    }
+
+    const scoped = { bookingId, restaurantId: restaurants.bookingScope(venue) };
+    const existing = await repos.bookings.findOne(scoped);
+    if (!existing) return { status: 404, body: { success: false, error: "not_found" } };
+    if (bookingStatus.FINAL_STATUSES.includes(existing.status)) {
+        return { status: 409, body: { success: false, error: "not_modifiable", message: `A ${existing.status} booking can't be changed` } };
+    }
+
+    const input = normalizeBookingInput(raw, venue);
+    const invalid = [];
+    if (present.includes("customerName") && !input.customerName) invalid.push("customerName");
+    if (present.includes("numberOfGuests") && !(Number.isInteger(input.numberOfGuests) && input.numberOfGuests >= 1)) invalid.push("numberOfGuests");
+    if (present.includes("bookingDate") && !input.bookingDate) invalid.push("bookingDate");
+    if (present.includes("bookingTime") && availability.timeToMinutes(input.bookingTime) === null) invalid.push("bookingTime");
+    if (present.includes("contactEmail") && input.contactEmail && !EMAIL_RE.test(input.contactEmail)) invalid.push("contactEmail");
+    if (invalid.length) {
+        return { status: 400, body: { success: false, error: "invalid_fields", message: `Invalid: ${invalid.join(", ")}`, fields: invalid } };
+    }
+
+    const next = {};
+    for (const f of Object.keys(EDITABLE_FIELDS)) next[f] = present.includes(f) ? input[f] : existing[f];
+    const changes = present
+        .filter(f => comparable(next[f]) !== comparable(existing[f]))
+        .map(f => ({ field: f, from: comparable(existing[f]), to: comparable(next[f]) }));
+
+    if (!changes.length) {
+        const unchanged = existing.toObject();
+        unchanged.bookingDateLocal = unchanged.bookingDate ? moment.utc(unchanged.bookingDate).tz(venue.timezone).format() : null;
+        return { status: 200, body: { success: true, booking: unchanged, changes: [] } };
+    }
+
+    const slotChanged = changes.some(c => SLOT_FIELDS.includes(c.field));
+    const whenChanged = changes.some(c => c.field === "bookingDate" || c.field === "bookingTime");
+    const seating = whenChanged
+        ? await lookupSeating({ bookingDate: next.bookingDate, bookingTime: next.bookingTime, location: input.location, clientProvidedDate: true, timezone: venue.timezone })
+        : null;
+
+    const saveResult = await availability.withDayLock(next.bookingDate, async () => {
+        let check = null;
+        if (slotChanged) {
+            check = await availability.checkAvailability({
+                bookingDate: next.bookingDate,
+                bookingTime: next.bookingTime,
+                numberOfGuests: next.numberOfGuests,
+                excludeBookingId: bookingId,
+                // a party that is already seated (its time has passed) can still change its size
+                allowPast: !whenChanged
+            }, venue);
+            if (!check.available) return { check };
+        }
+        const booking = await repos.bookings.findOne(scoped);
+        if (!booking) return {};
+        Object.assign(booking, next);
+        if (check) booking.tableIds = check.tableIds;
+        if (seating) {
+            if (seating.seatingPreference !== booking.seatingPreference) {
+                changes.push({ field: "seatingPreference", from: booking.seatingPreference || null, to: seating.seatingPreference });
+            }
+            booking.weatherInfo = seating.weatherInfo;
+            booking.seatingPreference = seating.seatingPreference;
+        }
+        booking.changeHistory = [...(booking.changeHistory || []), { changedAt: new Date(), changedBy, changes }];
+        await booking.save();
+        return { booking };
+    }, venue);
+    if (saveResult.check) return { status: 409, body: unavailableResponse(saveResult.check) };
+    if (!saveResult.booking) return { status: 404, body: { success: false, error: "not_found" } };
+    await notifications.bookingUpdated(saveResult.booking, venue);
+    bookingEvents.publish("updated", saveResult.booking, venue, { changes });
+
+    const saved = saveResult.booking.toObject();
+    saved.bookingDateLocal = saved.bookingDate ? moment.utc(saved.bookingDate).tz(venue.timezone).format() : null;
+    const out = { status: 200, body: { success: true, booking: saved, changes } };
+    if (slotChanged) out.released = [existing.toObject()];
+    return out;
+}
+
+module.exports = {
+    createBooking,
+    findPossibleDuplicates,
+    isSameGuest,
+    modifyBooking,
+    EDITABLE_FIELDS,
+    findBookingByReference,
+    generateBookingRef,
+    EMAIL_RE,
+    normalizeBookingRef,
+    normalizeBookingInput,
+    lookupSeating,
+    parseBookingDate,
+    summarizeSuggestion,
+    asString
+};
@@ -0,0 +1,157 @@
+// File: services/bookingStatus.js
+// Booking status lifecycle: pending -> confirmed -> seated -> completed, with cancelled and
+// no-show as side exits. Every transition is checked against TRANSITIONS and appended to the
+// booking's statusHistory with the actor, reason and time.
+
+const Booking = require("../models/Booking");
+const repos = require("../repositories");
+const { bookingScope, getVenue, defaultVenue } = require("./restaurantService");
+const notifications = require("./notificationService");
+const bookingEvents = require("./bookingEvents");
+const availability = require("./availabilityService");
+
+const { STATUSES, INACTIVE_STATUSES } = Booking;
+
+// Allowed next states per state; anything else is an illegal transition
+const TRANSITIONS = {
+    pending: ["confirmed", "cancelled"],
+    confirmed: ["seated", "cancelled", "no-show"],
+    seated: ["completed"],
+    completed: [],
+    cancelled: [],
+    "no-show": ["seated"] // a late party that turns up after all, if a table is still free
+};
+
+// Names accepted by the list/count filters in place of a single status
+const STATUS_GROUPS = {
+    active: ["pending", "confirmed", "seated"],
+    upcoming: ["pending", "confirmed"],
+    closed: ["completed", "cancelled", "no-show"]
+};
+
+// Can't be edited through PATCH /:id or the voice change flow
+const FINAL_STATUSES = ["completed", "cancelled", "no-show"];
+
+function isValidStatus(status) {
+    return STATUSES.includes(status);
+}
+
+function allowedTransitions(from) {
+    return TRANSITIONS[from] || [];
+}
+
+function canTransition(from, to) {
+    return allowedTransitions(from).includes(to);
+}
+
+/**
+ * Query-string status filter -> Mongo condition.
+ * Accepts a status ("seated"), a group ("active") or a comma list ("confirmed,seated").
+ * Returns undefined for no filter and null when a value isn't a known status or group.
+ */
+function statusFilter(value) {
+    if (value === undefined || value === null || value === "") return undefined;
+    const wanted = new Set();
+    for (const part of String(value).split(",").map(s => s.trim().toLowerCase()).filter(Boolean)) {
+        if (STATUS_GROUPS[part]) STATUS_GROUPS[part].forEach(s => wanted.add(s));
+        else if (isValidStatus(part)) wanted.add(part);
+        else return null;
+    }
+    const list = [...wanted];
+    return list.length === 1 ? list[0] : { $in: list };
+}
+
+function invalidStatusResponse(status) {
+    return {
+        success: false,
+        error: "invalid_status",
+        message: `Unknown status "${status}". Use one of: ${STATUSES.join(", ")}`,
+        allowed: STATUSES
+    };
+}
+
+// A no-show's tables go back to the waitlist (routes/bookings.js), so a party that turns up late is
+// seated only if a table is still free at its time, possibly not the one it had. save runs under the
+// day lock once tableIds are set.
+async function reseat(booking, venue, save) {
+    const where = venue || (await getVenue(booking.restaurantId)) || defaultVenue();
+    return availability.withDayLock(booking.bookingDate, async () => {
+        const check = await availability.checkAvailability({
+            bookingDate: booking.bookingDate,
+            bookingTime: booking.bookingTime,
+            numberOfGuests: booking.numberOfGuests,
+            excludeBookingId: booking.bookingId,
+            allowPast: true
+        }, where);
+        if (check.available) {
+            booking.tableIds = check.tableIds;
+            await save();
+        }
+        return check;
+    }, where);
+}
+
+/**
+ * Move a booking to another status.
+ * options: { actor, reason, venue }. Resolves to { status, body } like the other booking services:
+ * 400 invalid_status, 404 not_found, 409 illegal_transition (with the allowed next states), or 409 slot_full /
+ * closed when a no-show can't be seated again because its table has been given away.
+ */
+async function transitionBooking(bookingId, to, { actor = "api", reason = null, venue = null } = {}) {
+    const target = String(to || "").trim().toLowerCase();
+    if (!isValidStatus(target)) return { status: 400, body: invalidStatusResponse(to) };
+
+    const booking = await repos.bookings.findOne({ bookingId, restaurantId: bookingScope(venue) });
+    if (!booking) return { status: 404, body: { success: false, error: "not_found" } };
+
+    const from = booking.status || "confirmed";
+    if (!canTransition(from, target)) {
+        return {
+            status: 409,
+            body: {
+                success: false,
+                error: "illegal_transition",
+                message: from === target ? `Booking is already ${from}` : `Can't move a booking from ${from} to ${target}`,
+                from,
+                to: target,
+                allowed: allowedTransitions(from)
+            }
+        };
+    }
+
+    const record = () => {
+        booking.status = target;
+        booking.statusHistory = [...(booking.statusHistory || []), { from, to: target, at: new Date(), actor, reason }];
+        return booking.save();
+    };
+    if (INACTIVE_STATUSES.includes(from) && !INACTIVE_STATUSES.includes(target)) {
+        const check = await reseat(booking, venue, record);
+        if (!check.available) {
+            return {
+                status: 409,
+                body: { success: false, error: check.reason, message: `No table to seat this booking again: ${check.message}`, alternatives: check.alternatives || [] }
+            };
+        }
+    } else {
+        await record();
+    }
+    if (target === "cancelled") await notifications.bookingCancelled(booking, venue);
+    else if (from === "pending" && target === "confirmed") await notifications.bookingConfirmed(booking, venue);
+    else if (!STATUS_GROUPS.upcoming.includes(target)) await notifications.bookingClosed(booking);
+    bookingEvents.publish(target === "cancelled" ? "cancelled" : "status", booking, venue, { transition: { from, to: target } });
+    return { status: 200, body: { success: true, booking: booking.toObject(), transition: { from, to: target } } };
+}
+
+module.exports = {
+    STATUSES,
+    TRANSITIONS,
+    STATUS_GROUPS,
+    INACTIVE_STATUSES,
+    FINAL_STATUSES,
+    isValidStatus,
+    allowedTransitions,
+    canTransition,
+    statusFilter,
+    invalidStatusResponse,
+    transitionBooking
+};
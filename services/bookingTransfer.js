@@ -0,0 +1,251 @@
+// File: services/bookingTransfer.js
+// Bulk export (streamed CSV / NDJSON) and import of bookings.
+// Imported rows go through the same normalization as POST /api/bookings (aliases, spoken numbers and
+// dates, venue timezone, weather seating). Active bookings get tables from the availability engine; a row
+// that can't be seated is still imported (it already exists in the old system) with a no_table warning.
+// Imports never send guest notifications (live screens still see each imported booking).
+
+const moment = require("moment-timezone");
+const { once } = require("events");
+const { randomUUID } = require("crypto");
+const repos = require("../repositories");
+const availability = require("./availabilityService");
+const bookingService = require("./bookingService");
+const bookingEvents = require("./bookingEvents");
+const bookingStatus = require("./bookingStatus");
+const restaurants = require("./restaurantService");
+const csv = require("./csv");
+
+const FORMATS = ["csv", "ndjson"];
+const MAX_IMPORT_ROWS = 5000;
+
+// CSV columns, in order; the import reads the same names (and the POST /api/bookings aliases)
+const EXPORT_COLUMNS = [
+    "bookingId", "bookingRef", "restaurantId", "status", "customerName", "contactPhone", "contactEmail", "language",
+    "numberOfGuests", "bookingDate", "bookingTime", "cuisinePreference", "specialRequests", "seatingPreference",
+    "tableIds", "createdAt"
+];
+
+// ---------- Export ----------
+
+function exportRecord(o, venue) {
+    const { _id, __v, ...rest } = o;
+    return { ...rest, bookingDateLocal: o.bookingDate ? moment.utc(o.bookingDate).tz(venue.timezone).format() : null };
+}
+
+function exportCsvRow(o, venue) {
+    return csv.formatRow(EXPORT_COLUMNS.map(c => {
+        if (c === "bookingDate") return o.bookingDate ? moment.utc(o.bookingDate).tz(venue.timezone).format("YYYY-MM-DD") : "";
+        if (c === "tableIds") return (o.tableIds || []).join(" ");
+        return o[c];
+    }));
+}
+
+/**
+ * Write every booking matching query to res, one document at a time (the result set is never held in memory).
+ * Stops early when the client goes away. Resolves to the number of bookings written.
+ */
+async function streamExport(query, { res, format, venue, sort = "-createdAt" }) {
+    const cursor = repos.bookings.stream(query, { sort });
+    const write = async chunk => {
+        if (res.write(chunk)) return true;
+        await Promise.race([once(res, "drain"), once(res, "close")]);
+        return !res.destroyed;
+    };
+    let count = 0;
+    try {
+        if (format === "csv" && !await write(csv.formatRow(EXPORT_COLUMNS))) return count;
+        for await (const o of cursor) {
+            const chunk = format === "csv" ? exportCsvRow(o, venue) : JSON.stringify(exportRecord(o, venue)) + "\n";
+            if (!await write(chunk)) return count;
+            count++;
+        }
+        res.end();
+        return count;
+    } finally {
+        await cursor.close();
+    }
+}
+
+// ---------- Import ----------
+
+/**
+ * File text -> records ({ raw } or { error } per data row). Throws on a CSV that can't be parsed.
+ * NDJSON lines that aren't JSON objects become per-row errors so the rest of the file still imports.
+ */
+function parseImport(text, format) {
+    if (format === "csv") return csv.parseObjects(text).map(raw => ({ raw }));
+    return String(text || "").split(/\r?\n/).filter(line => line.trim()).map(line => {
+        try {
+            const raw = JSON.parse(line);
+            return raw && typeof raw === "object" && !Array.isArray(raw) ? { raw } : { error: "Each line must be a JSON object" };
+        } catch (err) {
+            return { error: `Invalid JSON: ${err.message}` };
+        }
+    });
+}
+
+// Same guest, same venue day, overlapping dining time: findPossibleDuplicates for rows a dry run
+// has accepted but not saved
+function overlapsPlanned(input, planned, venue) {
+    const day = moment.utc(input.bookingDate).tz(venue.timezone).format("YYYY-MM-DD");
+    const start = availability.timeToMinutes(input.bookingTime);
+    return planned.filter(a => a.day === day
+        && bookingService.isSameGuest(input, a.input)
+        && Math.abs(availability.timeToMinutes(a.input.bookingTime) - start) < venue.diningMinutes);
+}
+
+function splitTables(value) {
+    if (Array.isArray(value)) return value.map(String);
+    return String(value || "").split(/[\s,]+/).filter(Boolean);
+}
+
+async function importRow(raw, row, { venue, actor, dryRun, allowDuplicates, planned }) {
+    const input = bookingService.normalizeBookingInput(raw, venue);
+    const status = String(raw.status || "confirmed").trim().toLowerCase();
+    const errors = [];
+    const warnings = [];
+
+    // A date that was given but can't be read (2099-13-40) is invalid, not missing; an Invalid Date
+    // would pass a truthiness check and only fail when saved
+    const dateGiven = raw.bookingDate || raw.date;
+    for (const f of ["customerName", "numberOfGuests", "bookingDate", "bookingTime"]) {
+        if (f === "bookingDate" && dateGiven && (!input.bookingDate || isNaN(input.bookingDate))) errors.push({ field: f, error: "invalid", value: dateGiven });
+        else if (!input[f]) errors.push({ field: f, error: "missing" });
+    }
+    if (input.numberOfGuests && !(Number.isInteger(input.numberOfGuests) && input.numberOfGuests >= 1)) errors.push({ field: "numberOfGuests", error: "invalid" });
+    if (input.bookingTime && availability.timeToMinutes(input.bookingTime) === null) errors.push({ field: "bookingTime", error: "invalid", value: input.bookingTime });
+    if (input.contactEmail && !bookingService.EMAIL_RE.test(input.contactEmail)) errors.push({ field: "contactEmail", error: "invalid", value: input.contactEmail });
+    if (!bookingStatus.isValidStatus(status)) errors.push({ field: "status", error: "invalid", value: raw.status });
+    if (errors.length) return { status: "error", errors };
+
+    const bookingId = raw.bookingId ? String(raw.bookingId).trim() : null;
+    if (bookingId && await repos.bookings.findOne({ bookingId })) {
+        return { status: "duplicate", errors: [{ field: "bookingId", error: "exists", value: bookingId }] };
+    }
+
+    const active = bookingStatus.STATUS_GROUPS.active.includes(status);
+    if (active && !allowDuplicates) {
+        const duplicates = await bookingService.findPossibleDuplicates(input, { venue });
+        const inFile = dryRun ? overlapsPlanned(input, planned, venue).map(a => ({ row: a.row, customerName: a.input.customerName, bookingTime: a.input.bookingTime })) : [];
+        if (duplicates.length || inFile.length) return { status: "duplicate", duplicates: [...duplicates, ...inFile] };
+    }
+
+    // The old system's bookings keep their times, even ones that have passed
+    const slot = { bookingDate: input.bookingDate, bookingTime: input.bookingTime, numberOfGuests: input.numberOfGuests, allowPast: true };
+    if (active) {
+        const check = await availability.checkAvailability(slot, venue);
+        if (!check.available) warnings.push({ warning: "no_table", message: check.message });
+    }
+
+    let bookingRef = raw.bookingRef ? String(raw.bookingRef).trim().toUpperCase() : null;
+    if (bookingRef && await repos.bookings.findOne({ bookingRef })) {
+        warnings.push({ warning: "bookingRef_replaced", message: `Reference ${bookingRef} is already in use; a new one was issued` });
+        bookingRef = null;
+    }
+
+    const localDay = moment.utc(input.bookingDate).tz(venue.timezone).format("YYYY-MM-DD");
+    if (dryRun) {
+        if (active) planned.push({ row, day: localDay, input });
+        return {
+            status: "ok",
+            warnings,
+            booking: { customerName: input.customerName, numberOfGuests: input.numberOfGuests, bookingDate: localDay, bookingTime: input.bookingTime, status }
+        };
+    }
+
+    // Seating as for a new booking, unless the old system already recorded it
+    const seating = ["indoor", "outdoor"].includes(raw.seatingPreference)
+        ? { seatingPreference: raw.seatingPreference, weatherInfo: null }
+        : await bookingService.lookupSeating({ ...input, timezone: venue.timezone });
+    const createdAt = raw.createdAt && moment(raw.createdAt, moment.ISO_8601).isValid() ? moment(raw.createdAt, moment.ISO_8601).toDate() : new Date();
+
+    const booking = await availability.withDayLock(input.bookingDate, async () => {
+        let tableIds = splitTables(raw.tableIds);
+        if (active) {
+            const check = await availability.checkAvailability(slot, venue);
+            tableIds = check.available ? check.tableIds : [];
+        }
+        const doc = repos.bookings.build({
+            bookingId: bookingId || randomUUID(),
+            bookingRef: bookingRef || await bookingService.generateBookingRef(),
+            restaurantId: venue.id,
+            customerName: input.customerName,
+            contactPhone: input.contactPhone,
+            contactEmail: input.contactEmail,
+            language: input.language,
+            numberOfGuests: input.numberOfGuests,
+            bookingDate: input.bookingDate,
+            bookingTime: input.bookingTime,
+            cuisinePreference: input.cuisinePreference,
+            specialRequests: input.specialRequests,
+            weatherInfo: seating.weatherInfo,
+            seatingPreference: seating.seatingPreference,
+            tableIds,
+            status,
+            statusHistory: [{ from: null, to: status, at: new Date(), actor, reason: "imported" }],
+            createdAt
+        });
+        await doc.save();
+        return doc;
+    }, venue);
+    bookingEvents.publish("created", booking, venue);
+    return { status: "imported", warnings, bookingId: booking.bookingId, bookingRef: booking.bookingRef };
+}
+
+/**
+ * Import parsed records into a venue.
+ * options: { venue, actor, dryRun, allowDuplicates }. With dryRun nothing is written and each row reports
+ * what would happen. Rows are independent: errors and duplicates are skipped, the rest are saved.
+ * Resolves to { status, body } like the booking services.
+ */
+async function importBookings(records, { venue = restaurants.defaultVenue(), actor = "import", dryRun = false, allowDuplicates = false } = {}) {
+    if (!records.length) {
+        return { status: 400, body: { success: false, error: "empty_file", message: "No rows to import" } };
+    }
+    if (records.length > MAX_IMPORT_ROWS) {
+        return { status: 413, body: { success: false, error: "too_many_rows", message: `Import at most ${MAX_IMPORT_ROWS} rows at a time` } };
+    }
+
+    const planned = []; // dry run: active rows accepted so far, so a file can't duplicate itself
+    const rows = [];
+    for (let i = 0; i < records.length; i++) {
+        const row = i + 1;
+        const { raw, error } = records[i];
+        let result;
+        if (error) {
+            result = { status: "error", errors: [{ field: null, error: "unreadable", message: error }] };
+        } else {
+            try {
+                result = await importRow(raw, row, { venue, actor, dryRun, allowDuplicates, planned });
+            } catch (err) {
+                result = { status: "error", errors: [{ field: null, error: "server_error", message: err.message }] };
+            }
+        }
+        rows.push({ row, ...result });
+    }
+
+    const count = s => rows.filter(r => r.status === s).length;
+    return {
+        status: 200,
+        body: {
+            success: true,
+            dryRun,
+            total: rows.length,
+            valid: count(dryRun ? "ok" : "imported"),
+            imported: dryRun ? 0 : count("imported"),
+            duplicates: count("duplicate"),
+            failed: count("error"),
+            rows
+        }
+    };
+}
+
+module.exports = {
+    streamExport,
+    parseImport,
+    importBookings,
+    EXPORT_COLUMNS,
+    FORMATS,
+    MAX_IMPORT_ROWS
+};
@@ -0,0 +1,180 @@
+// File: services/calendarService.js
+// iCalendar (RFC 5545) output for bookings: one event per booking, in the venue's timezone.
+// The UID is the bookingId and SEQUENCE grows with every change or status move, so calendar clients
+// update the same event in place; cancelled bookings stay in the output as STATUS:CANCELLED.
+
+const moment = require("moment-timezone");
+
+const PRODID = "-//vaiu-voice-agent//Bookings//EN";
+
+// Booking status -> VEVENT STATUS
+const EVENT_STATUS = {
+    pending: "TENTATIVE",
+    cancelled: "CANCELLED"
+};
+
+// TEXT values: backslash, semicolon, comma and newlines are escaped (RFC 5545 3.3.11)
+function escapeText(value) {
+    return String(value == null ? "" : value)
+        .replace(/\\/g, "\\\\")
+        .replace(/;/g, "\\;")
+        .replace(/,/g, "\\,")
+        .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets continue on the next line after a space (RFC 5545 3.1), never splitting a character
+function foldLine(line) {
+    const out = [];
+    let current = "";
+    let size = 0;
+    for (const ch of line) {
+        const n = Buffer.byteLength(ch, "utf8");
+        if (size + n > (out.length ? 74 : 75)) {
+            out.push(current);
+            current = "";
+            size = 0;
+        }
+        current += ch;
+        size += n;
+    }
+    out.push(current);
+    return out.join("\r\n ");
+}
+
+function utcStamp(date) {
+    return moment.utc(date).format("YYYYMMDD[T]HHmmss[Z]");
+}
+
+function localStamp(m) {
+    return m.format("YYYYMMDD[T]HHmmss");
+}
+
+function formatOffset(minutes) {
+    const sign = minutes < 0 ? "-" : "+";
+    const abs = Math.abs(minutes);
+    return `${sign}${String(Math.floor(abs / 60)).padStart(2, "0")}${String(abs % 60).padStart(2, "0")}`;
+}
+
+// VTIMEZONE for tz covering [from, to]: the offset in force at `from`, then every transition up to `to`
+function vtimezone(tz, from, to) {
+    const zone = moment.tz.zone(tz);
+    const first = moment.tz(from, tz);
+    const lines = [
+        "BEGIN:VTIMEZONE",
+        `TZID:${tz}`,
+        `BEGIN:${first.isDST() ? "DAYLIGHT" : "STANDARD"}`,
+        "DTSTART:19700101T000000",
+        `TZOFFSETFROM:${formatOffset(first.utcOffset())}`,
+        `TZOFFSETTO:${formatOffset(first.utcOffset())}`,
+        `TZNAME:${first.zoneAbbr()}`,
+        `END:${first.isDST() ? "DAYLIGHT" : "STANDARD"}`
+    ];
+    for (const until of zone ? zone.untils : []) {
+        if (until <= from.valueOf() || until > to.valueOf() || !isFinite(until)) continue;
+        const before = moment.tz(until - 1, tz);
+        const after = moment.tz(until, tz);
+        const kind = after.isDST() ? "DAYLIGHT" : "STANDARD";
+        lines.push(
+            `BEGIN:${kind}`,
+            `DTSTART:${localStamp(moment.utc(until).utcOffset(before.utcOffset()))}`,
+            `TZOFFSETFROM:${formatOffset(before.utcOffset())}`,
+            `TZOFFSETTO:${formatOffset(after.utcOffset())}`,
+            `TZNAME:${after.zoneAbbr()}`,
+            `END:${kind}`
+        );
+    }
+    lines.push("END:VTIMEZONE");
+    return lines;
+}
+
+// Venue-local start of the booking, or null when the booking has no usable date/time
+function bookingStart(booking, venue) {
+    if (!booking.bookingDate || !/^\d{1,2}:\d{2}$/.test(booking.bookingTime || "")) return null;
+    const day = moment(booking.bookingDate).tz(venue.timezone).format("YYYY-MM-DD");
+    const start = moment.tz(`${day} ${booking.bookingTime}`, "YYYY-MM-DD HH:mm", venue.timezone);
+    return start.isValid() ? start : null;
+}
+
+function lastModified(booking) {
+    const times = [booking.createdAt]
+        .concat((booking.changeHistory || []).map(c => c.changedAt))
+        .concat((booking.statusHistory || []).map(s => s.at))
+        .filter(Boolean)
+        .map(t => new Date(t).getTime());
+    return times.length ? new Date(Math.max(...times)) : new Date();
+}
+
+/**
+ * VEVENT lines for one booking (empty when it has no date/time).
+ * options.staff adds what hosts need (guest name in the summary, tables, contact details).
+ */
+function bookingEvent(booking, venue, { staff = false } = {}) {
+    const start = bookingStart(booking, venue);
+    if (!start) return [];
+    const end = start.clone().add(venue.diningMinutes, "minutes");
+    const status = booking.status || "confirmed";
+    const guests = booking.numberOfGuests;
+
+    const summary = staff
+        ? `${booking.customerName || "Guest"} (${guests})${status === "confirmed" ? "" : ` - ${status}`}`
+        : `Table for ${guests} at ${venue.name}`;
+    const details = [
+        `Party of ${guests}`,
+        booking.bookingRef ? `Booking reference: ${booking.bookingRef}` : null,
+        booking.specialRequests ? `Special requests: ${booking.specialRequests}` : null,
+        booking.cuisinePreference ? `Cuisine: ${booking.cuisinePreference}` : null
+    ];
+    if (staff) {
+        details.push(
+            `Status: ${status}`,
+            booking.tableIds && booking.tableIds.length ? `Tables: ${booking.tableIds.join(", ")}` : null,
+            booking.seatingPreference ? `Seating: ${booking.seatingPreference}` : null,
+            booking.contactPhone ? `Phone: ${booking.contactPhone}` : null,
+            booking.contactEmail ? `Email: ${booking.contactEmail}` : null
+        );
+    }
+
+    return [
+        "BEGIN:VEVENT",
+        `UID:${booking.bookingId}`,
+        `DTSTAMP:${utcStamp(new Date())}`,
+        booking.createdAt ? `CREATED:${utcStamp(booking.createdAt)}` : null,
+        `LAST-MODIFIED:${utcStamp(lastModified(booking))}`,
+        `SEQUENCE:${(booking.changeHistory || []).length + Math.max(0, (booking.statusHistory || []).length - 1)}`,
+        `DTSTART;TZID=${venue.timezone}:${localStamp(start)}`,
+        `DTEND;TZID=${venue.timezone}:${localStamp(end)}`,
+        `SUMMARY:${escapeText(summary)}`,
+        `DESCRIPTION:${escapeText(details.filter(Boolean).join("\n"))}`,
+        `LOCATION:${escapeText(venue.name)}`,
+        `STATUS:${EVENT_STATUS[status] || "CONFIRMED"}`,
+        "TRANSP:OPAQUE",
+        "END:VEVENT"
+    ].filter(Boolean);
+}
+
+/**
+ * A VCALENDAR document (CRLF line endings) for a list of bookings of one venue.
+ * options: { name } for the calendar's display name, { staff } as in bookingEvent.
+ */
+function buildCalendar(bookings, venue, { name = venue.name, staff = false } = {}) {
+    const starts = bookings.map(b => bookingStart(b, venue)).filter(Boolean);
+    const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        `PRODID:${PRODID}`,
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH",
+        `X-WR-CALNAME:${escapeText(name)}`,
+        `X-WR-TIMEZONE:${venue.timezone}`
+    ];
+    if (starts.length) {
+        const from = moment.min(starts);
+        const to = moment.max(starts).clone().add(venue.diningMinutes, "minutes");
+        lines.push(...vtimezone(venue.timezone, from, to));
+    }
+    for (const booking of bookings) lines.push(...bookingEvent(booking, venue, { staff }));
+    lines.push("END:VCALENDAR");
+    return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+module.exports = { buildCalendar, bookingEvent, escapeText, foldLine };
@@ -0,0 +1,66 @@
+// File: services/csv.js
+// RFC 4180 CSV: quoted cells may hold commas, quotes ("") and line breaks. Used by the booking
+// export/import and report downloads.
+
+function formatCell(value) {
+    if (value === null || value === undefined) return "";
+    const s = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** One CSV line (with CRLF) from a list of values */
+function formatRow(values) {
+    return values.map(formatCell).join(",") + "\r\n";
+}
+
+/**
+ * CSV text -> array of rows (arrays of strings). Blank lines are skipped.
+ * Throws on an unterminated quoted cell.
+ */
+function parse(text) {
+    const s = String(text || "").replace(/^\uFEFF/, "");
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let quoted = false;
+    let i = 0;
+    while (i < s.length) {
+        const ch = s[i];
+        if (quoted) {
+            if (ch === '"' && s[i + 1] === '"') { cell += '"'; i += 2; continue; }
+            if (ch === '"') { quoted = false; i++; continue; }
+            cell += ch;
+            i++;
+            continue;
+        }
+        if (ch === '"' && cell === "") { quoted = true; i++; continue; }
+        if (ch === ",") { row.push(cell); cell = ""; i++; continue; }
+        if (ch === "\r" || ch === "\n") {
+            row.push(cell);
+            if (row.length > 1 || row[0] !== "") rows.push(row);
+            row = [];
+            cell = "";
+            i += ch === "\r" && s[i + 1] === "\n" ? 2 : 1;
+            continue;
+        }
+        cell += ch;
+        i++;
+    }
+    if (quoted) throw new Error("unterminated quoted cell");
+    row.push(cell);
+    if (row.length > 1 || row[0] !== "") rows.push(row);
+    return rows;
+}
+
+/** CSV text with a header line -> array of objects keyed by the (trimmed) header names */
+function parseObjects(text) {
+    const [header, ...rows] = parse(text);
+    if (!header) return [];
+    const keys = header.map(h => h.trim());
+    return rows.map(cells => keys.reduce((o, k, i) => {
+        if (k && cells[i] !== undefined && cells[i] !== "") o[k] = cells[i];
+        return o;
+    }, {}));
+}
+
+module.exports = { formatCell, formatRow, parse, parseObjects };
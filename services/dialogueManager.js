@@ -0,0 +1,640 @@
+// File: services/dialogueManager.js
+// Server-side booking dialogue: slot filling, re-prompts on parse failure, corrections
+// ("no, make it 6 people"), alternative slots when full, and a final confirm step that
+// saves through bookingService. "I want to change my booking" looks a booking up by its reference
+// and runs the same amend/confirm steps against it. Text in, text out — channels (browser, phone) only do speech I/O.
+// A full slot can also be waited for: "put me on the waitlist" joins it through waitlistService.
+
+const moment = require("moment-timezone");
+const { randomUUID } = require("crypto");
+const bookingService = require("./bookingService");
+const availability = require("./availabilityService");
+const parsing = require("../shared/parsing");
+const nlu = require("./nluService");
+const { FINAL_STATUSES } = require("./bookingStatus");
+const restaurants = require("./restaurantService");
+const waitlist = require("./waitlistService");
+
+const SLOT_ORDER = ["customerName", "numberOfGuests", "bookingDate", "bookingTime", "cuisinePreference", "specialRequests", "contact"];
+const REQUIRED_SLOTS = ["customerName", "numberOfGuests", "bookingDate", "bookingTime"];
+const MAX_ATTEMPTS = 3;
+const MAX_GUESTS = parsing.MAX_GUESTS;
+const MIN_CONFIDENCE = nlu.MIN_CONFIDENCE;
+const SESSION_TTL_MS = 30 * 60 * 1000;
+
+// ---------- Prompts ----------
+// The prompts per language live in the locale packs (shared/locales/*.js); the intents below add
+// each pack's own words for yes, no, stop, etc.
+const YES_RE = nlu.intentRegex("yes", "\\b(yes|yeah|yep|yup|sure|ok|okay|confirm|correct|right|book it|go ahead|please do)\\b");
+const NO_RE = nlu.intentRegex("no", "\\b(no|nope|nah|not really|wrong)\\b");
+const STOP_RE = nlu.intentRegex("stop", "\\b(stop|cancel|quit|never ?mind|forget it)\\b");
+// A bare yes to "Any preferred cuisine?" means "yes, I have one", not a cuisine called "yes"
+const YES_ONLY_RE = nlu.intentRegex("yes", "(?:yes|yeah|yep|yup|sure|ok|okay|of course|definitely|i do|we do)(?:,?\\s*(?:please|i do|we do))?", { anchored: true });
+const YES_LEAD_RE = /^(?:yes|yeah|yep|sure|ok|okay)[,.!]?\s+(?:(?:please|i'd like|we'd like|i would like|we would like)\s+)?/i;
+const NONE_RE = nlu.intentRegex("none", "no|none|nothing|nope|no preference|anything|any|nah|not really|that's all|no thanks|no thank you|skip|skip it", { anchored: true });
+const WAITLIST_RE = nlu.intentRegex("waitlist", "\\b(wait ?list|waiting list|put me on the list)\\b");
+const CORRECTION_RE = nlu.intentRegex("correction", "^(no|nope|actually|sorry|wait|oops|oh)\\b|\\b(make it|change|instead|rather)\\b");
+
+function joinOr(items, word) {
+    if (items.length <= 1) return items.join("");
+    return `${items.slice(0, -1).join(", ")} ${word} ${items[items.length - 1]}`;
+}
+
+function packFor(lang) {
+    return parsing.localePack(lang).prompts;
+}
+
+// "Friday, 21 August" / "शुक्रवार, 21 अगस्त"
+function speakDate(yyyyMmDd, lang) {
+    const m = moment.utc(yyyyMmDd, "YYYY-MM-DD", true);
+    if (!m.isValid()) return yyyyMmDd;
+    return new Intl.DateTimeFormat(lang || "en-IN", { weekday: "long", day: "numeric", month: "long", timeZone: "UTC" }).format(m.toDate());
+}
+
+// "PYWAJ7" -> "P Y W A J 7" so speech engines read it letter by letter
+function spellOut(code) {
+    return String(code).split("").join(" ");
+}
+
+// Phone numbers are read digit by digit; emails as they are
+function speakContact(contact) {
+    return bookingService.EMAIL_RE.test(contact) ? contact : spellOut(contact.replace(/^\+/, ""));
+}
+
+// "7:30 PM" / "शाम 7:30 बजे"
+function speakTime(hhmm, lang) {
+    const m = moment(hhmm, "HH:mm");
+    return m.isValid() ? parsing.localePack(lang).speakTime(m.hours(), m.minutes()) : hhmm;
+}
+
+// ---------- Slot parsers (utterance -> value, or undefined when unreadable) ----------
+
+// Shared-parser result -> value, treating low-confidence parses ("evening", a past date) as unreadable
+function confident(parsed) {
+    return parsed.value != null && parsed.confidence >= MIN_CONFIDENCE ? parsed.value : undefined;
+}
+
+function capitalizeWords(s) {
+    return s.replace(/\b([a-z])/g, c => c.toUpperCase());
+}
+
+const SLOT_PARSERS = {
+    customerName(text, session) {
+        const marked = nlu.nameBeforeMarker(text, session.lang);
+        if (marked) return capitalizeWords(marked);
+        const s = parsing.localize(text, session.lang).replace(/^(no|actually|sorry|wait)[,.!]?\s+/i, "").replace(/^(my name is|name is|the name is|it's|it is|this is|i am|i'm|under|book it under|call me)\s+/i, "")
+            .replace(/[.!?]+$/, "").trim();
+        if (!s || s.split(/\s+/).length > 5) return undefined;
+        return capitalizeWords(s);
+    },
+    numberOfGuests(text, session) {
+        return confident(parsing.parsePartySize(text, { lang: session.lang }));
+    },
+    bookingDate(text, session) {
+        return confident(parsing.parseDate(text, { timezone: session.timezone, lang: session.lang }));
+    },
+    bookingTime(text, session) {
+        return confident(parsing.parseTime(text, { timezone: session.timezone, lang: session.lang }));
+    },
+    cuisinePreference(text) {
+        if (NONE_RE.test(text.trim())) return "";
+        if (YES_ONLY_RE.test(text.trim())) return undefined;
+        return text.replace(/[.!]+$/, "").trim().replace(YES_LEAD_RE, "").replace(/,?\s+please$/i, "") || undefined;
+    },
+    specialRequests(text) {
+        return NONE_RE.test(text.trim()) ? "" : text.replace(/[.!]+$/, "").trim();
+    },
+    // "priya at gmail dot com" -> "priya@gmail.com"; "nine eight four five..." / "double nine" -> digits
+    contact(text, session) {
+        const t = text.trim().toLowerCase().replace(/[.!?]+$/, "")
+            .replace(/^((my|the|it's|it is)\s+)?((phone|mobile|email|e-mail|mail|contact)\s+)?((number|address|id)\s+)?(is\s+|:\s*)?/, "");
+        if (NONE_RE.test(t)) return "";
+        if (/@|\bat\b.*\bdot\b/.test(t)) {
+            const email = t.replace(/\s+at\s+/g, "@").replace(/\s+dot\s+/g, ".").replace(/\s+underscore\s+/g, "_")
+                .replace(/\s+(dash|hyphen)\s+/g, "-").replace(/\s+/g, "");
+            return bookingService.EMAIL_RE.test(email) ? email : undefined;
+        }
+        const spoken = parsing.digitizeNumberWords(parsing.localize(t, session.lang))
+            .replace(/\b(double|triple)\s+(\d)\b/g, (m, k, d) => d.repeat(k === "double" ? 2 : 3));
+        const digits = spoken.replace(/[^\d]/g, "");
+        if (digits.length < 7 || digits.length > 15 || /[a-z]/.test(spoken.replace(/\b(plus|and)\b/g, ""))) return undefined;
+        return (/^\s*(\+|plus\b)/.test(spoken) ? "+" : "") + digits;
+    }
+};
+
+// The contact slot holds a phone number or an email; only the kind given is sent, so changing one
+// keeps the other on the booking
+function contactFields(contact) {
+    if (!contact) return {};
+    return bookingService.EMAIL_RE.test(contact) ? { contactEmail: contact } : { contactPhone: contact };
+}
+
+// Session slots -> booking fields for bookingService
+function bookingFields(session) {
+    const { contact, ...fields } = session.slots;
+    return { ...fields, ...contactFields(contact) };
+}
+
+// Work out which slot a correction ("no, make it 6 people", "change the time to 8 pm") refers to
+function parseCorrection(text, session) {
+    // read in English: "6 लोग कर दो" -> "6 people", "समय 8 बजे" -> "time 8 o'clock"
+    const s = parsing.localize(text, session.lang).toLowerCase().replace(/^(no|nope|actually|sorry|wait|oops|oh)[,.!]?\s*/, "");
+    const hasTimeMarker = /\b(am|pm|a\.m\.|p\.m\.|o'?clock|time|evening|night|noon)\b|\d{1,2}:\d{2}/.test(s);
+    const hasGuestMarker = /\b(people|persons|person|guests|guest|pax|of us|seats|heads)\b/.test(s);
+
+    const contactMatch = s.match(/\b(?:phone(?: number)?|mobile|email(?: address)?|e-mail|contact)\s+(?:to|is|as)?\s*(.+)$/i);
+    if (contactMatch && !hasGuestMarker) {
+        const contact = SLOT_PARSERS.contact(contactMatch[1], session);
+        if (contact) return { slot: "contact", value: contact };
+    }
+
+    const nameMatch = s.match(/\b(?:name is|name to|under|call me|it's for|for mr\.?|for ms\.?)\s+([a-z][a-z .'-]*)$/i);
+    if (nameMatch && !hasGuestMarker && !hasTimeMarker) {
+        return { slot: "customerName", value: capitalizeWords(nameMatch[1].trim()) };
+    }
+    if (hasGuestMarker) {
+        const n = SLOT_PARSERS.numberOfGuests(s, session);
+        if (n !== undefined) return { slot: "numberOfGuests", value: n };
+    }
+    if (hasTimeMarker) {
+        const t = SLOT_PARSERS.bookingTime(s, session);
+        if (t !== undefined) return { slot: "bookingTime", value: t };
+    }
+    const date = SLOT_PARSERS.bookingDate(s, session);
+    if (date !== undefined) return { slot: "bookingDate", value: date };
+    const cuisine = s.match(/\b(?:cuisine|food)\s+(?:to|is|as)?\s*([a-z][a-z -]*)$/i) || s.match(/^([a-z][a-z -]*?)\s+(?:cuisine|food)(?: instead)?$/i);
+    if (cuisine) return { slot: "cuisinePreference", value: capitalizeWords(cuisine[1].trim()) };
+    const request = s.match(/\b(?:request|note|requests)\s+(?:to|is|as)?\s*(.+)$/i);
+    if (request) return { slot: "specialRequests", value: request[1].trim() };
+
+    // "make it 6" with nothing else: a bare small number is the party size
+    const bare = s.match(/\b(?:make it|for)\s+(\w+)$/);
+    if (bare) {
+        const n = parsing.extractNumber(bare[1]);
+        if (n != null && n >= 1 && n <= MAX_GUESTS) return { slot: "numberOfGuests", value: n };
+    }
+    return null;
+}
+
+// "the second one", "2", "7:30", "8 pm" -> index into alternatives (or -1)
+function pickAlternative(text, alternatives, lang) {
+    const t = String(text || "").toLowerCase();
+    const local = parsing.localePack(lang).ordinals;
+    const ordinals = [["first", "1st"], ["second", "2nd"], ["third", "3rd"]].map((words, i) => words.concat(local[i] || []));
+    for (let i = 0; i < alternatives.length && i < ordinals.length; i++) {
+        if (ordinals[i].some(w => new RegExp(`(^|[^a-z])${w}([^a-z]|$)`).test(t))) return i;
+    }
+    const spoken = parsing.parseTime(t, { lang }).value;
+    if (spoken) {
+        const [h, m] = spoken.split(":").map(x => parseInt(x, 10));
+        const idx = alternatives.findIndex(a => {
+            const [ah, am] = a.time.split(":").map(x => parseInt(x, 10));
+            return am === m && (ah === h || ah === h + 12); // "8" may mean 20:00
+        });
+        if (idx >= 0) return idx;
+    }
+    const n = parsing.extractNumber(t, { lang });
+    if (n != null && n >= 1 && n <= alternatives.length) return n - 1;
+    return -1;
+}
+
+// ---------- Session store ----------
+const sessions = new Map();
+
+function pruneSessions() {
+    const now = Date.now();
+    for (const [id, s] of sessions) if (now - s.updatedAt > SESSION_TTL_MS) sessions.delete(id);
+}
+
+function nextMissingSlot(session) {
+    return SLOT_ORDER.find(k => session.slots[k] === null) || null;
+}
+
+function missingRequired(session) {
+    return REQUIRED_SLOTS.filter(k => !session.slots[k]);
+}
+
+// Public view of a session, returned from every API call
+function serialize(session, prompt) {
+    return {
+        sessionId: session.id,
+        restaurantId: session.venue.id,
+        lang: session.lang,
+        mode: session.mode,
+        state: session.state,
+        expecting: session.expecting,
+        prompt,
+        slots: { ...session.slots },
+        missing: SLOT_ORDER.filter(k => session.slots[k] === null),
+        alternatives: session.alternatives || [],
+        attempts: session.attempts[session.expecting] || 0,
+        fallback: (session.attempts[session.expecting] || 0) >= MAX_ATTEMPTS ? "type" : null,
+        booking: session.booking || null,
+        waitlist: session.waitlist || null
+    };
+}
+
+// venue: the restaurant taking the call (default restaurant when omitted); its timezone reads dates.
+// contact: a phone number already known (a phone call's caller ID), so the guest isn't asked for one
+function createSession({ lang, venue = restaurants.defaultVenue(), contact } = {}) {
+    pruneSessions();
+    lang = lang || venue.voice.lang;
+    const session = {
+        id: randomUUID(),
+        lang,
+        venue,
+        timezone: venue.timezone,
+        mode: "create", // "modify" once the guest asks to change an existing booking
+        bookingId: null,
+        state: "collecting",
+        expecting: null,
+        slots: SLOT_ORDER.reduce((o, k) => { o[k] = null; return o; }, {}),
+        attempts: {},
+        alternatives: [],
+        slotCheckPending: false,
+        allowDuplicate: false,
+        waitlistSlot: null, // the full slot the guest can wait for, set when alternatives are offered
+        booking: null,
+        waitlist: null,
+        history: [],
+        createdAt: Date.now(),
+        updatedAt: Date.now()
+    };
+    if (contact) session.slots.contact = contact;
+    sessions.set(session.id, session);
+    const P = packFor(lang);
+    const prompt = `${P.greeting} ${askNext(session)}`;
+    session.history.push({ role: "agent", text: prompt });
+    return serialize(session, prompt);
+}
+
+function getSession(id) {
+    const s = sessions.get(id);
+    if (!s) return null;
+    if (Date.now() - s.updatedAt > SESSION_TTL_MS) { sessions.delete(id); return null; }
+    return s;
+}
+
+// ---------- Dialogue steps ----------
+
+// Move to the next missing slot (or to the confirm step) and return its prompt
+function askNext(session) {
+    const P = packFor(session.lang);
+    const slot = nextMissingSlot(session);
+    if (slot) {
+        session.state = "collecting";
+        session.expecting = slot;
+        return P[slot];
+    }
+    session.state = "confirming";
+    session.expecting = "confirmation";
+    return (session.mode === "modify" ? P.confirmChange : P.confirm)({
+        ...session.slots,
+        dateSpoken: speakDate(session.slots.bookingDate, session.lang),
+        timeSpoken: speakTime(session.slots.bookingTime, session.lang),
+        contactSpoken: session.slots.contact ? speakContact(session.slots.contact) : ""
+    });
+}
+
+function setSlot(session, slot, value) {
+    session.slots[slot] = value;
+    session.attempts[slot] = 0;
+    if (["numberOfGuests", "bookingDate", "bookingTime"].includes(slot)) {
+        session.slotCheckPending = true;
+        session.waitlistSlot = null;
+    }
+}
+
+// Copy confidently extracted fields into the session when the utterance held more than one of them.
+// Single-field answers go through the asked slot's own parser instead ("8" to "how many guests?" is 8 people, not 8 pm).
+function applyExtracted(session, extracted) {
+    const fields = SLOT_ORDER.filter(k => extracted.slots[k] !== null && extracted.slots[k] !== undefined);
+    if (fields.length < 2) return 0;
+    let applied = 0;
+    for (const k of fields) {
+        if (k === "numberOfGuests" && (extracted.slots[k] < 1 || extracted.slots[k] > MAX_GUESTS)) continue;
+        setSlot(session, k, extracted.slots[k]);
+        applied++;
+    }
+    return applied;
+}
+
+// Once guests/date/time are known (or changed), make sure the slot can be seated before going on
+async function checkSlotOrContinue(session, lead) {
+    const { numberOfGuests, bookingDate, bookingTime } = session.slots;
+    if (session.slotCheckPending && numberOfGuests && bookingDate && bookingTime) {
+        session.slotCheckPending = false;
+        const check = await availability.checkAvailability({ bookingDate, bookingTime, numberOfGuests, excludeBookingId: session.bookingId || undefined }, session.venue);
+        if (!check.available) return offerAlternatives(session, check, lead);
+    }
+    return joinPrompt(lead, askNext(session));
+}
+
+function offerAlternatives(session, check, lead) {
+    const P = packFor(session.lang);
+    const alts = check.alternatives || [];
+    if (check.reason === "party_too_large") {
+        session.slots.numberOfGuests = null;
+        return joinPrompt(lead, `${check.message}. ${askNext(session)}`);
+    }
+    // A full (not closed) slot can be waited for instead
+    const { numberOfGuests, bookingDate, bookingTime } = session.slots;
+    session.waitlistSlot = check.reason === "slot_full" && session.mode === "create" ? { numberOfGuests, bookingDate, bookingTime } : null;
+    const waitlistOption = session.waitlistSlot ? P.waitlistOption : "";
+    if (!alts.length) {
+        session.slots.bookingDate = null;
+        session.slots.bookingTime = null;
+        session.state = "collecting";
+        session.expecting = "bookingDate";
+        return joinPrompt(lead, P.noAlternatives(check.reason), waitlistOption);
+    }
+    session.alternatives = alts;
+    session.state = "choosing_alternative";
+    session.expecting = "alternative";
+    const options = alts.map(a => a.date === session.slots.bookingDate
+        ? speakTime(a.time, session.lang)
+        : P.slotOn(speakTime(a.time, session.lang), speakDate(a.date, session.lang)));
+    return joinPrompt(lead, P.alternatives(check.reason, joinOr(options, P.or)), waitlistOption);
+}
+
+// Put the guest on the waitlist for the full slot they asked for. Asks for a name and a contact first
+// when missing: the offer of a freed table goes out by SMS or email, so a skipped contact is asked again.
+async function joinWaitlist(session) {
+    const P = packFor(session.lang);
+    if (!session.slots.customerName) {
+        session.state = "waitlist_name";
+        session.expecting = "customerName";
+        return P.waitlistName;
+    }
+    if (!session.slots.contact) {
+        session.state = "waitlist_contact";
+        session.expecting = "contact";
+        return P.waitlistContact;
+    }
+    const wanted = session.waitlistSlot;
+    const result = await waitlist.joinWaitlist({
+        customerName: session.slots.customerName,
+        numberOfGuests: wanted.numberOfGuests,
+        bookingDate: wanted.bookingDate,
+        bookingTime: wanted.bookingTime,
+        specialRequests: session.slots.specialRequests || "",
+        ...contactFields(session.slots.contact),
+        language: session.lang
+    }, { venue: session.venue, actor: "voice" });
+    if (result.status === 201) {
+        const w = result.body.waitlist;
+        session.state = "done";
+        session.expecting = null;
+        session.waitlist = w;
+        session.waitlistSlot = null;
+        return P.waitlistJoined({ ...w, dateSpoken: speakDate(wanted.bookingDate, session.lang), timeSpoken: speakTime(w.bookingTime, session.lang), refSpoken: spellOut(w.waitlistRef) });
+    }
+    if (result.body.error === "slot_available") {
+        // Someone cancelled in the meantime: book the original slot the normal way
+        Object.assign(session.slots, wanted);
+        session.waitlistSlot = null;
+        session.alternatives = [];
+        return joinPrompt(P.slotFreed, askNext(session));
+    }
+    return joinPrompt(P.failed(result.body.message || result.body.error), repeatCurrent(session));
+}
+
+function joinPrompt(...parts) {
+    return parts.filter(Boolean).join(" ");
+}
+
+async function confirmAndSave(session) {
+    const P = packFor(session.lang);
+    const result = session.mode === "modify"
+        ? await bookingService.modifyBooking(session.bookingId, bookingFields(session), { changedBy: "voice", venue: session.venue })
+        : await bookingService.createBooking({ ...bookingFields(session), language: session.lang, allowDuplicate: session.allowDuplicate }, { actor: "voice", venue: session.venue });
+    if (result.status === 201 || (session.mode === "modify" && result.status === 200)) {
+        session.state = "done";
+        session.expecting = null;
+        session.booking = result.body.booking;
+        if (result.released) await waitlist.promoteAfterRelease(session.venue, result.released);
+        if (session.mode === "modify") return P.updated(session.booking);
+        const refSpoken = session.booking && session.booking.bookingRef ? spellOut(session.booking.bookingRef) : "";
+        return session.booking && session.booking.status === "pending" ? P.bookedPending(refSpoken) : P.booked(refSpoken);
+    }
+    if (result.status === 409 && result.body.error === "possible_duplicate") {
+        const d = result.body.duplicates[0];
+        session.state = "confirming_duplicate";
+        session.expecting = "duplicate";
+        return P.duplicate({ ...d, dateSpoken: speakDate(d.bookingDate, session.lang), timeSpoken: speakTime(d.bookingTime, session.lang) });
+    }
+    if (result.status === 409 && result.body.alternatives) {
+        return offerAlternatives(session, { reason: result.body.error, message: result.body.message, alternatives: result.body.alternatives });
+    }
+    session.state = "confirming";
+    session.expecting = "confirmation";
+    return joinPrompt(P.failed(result.body.message || result.body.error), P.confirmRetry);
+}
+
+// "I want to change my booking": switch to modify mode and ask for the booking reference
+async function startModification(session, text) {
+    session.mode = "modify";
+    session.state = "identifying";
+    session.expecting = "bookingRef";
+    const inline = text.match(/\b(?=[a-z]*\d)[a-z0-9]{6}\b/i);
+    if (inline) return identifyBooking(session, inline[0]);
+    const P = packFor(session.lang);
+    return joinPrompt(P.changeBooking, P.bookingRef);
+}
+
+// Look the booking up by the reference the guest read out and load it into the slots
+async function identifyBooking(session, text) {
+    const P = packFor(session.lang);
+    const booking = await bookingService.findBookingByReference(text, { venue: session.venue });
+    if (!booking) {
+        session.attempts.bookingRef = (session.attempts.bookingRef || 0) + 1;
+        return joinPrompt(P.retry.bookingRef, P.bookingRef);
+    }
+    if (FINAL_STATUSES.includes(booking.status)) {
+        session.attempts.bookingRef = (session.attempts.bookingRef || 0) + 1;
+        return joinPrompt(P.notModifiable(booking.status), P.bookingRef);
+    }
+    session.bookingId = booking.bookingId;
+    session.slots = {
+        customerName: booking.customerName || "",
+        numberOfGuests: booking.numberOfGuests,
+        bookingDate: moment.utc(booking.bookingDate).tz(session.timezone).format("YYYY-MM-DD"),
+        bookingTime: booking.bookingTime,
+        cuisinePreference: booking.cuisinePreference || "",
+        specialRequests: booking.specialRequests || "",
+        contact: booking.contactPhone || booking.contactEmail || ""
+    };
+    session.attempts.bookingRef = 0;
+    session.state = "amending";
+    session.expecting = "amendment";
+    return P.foundBooking({
+        ...session.slots,
+        dateSpoken: speakDate(session.slots.bookingDate, session.lang),
+        timeSpoken: speakTime(session.slots.bookingTime, session.lang)
+    });
+}
+
+/**
+ * Feed one utterance into a session. Empty text means the channel heard nothing.
+ * Resolves to the serialized session with the next prompt, or null for an unknown session.
+ */
+async function handleTurn(sessionId, utterance) {
+    const session = getSession(sessionId);
+    if (!session) return null;
+    session.updatedAt = Date.now();
+    const text = String(utterance || "").trim();
+    session.history.push({ role: "user", text });
+
+    const prompt = await respond(session, text);
+    session.history.push({ role: "agent", text: prompt });
+    return serialize(session, prompt);
+}
+
+async function respond(session, text) {
+    const P = packFor(session.lang);
+
+    if (session.state === "done") return P.done;
+    if (session.state === "cancelled") return P.cancelled;
+
+    if (!text) {
+        const key = session.expecting;
+        session.attempts[key] = (session.attempts[key] || 0) + 1;
+        return joinPrompt(P.noInput, repeatCurrent(session));
+    }
+
+    if (STOP_RE.test(text) && session.state !== "choosing_alternative") {
+        session.state = "cancelled";
+        session.expecting = null;
+        return P.cancelled;
+    }
+
+    if (session.state === "identifying") return identifyBooking(session, text);
+    if (session.waitlistSlot && WAITLIST_RE.test(text)) return joinWaitlist(session);
+    if (session.state === "waitlist_name") {
+        const name = SLOT_PARSERS.customerName(text, session);
+        if (name === undefined) {
+            session.attempts.customerName = (session.attempts.customerName || 0) + 1;
+            return joinPrompt(P.retry.customerName, P.waitlistName);
+        }
+        setSlot(session, "customerName", name);
+        return joinWaitlist(session);
+    }
+    if (session.state === "waitlist_contact") {
+        const contact = SLOT_PARSERS.contact(text, session);
+        if (!contact) {
+            session.attempts.contact = (session.attempts.contact || 0) + 1;
+            return contact === "" ? P.waitlistContactNeeded : joinPrompt(P.retry.contact, P.waitlistContact);
+        }
+        setSlot(session, "contact", contact);
+        return joinWaitlist(session);
+    }
+    if (session.mode === "create" && session.state === "collecting" && nlu.CHANGE_BOOKING_RE.test(text)) {
+        return startModification(session, text);
+    }
+
+    // A correction can arrive at any point; when it names a different slot, apply it and carry on
+    if (CORRECTION_RE.test(text) || session.state === "amending") {
+        const fix = parseCorrection(text, session);
+        if (fix) {
+            if (fix.slot === "numberOfGuests" && fix.value > MAX_GUESTS) return joinPrompt(P.tooManyGuests(MAX_GUESTS), repeatCurrent(session));
+            setSlot(session, fix.slot, fix.value);
+            session.alternatives = [];
+            return checkSlotOrContinue(session);
+        }
+        if (session.state === "amending") {
+            session.attempts.amend = (session.attempts.amend || 0) + 1;
+            return P.amendRetry;
+        }
+    }
+
+    if (session.state === "choosing_alternative") {
+        const idx = pickAlternative(text, session.alternatives, session.lang);
+        if (idx >= 0) {
+            const alt = session.alternatives[idx];
+            session.slots.bookingDate = alt.date;
+            session.slots.bookingTime = alt.time;
+            session.alternatives = [];
+            session.waitlistSlot = null;
+            session.slotCheckPending = false; // alternatives were free a moment ago; the save re-checks anyway
+            return askNext(session);
+        }
+        if (NO_RE.test(text)) {
+            session.alternatives = [];
+            session.slots.bookingTime = null;
+            return askNext(session);
+        }
+        return P.alternativesRetry;
+    }
+
+    if (session.state === "confirming_duplicate") {
+        if (YES_RE.test(text) && !NO_RE.test(text)) {
+            session.allowDuplicate = true;
+            return confirmAndSave(session);
+        }
+        if (NO_RE.test(text)) {
+            session.state = "done";
+            session.expecting = null;
+            return P.duplicateDeclined;
+        }
+        return P.duplicateRetry;
+    }
+
+    if (session.state === "confirming") {
+        if (YES_RE.test(text) && !NO_RE.test(text)) {
+            if (missingRequired(session).length) return askNext(session);
+            return confirmAndSave(session);
+        }
+        if (NO_RE.test(text)) {
+            session.state = "amending";
+            session.expecting = "amendment";
+            return P.amend;
+        }
+        return P.confirmRetry;
+    }
+
+    // collecting: a sentence carrying several fields ("table for four tomorrow at 8") fills them all at once
+    if (applyExtracted(session, nlu.extractBookingFields(text, { timezone: session.timezone, lang: session.lang }))) {
+        return checkSlotOrContinue(session);
+    }
+
+    // otherwise the answer is for the slot we asked about
+    const slot = session.expecting;
+    if (slot === "cuisinePreference" && YES_ONLY_RE.test(text.trim())) return P.whichCuisine;
+    const value = SLOT_PARSERS[slot](text, session);
+    if (value === undefined) {
+        session.attempts[slot] = (session.attempts[slot] || 0) + 1;
+        return joinPrompt(P.retry[slot] || P.noInput, P[slot]);
+    }
+    if (slot === "numberOfGuests" && value > MAX_GUESTS) {
+        session.attempts[slot] = (session.attempts[slot] || 0) + 1;
+        return joinPrompt(P.tooManyGuests(MAX_GUESTS), P[slot]);
+    }
+    setSlot(session, slot, value);
+    return checkSlotOrContinue(session);
+}
+
+function repeatCurrent(session) {
+    const P = packFor(session.lang);
+    if (session.state === "collecting" && session.expecting) return P[session.expecting];
+    if (session.state === "choosing_alternative") return P.alternativesRetry;
+    if (session.state === "amending") return P.amend;
+    if (session.state === "identifying") return P.bookingRef;
+    if (session.state === "confirming_duplicate") return P.duplicateRetry;
+    if (session.state === "waitlist_name") return P.waitlistName;
+    if (session.state === "waitlist_contact") return P.waitlistContact;
+    return askNext(session);
+}
+
+function describeSession(sessionId) {
+    const session = getSession(sessionId);
+    return session ? { ...serialize(session, null), history: session.history } : null;
+}
+
+module.exports = {
+    createSession,
+    handleTurn,
+    describeSession,
+    parseCorrection,
+    pickAlternative,
+    SLOT_ORDER
+};
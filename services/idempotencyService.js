@@ -0,0 +1,80 @@
+// File: services/idempotencyService.js
+// Idempotency-Key support: the first request with a key runs and its { status, body } is stored;
+// retries with the same key and payload get the stored response back instead of running again.
+
+const crypto = require("crypto");
+const repos = require("../repositories");
+
+const MAX_KEY_LENGTH = 255;
+// How long a retry waits for a concurrent first request (a double-click) before answering 409
+const IN_PROGRESS_WAIT_MS = 5000;
+const POLL_MS = 100;
+
+function hashPayload(payload) {
+    return crypto.createHash("sha256").update(JSON.stringify(payload || {})).digest("hex");
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isFinished(stored) {
+    return stored.responseStatus !== null && stored.responseStatus !== undefined;
+}
+
+// The stored key, once its first request has finished (or still unfinished after IN_PROGRESS_WAIT_MS)
+async function waitForResponse(scopedKey) {
+    const deadline = Date.now() + IN_PROGRESS_WAIT_MS;
+    for (;;) {
+        const existing = await repos.idempotencyKeys.findOne({ key: scopedKey });
+        if (!existing || isFinished(existing) || Date.now() >= deadline) return existing;
+        await sleep(POLL_MS);
+    }
+}
+
+/**
+ * Run fn() at most once per idempotency key.
+ * Resolves to { status, body, replayed }. Without a key fn() simply runs.
+ * 400 bad_idempotency_key for an over-long key, 422 idempotency_key_reused when the key was used with a
+ * different payload, 409 idempotency_in_progress if the first request is still running after a short wait.
+ * 5xx results are not stored, so the client can retry them with the same key.
+ */
+async function runIdempotent(key, { scope, payload }, fn) {
+    if (!key) return { ...(await fn()), replayed: false };
+    if (key.length > MAX_KEY_LENGTH) {
+        return { status: 400, body: { success: false, error: "bad_idempotency_key", message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` }, replayed: false };
+    }
+
+    const requestHash = hashPayload(payload);
+    const scopedKey = `${scope}:${key}`;
+    try {
+        await repos.idempotencyKeys.create({ key: scopedKey, scope, requestHash });
+    } catch (err) {
+        if (!err || err.code !== 11000) throw err;
+        const existing = await waitForResponse(scopedKey);
+        if (!existing) return runIdempotent(key, { scope, payload }, fn); // expired or failed between the insert and the read
+        if (existing.requestHash !== requestHash) {
+            return { status: 422, body: { success: false, error: "idempotency_key_reused", message: "This Idempotency-Key was already used with a different request body" }, replayed: false };
+        }
+        if (!isFinished(existing)) {
+            return { status: 409, body: { success: false, error: "idempotency_in_progress", message: "A request with this Idempotency-Key is still being processed" }, replayed: false };
+        }
+        return { status: existing.responseStatus, body: existing.responseBody, replayed: true };
+    }
+
+    let result;
+    try {
+        result = await fn();
+    } catch (err) {
+        await repos.idempotencyKeys.deleteOne({ key: scopedKey });
+        throw err;
+    }
+    if (result.status >= 500) await repos.idempotencyKeys.deleteOne({ key: scopedKey });
+    else await repos.idempotencyKeys.updateOne({ key: scopedKey }, { $set: { responseStatus: result.status, responseBody: result.body } });
+    return { ...result, replayed: false };
+}
+
+module.exports = {
+    runIdempotent,
+    hashPayload
+};
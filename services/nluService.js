@@ -0,0 +1,205 @@
+// File: services/nluService.js
+// One-shot utterance understanding: pulls every booking field it can out of a single sentence
+// ("Table for four under Priya tomorrow at 8, Italian, it's a birthday"). Used by the dialogue to
+// skip questions the guest already answered, and exposed as POST /api/nlu/parse.
+
+const parsing = require("../shared/parsing");
+const locales = require("../shared/locales");
+const { venue: configVenue } = require("../config/venue");
+
+const FIELDS = ["customerName", "numberOfGuests", "bookingDate", "bookingTime", "cuisinePreference", "specialRequests"];
+
+// Entities below this confidence are reported but not treated as answered
+const MIN_CONFIDENCE = 0.5;
+
+const CUISINES = [
+    "north indian", "south indian", "indo chinese", "pan asian", "middle eastern",
+    "indian", "italian", "chinese", "thai", "japanese", "korean", "mexican", "continental", "french", "spanish",
+    "mediterranean", "lebanese", "american", "asian", "mughlai", "punjabi", "bengali", "chettinad", "kerala",
+    "hyderabadi", "goan", "gujarati", "rajasthani", "seafood", "vegetarian", "vegan", "sushi", "pizza", "biryani"
+];
+const CUISINE_RE = new RegExp(`\\b(${CUISINES.join("|").replace(/ /g, "[\\s-]")})\\b(?:\\s+(?:food|cuisine))?`, "i");
+const CUISINE_PHRASE_RE = /\b([a-z]+)\s+(?:food|cuisine)\b/i;
+
+// Words that mark a clause as a special request
+const REQUEST_CUES = /\b(birthday|anniversary|proposal|celebrat\w*|surprise|cake|allerg\w*|gluten|nut[- ]free|lactose|dairy[- ]free|jain|wheelchair|high ?chair|pram|stroller|window|quiet|corner|balcony|candle\w*|decorat\w*|flowers?)\b/i;
+const REQUEST_FILLER = /^(?:and|also|plus|oh|please|note|it'?s|it is|its|we'?re|we are|we have|there'?s|there is|with|for)(?:\s+(?:a|an|our|my|the|some|celebrating))*\s+/i;
+
+// Ways a guest introduces their name; the name itself runs until a stop word
+const NAME_CUE_RE = /\b(my name is|name is|name's|under the name(?: of)?|under|in the name of|this is|i am|i'm|call me|for (?:mr|mrs|ms|miss|dr)\.?)\s+(?=(\S.*)$)/gi;
+// "I am" / "this is" also start sentences about the guest ("I am allergic to nuts"), so the word after
+// them has to look like a name: capitalised when the sentence has capitals, and never a word below
+const WEAK_NAME_CUE_RE = /^(?:i am|i'm|this is)$/i;
+const NOT_A_NAME = new Set([
+    "allergic", "intolerant", "vegetarian", "vegan", "diabetic", "pregnant", "disabled", "celiac", "coeliac",
+    "not", "just", "so", "very", "really", "also", "only", "still", "already", "sorry", "afraid", "sure", "fine", "ok", "okay",
+    "hungry", "happy", "excited", "interested", "late", "early", "free", "available", "back", "new", "alone", "urgent",
+    "going", "planning", "celebrating", "coming", "bringing", "hoping", "thinking", "wondering", "visiting", "staying",
+    "travelling", "traveling", "running", "getting", "having", "ringing", "phoning", "asking", "wanting", "needing"
+]);
+const NAME_STOP = new Set([
+    "today", "tomorrow", "tonight", "on", "at", "for", "and", "with", "this", "next", "please", "by", "around", "from", "in",
+    "table", "booking", "reservation", "people", "guests", "persons", "of", "to", "a", "the", "i", "we", "want", "would",
+    "monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday",
+    "january", "february", "march", "april", "may", "june", "july", "august", "september", "october", "november", "december",
+    "looking", "calling", "booking", "trying", "here", "speaking"
+]);
+
+// Party-size phrases; without one of these a number in the sentence is more likely a date or time
+const GUEST_CUE_RE = /\b(people|persons?|guests?|adults?|kids?|children|child|pax|of us|we are|we're|party of|table for|booking for|reservation for|just me|only me|myself|couple|me and|my (?:wife|husband|partner|family|friends?))\b/i;
+// Spans that hold date/time numbers, blanked out before reading the party size
+const TIME_SPAN_RE = /\b(?:at|around|about|by|till|until)\s+\d{1,2}(?::\d{2})?(?:\s*(?:am|pm|o'?clock))?\b|\b\d{1,2}(?::\d{2})?\s*(?:am|pm|a\.m\.|p\.m\.|o'?clock)\b|\b\d{1,2}:\d{2}\b|\b(?:half past|quarter past|quarter to)\s+\d{1,2}\b/gi;
+const DATE_SPAN_RE = /\b\d{1,2}(?:st|nd|rd|th)\b|\b\d{1,2}[\/.-]\d{1,2}(?:[\/.-]\d{2,4})?\b|\b\d{4}\b|\b\d{1,2}\s+(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\b|\b(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\s+\d{1,2}\b|\bin\s+\d+\s+days?\b/gi;
+
+/**
+ * An intent's English pattern plus every locale pack's words for it (intents in shared/locales/*.js),
+ * which match from the start of a word. anchored: the whole utterance must be one of them.
+ */
+function intentRegex(intent, english, { anchored = false } = {}) {
+    const local = Object.values(locales).map(pack => (pack.intents || {})[intent]).filter(Boolean);
+    if (anchored) return new RegExp(`^(?:${[english, ...local].join("|")})[.!]?$`, "iu");
+    return new RegExp([english, ...local.map(l => `(?<![\\p{L}\\p{M}])(?:${l})`)].join("|"), "iu");
+}
+
+const CHANGE_BOOKING_RE = intentRegex("changeBooking", "\\b(change|modify|update|move|reschedule|amend|edit)\\b.{0,20}\\b(booking|reservation)\\b");
+const BOOKING_INTENT_RE = intentRegex("booking", "\\b(book|booking|reserve|reservation|table|seat|dinner|lunch)\\b");
+
+function entity(value, confidence, ambiguity) {
+    return { value, confidence, ambiguity: ambiguity || [] };
+}
+
+function capitalizeWords(s) {
+    return s.replace(/\b([a-z])/g, c => c.toUpperCase());
+}
+
+function nameAfterCue(cue, rest, hasCapitals) {
+    const words = [];
+    for (const raw of rest.split(/\s+/)) {
+        const w = raw.replace(/[^\p{L}\p{M}.'-]/gu, "");
+        if (!w || NAME_STOP.has(w.toLowerCase())) break;
+        words.push(w);
+        if (/[,;.!?]$/.test(raw) || words.length === 3) break;
+    }
+    if (!words.length || parsing.extractNumber(words.join(" ")) != null) return null;
+    if (WEAK_NAME_CUE_RE.test(cue)) {
+        const first = words[0];
+        if (NOT_A_NAME.has(first.toLowerCase()) || REQUEST_CUES.test(first) || (hasCapitals && !/^\p{Lu}/u.test(first))) return null;
+    }
+    return capitalizeWords(words.join(" ").toLowerCase());
+}
+
+// The first cue followed by a name wins: "I am allergic to nuts, name is Priya" -> "Priya"
+function extractName(text) {
+    // a standalone "I" says nothing about whether the guest writes names with capitals
+    const hasCapitals = /\p{Lu}/u.test(text.replace(/\bI\b/g, ""));
+    for (const m of text.matchAll(NAME_CUE_RE)) {
+        const name = nameAfterCue(m[1], m[2], hasCapitals);
+        if (name) return entity(name, 0.85);
+    }
+    return null;
+}
+
+// Languages that put the name first ("प्रिया के नाम पर"): the name is the words just before one of the
+// pack's nameMarkers, back to a word the pack translates ("कल", "चार") or a comma
+function nameBeforeMarker(text, lang) {
+    const packs = lang ? [parsing.localePack(lang)] : Object.values(locales);
+    for (const pack of packs) {
+        if (!pack.nameMarkers) continue;
+        const m = String(text || "").normalize("NFC").match(new RegExp(`^(.*?)\\s*(?:${pack.nameMarkers})(?![\\p{L}\\p{M}])`, "u"));
+        if (!m) continue;
+        const words = [];
+        for (const raw of m[1].split(/\s+/).reverse()) {
+            const w = raw.replace(/[^\p{L}\p{M}.'-]/gu, "");
+            if (!w || /[,;!?।]$/.test(raw) || parsing.localize(w, pack.code) !== w) break;
+            words.unshift(w);
+            if (words.length === 3) break;
+        }
+        if (words.length) return words.join(" ");
+    }
+    return null;
+}
+
+function extractPartySize(text) {
+    if (!GUEST_CUE_RE.test(text)) return null;
+    const digits = parsing.digitizeNumberWords(text.toLowerCase());
+    const masked = digits.replace(TIME_SPAN_RE, " ").replace(DATE_SPAN_RE, " ");
+    const parsed = parsing.parsePartySize(masked);
+    return parsed.value != null && parsed.value >= 1 ? entity(parsed.value, parsed.confidence, parsed.ambiguity) : null;
+}
+
+function extractCuisine(text) {
+    const known = text.match(CUISINE_RE);
+    if (known) return entity(capitalizeWords(known[1].toLowerCase().replace(/-/g, " ")), 0.9);
+    const phrase = text.match(CUISINE_PHRASE_RE);
+    if (phrase && !["any", "some", "good", "the", "nice"].includes(phrase[1].toLowerCase())) return entity(capitalizeWords(phrase[1].toLowerCase()), 0.6);
+    return null;
+}
+
+// Clauses are kept in the guest's words; lang only helps spot the cues ("जन्मदिन है" -> birthday)
+function extractRequests(text, lang) {
+    const clauses = text.split(/[,;.!?।]|\b(?:and also|also|plus)\b/i).map(c => c.trim()).filter(c => REQUEST_CUES.test(parsing.localize(c, lang)));
+    if (!clauses.length) return null;
+    const notes = clauses.map(c => {
+        let s = c;
+        while (REQUEST_FILLER.test(s)) s = s.replace(REQUEST_FILLER, "");
+        return s.charAt(0).toUpperCase() + s.slice(1);
+    });
+    return entity(notes.join("; "), 0.8);
+}
+
+/**
+ * Extract every booking field found in one utterance.
+ * options: { timezone, now, lang }; timezone defaults to the default venue's, and lang reads that
+ * language through its locale pack. Resolves to
+ * { text, intent, entities: { field: { value, confidence, ambiguity } }, slots, missing, lowConfidence }
+ * where slots holds only the values confident enough to use, and missing lists fields not mentioned at all.
+ */
+function extractBookingFields(text, options = {}) {
+    const s = String(text || "").trim();
+    const tzOptions = { timezone: options.timezone || configVenue.timezone, now: options.now, lang: options.lang };
+    const entities = {};
+    // the English reading of the sentence ("कल शाम 7 बजे चार लोग" -> "tomorrow evening 7 o'clock 4 people")
+    const english = parsing.localize(s, options.lang);
+
+    const marked = nameBeforeMarker(s, options.lang);
+    const name = marked ? entity(marked, 0.85) : extractName(english);
+    if (name) entities.customerName = name;
+    const guests = extractPartySize(english);
+    if (guests) entities.numberOfGuests = guests;
+    const date = parsing.parseDate(s, tzOptions);
+    if (date.value) entities.bookingDate = entity(date.value, date.confidence, date.ambiguity);
+    const time = parsing.parseTime(s, tzOptions);
+    if (time.value) entities.bookingTime = entity(time.value, time.confidence, time.ambiguity);
+    const cuisine = extractCuisine(english);
+    if (cuisine) entities.cuisinePreference = cuisine;
+    const requests = extractRequests(s, options.lang);
+    if (requests) entities.specialRequests = requests;
+
+    const slots = {};
+    const lowConfidence = [];
+    for (const field of FIELDS) {
+        const e = entities[field];
+        if (!e) slots[field] = null;
+        else if (e.confidence >= MIN_CONFIDENCE) slots[field] = e.value;
+        else { slots[field] = null; lowConfidence.push(field); }
+    }
+    const found = Object.keys(entities).length;
+
+    return {
+        text: s,
+        intent: CHANGE_BOOKING_RE.test(s) ? "change_booking" : (BOOKING_INTENT_RE.test(s) || found >= 2 ? "book_table" : "unknown"),
+        entities,
+        slots,
+        missing: FIELDS.filter(f => !entities[f]),
+        lowConfidence
+    };
+}
+
+module.exports = {
+    extractBookingFields,
+    FIELDS,
+    MIN_CONFIDENCE,
+    CHANGE_BOOKING_RE,
+    intentRegex,
+    nameBeforeMarker
+};
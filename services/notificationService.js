@@ -0,0 +1,325 @@
+// File: services/notificationService.js
+// Guest notifications: a confirmation when a booking is made, an update when it changes, a cancellation,
+// a reminder REMINDER_HOURS_BEFORE (default 24) the booking, and waitlist offers.
+// Messages are queued in the Notification collection and delivered by a polling scheduler, so queued
+// and future messages survive restarts; failed sends are retried with backoff.
+// Transports per channel: email = "smtp" | "capture" | "none" (NOTIFY_EMAIL_TRANSPORT, default smtp when
+// SMTP_HOST is set), sms = "webhook" | "capture" | "none" (NOTIFY_SMS_TRANSPORT, default webhook when
+// SMS_WEBHOOK_URL is set). Text comes from services/notifications/templates.js in the guest's language.
+
+const moment = require("moment-timezone");
+const { randomUUID } = require("crypto");
+const repos = require("../repositories");
+const restaurants = require("./restaurantService");
+const templates = require("./notifications/templates");
+const { createSmtpTransport } = require("./notifications/smtpTransport");
+const { createWebhookTransport } = require("./notifications/webhookTransport");
+const { createCaptureTransport } = require("./notifications/captureTransport");
+
+const MAX_ATTEMPTS = 5;
+const RETRY_MINUTES = [1, 5, 15, 60]; // wait before the 2nd, 3rd, 4th and 5th attempt
+const POLL_INTERVAL_MS = (parseInt(process.env.NOTIFY_POLL_SECONDS, 10) || 30) * 1000;
+const STUCK_AFTER_MS = 10 * 60 * 1000; // a "sending" job this old was interrupted by a restart
+const BATCH_SIZE = 50;
+
+// Bookings still worth a reminder (the "upcoming" group in services/bookingStatus.js)
+const REMINDABLE_STATUSES = ["pending", "confirmed"];
+
+// ---------- Transport registry ----------
+const factories = {
+    smtp: createSmtpTransport,
+    webhook: createWebhookTransport,
+    capture: createCaptureTransport
+};
+
+const CHANNELS = {
+    email: { field: "contactEmail", transport: () => process.env.NOTIFY_EMAIL_TRANSPORT || (process.env.SMTP_HOST ? "smtp" : "none") },
+    sms: { field: "contactPhone", transport: () => process.env.NOTIFY_SMS_TRANSPORT || (process.env.SMS_WEBHOOK_URL ? "webhook" : "none") }
+};
+
+const transports = {};
+
+function registerTransport(name, factory) {
+    factories[name] = factory;
+}
+
+function createTransport(name, channel) {
+    if (name === "none") return null;
+    const factory = factories[name];
+    if (!factory) throw new Error(`unknown notification transport: ${name}`);
+    return factory({ channel });
+}
+
+function getTransport(channel) {
+    if (!(channel in transports)) transports[channel] = createTransport(CHANNELS[channel].transport(), channel);
+    return transports[channel];
+}
+
+// Accepts a transport name or an object implementing { name, send({ to, subject, text, type, bookingId }) }
+function setTransport(channel, t) {
+    if (!CHANNELS[channel]) throw new Error(`unknown notification channel: ${channel}`);
+    transports[channel] = typeof t === "string" ? createTransport(t, channel) : t;
+    return transports[channel];
+}
+
+// ---------- Queue ----------
+
+function reminderHours() {
+    const h = parseFloat(process.env.REMINDER_HOURS_BEFORE);
+    return isNaN(h) ? 24 : h;
+}
+
+// Addresses on a booking or waitlist entry that have a configured transport
+function recipients(o) {
+    return Object.keys(CHANNELS)
+        .map(channel => ({ channel, to: o[CHANNELS[channel].field] }))
+        .filter(r => r.to && getTransport(r.channel));
+}
+
+function bookingStart(booking, venue) {
+    const day = moment(booking.bookingDate).tz(venue.timezone).format("YYYY-MM-DD");
+    return moment.tz(`${day} ${booking.bookingTime}`, "YYYY-MM-DD HH:mm", venue.timezone);
+}
+
+async function enqueue(type, target, venue, { runAt = new Date(), waitlistId = null } = {}) {
+    const o = target && target.toObject ? target.toObject() : (target || {});
+    const jobs = [];
+    for (const { channel, to } of recipients(o)) {
+        const job = repos.notifications.build({
+            notificationId: randomUUID(),
+            type,
+            channel,
+            to,
+            language: o.language || (venue.voice && venue.voice.lang) || "en",
+            restaurantId: venue.id,
+            bookingId: waitlistId ? null : o.bookingId,
+            waitlistId,
+            runAt,
+            status: "pending",
+            createdAt: new Date()
+        });
+        await job.save();
+        jobs.push(job);
+    }
+    if (jobs.length && runAt <= new Date()) kick();
+    return jobs;
+}
+
+async function cancelPending(query) {
+    const jobs = await repos.notifications.find({ ...query, status: "pending" });
+    for (const job of jobs) {
+        job.status = "cancelled";
+        await job.save();
+    }
+    return jobs.length;
+}
+
+async function scheduleReminder(booking, venue) {
+    const hours = reminderHours();
+    if (!hours || !booking.bookingTime) return [];
+    const runAt = bookingStart(booking, venue).subtract(hours, "hours");
+    if (!runAt.isValid() || runAt.isSameOrBefore(moment())) return []; // booked too close to the time
+    return enqueue("reminder", booking, venue, { runAt: runAt.toDate() });
+}
+
+// Notifications must never fail the booking operation that triggered them
+function safely(name, fn) {
+    return async (...args) => {
+        try {
+            return await fn(...args);
+        } catch (err) {
+            console.error(`[notifications] ${name} failed:`, err && err.message ? err.message : err);
+            return [];
+        }
+    };
+}
+
+// ---------- Booking events (called by the booking services) ----------
+
+// Callers that don't have the venue at hand (status changes without a restaurant route) pass null
+async function venueOf(target, venue) {
+    return venue || (target.restaurantId && await restaurants.getVenue(target.restaurantId)) || restaurants.defaultVenue();
+}
+
+// A pending booking (waiting for staff) gets a "request received" message; the confirmation follows
+// from bookingConfirmed when staff confirm it
+const bookingCreated = safely("bookingCreated", async (booking, venue) => {
+    const jobs = await enqueue(booking.status === "pending" ? "request" : "confirmation", booking, venue);
+    return jobs.concat(await scheduleReminder(booking, venue));
+});
+
+const bookingConfirmed = safely("bookingConfirmed", async (booking, venue) => {
+    return enqueue("confirmation", booking, await venueOf(booking, venue));
+});
+
+const bookingUpdated = safely("bookingUpdated", async (booking, venue) => {
+    await cancelPending({ bookingId: booking.bookingId, type: "reminder" });
+    const jobs = await enqueue("update", booking, venue);
+    return jobs.concat(await scheduleReminder(booking, venue));
+});
+
+const bookingCancelled = safely("bookingCancelled", async (booking, venue) => {
+    await cancelPending({ bookingId: booking.bookingId });
+    return enqueue("cancellation", booking, await venueOf(booking, venue));
+});
+
+// Seated, completed, no-show or deleted: nothing more to remind about
+const bookingClosed = safely("bookingClosed", async booking => {
+    await cancelPending({ bookingId: booking.bookingId });
+    return [];
+});
+
+const waitlistOffered = safely("waitlistOffered", async (entry, venue) => {
+    return enqueue("waitlist_offer", entry, venue, { waitlistId: entry.waitlistId });
+});
+
+// ---------- Delivery ----------
+
+// Render the job from the current booking (or waitlist entry); null when it no longer applies
+async function renderJob(job) {
+    const venue = (await restaurants.getVenue(job.restaurantId)) || restaurants.defaultVenue();
+    const lang = job.language;
+    if (job.waitlistId) {
+        const entry = await repos.waitlist.findOne({ waitlistId: job.waitlistId });
+        if (!entry || entry.status !== "offered" || entry.offer.expiresAt <= new Date()) return null;
+        return templates.render(job.type, lang, {
+            customerName: entry.customerName,
+            numberOfGuests: entry.numberOfGuests,
+            dateText: templates.formatDate(entry.bookingDate, lang, venue.timezone),
+            timeText: templates.formatTime(entry.bookingDate, entry.offer.bookingTime, lang, venue.timezone),
+            expiresText: templates.formatTime(entry.offer.expiresAt, moment(entry.offer.expiresAt).tz(venue.timezone).format("HH:mm"), lang, venue.timezone),
+            waitlistRef: entry.waitlistRef,
+            restaurantName: venue.name
+        });
+    }
+    const booking = await repos.bookings.findOne({ bookingId: job.bookingId });
+    if (!booking) return null;
+    if (job.type === "reminder" && (!REMINDABLE_STATUSES.includes(booking.status || "confirmed") || bookingStart(booking, venue).isBefore(moment()))) return null;
+    return templates.render(job.type, lang, {
+        customerName: booking.customerName,
+        numberOfGuests: booking.numberOfGuests,
+        dateText: templates.formatDate(booking.bookingDate, lang, venue.timezone),
+        timeText: templates.formatTime(booking.bookingDate, booking.bookingTime, lang, venue.timezone),
+        bookingRef: booking.bookingRef || booking.bookingId,
+        restaurantName: venue.name
+    });
+}
+
+async function deliver(job) {
+    const transport = getTransport(job.channel);
+    const message = await renderJob(job);
+    job.lockedAt = null;
+    if (!message) {
+        job.status = "cancelled";
+        job.lastError = "no longer applies";
+    } else if (!transport) {
+        job.status = "failed";
+        job.lastError = `no transport configured for ${job.channel}`;
+    } else {
+        try {
+            const out = await transport.send({ ...message, to: job.to, type: job.type, bookingId: job.bookingId });
+            job.status = "sent";
+            job.sentAt = new Date();
+            job.transport = transport.name;
+            job.providerId = out && out.id ? String(out.id) : null;
+            job.subject = message.subject;
+            job.text = message.text;
+        } catch (err) {
+            job.lastError = err && err.message ? err.message : String(err);
+            if (job.attempts >= MAX_ATTEMPTS) {
+                job.status = "failed";
+            } else {
+                job.status = "pending";
+                job.runAt = moment().add(RETRY_MINUTES[Math.min(job.attempts, RETRY_MINUTES.length) - 1], "minutes").toDate();
+            }
+        }
+    }
+    await job.save();
+    return job;
+}
+
+// Claim one due job; the status flip makes sure two processes never send the same message
+function claimNext() {
+    const now = new Date();
+    return repos.notifications.findOneAndUpdate(
+        { status: "pending", runAt: { $lte: now } },
+        { $set: { status: "sending", lockedAt: now }, $inc: { attempts: 1 } },
+        { sort: { runAt: 1 } }
+    );
+}
+
+async function releaseStuck() {
+    const stuck = await repos.notifications.find({ status: "sending", lockedAt: { $lte: new Date(Date.now() - STUCK_AFTER_MS) } });
+    for (const job of stuck) {
+        job.status = "pending";
+        job.lockedAt = null;
+        await job.save();
+    }
+}
+
+/** Send every due message (up to limit). Resolves to the number of jobs processed. */
+async function runDue(limit = BATCH_SIZE) {
+    await releaseStuck();
+    let processed = 0;
+    while (processed < limit) {
+        const job = await claimNext();
+        if (!job) break;
+        await deliver(job);
+        processed++;
+    }
+    return processed;
+}
+
+// ---------- Scheduler ----------
+let timer = null;
+let running = false;
+let rerun = false;
+
+async function tick() {
+    if (running) { rerun = true; return; }
+    running = true;
+    try {
+        do {
+            rerun = false;
+            await runDue();
+        } while (rerun);
+    } catch (err) {
+        console.error("[notifications] scheduler run failed:", err && err.message ? err.message : err);
+    } finally {
+        running = false;
+    }
+}
+
+// New immediate messages go out without waiting for the next poll (only while the scheduler runs)
+function kick() {
+    if (timer) setImmediate(tick);
+}
+
+function startScheduler(intervalMs = POLL_INTERVAL_MS) {
+    if (timer) return timer;
+    timer = setInterval(tick, intervalMs);
+    timer.unref();
+    setImmediate(tick); // catch up on anything that came due while the process was down
+    return timer;
+}
+
+function stopScheduler() {
+    if (timer) clearInterval(timer);
+    timer = null;
+}
+
+module.exports = {
+    bookingCreated,
+    bookingConfirmed,
+    bookingUpdated,
+    bookingCancelled,
+    bookingClosed,
+    waitlistOffered,
+    runDue,
+    startScheduler,
+    stopScheduler,
+    registerTransport,
+    setTransport,
+    getTransport,
+    CHANNELS
+};
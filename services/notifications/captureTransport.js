@@ -0,0 +1,26 @@
+// File: services/notifications/captureTransport.js
+// Keeps sent messages in memory (and appends them to NOTIFY_CAPTURE_FILE as JSON lines when set)
+// instead of delivering them. For local development and tests.
+
+const fs = require("fs");
+const path = require("path");
+
+function createCaptureTransport({ channel = "email", file = process.env.NOTIFY_CAPTURE_FILE } = {}) {
+    const messages = [];
+    return {
+        name: "capture",
+        channel,
+        messages,
+        async send(message) {
+            const entry = { ...message, channel, capturedAt: new Date().toISOString() };
+            messages.push(entry);
+            if (file) fs.appendFileSync(path.resolve(file), JSON.stringify(entry) + "\n");
+            return { id: `capture-${messages.length}` };
+        },
+        clear() {
+            messages.length = 0;
+        }
+    };
+}
+
+module.exports = { createCaptureTransport };
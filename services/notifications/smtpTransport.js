@@ -0,0 +1,143 @@
+// File: services/notifications/smtpTransport.js
+// Minimal SMTP client for plain-text mail: implicit TLS (port 465) or STARTTLS when the server offers it,
+// AUTH PLAIN when credentials are set. One connection per message, which is plenty for booking mail.
+
+const net = require("net");
+const tls = require("tls");
+const os = require("os");
+const { randomUUID } = require("crypto");
+
+// Encode a header value that isn't plain ASCII (RFC 2047)
+function encodeHeader(value) {
+    const s = String(value || "");
+    return /^[\x20-\x7e]*$/.test(s) ? s : `=?UTF-8?B?${Buffer.from(s, "utf8").toString("base64")}?=`;
+}
+
+function buildMessage({ from, to, subject, text }) {
+    const body = Buffer.from(String(text || ""), "utf8").toString("base64").replace(/(.{76})/g, "$1\r\n");
+    const domain = String(from).split("@")[1] || os.hostname();
+    return [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${randomUUID()}@${domain}>`,
+        "MIME-Version: 1.0",
+        "Content-Type: text/plain; charset=utf-8",
+        "Content-Transfer-Encoding: base64",
+        "",
+        body
+    ].join("\r\n");
+}
+
+// Line-oriented reader: resolves one full (possibly multi-line) SMTP reply at a time
+function replyReader(socket) {
+    let buffer = "";
+    let lines = [];
+    const replies = [];
+    const waiting = [];
+    let failure = null;
+
+    function settle() {
+        while (replies.length && waiting.length) waiting.shift().resolve(replies.shift());
+        if (failure) while (waiting.length) waiting.shift().reject(failure);
+    }
+    function onData(chunk) {
+        buffer += chunk.toString("utf8");
+        let i;
+        while ((i = buffer.indexOf("\r\n")) >= 0) {
+            const line = buffer.slice(0, i);
+            buffer = buffer.slice(i + 2);
+            lines.push(line);
+            if (/^\d{3}(?: |$)/.test(line)) {
+                replies.push({ code: parseInt(line.slice(0, 3), 10), lines });
+                lines = [];
+            }
+        }
+        settle();
+    }
+    function onError(err) { failure = err; settle(); }
+    function onClose() { if (!failure) failure = new Error("SMTP connection closed"); settle(); }
+
+    function attach(s) {
+        s.on("data", onData);
+        s.on("error", onError);
+        s.on("close", onClose);
+    }
+    attach(socket);
+
+    return {
+        next() {
+            return new Promise((resolve, reject) => {
+                waiting.push({ resolve, reject });
+                settle();
+            });
+        },
+        // After STARTTLS the same reader follows the TLS socket
+        switchTo(newSocket) {
+            socket.removeListener("data", onData);
+            socket.removeListener("close", onClose);
+            attach(newSocket);
+        }
+    };
+}
+
+function createSmtpTransport({
+    host = process.env.SMTP_HOST,
+    port = parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure = process.env.SMTP_SECURE ? process.env.SMTP_SECURE === "true" : (parseInt(process.env.SMTP_PORT, 10) === 465),
+    user = process.env.SMTP_USER,
+    pass = process.env.SMTP_PASS,
+    from = process.env.NOTIFY_FROM_EMAIL || process.env.SMTP_USER,
+    timeoutMs = 15000
+} = {}) {
+    async function send({ to, subject, text }) {
+        if (!host) throw new Error("SMTP_HOST not set");
+        if (!from) throw new Error("NOTIFY_FROM_EMAIL not set");
+
+        let socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+        socket.setTimeout(timeoutMs, () => socket.destroy(new Error("SMTP timeout")));
+        const reader = replyReader(socket);
+
+        async function expect(codes, command) {
+            if (command !== undefined) socket.write(`${command}\r\n`);
+            const reply = await reader.next();
+            if (!codes.includes(reply.code)) {
+                const verb = command === undefined ? "greeting" : (command.startsWith("From:") ? "message" : command.split(/[\s:]/)[0]);
+                throw new Error(`SMTP ${verb} failed: ${reply.lines.join(" ")}`);
+            }
+            return reply;
+        }
+
+        try {
+            await expect([220]);
+            const helo = os.hostname() || "localhost";
+            let ehlo = await expect([250], `EHLO ${helo}`);
+            if (!secure && ehlo.lines.some(l => /STARTTLS/i.test(l))) {
+                await expect([220], "STARTTLS");
+                const plain = socket;
+                socket = tls.connect({ socket: plain, servername: host });
+                socket.setTimeout(timeoutMs, () => socket.destroy(new Error("SMTP timeout")));
+                reader.switchTo(socket);
+                await new Promise((resolve, reject) => { socket.once("secureConnect", resolve); socket.once("error", reject); });
+                ehlo = await expect([250], `EHLO ${helo}`);
+            }
+            if (user) {
+                const token = Buffer.from(`\u0000${user}\u0000${pass || ""}`, "utf8").toString("base64");
+                await expect([235], `AUTH PLAIN ${token}`);
+            }
+            await expect([250], `MAIL FROM:<${from.replace(/^.*<|>.*$/g, "")}>`);
+            await expect([250, 251], `RCPT TO:<${to}>`);
+            await expect([354], "DATA");
+            const reply = await expect([250], `${buildMessage({ from, to, subject, text })}\r\n.`);
+            socket.write("QUIT\r\n");
+            return { id: reply.lines.join(" ") };
+        } finally {
+            socket.end();
+        }
+    }
+
+    return { name: "smtp", channel: "email", send };
+}
+
+module.exports = { createSmtpTransport, buildMessage };
@@ -0,0 +1,89 @@
+// File: services/notifications/templates.js
+// Guest messages per language. Each template takes the context built by notificationService
+// ({ customerName, numberOfGuests, dateText, timeText, bookingRef, restaurantName, ... }) and returns
+// { subject, text }; SMS uses the text only. Languages without a pack fall back to English.
+
+const moment = require("moment-timezone");
+
+const TEMPLATES = {
+    en: {
+        confirmation: c => ({
+            subject: `Booking confirmed at ${c.restaurantName}`,
+            text: `Hi ${c.customerName}, your table for ${c.numberOfGuests} at ${c.restaurantName} is confirmed for ${c.dateText} at ${c.timeText}. Booking reference: ${c.bookingRef}.`
+        }),
+        request: c => ({
+            subject: `Booking request received at ${c.restaurantName}`,
+            text: `Hi ${c.customerName}, we've received your request for a table for ${c.numberOfGuests} at ${c.restaurantName} on ${c.dateText} at ${c.timeText}. The table is held and we'll confirm shortly. Booking reference: ${c.bookingRef}.`
+        }),
+        update: c => ({
+            subject: `Booking updated at ${c.restaurantName}`,
+            text: `Hi ${c.customerName}, your booking ${c.bookingRef} has been changed. It's now a table for ${c.numberOfGuests} on ${c.dateText} at ${c.timeText}.`
+        }),
+        cancellation: c => ({
+            subject: `Booking cancelled at ${c.restaurantName}`,
+            text: `Hi ${c.customerName}, your booking ${c.bookingRef} for ${c.dateText} at ${c.timeText} has been cancelled. We hope to see you another time.`
+        }),
+        reminder: c => ({
+            subject: `Reminder: your table at ${c.restaurantName}`,
+            text: `Hi ${c.customerName}, a reminder of your table for ${c.numberOfGuests} at ${c.restaurantName} on ${c.dateText} at ${c.timeText}. Booking reference: ${c.bookingRef}.`
+        }),
+        waitlist_offer: c => ({
+            subject: `A table is free at ${c.restaurantName}`,
+            text: `Hi ${c.customerName}, a table for ${c.numberOfGuests} is now free on ${c.dateText} at ${c.timeText}. We're holding it for you until ${c.expiresText}. Waitlist code: ${c.waitlistRef}.`
+        })
+    },
+    hi: {
+        confirmation: c => ({
+            subject: `${c.restaurantName} में बुकिंग की पुष्टि`,
+            text: `नमस्ते ${c.customerName}, ${c.restaurantName} में ${c.dateText} को ${c.timeText} पर ${c.numberOfGuests} लोगों के लिए आपकी टेबल बुक है। बुकिंग कोड: ${c.bookingRef}।`
+        }),
+        request: c => ({
+            subject: `${c.restaurantName} में बुकिंग का अनुरोध मिला`,
+            text: `नमस्ते ${c.customerName}, ${c.restaurantName} में ${c.dateText} को ${c.timeText} पर ${c.numberOfGuests} लोगों की टेबल का आपका अनुरोध मिल गया है। टेबल आपके लिए रखी है, हम जल्द ही पुष्टि करेंगे। बुकिंग कोड: ${c.bookingRef}।`
+        }),
+        update: c => ({
+            subject: `${c.restaurantName} में बुकिंग बदली गई`,
+            text: `नमस्ते ${c.customerName}, आपकी बुकिंग ${c.bookingRef} बदल दी गई है। अब ${c.dateText} को ${c.timeText} पर ${c.numberOfGuests} लोगों के लिए टेबल है।`
+        }),
+        cancellation: c => ({
+            subject: `${c.restaurantName} में बुकिंग रद्द`,
+            text: `नमस्ते ${c.customerName}, ${c.dateText} को ${c.timeText} की आपकी बुकिंग ${c.bookingRef} रद्द कर दी गई है। फिर मिलेंगे।`
+        }),
+        reminder: c => ({
+            subject: `याद दिलाना: ${c.restaurantName} में आपकी टेबल`,
+            text: `नमस्ते ${c.customerName}, याद दिला दें कि ${c.restaurantName} में ${c.dateText} को ${c.timeText} पर ${c.numberOfGuests} लोगों के लिए आपकी टेबल बुक है। बुकिंग कोड: ${c.bookingRef}।`
+        }),
+        waitlist_offer: c => ({
+            subject: `${c.restaurantName} में टेबल खाली है`,
+            text: `नमस्ते ${c.customerName}, ${c.dateText} को ${c.timeText} पर ${c.numberOfGuests} लोगों के लिए टेबल खाली हुई है। हम इसे ${c.expiresText} तक आपके लिए रख रहे हैं। वेटलिस्ट कोड: ${c.waitlistRef}।`
+        })
+    }
+};
+
+const TYPES = Object.keys(TEMPLATES.en);
+
+// "hi-IN" -> "hi"; unknown languages -> "en"
+function packLanguage(lang) {
+    const base = String(lang || "").toLowerCase().split(/[-_]/)[0];
+    return TEMPLATES[base] ? base : "en";
+}
+
+// Venue-local date/time in the guest's language ("Friday, 23 October" / "शुक्रवार, 23 अक्टूबर")
+function formatDate(date, lang, timezone) {
+    return new Intl.DateTimeFormat(lang || "en-IN", { weekday: "long", day: "numeric", month: "long", timeZone: timezone }).format(date);
+}
+
+function formatTime(day, hhmm, lang, timezone) {
+    const at = moment.tz(`${moment(day).tz(timezone).format("YYYY-MM-DD")} ${hhmm}`, "YYYY-MM-DD HH:mm", timezone);
+    if (!at.isValid()) return String(hhmm || "");
+    return new Intl.DateTimeFormat(lang || "en-IN", { hour: "numeric", minute: "2-digit", timeZone: timezone }).format(at.toDate());
+}
+
+function render(type, lang, context) {
+    const pack = TEMPLATES[packLanguage(lang)];
+    const template = pack[type] || TEMPLATES.en[type];
+    if (!template) throw new Error(`unknown notification type: ${type}`);
+    return template(context);
+}
+
+module.exports = { render, formatDate, formatTime, packLanguage, TYPES, TEMPLATES };
@@ -0,0 +1,29 @@
+// File: services/notifications/webhookTransport.js
+// SMS through an HTTP gateway: POSTs { channel, to, text, type, bookingId } as JSON to SMS_WEBHOOK_URL
+// (with "Authorization: Bearer SMS_WEBHOOK_TOKEN" when set). Any 2xx counts as accepted.
+
+const axios = require("axios");
+
+function createWebhookTransport({
+    url = process.env.SMS_WEBHOOK_URL,
+    token = process.env.SMS_WEBHOOK_TOKEN,
+    channel = "sms",
+    timeoutMs = 10000
+} = {}) {
+    async function send(message) {
+        if (!url) throw new Error("SMS_WEBHOOK_URL not set");
+        const headers = token ? { Authorization: `Bearer ${token}` } : {};
+        const res = await axios.post(url, {
+            channel,
+            to: message.to,
+            text: message.text,
+            type: message.type,
+            bookingId: message.bookingId || null
+        }, { headers, timeout: timeoutMs });
+        return { id: res.data && (res.data.id || res.data.sid || res.data.messageId) ? String(res.data.id || res.data.sid || res.data.messageId) : null };
+    }
+
+    return { name: "webhook", channel, send };
+}
+
+module.exports = { createWebhookTransport };
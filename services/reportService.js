@@ -0,0 +1,204 @@
+// File: services/reportService.js
+// Booking reports for one restaurant over a venue-local date range: bookings and covers (total guests) by
+// hour, weekday and cuisine, party sizes, outcomes (cancellation and no-show rates) and indoor/outdoor
+// seating by weather. Each report is an aggregation pipeline; days and weekdays are taken in the venue's timezone.
+// Every report resolves to { columns, rows, summary } so it can be sent as JSON or CSV.
+
+const moment = require("moment-timezone");
+const repos = require("../repositories");
+const bookingStatus = require("./bookingStatus");
+const restaurants = require("./restaurantService");
+const csv = require("./csv");
+
+const DEFAULT_DAYS = 7; // a week ending today when no range is given
+const MAX_DAYS = 366;
+const WEEKDAYS = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"];
+
+function share(part, whole) {
+    return whole ? Math.round((part / whole) * 1000) / 1000 : 0;
+}
+
+// Shared totals for the volume reports
+function totals(rows) {
+    return {
+        bookings: rows.reduce((n, r) => n + r.bookings, 0),
+        covers: rows.reduce((n, r) => n + r.covers, 0)
+    };
+}
+
+// $group stage counting bookings and covers per key
+function countBy(key) {
+    return { $group: { _id: key, bookings: { $sum: 1 }, covers: { $sum: { $ifNull: ["$numberOfGuests", 0] } } } };
+}
+
+const REPORTS = {
+    "by-hour": {
+        description: "Bookings and covers per hour of the booking time",
+        async run(match) {
+            const agg = await repos.bookings.aggregate([
+                { $match: match },
+                countBy({ $substrCP: [{ $ifNull: ["$bookingTime", ""] }, 0, 2] }),
+                { $sort: { _id: 1 } }
+            ]);
+            const rows = agg.filter(g => /^\d\d$/.test(g._id)).map(g => ({ hour: `${g._id}:00`, bookings: g.bookings, covers: g.covers }));
+            return { columns: ["hour", "bookings", "covers"], rows, summary: totals(rows) };
+        }
+    },
+    "by-weekday": {
+        description: "Bookings and covers per weekday (Monday first)",
+        async run(match, venue) {
+            const agg = await repos.bookings.aggregate([
+                { $match: match },
+                countBy({ $isoDayOfWeek: { date: "$bookingDate", timezone: venue.timezone } })
+            ]);
+            const byDay = agg.reduce((m, g) => { m[g._id] = g; return m; }, {});
+            const rows = WEEKDAYS.map((weekday, i) => ({
+                weekday,
+                bookings: byDay[i + 1] ? byDay[i + 1].bookings : 0,
+                covers: byDay[i + 1] ? byDay[i + 1].covers : 0
+            }));
+            return { columns: ["weekday", "bookings", "covers"], rows, summary: totals(rows) };
+        }
+    },
+    "by-cuisine": {
+        description: "Bookings and covers per cuisine preference, most booked first",
+        async run(match) {
+            const agg = await repos.bookings.aggregate([
+                { $match: match },
+                countBy({ $toLower: { $trim: { input: { $ifNull: ["$cuisinePreference", ""] } } } }),
+                { $sort: { bookings: -1, _id: 1 } }
+            ]);
+            const rows = agg.map(g => ({ cuisine: g._id || "(none)", bookings: g.bookings, covers: g.covers }));
+            return { columns: ["cuisine", "bookings", "covers"], rows, summary: totals(rows) };
+        }
+    },
+    "party-sizes": {
+        description: "How many bookings came for each party size",
+        async run(match) {
+            const agg = await repos.bookings.aggregate([
+                { $match: match },
+                countBy("$numberOfGuests"),
+                { $sort: { _id: 1 } }
+            ]);
+            const rows = agg.filter(g => g._id != null).map(g => ({ partySize: g._id, bookings: g.bookings, covers: g.covers }));
+            const summary = totals(rows);
+            rows.forEach(r => { r.share = share(r.bookings, summary.bookings); });
+            summary.averagePartySize = summary.bookings ? Math.round((summary.covers / summary.bookings) * 10) / 10 : 0;
+            return { columns: ["partySize", "bookings", "covers", "share"], rows, summary };
+        }
+    },
+    outcomes: {
+        description: "Bookings per status with cancellation and no-show rates (all statuses)",
+        allStatuses: true,
+        async run(match) {
+            const agg = await repos.bookings.aggregate([
+                { $match: match },
+                countBy({ $ifNull: ["$status", "confirmed"] })
+            ]);
+            const byStatus = agg.reduce((m, g) => { m[g._id] = g; return m; }, {});
+            const rows = bookingStatus.STATUSES.map(status => ({
+                status,
+                bookings: byStatus[status] ? byStatus[status].bookings : 0,
+                covers: byStatus[status] ? byStatus[status].covers : 0
+            }));
+            const summary = totals(rows);
+            rows.forEach(r => { r.share = share(r.bookings, summary.bookings); });
+            const count = s => rows.find(r => r.status === s).bookings;
+            // No-shows out of the parties whose visit has been settled (seated, completed or no-show)
+            const settled = count("seated") + count("completed") + count("no-show");
+            summary.cancellationRate = share(count("cancelled"), summary.bookings);
+            summary.noShowRate = share(count("no-show"), settled);
+            return { columns: ["status", "bookings", "covers", "share"], rows, summary };
+        }
+    },
+    "seating-by-weather": {
+        description: "Indoor vs outdoor seating per forecast weather category",
+        async run(match) {
+            const agg = await repos.bookings.aggregate([
+                { $match: match },
+                countBy({ weather: { $ifNull: ["$weatherInfo.category", "unknown"] }, seating: { $ifNull: ["$seatingPreference", "unknown"] } })
+            ]);
+            const byWeather = {};
+            for (const g of agg) {
+                const row = byWeather[g._id.weather] || (byWeather[g._id.weather] = { weather: g._id.weather, indoorBookings: 0, outdoorBookings: 0, indoorCovers: 0, outdoorCovers: 0 });
+                if (g._id.seating === "outdoor") {
+                    row.outdoorBookings += g.bookings;
+                    row.outdoorCovers += g.covers;
+                } else {
+                    row.indoorBookings += g.bookings;
+                    row.indoorCovers += g.covers;
+                }
+            }
+            const rows = Object.values(byWeather).sort((a, b) => a.weather.localeCompare(b.weather));
+            rows.forEach(r => { r.outdoorShare = share(r.outdoorBookings, r.indoorBookings + r.outdoorBookings); });
+            const outdoor = rows.reduce((n, r) => n + r.outdoorBookings, 0);
+            const bookings = rows.reduce((n, r) => n + r.indoorBookings + r.outdoorBookings, 0);
+            return {
+                columns: ["weather", "indoorBookings", "outdoorBookings", "indoorCovers", "outdoorCovers", "outdoorShare"],
+                rows,
+                summary: { bookings, outdoorShare: share(outdoor, bookings) }
+            };
+        }
+    }
+};
+
+function listReports() {
+    return Object.keys(REPORTS).map(name => ({ name, description: REPORTS[name].description }));
+}
+
+function badRequest(error, message) {
+    return { status: 400, body: { success: false, error, message } };
+}
+
+/**
+ * Run one report.
+ * params: { startDate, endDate, status } from the query string; the range defaults to the week ending today
+ * (venue-local). Volume reports leave cancelled bookings out unless status says otherwise; outcomes always
+ * counts every status. Resolves to { status, body } like the booking services.
+ */
+async function runReport(name, params = {}, venue = restaurants.defaultVenue()) {
+    const report = REPORTS[name];
+    if (!report) {
+        return { status: 404, body: { success: false, error: "unknown_report", message: `Reports: ${Object.keys(REPORTS).join(", ")}` } };
+    }
+    const tz = venue.timezone;
+    const end = params.endDate ? moment.tz(params.endDate, "YYYY-MM-DD", true, tz).endOf("day") : moment.tz(tz).endOf("day");
+    const start = params.startDate ? moment.tz(params.startDate, "YYYY-MM-DD", true, tz).startOf("day") : end.clone().subtract(DEFAULT_DAYS - 1, "days").startOf("day");
+    if (!start.isValid() || !end.isValid()) return badRequest("bad_date", "startDate and endDate must be YYYY-MM-DD");
+    if (start.isAfter(end)) return badRequest("bad_range", "startDate must be <= endDate");
+    if (end.diff(start, "days") >= MAX_DAYS) return badRequest("bad_range", `A report covers at most ${MAX_DAYS} days`);
+
+    const match = { restaurantId: restaurants.bookingScope(venue), bookingDate: { $gte: start.toDate(), $lte: end.toDate() } };
+    if (!report.allStatuses) {
+        const statusCond = bookingStatus.statusFilter(params.status);
+        if (statusCond === null) return { status: 400, body: bookingStatus.invalidStatusResponse(params.status) };
+        match.status = statusCond === undefined ? { $ne: "cancelled" } : statusCond;
+    }
+
+    const result = await report.run(match, venue);
+    return {
+        status: 200,
+        body: {
+            success: true,
+            report: name,
+            restaurantId: venue.id,
+            timezone: tz,
+            startDate: start.format("YYYY-MM-DD"),
+            endDate: end.format("YYYY-MM-DD"),
+            ...result
+        }
+    };
+}
+
+/** Report body -> CSV: the rows under a header line, then the summary as metric,value pairs */
+function toCsv({ columns, rows, summary }) {
+    let out = csv.formatRow(columns);
+    for (const r of rows) out += csv.formatRow(columns.map(c => r[c]));
+    if (summary && Object.keys(summary).length) {
+        out += "\r\n" + csv.formatRow(["metric", "value"]);
+        for (const [k, v] of Object.entries(summary)) out += csv.formatRow([k, v]);
+    }
+    return out;
+}
+
+module.exports = { runReport, listReports, toCsv, REPORTS };
@@ -0,0 +1,91 @@
+// File: services/restaurantService.js
+// Restaurants (tenants): each one is a venue with its own timezone, location, cuisines, opening hours,
+// tables and voice language. getVenue() turns a restaurantId into the venue object the availability,
+// booking and dialogue services take. The venue from config/venue.js is the default restaurant and
+// also owns bookings saved before restaurants existed (no restaurantId).
+
+const repos = require("../repositories");
+const { venue: configVenue, DEFAULTS } = require("../config/venue");
+
+const VENUE_FIELDS = ["name", "timezone", "location", "cuisines", "openingHours", "tables", "slotMinutes", "diningMinutes", "allowTableJoining", "maxAlternatives", "confirmationPartySize", "voice"];
+const CACHE_TTL_MS = 60 * 1000;
+
+const cache = new Map();
+
+function defaultVenue() {
+    return { ...configVenue, isDefault: true };
+}
+
+function isEmpty(v) {
+    return v === undefined || v === null || (Array.isArray(v) && !v.length);
+}
+
+// Restaurant document -> venue config (missing fields from the defaults)
+function toVenue(doc) {
+    const o = doc.toObject ? doc.toObject() : doc;
+    const venue = { ...DEFAULTS, id: o.restaurantId, isDefault: o.restaurantId === configVenue.id };
+    if (venue.isDefault) Object.assign(venue, configVenue, { id: o.restaurantId, isDefault: true });
+    for (const f of VENUE_FIELDS) if (!isEmpty(o[f])) venue[f] = o[f];
+    venue.voice = { ...DEFAULTS.voice, ...(o.voice || {}) };
+    if (!o.voice || isEmpty(o.voice.languages)) venue.voice.languages = o.voice && o.voice.lang ? [o.voice.lang] : DEFAULTS.voice.languages;
+    return venue;
+}
+
+/** restaurantId (empty = the default restaurant) -> venue, or null when there is no such active restaurant */
+async function getVenue(restaurantId) {
+    const rid = restaurantId || configVenue.id;
+    const hit = cache.get(rid);
+    if (hit && Date.now() - hit.at < CACHE_TTL_MS) return hit.venue;
+
+    const doc = await repos.restaurants.findOne({ restaurantId: rid });
+    let venue = null;
+    if (doc && doc.active !== false) venue = toVenue(doc);
+    else if (!doc && rid === configVenue.id) venue = defaultVenue();
+    cache.set(rid, { venue, at: Date.now() });
+    return venue;
+}
+
+/** Mongo condition on Booking.restaurantId for a venue (the default venue also owns legacy bookings) */
+function bookingScope(venue) {
+    const v = venue || configVenue;
+    return v.isDefault || v.id === configVenue.id ? { $in: [v.id, null] } : v.id;
+}
+
+// Public description of a venue (GET /api/restaurants)
+function describeVenue(venue) {
+    return {
+        restaurantId: venue.id,
+        name: venue.name,
+        timezone: venue.timezone,
+        location: venue.location,
+        cuisines: venue.cuisines,
+        openingHours: venue.openingHours,
+        voice: venue.voice,
+        slotMinutes: venue.slotMinutes,
+        diningMinutes: venue.diningMinutes,
+        confirmationPartySize: venue.confirmationPartySize || null
+    };
+}
+
+async function listVenues() {
+    const docs = await repos.restaurants.find({ active: { $ne: false } }, { sort: { name: 1 } });
+    const venues = docs.map(toVenue);
+    if (!venues.some(v => v.id === configVenue.id)) venues.unshift(defaultVenue());
+    return venues;
+}
+
+function invalidate(restaurantId) {
+    if (restaurantId) cache.delete(restaurantId);
+    else cache.clear();
+}
+
+module.exports = {
+    getVenue,
+    listVenues,
+    toVenue,
+    bookingScope,
+    describeVenue,
+    defaultVenue,
+    invalidate,
+    VENUE_FIELDS
+};
@@ -0,0 +1,106 @@
+// File: services/telephonyService.js
+// Phone bookings through a programmable-voice provider, using the Twilio-style webhook conventions
+// (form-encoded webhooks answered with <Response> XML) that most providers accept. Each webhook brings
+// the caller's speech-recognition result; the reply speaks the dialogue's next prompt and gathers the
+// answer, running the same conversation as the booking page (services/dialogueManager.js).
+// The conversation id travels in the <Gather> action URL, so nothing per call is kept here.
+
+const crypto = require("crypto");
+const dialogue = require("./dialogueManager");
+const parsing = require("../shared/parsing");
+
+// After this many misunderstandings of one question the caller is put through to staff
+// (TELEPHONY_TRANSFER_NUMBER) or, with no one to transfer to, the call ends
+const MAX_CALL_ATTEMPTS = 5;
+const CALLER_ID_RE = /^\+?\d{7,15}$/;
+const LANG_TAG_RE = /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+function escapeXml(value) {
+    return String(value).replace(/[<>&"']/g, c => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "\"": "&quot;", "'": "&apos;" })[c]);
+}
+
+// Providers want a full tag ("hi-IN"); a bare language uses its locale pack's tag
+function callLanguage(lang) {
+    if (lang.includes("-")) return lang;
+    const pack = parsing.localePack(lang);
+    return pack.code === lang.toLowerCase() ? pack.tag : lang;
+}
+
+function xmlResponse(...verbs) {
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<Response>${verbs.join("")}</Response>`;
+}
+
+function say(text, language) {
+    return `<Say language="${escapeXml(language)}">${escapeXml(text)}</Say>`;
+}
+
+// Speak the prompt and listen for speech or keypad digits. The trailing <Redirect> posts back when the
+// provider ends the gather without calling the action (silence on providers without actionOnEmptyResult).
+function gather(text, action, language) {
+    return `<Gather input="speech dtmf" action="${escapeXml(action)}" method="POST" language="${escapeXml(language)}" speechTimeout="auto" actionOnEmptyResult="true">`
+        + say(text, language)
+        + "</Gather>"
+        + `<Redirect method="POST">${escapeXml(action)}</Redirect>`;
+}
+
+function hangUp(text, language) {
+    return xmlResponse(say(text, language), "<Hangup/>");
+}
+
+// A dialogue turn as call instructions. actionPath: where the provider posts the next result
+// (the gather route under the mount the call came in on).
+function turnResponse(turn, { actionPath, transferNumber = process.env.TELEPHONY_TRANSFER_NUMBER }) {
+    const language = callLanguage(turn.lang);
+    const P = parsing.localePack(turn.lang).prompts;
+    if (turn.state === "done" || turn.state === "cancelled") return hangUp(turn.prompt, language);
+    if (turn.fallback === "type" && transferNumber) {
+        return xmlResponse(say(P.transfer, language), `<Dial>${escapeXml(transferNumber)}</Dial>`);
+    }
+    if (turn.attempts >= MAX_CALL_ATTEMPTS) return hangUp(P.callGiveUp, language);
+    const action = `${actionPath}?${new URLSearchParams({ session: turn.sessionId, lang: turn.lang })}`;
+    return xmlResponse(gather(turn.prompt, action, language));
+}
+
+// Incoming call: start a conversation; a caller ID that is a phone number fills in the contact slot
+function startCall({ from, lang, venue, actionPath }) {
+    const callerId = String(from || "").replace(/[\s()-]/g, "");
+    const turn = dialogue.createSession({ lang, venue, contact: CALLER_ID_RE.test(callerId) ? callerId : undefined });
+    return turnResponse(turn, { actionPath });
+}
+
+// One recognition result. speech wins over keypad digits; neither means the caller said nothing.
+// lang is only used when the conversation has expired and there is no session to take it from.
+async function continueCall({ sessionId, speech, digits, lang, actionPath }) {
+    const text = (speech || "").trim() || (digits || "").trim();
+    const turn = await dialogue.handleTurn(sessionId, text);
+    if (!turn) {
+        const language = callLanguage(lang || "en");
+        return hangUp(parsing.localePack(language).prompts.callExpired, language);
+    }
+    return turnResponse(turn, { actionPath });
+}
+
+// Said instead of the provider's own error message when a webhook fails; lang may be the unchecked
+// query value, so anything that isn't a language tag is spoken in English
+function errorResponse(lang) {
+    const language = callLanguage(LANG_TAG_RE.test(lang || "") ? lang : "en");
+    return hangUp(parsing.localePack(language).prompts.callError, language);
+}
+
+// ---------- Request signing ----------
+
+// Twilio's scheme: base64 HMAC-SHA1, keyed by the account's auth token, of the full webhook URL
+// followed by every form parameter as name + value in name order
+function signature(url, params, token) {
+    const data = url + Object.keys(params || {}).sort().map(k => k + params[k]).join("");
+    return crypto.createHmac("sha1", token).update(data, "utf8").digest("base64");
+}
+
+function verifySignature(url, params, given, token) {
+    if (!given) return false;
+    const expected = Buffer.from(signature(url, params, token));
+    const actual = Buffer.from(String(given));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = { startCall, continueCall, errorResponse, signature, verifySignature, MAX_CALL_ATTEMPTS };
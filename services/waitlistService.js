@@ -0,0 +1,325 @@
+// File: services/waitlistService.js
+// Waitlist for full slots. When a cancellation or deletion frees tables, the day's waiting entries are
+// scanned oldest first and the first one that now fits gets a held offer: the tables are kept for it
+// (availability counts them as taken) until the offer expires, is accepted (-> booking) or declined.
+// Functions resolve to { status, body } like the booking services.
+
+const moment = require("moment-timezone");
+const { randomUUID } = require("crypto");
+const repos = require("../repositories");
+const availability = require("./availabilityService");
+const bookingService = require("./bookingService");
+const notifications = require("./notificationService");
+const restaurants = require("./restaurantService");
+
+// How long a held table waits for the guest to answer
+const OFFER_HOLD_MINUTES = parseInt(process.env.WAITLIST_HOLD_MINUTES, 10) || 15;
+const MAX_FLEXIBLE_MINUTES = 180;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const OPEN_STATUSES = ["waiting", "offered"];
+
+function notFound() {
+    return { status: 404, body: { success: false, error: "not_found" } };
+}
+
+function dayRange(bookingDate, tz) {
+    const day = moment(bookingDate).tz(tz);
+    return { $gte: day.clone().startOf("day").toDate(), $lte: day.clone().endOf("day").toDate() };
+}
+
+// Waitlist document -> API shape (venue-local date, position among the day's waiting entries)
+function describeEntry(entry, venue, position) {
+    const o = entry.toObject ? entry.toObject() : { ...entry };
+    delete o._id;
+    delete o.__v;
+    o.bookingDateLocal = o.bookingDate ? moment.utc(o.bookingDate).tz(venue.timezone).format("YYYY-MM-DD") : null;
+    if (position !== undefined) o.position = position;
+    return o;
+}
+
+async function positionOf(entry) {
+    if (entry.status !== "waiting") return null;
+    const ahead = await repos.waitlist.count({
+        restaurantId: entry.restaurantId,
+        bookingDate: entry.bookingDate,
+        status: "waiting",
+        createdAt: { $lt: entry.createdAt }
+    });
+    return ahead + 1;
+}
+
+// Waitlist id or the short waitlistRef a guest reads out
+async function findEntry(value, venue) {
+    const raw = bookingService.asString(value);
+    if (!raw) return null;
+    const scope = venue ? { restaurantId: venue.id } : {};
+    const ref = bookingService.normalizeBookingRef(raw);
+    if (ref) {
+        const byRef = await repos.waitlist.findOne({ ...scope, waitlistRef: ref });
+        if (byRef) return byRef;
+    }
+    return repos.waitlist.findOne({ ...scope, waitlistId: raw });
+}
+
+/**
+ * Put a guest on the waitlist for a full slot.
+ * raw takes the booking fields (same aliases as POST /api/bookings) plus flexibleMinutes.
+ * 400 missing_fields / invalid_fields; 409 slot_available when the slot can simply be booked, or the
+ * availability reason (closed, party_too_large) when waiting wouldn't help.
+ */
+async function joinWaitlist(raw, { venue = restaurants.defaultVenue(), actor = "api" } = {}) {
+    const input = bookingService.normalizeBookingInput(raw || {}, venue);
+    const { customerName, contactPhone, contactEmail, language, numberOfGuests, bookingDate, bookingTime, specialRequests } = input;
+    if (!customerName || !numberOfGuests || !bookingDate || !bookingTime) {
+        return { status: 400, body: { success: false, error: "missing_fields", message: "Required: customerName, numberOfGuests, bookingDate, bookingTime" } };
+    }
+    const invalid = [];
+    if (availability.timeToMinutes(bookingTime) == null) invalid.push("bookingTime");
+    if (contactEmail && !bookingService.EMAIL_RE.test(contactEmail)) invalid.push("contactEmail");
+    const flexibleMinutes = raw.flexibleMinutes === undefined ? 0 : parseInt(raw.flexibleMinutes, 10);
+    if (isNaN(flexibleMinutes) || flexibleMinutes < 0 || flexibleMinutes > MAX_FLEXIBLE_MINUTES) invalid.push("flexibleMinutes");
+    if (invalid.length) {
+        return { status: 400, body: { success: false, error: "invalid_fields", message: `Invalid: ${invalid.join(", ")}`, fields: invalid } };
+    }
+
+    const check = await availability.checkAvailability({ bookingDate, bookingTime, numberOfGuests }, venue);
+    if (check.available) {
+        return { status: 409, body: { success: false, error: "slot_available", message: "That time can be booked right away; there's no need to wait" } };
+    }
+    if (check.reason !== "slot_full") {
+        return { status: 409, body: { success: false, error: check.reason, message: check.message } };
+    }
+
+    const entry = repos.waitlist.build({
+        waitlistId: randomUUID(),
+        waitlistRef: await bookingService.generateBookingRef(ref => repos.waitlist.findOne({ waitlistRef: ref })),
+        restaurantId: venue.id,
+        customerName,
+        contactPhone,
+        contactEmail,
+        language,
+        numberOfGuests,
+        bookingDate: moment(bookingDate).tz(venue.timezone).startOf("day").toDate(),
+        bookingTime: availability.minutesToTime(availability.timeToMinutes(bookingTime)),
+        flexibleMinutes,
+        specialRequests,
+        status: "waiting",
+        createdBy: actor,
+        createdAt: new Date()
+    });
+    await entry.save();
+    return { status: 201, body: { success: true, waitlist: describeEntry(entry, venue, await positionOf(entry)), alternatives: check.alternatives || [] } };
+}
+
+// Requested time first, then slot steps outward within the entry's flexibility window
+function candidateTimes(entry, venue) {
+    const start = availability.timeToMinutes(entry.bookingTime);
+    const out = [start];
+    for (let d = venue.slotMinutes; d <= (entry.flexibleMinutes || 0); d += venue.slotMinutes) {
+        out.push(start - d, start + d);
+    }
+    return out.filter(t => t >= 0 && t < 24 * 60);
+}
+
+// Offered tables that weren't taken up in time go back to the pool
+async function expireOffers(venue, bookingDate) {
+    const q = { restaurantId: venue.id, status: "offered", "offer.expiresAt": { $lte: new Date() } };
+    if (bookingDate) q.bookingDate = dayRange(bookingDate, venue.timezone);
+    const stale = await repos.waitlist.find(q);
+    for (const entry of stale) {
+        entry.status = "expired";
+        await entry.save();
+    }
+    return stale;
+}
+
+/**
+ * Offer freed tables on one venue-local day to the waitlist, oldest entry first.
+ * Entries whose time has already passed expire. Resolves to the entries that got an offer.
+ */
+async function promoteWaitlist(venue, bookingDate) {
+    return availability.withDayLock(bookingDate, async () => {
+        await expireOffers(venue, bookingDate);
+        const waiting = await repos.waitlist.find({ restaurantId: venue.id, bookingDate: dayRange(bookingDate, venue.timezone), status: "waiting" }, { sort: { createdAt: 1 } });
+        const now = moment.tz(venue.timezone);
+        const offered = [];
+        for (const entry of waiting) {
+            const day = moment(entry.bookingDate).tz(venue.timezone).format("YYYY-MM-DD");
+            const upcoming = candidateTimes(entry, venue).filter(t => moment.tz(`${day} ${availability.minutesToTime(t)}`, "YYYY-MM-DD HH:mm", venue.timezone).isAfter(now));
+            if (!upcoming.length) {
+                entry.status = "expired";
+                await entry.save();
+                continue;
+            }
+            for (const t of upcoming) {
+                const check = await availability.checkAvailability({ bookingDate: entry.bookingDate, bookingTime: availability.minutesToTime(t), numberOfGuests: entry.numberOfGuests }, venue);
+                if (!check.available) continue;
+                entry.status = "offered";
+                entry.offer = {
+                    bookingTime: check.time,
+                    tableIds: check.tableIds,
+                    offeredAt: new Date(),
+                    expiresAt: moment().add(OFFER_HOLD_MINUTES, "minutes").toDate()
+                };
+                await entry.save();
+                await notifications.waitlistOffered(entry, venue);
+                offered.push(entry);
+                break;
+            }
+        }
+        return offered;
+    }, venue);
+}
+
+/**
+ * Called after bookings stop holding tables (cancelled, no-show, deleted): promote the waitlist of each
+ * affected day. Never throws; a failed promotion is logged and retried by the periodic sweep.
+ */
+async function promoteAfterRelease(venue, bookings) {
+    const days = new Map();
+    for (const b of bookings || []) {
+        if (!b || !b.bookingDate) continue;
+        const key = moment(b.bookingDate).tz(venue.timezone).format("YYYY-MM-DD");
+        if (!days.has(key)) days.set(key, b.bookingDate);
+    }
+    const offered = [];
+    for (const bookingDate of days.values()) {
+        try {
+            offered.push(...await promoteWaitlist(venue, bookingDate));
+        } catch (err) {
+            console.error("[waitlist] promotion failed:", err && err.message ? err.message : err);
+        }
+    }
+    return offered;
+}
+
+/**
+ * Accept a held offer: books the held tables and links the booking to the entry (201 with the booking).
+ * The entry is claimed first ("offered" -> "accepting" in one update), so of two accepts arriving
+ * together (a double tap, the SMS link and the voice flow) only one books; the other gets 409 not_offered.
+ */
+async function acceptOffer(idOrRef, { venue = restaurants.defaultVenue(), actor = "api" } = {}) {
+    const entry = await findEntry(idOrRef, venue);
+    if (!entry) return notFound();
+    const notOffered = current => ({ status: 409, body: { success: false, error: "not_offered", message: `This waitlist entry is ${current.status}`, waitlist: describeEntry(current, venue) } });
+    if (entry.status !== "offered") return notOffered(entry);
+    if (entry.offer.expiresAt <= new Date()) {
+        await promoteWaitlist(venue, entry.bookingDate); // expires this offer and passes the table on
+        return { status: 409, body: { success: false, error: "offer_expired", message: "The held table was released because the offer expired" } };
+    }
+
+    const claimed = await repos.waitlist.findOneAndUpdate({ waitlistId: entry.waitlistId, status: "offered" }, { $set: { status: "accepting" } });
+    if (!claimed) return notOffered((await repos.waitlist.findOne({ waitlistId: entry.waitlistId })) || entry);
+    // The table stays held while accepting; a failed booking hands the offer back
+    const release = () => repos.waitlist.updateOne({ waitlistId: entry.waitlistId, status: "accepting" }, { $set: { status: "offered" } });
+
+    let result;
+    try {
+        result = await bookingService.createBooking({
+            customerName: entry.customerName,
+            contactPhone: entry.contactPhone,
+            contactEmail: entry.contactEmail,
+            language: entry.language,
+            numberOfGuests: entry.numberOfGuests,
+            bookingDate: moment(entry.bookingDate).tz(venue.timezone).format("YYYY-MM-DD"),
+            bookingTime: entry.offer.bookingTime,
+            specialRequests: entry.specialRequests,
+            allowDuplicate: true
+        }, { actor, venue, waitlistId: entry.waitlistId });
+    } catch (err) {
+        await release();
+        throw err;
+    }
+    if (result.status !== 201) {
+        await release();
+        return result;
+    }
+
+    const accepted = await repos.waitlist.findOneAndUpdate(
+        { waitlistId: entry.waitlistId },
+        { $set: { status: "accepted", respondedAt: new Date(), bookingId: result.body.booking.bookingId } }
+    );
+    return { status: 201, body: { ...result.body, waitlist: describeEntry(accepted, venue) } };
+}
+
+/** Decline a held offer; the table goes to the next entry that fits. */
+async function declineOffer(idOrRef, { venue = restaurants.defaultVenue() } = {}) {
+    const entry = await findEntry(idOrRef, venue);
+    if (!entry) return notFound();
+    if (entry.status !== "offered") {
+        return { status: 409, body: { success: false, error: "not_offered", message: `This waitlist entry is ${entry.status}`, waitlist: describeEntry(entry, venue) } };
+    }
+    entry.status = "declined";
+    entry.respondedAt = new Date();
+    await entry.save();
+    await promoteAfterRelease(venue, [entry]);
+    return { status: 200, body: { success: true, waitlist: describeEntry(entry, venue) } };
+}
+
+/** Leave the waitlist (also gives up a held offer). */
+async function leaveWaitlist(idOrRef, { venue = restaurants.defaultVenue() } = {}) {
+    const entry = await findEntry(idOrRef, venue);
+    if (!entry) return notFound();
+    if (!OPEN_STATUSES.includes(entry.status)) {
+        return { status: 409, body: { success: false, error: "not_open", message: `This waitlist entry is already ${entry.status}` } };
+    }
+    const held = entry.status === "offered";
+    entry.status = "cancelled";
+    entry.respondedAt = new Date();
+    await entry.save();
+    if (held) await promoteAfterRelease(venue, [entry]);
+    return { status: 200, body: { success: true, waitlist: describeEntry(entry, venue) } };
+}
+
+async function getEntry(idOrRef, { venue = restaurants.defaultVenue() } = {}) {
+    const entry = await findEntry(idOrRef, venue);
+    if (!entry) return notFound();
+    return { status: 200, body: { success: true, waitlist: describeEntry(entry, venue, await positionOf(entry)) } };
+}
+
+// Expire stale offers across all restaurants and hand their tables on
+async function sweepExpiredOffers() {
+    const stale = await repos.waitlist.find({ status: "offered", "offer.expiresAt": { $lte: new Date() } });
+    const byVenue = new Map();
+    for (const entry of stale) {
+        if (!byVenue.has(entry.restaurantId)) byVenue.set(entry.restaurantId, []);
+        byVenue.get(entry.restaurantId).push(entry);
+    }
+    for (const [rid, entries] of byVenue) {
+        const venue = await restaurants.getVenue(rid);
+        if (venue) await promoteAfterRelease(venue, entries);
+    }
+}
+
+let sweepTimer = null;
+
+function startOfferSweep(intervalMs = SWEEP_INTERVAL_MS) {
+    if (sweepTimer) return sweepTimer;
+    sweepTimer = setInterval(() => {
+        sweepExpiredOffers().catch(err => console.error("[waitlist] sweep failed:", err && err.message ? err.message : err));
+    }, intervalMs);
+    sweepTimer.unref();
+    return sweepTimer;
+}
+
+function stopOfferSweep() {
+    if (sweepTimer) clearInterval(sweepTimer);
+    sweepTimer = null;
+}
+
+module.exports = {
+    joinWaitlist,
+    promoteWaitlist,
+    promoteAfterRelease,
+    acceptOffer,
+    declineOffer,
+    leaveWaitlist,
+    getEntry,
+    describeEntry,
+    sweepExpiredOffers,
+    startOfferSweep,
+    stopOfferSweep,
+    OFFER_HOLD_MINUTES,
+    MAX_FLEXIBLE_MINUTES
+};
@@ -0,0 +1,34 @@
+// File: services/weather/climatologyProvider.js
+// Monthly climate normals per city. No network; used for dates beyond the forecast horizon
+// and whenever no forecast provider is configured.
+
+const normals = require("./climatology.json");
+
+function lookup(location) {
+    const key = String(location || "").toLowerCase().split(",")[0].trim().replace(/[^a-z0-9]+/g, "-");
+    const name = normals.aliases[key] || key;
+    return { name: normals.locations[name] ? name : "default", data: normals.locations[name] || normals.locations.default };
+}
+
+function createClimatologyProvider() {
+    return {
+        name: "climatology",
+        horizonHours: Infinity,
+        async forecast({ location, target }) {
+            const { name, data } = lookup(location);
+            const month = target.month();
+            const pop = data.rainProbability[month];
+            const condition = pop >= 0.4 ? "Rain" : (pop >= 0.2 ? "Clouds" : "Clear");
+            return {
+                matchedDate: target.toISOString(),
+                condition,
+                description: `climatological normal for ${target.format("MMMM")}`,
+                temperature: data.temperature[month],
+                rainProbability: pop,
+                location: name
+            };
+        }
+    };
+}
+
+module.exports = { createClimatologyProvider };
@@ -0,0 +1,51 @@
+// File: services/weather/fakeProvider.js
+// Fixture-driven provider for offline development and tests.
+// Fixtures use the OpenWeather forecast shape with "offsetHours" (from today 00:00 UTC) instead of "dt",
+// so they never go stale; blocks are then matched exactly like the real adapter does.
+
+const fs = require("fs");
+const path = require("path");
+const moment = require("moment");
+const { pickBlock, toReading } = require("./openWeatherProvider");
+
+const FIXTURE_DIR = path.join(__dirname, "fixtures");
+
+function slug(s) {
+    return String(s || "").toLowerCase().split(",")[0].trim().replace(/[^a-z0-9]+/g, "-");
+}
+
+// Resolution order: explicit fixture (name or path) -> fixtures/<location-slug>.json -> fixtures/default.json
+function resolveFixture(fixture, location) {
+    if (fixture) {
+        const asPath = path.resolve(fixture);
+        if (fs.existsSync(asPath)) return asPath;
+        return path.join(FIXTURE_DIR, `${fixture}.json`);
+    }
+    const byLocation = path.join(FIXTURE_DIR, `${slug(location)}.json`);
+    if (location && fs.existsSync(byLocation)) return byLocation;
+    return path.join(FIXTURE_DIR, "default.json");
+}
+
+function loadFixture(file) {
+    const json = JSON.parse(fs.readFileSync(file, "utf8"));
+    const base = moment.utc().startOf("day").unix();
+    const list = (json.list || []).map(b => ({ ...b, dt: b.dt != null ? b.dt : base + Math.round((b.offsetHours || 0) * 3600) }));
+    return { city: json.city || null, list };
+}
+
+function createFakeProvider({ fixture = process.env.WEATHER_FIXTURE } = {}) {
+    const provider = {
+        name: "fake",
+        horizonHours: 120,
+        calls: 0, // lets tests assert on cache hits
+        async forecast({ location, target }) {
+            provider.calls++;
+            const data = loadFixture(resolveFixture(fixture, location));
+            const block = pickBlock(data.list, target.unix());
+            return block ? toReading(block, data.city) : null;
+        }
+    };
+    return provider;
+}
+
+module.exports = { createFakeProvider };
@@ -0,0 +1,58 @@
+// File: services/weather/openWeatherProvider.js
+// OpenWeather 5-day / 3-hour forecast adapter.
+// Picks the forecast block closest to the requested instant; returns null past the forecast horizon.
+
+const axios = require("axios");
+
+const FORECAST_URL = "https://api.openweathermap.org/data/2.5/forecast";
+const BLOCK_SECONDS = 3 * 3600;
+
+// "12.97,77.59" -> { lat, lon }; anything else is treated as a city query ("Bengaluru,IN")
+function locationParams(location) {
+    const m = String(location).trim().match(/^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/);
+    if (m) return { lat: m[1], lon: m[2] };
+    return { q: String(location).trim() };
+}
+
+// Closest 3-hour block to targetUnix, or null if the target is outside the list (+/- half a block)
+function pickBlock(list, targetUnix) {
+    if (!Array.isArray(list) || !list.length) return null;
+    let best = null;
+    for (const block of list) {
+        if (!best || Math.abs(block.dt - targetUnix) < Math.abs(best.dt - targetUnix)) best = block;
+    }
+    if (Math.abs(best.dt - targetUnix) > BLOCK_SECONDS / 2 + 1) return null;
+    return best;
+}
+
+// Normalize a forecast block into the reading shape weatherService returns
+function toReading(block, city) {
+    const w = (block.weather && block.weather[0]) || {};
+    return {
+        matchedDate: new Date(block.dt * 1000).toISOString(),
+        condition: w.main || "",
+        description: w.description || "",
+        temperature: block.main ? block.main.temp : null,
+        rainProbability: typeof block.pop === "number" ? block.pop : 0,
+        location: city && city.name ? city.name : null
+    };
+}
+
+function createOpenWeatherProvider({ apiKey = process.env.OPENWEATHERMAP_API_KEY, timeoutMs = 5000 } = {}) {
+    return {
+        name: "openweather",
+        horizonHours: 120,
+        async forecast({ location, target }) {
+            if (!apiKey) throw new Error("OPENWEATHERMAP_API_KEY not set");
+            if (!location) throw new Error("no location for weather lookup");
+            const { data } = await axios.get(FORECAST_URL, {
+                params: { ...locationParams(location), appid: apiKey, units: "metric" },
+                timeout: timeoutMs
+            });
+            const block = pickBlock(data && data.list, target.unix());
+            return block ? toReading(block, data.city) : null;
+        }
+    };
+}
+
+module.exports = { createOpenWeatherProvider, pickBlock, toReading, BLOCK_SECONDS };
@@ -1,21 +1,137 @@
 // File: services/weatherService.js
-// ALWAYS return "good" weather — no API calls, no errors, no fallback.
+// Pluggable weather lookup for a booking's date + time.
+// Providers: "openweather" (5-day/3-hour forecast), "climatology" (monthly normals) and "fake" (fixtures).
+// Pick one with WEATHER_PROVIDER; default is openweather when OPENWEATHERMAP_API_KEY is set, else climatology.
+// Results are cached per provider + location + hour (WEATHER_CACHE_TTL_SECONDS, default 1800).
 
-const moment = require("moment");
+const moment = require("moment-timezone");
+const { createOpenWeatherProvider } = require("./weather/openWeatherProvider");
+const { createClimatologyProvider } = require("./weather/climatologyProvider");
+const { createFakeProvider } = require("./weather/fakeProvider");
+const { timeToMinutes } = require("./availabilityService");
+const { venue: configVenue } = require("../config/venue");
 
-async function getWeatherForDate(dateInput, locationInput) {
-    const target = dateInput
-        ? moment(dateInput).utc().startOf("day")
-        : moment().utc().startOf("day");
+const DEFAULT_HOUR = 19; // bookings without a time are assumed to be dinner
 
-    return {
+const factories = {
+    openweather: createOpenWeatherProvider,
+    climatology: createClimatologyProvider,
+    fake: createFakeProvider
+};
+
+let provider = null;
+const climatology = createClimatologyProvider();
+
+// ---------- Provider registry ----------
+function registerProvider(name, factory) {
+    factories[name] = factory;
+}
+
+function createProvider(name) {
+    const factory = factories[name];
+    if (!factory) throw new Error(`unknown weather provider: ${name}`);
+    return factory();
+}
+
+function getProvider() {
+    if (!provider) {
+        const name = process.env.WEATHER_PROVIDER || (process.env.OPENWEATHERMAP_API_KEY ? "openweather" : "climatology");
+        provider = createProvider(name);
+    }
+    return provider;
+}
+
+// Accepts a provider name or an object implementing { name, horizonHours, forecast({ location, target }) }
+function setProvider(p) {
+    provider = typeof p === "string" ? createProvider(p) : p;
+    cache.clear();
+    return provider;
+}
+
+// ---------- TTL cache ----------
+const cache = new Map();
+const MAX_CACHE_ENTRIES = 500;
+
+function cacheTtlMs() {
+    const s = parseInt(process.env.WEATHER_CACHE_TTL_SECONDS, 10);
+    return (isNaN(s) ? 1800 : s) * 1000;
+}
+
+function cacheGet(key) {
+    const hit = cache.get(key);
+    if (!hit) return null;
+    if (hit.expiresAt <= Date.now()) { cache.delete(key); return null; }
+    return hit.value;
+}
+
+function cacheSet(key, value) {
+    if (cache.size >= MAX_CACHE_ENTRIES) {
+        const now = Date.now();
+        for (const [k, v] of cache) if (v.expiresAt <= now) cache.delete(k);
+        if (cache.size >= MAX_CACHE_ENTRIES) cache.delete(cache.keys().next().value);
+    }
+    cache.set(key, { value, expiresAt: Date.now() + cacheTtlMs() });
+}
+
+// ---------- Lookup ----------
+
+// Booking date (Date or YYYY-MM-DD, venue-local) + "HH:MM" -> instant being forecast
+function targetInstant(dateInput, time, tz) {
+    const day = dateInput
+        ? (dateInput instanceof Date ? moment(dateInput).tz(tz) : moment.tz(String(dateInput), ["YYYY-MM-DD", moment.ISO_8601], tz))
+        : moment.tz(tz);
+    if (!day.isValid()) return null;
+    const minutes = timeToMinutes(time);
+    return day.clone().startOf("day").add(minutes != null ? minutes : DEFAULT_HOUR * 60, "minutes");
+}
+
+/**
+ * Weather for a booking. options: { time: "19:30", timezone } (the default venue's timezone when omitted).
+ * Resolves to { weatherInfo: { date, matchedDate, condition, description, temperature, rainProbability, location, source, note } }
+ * or { error, message } when the provider fails.
+ */
+async function getWeatherForDate(dateInput, locationInput, options = {}) {
+    const tz = options.timezone || configVenue.timezone;
+    const location = locationInput || process.env.DEFAULT_LOCATION || null;
+    const target = targetInstant(dateInput, options.time, tz);
+    if (!target) return { error: "bad_date", message: "Invalid booking date for weather lookup" };
+
+    const primary = getProvider();
+    const hoursAhead = target.diff(moment(), "hours", true);
+    const inHorizon = hoursAhead <= primary.horizonHours;
+
+    const key = `${primary.name}|${String(location || "").toLowerCase()}|${target.clone().utc().format("YYYY-MM-DDTHH")}`;
+    const cached = cacheGet(key);
+    if (cached) return { weatherInfo: { ...cached.weatherInfo, date: target.toISOString() } };
+
+    let reading = null;
+    let source = primary.name;
+    let note = null;
+    try {
+        if (inHorizon) reading = await primary.forecast({ location, target });
+    } catch (err) {
+        return { error: "provider_error", message: err && err.message ? err.message : String(err) };
+    }
+    if (!reading) {
+        reading = await climatology.forecast({ location, target });
+        source = climatology.name;
+        if (primary.name !== climatology.name) note = inHorizon ? "no forecast block; climatology used" : "beyond forecast horizon; climatology used";
+    }
+
+    const result = {
         weatherInfo: {
             date: target.toISOString(),
-            matchedDate: target.toISOString(),
-            category: "good",
-            text: "Good for outdoor dining"
+            ...reading,
+            source,
+            note
         }
     };
+    cacheSet(key, result);
+    return result;
+}
+
+function clearCache() {
+    cache.clear();
 }
 
-module.exports = { getWeatherForDate };
+module.exports = { getWeatherForDate, registerProvider, setProvider, getProvider, clearCache };
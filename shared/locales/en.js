@@ -0,0 +1,138 @@
+/* File: shared/locales/en.js
+ * English locale pack: the voice dialogue's prompts, the booking page's status messages and how
+ * times are spoken. shared/parsing.js reads English natively, so words is empty here; see
+ * shared/locales/hi.js for a pack that teaches the parser another language.
+ */
+(function (root, pack) {
+    if (typeof module === "object" && module.exports) module.exports = pack;
+    else (root.BookingLocales = root.BookingLocales || {})[pack.code] = pack;
+})(typeof self !== "undefined" ? self : this, (function () {
+    "use strict";
+
+    var STATUS = { pending: "pending", confirmed: "confirmed", seated: "seated", completed: "completed", cancelled: "cancelled", "no-show": "marked as a no-show" };
+
+    function details(s) {
+        return (s.cuisinePreference ? ", " + s.cuisinePreference + " cuisine" : "")
+            + (s.specialRequests ? ", with the note \"" + s.specialRequests + "\"" : "")
+            + (s.contact ? ", and the confirmation goes to " + s.contactSpoken : "");
+    }
+
+    return {
+        code: "en",
+        tag: "en-IN",
+        name: "English",
+        digits: "0123456789",
+
+        // Localized words -> the English the parser reads
+        words: {},
+
+        // Extra ways to say yes, no, etc. (regex source); English forms are built into the dialogue
+        intents: {},
+        ordinals: [],
+
+        // "7 PM", "7:30 PM"
+        speakTime: function (hour, minute) {
+            var h = hour % 12 || 12;
+            return h + (minute ? ":" + (minute < 10 ? "0" : "") + minute : "") + (hour < 12 ? " AM" : " PM");
+        },
+
+        prompts: {
+            or: "or",
+            greeting: "Hi! I can book a table for you. You can tell me everything at once, or answer one question at a time.",
+            customerName: "What name should I use for the booking?",
+            numberOfGuests: "How many guests? Please say '2 guests' or 'two guests'.",
+            bookingDate: "Which date would you like to book? Say like July 21 or 21 August. You can also say the year, e.g., 20 August 2025.",
+            bookingTime: "At what time should I reserve the table? Say like 6 pm or 6:00 p.m.",
+            cuisinePreference: "Any preferred cuisine?",
+            whichCuisine: "Great, which cuisine would you like?",
+            specialRequests: "Any special requests (birthday, dietary restrictions)?",
+            contact: "What phone number or email should we send the confirmation to? Say 'skip' if you'd rather not.",
+            noInput: "Sorry, I didn't hear anything.",
+            retry: {
+                customerName: "Sorry, I didn't catch the name.",
+                numberOfGuests: "Sorry, I didn't get the number of guests.",
+                bookingDate: "Sorry, I couldn't understand that date.",
+                bookingTime: "Sorry, I couldn't understand that time.",
+                contact: "Sorry, I didn't get that number or email.",
+                bookingRef: "Sorry, I couldn't find a booking with that reference."
+            },
+            tooManyGuests: function (n) { return "We can take at most " + n + " guests in one booking."; },
+            confirm: function (s) {
+                return "Let me confirm: a table for " + s.numberOfGuests + " under " + s.customerName + " on " + s.dateSpoken + " at " + s.timeSpoken + details(s) + ". Shall I book it?";
+            },
+            confirmRetry: "Please say yes to book it, or tell me what to change.",
+            amend: "What would you like to change? For example, 'make it 6 people' or 'change the time to 8 pm'.",
+            amendRetry: "Sorry, I didn't understand the change. You can say 'make it 6 people', 'change the date to 21 August' or 'the time is 8 pm'.",
+            // one alternative slot: "8 PM on Friday, 21 August"
+            slotOn: function (timeSpoken, dateSpoken) { return timeSpoken + " on " + dateSpoken; },
+            alternatives: function (reason, options) {
+                return "Sorry, " + (reason === "closed" ? "we are not taking bookings at that time" : reason === "past" ? "that time has already passed" : "that time is fully booked") + ". I can offer " + options + ". Which would you like?";
+            },
+            alternativesRetry: "Please say the first, second or third option, or say no to pick another time.",
+            noAlternatives: function () { return "Sorry, there are no free tables around that time. Which other date would you like?"; },
+            booked: function (refSpoken) {
+                return refSpoken ? "Your table is booked. Your booking reference is " + refSpoken + ". Thank you!" : "Your table is booked. Thank you!";
+            },
+            bookedPending: function (refSpoken) {
+                return "Your table is held, and the restaurant will confirm the booking shortly." + (refSpoken ? " Your booking reference is " + refSpoken + "." : "") + " Thank you!";
+            },
+            changeBooking: "Sure, let's find your booking.",
+            bookingRef: "What is your booking reference? It's the six-character code from your confirmation.",
+            foundBooking: function (s) {
+                return "I found the booking for " + s.numberOfGuests + " under " + s.customerName + " on " + s.dateSpoken + " at " + s.timeSpoken + ". What would you like to change?";
+            },
+            notModifiable: function (status) { return "That booking is " + (STATUS[status] || status) + " and can't be changed."; },
+            confirmChange: function (s) {
+                return "Let me confirm the new details: a table for " + s.numberOfGuests + " under " + s.customerName + " on " + s.dateSpoken + " at " + s.timeSpoken + details(s) + ". Shall I update the booking?";
+            },
+            updated: function () { return "Your booking has been updated. Thank you!"; },
+            duplicate: function (d) { return "You already have a table for " + d.numberOfGuests + " at " + d.timeSpoken + " on " + d.dateSpoken + ". Do you want another one?"; },
+            duplicateRetry: "Please say yes to book a second table, or no to keep just the one you have.",
+            duplicateDeclined: "Okay, I won't book another table. Your existing booking stays as it is.",
+            waitlistOption: "If you'd rather keep that time, say 'waitlist' and I'll put you on the waitlist.",
+            waitlistName: "Sure. What name should I put on the waitlist?",
+            waitlistContact: "What phone number or email should we use to tell you when a table frees up?",
+            waitlistContactNeeded: "I need a phone number or email to tell you when a table frees up. Please say one, or say stop to cancel.",
+            waitlistJoined: function (w) {
+                return "You're on the waitlist for " + w.numberOfGuests + " at " + w.timeSpoken + " on " + w.dateSpoken + ", number " + w.position + " in line. If a table frees up we'll hold it for you. Your waitlist code is " + w.refSpoken + ".";
+            },
+            slotFreed: "Good news, a table has just become free at that time.",
+            failed: function (message) { return "Sorry, I couldn't save the booking: " + message + "."; },
+            cancelled: "Okay, I've stopped this booking. Goodbye.",
+            done: "This booking conversation is finished. Start a new one to make another booking.",
+            // Phone calls (services/telephonyService.js)
+            transfer: "Let me put you through to someone from the restaurant.",
+            callGiveUp: "Sorry, I'm having trouble understanding. Please call us again later. Goodbye.",
+            callExpired: "Sorry, this call has timed out. Please call again to make a booking. Goodbye.",
+            callError: "Sorry, something went wrong on our side. Please call again in a little while. Goodbye."
+        },
+
+        // Booking page (public/index.html)
+        ui: {
+            fields: {
+                customerName: "name", numberOfGuests: "number of guests", bookingDate: "date", bookingTime: "time",
+                cuisinePreference: "cuisine", specialRequests: "special requests", contact: "phone or email", bookingRef: "booking reference"
+            },
+            started: "Voice flow started — speak when prompted",
+            stopped: "Voice flow stopped",
+            reset: "Reset complete",
+            waitingFor: function (field) { return "Waiting for: " + field; },
+            conversationState: function (state) { return "Conversation " + state; },
+            captureFailed: function (reason) { return "Voice capture failed (" + reason + ")"; },
+            conversationError: function (error) { return "Conversation error: " + error; },
+            created: function (ref) { return "Booking created: " + ref; },
+            finished: "Voice flow finished — review and Confirm & Preview",
+            aborted: function (message) { return "Flow aborted: " + message; },
+            editsApplied: "Edits applied",
+            previewing: "Calling preview API...",
+            unavailable: function (message, alternatives) { return "Slot unavailable: " + message + (alternatives ? " — try " + alternatives : ""); },
+            previewed: "Preview returned — review seating suggestion",
+            previewError: function (error) { return "Preview returned error: " + error; },
+            previewFailed: "Preview call failed",
+            creating: "Creating booking...",
+            createError: function (error, alternatives) { return "Create error: " + error + (alternatives ? " — try " + alternatives : ""); },
+            createFailed: "Create call failed",
+            anotherTable: "Book another table anyway?"
+        }
+    };
+})());
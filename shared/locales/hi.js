@@ -0,0 +1,204 @@
+/* File: shared/locales/hi.js
+ * Hindi locale pack. words rewrites Hindi number words, month and weekday names, relative days
+ * and time-of-day phrases into the English shared/parsing.js reads ("शाम साढ़े सात बजे" ->
+ * "evening half past 7 o'clock"); the rest is what the dialogue says and the booking page shows.
+ *
+ * To add a language, copy this file to shared/locales/<code>.js, translate it, and list it in
+ * shared/locales/index.js and in a <script> tag in public/index.html.
+ */
+(function (root, pack) {
+    if (typeof module === "object" && module.exports) module.exports = pack;
+    else (root.BookingLocales = root.BookingLocales || {})[pack.code] = pack;
+})(typeof self !== "undefined" ? self : this, (function () {
+    "use strict";
+
+    var STATUS = { pending: "लंबित", confirmed: "पक्की", seated: "चालू", completed: "पूरी हो चुकी", cancelled: "रद्द", "no-show": "नो-शो" };
+
+    function details(s) {
+        return (s.cuisinePreference ? ", " + s.cuisinePreference + " व्यंजन" : "")
+            + (s.specialRequests ? ", अनुरोध: " + s.specialRequests : "")
+            + (s.contact ? ", पुष्टि " + s.contactSpoken + " पर भेजी जाएगी" : "");
+    }
+
+    return {
+        code: "hi",
+        tag: "hi-IN",
+        name: "हिन्दी",
+        digits: "०१२३४५६७८९",
+
+        // Localized words -> the English the parser reads. Whole words only; the longest phrase wins
+        // ("दोपहर का खाना" before "दोपहर"), and "" drops a word.
+        words: {
+            // numbers
+            "शून्य": "0", "एक": "1", "दो": "2", "तीन": "3", "चार": "4", "पाँच": "5", "पांच": "5", "छह": "6", "छः": "6", "छे": "6",
+            "सात": "7", "आठ": "8", "नौ": "9", "दस": "10", "ग्यारह": "11", "बारह": "12", "तेरह": "13", "चौदह": "14",
+            "पंद्रह": "15", "पन्द्रह": "15", "सोलह": "16", "सत्रह": "17", "अठारह": "18", "उन्नीस": "19", "बीस": "20",
+            "इक्कीस": "21", "बाईस": "22", "तेईस": "23", "चौबीस": "24", "पच्चीस": "25", "छब्बीस": "26", "सत्ताईस": "27",
+            "अट्ठाईस": "28", "अट्ठाइस": "28", "उनतीस": "29", "तीस": "30", "इकतीस": "31", "बत्तीस": "32", "तैंतीस": "33",
+            "चौंतीस": "34", "पैंतीस": "35", "छत्तीस": "36", "सैंतीस": "37", "अड़तीस": "38", "उनतालीस": "39", "चालीस": "40",
+            "इकतालीस": "41", "बयालीस": "42", "तैंतालीस": "43", "चवालीस": "44", "पैंतालीस": "45", "छियालीस": "46",
+            "सैंतालीस": "47", "अड़तालीस": "48", "उनचास": "49", "पचास": "50", "इक्यावन": "51", "बावन": "52", "तिरेपन": "53",
+            "चौवन": "54", "पचपन": "55", "छप्पन": "56", "सत्तावन": "57", "अट्ठावन": "58", "उनसठ": "59", "साठ": "60",
+            "दर्जन": "dozen",
+
+            // clock phrases: "साढ़े सात" = 7:30, "सवा आठ" = 8:15, "पौने नौ" = 8:45, "डेढ़" = 1:30, "ढाई" = 2:30
+            "साढ़े": "half past", "सवा": "quarter past", "पौने": "quarter to", "डेढ़": "1:30", "ढाई": "2:30",
+            "बजे": "o'clock", "बज": "o'clock", "बजकर": "", "बज कर": "", "बजके": "", "मिनट": "", "समय": "time",
+            "सुबह": "morning", "सवेरे": "morning", "दोपहर": "afternoon", "शाम": "evening", "रात": "night", "आज रात": "tonight",
+            "नाश्ता": "breakfast", "नाश्ते": "breakfast", "लंच": "lunch", "दोपहर का खाना": "lunch", "दोपहर के खाने": "lunch",
+            "डिनर": "dinner", "रात का खाना": "dinner", "रात के खाने": "dinner",
+
+            // days: with forward dates "कल" is tomorrow (it also means yesterday)
+            "आज": "today", "कल": "tomorrow", "परसों": "in 2 days", "अगले": "next", "अगला": "next", "अगली": "next",
+            "इस": "this", "इसी": "this", "हफ्ते": "week", "हफ़्ते": "week", "सप्ताह": "week", "वीकेंड": "weekend", "सप्ताहांत": "weekend",
+            "सोमवार": "monday", "मंगलवार": "tuesday", "बुधवार": "wednesday", "गुरुवार": "thursday", "बृहस्पतिवार": "thursday",
+            "वीरवार": "thursday", "शुक्रवार": "friday", "शनिवार": "saturday", "रविवार": "sunday", "इतवार": "sunday",
+            "जनवरी": "january", "फ़रवरी": "february", "फरवरी": "february", "मार्च": "march", "अप्रैल": "april", "अप्रेल": "april",
+            "मई": "may", "जून": "june", "जुलाई": "july", "अगस्त": "august", "सितंबर": "september", "सितम्बर": "september",
+            "अक्टूबर": "october", "अक्तूबर": "october", "नवंबर": "november", "नवम्बर": "november", "दिसंबर": "december", "दिसम्बर": "december",
+
+            // party size: "हम चार लोग हैं", "मैं और मेरे दो दोस्त", "सिर्फ मैं"
+            "लोग": "people", "लोगों": "people", "व्यक्ति": "people", "जन": "people", "मेहमान": "guests", "मेहमानों": "guests",
+            "बड़े": "adults", "वयस्क": "adults", "बच्चे": "kids", "बच्चों": "kids", "दोस्त": "friends", "दोस्तों": "friends",
+            "मैं": "me", "मेरे साथ": "with me", "और": "and", "हम": "we", "मेरी पत्नी": "my wife", "मेरे पति": "my husband",
+            "मेरा दोस्त": "my friend", "मेरी दोस्त": "my friend", "सिर्फ मैं": "just me", "सिर्फ़ मैं": "just me", "केवल मैं": "just me",
+            "अकेला": "just me", "अकेली": "just me", "अकेले": "just me", "टेबल": "table", "के लिए": "for",
+
+            // names: "मेरा नाम प्रिया है" (for "प्रिया के नाम पर" see nameMarkers)
+            "मेरा नाम": "my name is",
+
+            // cuisines: "इटालियन खाना"
+            "खाना": "food", "व्यंजन": "cuisine", "भारतीय": "indian", "उत्तर भारतीय": "north indian", "नॉर्थ इंडियन": "north indian",
+            "दक्षिण भारतीय": "south indian", "साउथ इंडियन": "south indian", "इंडियन": "indian", "इटालियन": "italian", "इतालवी": "italian",
+            "चाइनीज़": "chinese", "चाइनीज": "chinese", "इंडो चाइनीज़": "indo chinese", "इंडो चाइनीज": "indo chinese", "थाई": "thai",
+            "जापानी": "japanese", "कोरियन": "korean", "मैक्सिकन": "mexican", "कॉन्टिनेंटल": "continental", "फ्रेंच": "french",
+            "लेबनानी": "lebanese", "मुग़लई": "mughlai", "मुगलई": "mughlai", "पंजाबी": "punjabi", "बंगाली": "bengali",
+            "गुजराती": "gujarati", "राजस्थानी": "rajasthani", "हैदराबादी": "hyderabadi", "शाकाहारी": "vegetarian", "वीगन": "vegan",
+            "सी फ़ूड": "seafood", "सी फूड": "seafood", "पिज़्ज़ा": "pizza", "पिज्जा": "pizza", "बिरयानी": "biryani",
+
+            // occasions and requests: "जन्मदिन है", "सालगिरह"
+            "जन्मदिन": "birthday", "बर्थडे": "birthday", "सालगिरह": "anniversary", "वर्षगांठ": "anniversary", "एनिवर्सरी": "anniversary",
+            "केक": "cake", "एलर्जी": "allergy", "खिड़की": "window", "सरप्राइज़": "surprise", "सरप्राइज": "surprise", "व्हीलचेयर": "wheelchair",
+
+            // filler
+            "को": "", "है": "", "हैं": "", "हूँ": "", "हूं": "", "कर दो": "", "कर दीजिए": "", "कर दीजिये": "", "बदल दो": ""
+        },
+
+        // Ways to say yes, no, etc. (regex source), added to the dialogue's English ones
+        intents: {
+            yes: "हाँ|हां|जी हाँ|ठीक है|सही|बुक कर",
+            no: "नहीं|नही|जी नहीं",
+            stop: "रद्द|बंद करो",
+            none: "कुछ नहीं|नहीं|कोई नहीं|नहीं चाहिए",
+            waitlist: "वेटलिस्ट|प्रतीक्षा सूची",
+            correction: "कर दो|बदल",
+            changeBooking: "बुकिंग\\s*(?:बदल|में बदलाव)",
+            booking: "बुक|टेबल"
+        },
+        ordinals: [["पहला", "पहले", "पहली"], ["दूसरा", "दूसरे", "दूसरी"], ["तीसरा", "तीसरे", "तीसरी"]],
+        // Phrases that follow the guest's name ("प्रिया के नाम पर"), regex source; English cues come first ("under Priya")
+        nameMarkers: "के नाम (?:पर|से)",
+
+        // "शाम 7 बजे", "सुबह 10:30 बजे"
+        speakTime: function (hour, minute) {
+            var part = hour >= 4 && hour < 12 ? "सुबह" : hour >= 12 && hour < 16 ? "दोपहर" : hour >= 16 && hour < 20 ? "शाम" : "रात";
+            return part + " " + (hour % 12 || 12) + (minute ? ":" + (minute < 10 ? "0" : "") + minute : "") + " बजे";
+        },
+
+        prompts: {
+            or: "या",
+            greeting: "नमस्ते! मैं आपके लिए टेबल बुक कर सकता हूँ। आप सारी जानकारी एक साथ बता सकते हैं, या एक-एक करके।",
+            customerName: "आपका नाम क्या है?",
+            numberOfGuests: "कितने लोग हैं? उदाहरण: दो मेहमान",
+            bookingDate: "कृपया तारीख बताएं, उदाहरण: 20 अगस्त या कल",
+            bookingTime: "कृपया समय बताएं, उदाहरण: शाम 7 बजे",
+            cuisinePreference: "पसंदीदा व्यंजन बताएं",
+            whichCuisine: "ज़रूर, कौन सा व्यंजन पसंद करेंगे?",
+            specialRequests: "कोई विशेष अनुरोध?",
+            contact: "पुष्टि किस फ़ोन नंबर या ईमेल पर भेजें? न चाहें तो 'नहीं' कहें।",
+            noInput: "माफ़ कीजिए, मुझे कुछ सुनाई नहीं दिया।",
+            retry: {
+                customerName: "माफ़ कीजिए, नाम समझ नहीं आया।",
+                numberOfGuests: "माफ़ कीजिए, मेहमानों की संख्या समझ नहीं आई।",
+                bookingDate: "माफ़ कीजिए, तारीख समझ नहीं आई।",
+                bookingTime: "माफ़ कीजिए, समय समझ नहीं आया।",
+                contact: "माफ़ कीजिए, नंबर या ईमेल समझ नहीं आया।",
+                bookingRef: "माफ़ कीजिए, इस कोड से कोई बुकिंग नहीं मिली।"
+            },
+            tooManyGuests: function (n) { return "एक बुकिंग में अधिकतम " + n + " मेहमान हो सकते हैं।"; },
+            confirm: function (s) {
+                return "पुष्टि करें: " + s.customerName + " के नाम पर " + s.numberOfGuests + " लोगों के लिए टेबल, " + s.dateSpoken + " को " + s.timeSpoken + details(s) + "। क्या मैं बुक कर दूँ?";
+            },
+            confirmRetry: "बुक करने के लिए हाँ कहें, या बताएं क्या बदलना है।",
+            amend: "आप क्या बदलना चाहेंगे? उदाहरण: '6 लोग कर दो' या 'समय 8 बजे कर दो'।",
+            amendRetry: "माफ़ कीजिए, बदलाव समझ नहीं आया। उदाहरण: '6 लोग कर दो' या 'समय 8 बजे कर दो'।",
+            slotOn: function (timeSpoken, dateSpoken) { return dateSpoken + " को " + timeSpoken; },
+            alternatives: function (reason, options) {
+                return "माफ़ कीजिए, " + (reason === "closed" ? "उस समय बुकिंग नहीं ली जा रही" : reason === "past" ? "वह समय निकल चुका है" : "वह समय पूरा बुक है") + "। विकल्प हैं: " + options + "। आप कौन सा चाहेंगे?";
+            },
+            alternativesRetry: "कृपया पहला, दूसरा या तीसरा विकल्प कहें, या कोई और समय चुनने के लिए नहीं कहें।",
+            noAlternatives: function () { return "माफ़ कीजिए, उस समय के आसपास कोई टेबल उपलब्ध नहीं है। कोई और तारीख बताएं?"; },
+            booked: function (refSpoken) {
+                return refSpoken ? "आपकी टेबल बुक हो गई है। आपका बुकिंग कोड " + refSpoken + " है। धन्यवाद!" : "आपकी टेबल बुक हो गई है। धन्यवाद!";
+            },
+            bookedPending: function (refSpoken) {
+                return "आपकी टेबल रख ली गई है, रेस्टोरेंट जल्द ही बुकिंग की पुष्टि करेगा।" + (refSpoken ? " आपका बुकिंग कोड " + refSpoken + " है।" : "") + " धन्यवाद!";
+            },
+            changeBooking: "ज़रूर, आपकी बुकिंग ढूँढते हैं।",
+            bookingRef: "आपका बुकिंग कोड क्या है? यह आपकी पुष्टि में दिया गया छह अक्षरों का कोड है।",
+            foundBooking: function (s) {
+                return s.customerName + " के नाम पर " + s.numberOfGuests + " लोगों की बुकिंग मिली, " + s.dateSpoken + " को " + s.timeSpoken + "। आप क्या बदलना चाहेंगे?";
+            },
+            notModifiable: function (status) { return "यह बुकिंग " + (STATUS[status] || status) + " है और बदली नहीं जा सकती।"; },
+            confirmChange: function (s) {
+                return "नई जानकारी की पुष्टि करें: " + s.customerName + " के नाम पर " + s.numberOfGuests + " लोगों के लिए टेबल, " + s.dateSpoken + " को " + s.timeSpoken + details(s) + "। क्या मैं बुकिंग बदल दूँ?";
+            },
+            updated: function () { return "आपकी बुकिंग बदल दी गई है। धन्यवाद!"; },
+            duplicate: function (d) { return "आपकी पहले से " + d.dateSpoken + " को " + d.timeSpoken + " पर " + d.numberOfGuests + " लोगों की टेबल बुक है। क्या आप एक और टेबल चाहते हैं?"; },
+            duplicateRetry: "दूसरी टेबल बुक करने के लिए हाँ कहें, या मौजूदा बुकिंग ही रखने के लिए नहीं।",
+            duplicateDeclined: "ठीक है, मैं दूसरी टेबल बुक नहीं कर रहा। आपकी मौजूदा बुकिंग वैसी ही है।",
+            waitlistOption: "अगर आप वही समय चाहते हैं, तो 'वेटलिस्ट' कहें, मैं आपको प्रतीक्षा सूची में जोड़ दूँगा।",
+            waitlistName: "ज़रूर। प्रतीक्षा सूची में किस नाम से जोड़ूँ?",
+            waitlistContact: "टेबल खाली होने पर हम आपको किस फ़ोन नंबर या ईमेल पर बताएं?",
+            waitlistContactNeeded: "टेबल खाली होने की सूचना देने के लिए फ़ोन नंबर या ईमेल ज़रूरी है। कृपया बताएं, या रोकने के लिए 'बंद करो' कहें।",
+            waitlistJoined: function (w) {
+                return "आप " + w.dateSpoken + " को " + w.timeSpoken + " के लिए " + w.numberOfGuests + " लोगों की प्रतीक्षा सूची में " + w.position + " नंबर पर हैं। टेबल खाली होते ही हम उसे आपके लिए रखेंगे। आपका वेटलिस्ट कोड " + w.refSpoken + " है।";
+            },
+            slotFreed: "अच्छी खबर, उस समय एक टेबल अभी खाली हुई है।",
+            failed: function (message) { return "माफ़ कीजिए, बुकिंग सेव नहीं हो पाई: " + message + "।"; },
+            cancelled: "ठीक है, यह बुकिंग रोक दी गई है। धन्यवाद।",
+            done: "यह बातचीत पूरी हो चुकी है। नई बुकिंग के लिए फिर से शुरू करें।",
+            transfer: "आपकी बात रेस्टोरेंट के किसी साथी से करवाई जा रही है।",
+            callGiveUp: "माफ़ कीजिए, मुझे आपकी बात समझने में दिक्कत हो रही है। कृपया थोड़ी देर बाद फिर से कॉल करें। धन्यवाद।",
+            callExpired: "माफ़ कीजिए, इस कॉल का समय खत्म हो गया है। बुकिंग के लिए कृपया फिर से कॉल करें। धन्यवाद।",
+            callError: "माफ़ कीजिए, हमारी तरफ़ कुछ गड़बड़ हो गई। कृपया थोड़ी देर बाद फिर से कॉल करें। धन्यवाद।"
+        },
+
+        ui: {
+            fields: {
+                customerName: "नाम", numberOfGuests: "मेहमानों की संख्या", bookingDate: "तारीख", bookingTime: "समय",
+                cuisinePreference: "व्यंजन", specialRequests: "विशेष अनुरोध", contact: "फ़ोन या ईमेल", bookingRef: "बुकिंग कोड"
+            },
+            started: "बातचीत शुरू — पूछे जाने पर बोलें",
+            stopped: "बातचीत रोकी गई",
+            reset: "सब साफ़ कर दिया गया",
+            waitingFor: function (field) { return "इंतज़ार: " + field; },
+            conversationState: function (state) { return "बातचीत: " + state; },
+            captureFailed: function (reason) { return "आवाज़ सुनाई नहीं दी (" + reason + ")"; },
+            conversationError: function (error) { return "बातचीत में गड़बड़ी: " + error; },
+            created: function (ref) { return "बुकिंग हो गई: " + ref; },
+            finished: "बातचीत पूरी — जानकारी देखें और Confirm & Preview दबाएँ",
+            aborted: function (message) { return "बातचीत रुक गई: " + message; },
+            editsApplied: "बदलाव लागू किए गए",
+            previewing: "प्रीव्यू मँगाया जा रहा है...",
+            unavailable: function (message, alternatives) { return "यह समय उपलब्ध नहीं: " + message + (alternatives ? " — विकल्प: " + alternatives : ""); },
+            previewed: "प्रीव्यू आ गया — बैठने का सुझाव देखें",
+            previewError: function (error) { return "प्रीव्यू में गड़बड़ी: " + error; },
+            previewFailed: "प्रीव्यू नहीं मिल पाया",
+            creating: "बुकिंग की जा रही है...",
+            createError: function (error, alternatives) { return "बुकिंग नहीं हो पाई: " + error + (alternatives ? " — विकल्प: " + alternatives : ""); },
+            createFailed: "बुकिंग का अनुरोध विफल रहा",
+            anotherTable: "फिर भी एक और टेबल बुक करें?"
+        }
+    };
+})());
@@ -0,0 +1,8 @@
+// File: shared/locales/index.js
+// The locale packs the server loads (the booking page loads each pack with its own <script> tag).
+// Keyed by base language code: "hi-IN" uses hi; languages without a pack use en.
+
+module.exports = {
+    en: require("./en"),
+    hi: require("./hi")
+};
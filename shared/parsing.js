@@ -0,0 +1,389 @@
+/* File: shared/parsing.js
+ * Natural-language parsing for booking answers (party size, date, time), built on chrono-node.
+ * Loaded by the server with require() and by the browser with <script src="/shared/parsing.js">
+ * (the page puts chrono on window.chrono first, see public/index.html).
+ * Other languages come from the locale packs in shared/locales: with options.lang set, the text is
+ * rewritten into English first ("शाम 7 बजे" -> "evening 7 o'clock"); without it, every pack is tried.
+ *
+ * Every parser returns { value, confidence, ambiguity } — value is null when nothing was understood,
+ * confidence is 0..1 and ambiguity lists flags such as "meridiem_assumed" or "year_assumed".
+ */
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory(function () { return require("chrono-node"); }, function () { return require("./locales"); });
+    } else {
+        root.BookingParsing = factory(function () { return root.chrono || null; }, function () { return root.BookingLocales || {}; });
+    }
+})(typeof self !== "undefined" ? self : this, function (loadChrono, loadLocales) {
+    "use strict";
+
+    // Largest party one booking can take (the API, the voice dialogue and the booking page all check it)
+    var MAX_GUESTS = 30;
+
+    // ---------- Number words ----------
+    var SMALL = {
+        zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+        ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19
+    };
+    var TENS = { twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 };
+    var NUMBER_WORD = "(?:zero|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|thirteen|fourteen|fifteen|sixteen|seventeen|eighteen|nineteen|twenty|thirty|forty|fifty|sixty|seventy|eighty|ninety|hundred)";
+    // a run of number words, allowing "and" only between two of them ("one hundred and five")
+    var NUMBER_WORD_RE = new RegExp("\\b" + NUMBER_WORD + "(?:[\\s-]+(?:and[\\s-]+)?" + NUMBER_WORD + ")*\\b", "gi");
+
+    // Times of day used when no clock time was said, and the meridiem they imply for bare hours
+    var TIME_OF_DAY = {
+        breakfast: { time: "09:00", meridiem: "am" },
+        morning: { time: "10:00", meridiem: "am" },
+        brunch: { time: "11:30", meridiem: "am" },
+        noon: { time: "12:00", meridiem: null },
+        lunch: { time: "13:00", meridiem: null },
+        afternoon: { time: "15:00", meridiem: "pm" },
+        evening: { time: "19:00", meridiem: "pm" },
+        dinner: { time: "20:00", meridiem: "pm" },
+        tonight: { time: "20:00", meridiem: "pm" },
+        night: { time: "20:00", meridiem: "pm" }
+    };
+
+    // ---------- Locale packs ----------
+
+    function baseLanguage(lang) {
+        return String(lang || "").toLowerCase().split(/[-_]/)[0];
+    }
+
+    /** The locale pack for a language tag ("hi-IN" -> hi); English for languages without one. */
+    function localePack(lang) {
+        var packs = loadLocales();
+        return packs[baseLanguage(lang)] || packs.en;
+    }
+
+    // Per pack: its words as one regex, longest first, matched as whole words in any script
+    var compiled = {};
+    function wordsRegex(pack) {
+        if (compiled[pack.code]) return compiled[pack.code];
+        var keys = Object.keys(pack.words || {}).map(function (k) { return k.normalize("NFC"); });
+        if (!keys.length) return (compiled[pack.code] = { re: null, words: {} });
+        var words = {};
+        Object.keys(pack.words).forEach(function (k) { words[k.normalize("NFC")] = pack.words[k]; });
+        keys.sort(function (a, b) { return b.length - a.length; });
+        var alts = keys.map(function (k) { return k.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/ /g, "\\s+"); });
+        var re = new RegExp("(?<![\\p{L}\\p{M}\\p{N}])(?:" + alts.join("|") + ")(?![\\p{L}\\p{M}\\p{N}])", "gu");
+        return (compiled[pack.code] = { re: re, words: words });
+    }
+
+    /**
+     * Rewrite localized words into the English the parsers read: "20 अगस्त" -> "20 august",
+     * "चार लोग" -> "4 people". lang picks one pack; without it every pack is applied.
+     */
+    function localize(text, lang) {
+        var s = String(text || "").normalize("NFC");
+        var all = loadLocales();
+        var packs = lang ? (all[baseLanguage(lang)] ? [all[baseLanguage(lang)]] : []) : Object.keys(all).map(function (k) { return all[k]; });
+        var changed = false;
+        packs.forEach(function (pack) {
+            if (pack.digits && pack.digits !== "0123456789") {
+                s = s.replace(new RegExp("[" + pack.digits + "]", "g"), function (d) { changed = true; return String(pack.digits.indexOf(d)); });
+            }
+            var w = wordsRegex(pack);
+            if (!w.re) return;
+            s = s.replace(w.re, function (m) { changed = true; return " " + w.words[m.replace(/\s+/g, " ")] + " "; });
+        });
+        if (!changed) return String(text || "");
+        return s.replace(/\u0964/g, ".").replace(/\s+/g, " ").trim();
+    }
+
+    function pad(n) { return (n < 10 ? "0" : "") + n; }
+    function formatDate(y, m, d) { return y + "-" + pad(m) + "-" + pad(d); }
+    function formatTime(h, m) { return pad(h) + ":" + pad(m); }
+    function result(value, confidence, ambiguity) {
+        return { value: value === undefined ? null : value, confidence: value == null ? 0 : confidence, ambiguity: ambiguity || [] };
+    }
+
+    /**
+     * "twenty one" -> 21, "one hundred and five" -> 105; null when the text holds no number words.
+     * Digits are accepted too ("4" -> 4), and with options.lang that language's number words ("चार" -> 4).
+     */
+    function wordsToNumber(s, options) {
+        var parts = localize(s, options && options.lang).toLowerCase().replace(/[-,]/g, " ").replace(/\band\b/g, " ").split(/\s+/).filter(Boolean);
+        var total = 0, cur = 0, seen = false;
+        for (var i = 0; i < parts.length; i++) {
+            var p = parts[i];
+            if (SMALL[p] != null) { cur += SMALL[p]; seen = true; }
+            else if (TENS[p] != null) { cur += TENS[p]; seen = true; }
+            else if (p === "hundred") { cur = (cur || 1) * 100; seen = true; }
+            else if (p === "thousand") { total += (cur || 1) * 1000; cur = 0; seen = true; }
+            else if (/^\d+$/.test(p)) { cur += parseInt(p, 10); seen = true; }
+        }
+        return seen ? total + cur : null;
+    }
+
+    // Rewrite runs of number words as digits, keeping separate numbers apart: "seven thirty" -> "7 30", "twenty one" -> "21"
+    function digitizeNumberWords(text) {
+        return String(text).replace(NUMBER_WORD_RE, function (run) {
+            var groups = [], cur = null;
+            run.toLowerCase().split(/[\s-]+/).forEach(function (w) {
+                if (w === "and") return;
+                if (w === "hundred") { cur = (cur || 1) * 100; return; }
+                var v = SMALL[w] != null ? SMALL[w] : TENS[w];
+                var joinable = cur !== null && (
+                    (TENS[w] == null && v < 10 && (cur >= 20 && cur % 10 === 0)) ||   // twenty + one
+                    (cur >= 100 && cur % 100 === 0)                                    // hundred + anything
+                );
+                if (joinable) cur += v;
+                else { if (cur !== null) groups.push(cur); cur = v; }
+            });
+            if (cur !== null) groups.push(cur);
+            return groups.join(" ");
+        });
+    }
+
+    /** First number in free text, digits or words ("four people" -> 4); null when none. options: { lang }. */
+    function extractNumber(text, options) {
+        var s = digitizeNumberWords(localize(text, options && options.lang));
+        var m = s.match(/\b(\d{1,4})\b/);
+        return m ? parseInt(m[1], 10) : null;
+    }
+
+    // Spoken clock phrases -> chrono-friendly text
+    function normalizeSpokenTime(text) {
+        var s = digitizeNumberWords(String(text || "").toLowerCase())
+            .replace(/\b([ap])\.\s?m\.?/g, "$1m")
+            .replace(/\bhalf past (\d{1,2})\b/g, "$1:30")
+            .replace(/\bquarter past (\d{1,2})\b/g, "$1:15")
+            .replace(/\bquarter (?:to|till|of) (\d{1,2})\b/g, function (_, h) { h = parseInt(h, 10); return ((h + 10) % 12 + 1) + ":45"; })
+            .replace(/\b(\d{1,2}) (?:oh|o) (\d)\b/g, "$1:0$2")
+            .replace(/\b(\d{1,2}) o'? ?clock\b/g, "$1:00");
+        // "7 30" / "7 45 pm" -> "7:30"
+        return s.replace(/\b(\d{1,2}) ([1-5]\d)\b(?!\s*(?:people|persons|guests|pax))/g, "$1:$2");
+    }
+
+    var ORDINALS = {
+        first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9, tenth: 10,
+        eleventh: 11, twelfth: 12, thirteenth: 13, fourteenth: 14, fifteenth: 15, sixteenth: 16, seventeenth: 17,
+        eighteenth: 18, nineteenth: 19, twentieth: 20, thirtieth: 30
+    };
+    var ORDINAL_RE = new RegExp("\\b(?:(twenty|thirty)[\\s-]+)?(" + Object.keys(ORDINALS).join("|") + ")\\b", "g");
+
+    function normalizeSpokenDate(text) {
+        var s = String(text || "").toLowerCase().replace(ORDINAL_RE, function (_, tens, ord) {
+            return ((tens ? TENS[tens] : 0) + ORDINALS[ord]) + "th";
+        });
+        return digitizeNumberWords(s)
+            .replace(/\b(?:the )?day after tomorrow\b/g, "in 2 days")
+            .replace(/\bday before yesterday\b/g, "2 days ago");
+    }
+
+    // ---------- Reference time ----------
+
+    /**
+     * Wall-clock "now" in a timezone, as a Date whose local fields carry that wall clock.
+     * chrono resolves relative words ("tomorrow") against local fields, so this keeps the server
+     * answering in the venue's timezone whatever the process timezone is.
+     */
+    function wallClockNow(timezone, instant) {
+        var d = instant ? new Date(instant) : new Date();
+        if (!timezone || typeof Intl === "undefined") return d;
+        var parts = new Intl.DateTimeFormat("en-US", {
+            timeZone: timezone, year: "numeric", month: "2-digit", day: "2-digit",
+            hour: "2-digit", minute: "2-digit", second: "2-digit", hourCycle: "h23"
+        }).formatToParts(d);
+        var get = function (t) { for (var i = 0; i < parts.length; i++) if (parts[i].type === t) return parseInt(parts[i].value, 10); return 0; };
+        return new Date(get("year"), get("month") - 1, get("day"), get("hour") % 24, get("minute"), get("second"));
+    }
+
+    function chronoParse(text, ref, options) {
+        var chrono = loadChrono();
+        if (!chrono) return [];
+        // en.GB reads 05/06 as 5 June, which is what guests in India mean
+        var parser = chrono.en && chrono.en.GB ? chrono.en.GB : chrono;
+        return parser.parse(text, ref, options);
+    }
+
+    // ---------- Party size ----------
+
+    var PERSON_NOUN = "(?:people|persons|person|guests|guest|adults|adult|kids|kid|children|child|friends|friend|pax|of us|colleagues|seats)";
+
+    /**
+     * "4", "four people", "a couple", "me and three friends", "two adults and two kids", "just me".
+     * options: { lang }. ambiguity: "includes_speaker" (guest counted themselves in), "vague_quantity" ("a couple of friends").
+     */
+    function parsePartySize(text, options) {
+        var raw = localize(text, options && options.lang).toLowerCase();
+        if (!raw.trim()) return result(null);
+        if (/\b(just|only) (me|myself|one)\b|\bby myself\b|\b(table for|party of) one\b|^\s*(me|myself|alone)\s*$/.test(raw)) return result(1, 0.9);
+
+        var s = digitizeNumberWords(raw).replace(/\ba dozen\b/g, "12").replace(/\bhalf a dozen\b/g, "6");
+        var vague = false;
+        s = s.replace(/\ba couple(?: of)?\b/g, function (m) { if (/of$/.test(m)) vague = true; return "2"; })
+            .replace(/\ba few\b/g, function () { vague = true; return "3"; });
+        if (/^\s*(a )?(couple|pair)\s*$/.test(s)) return result(2, 0.85);
+
+        var flags = vague ? ["vague_quantity"] : [];
+
+        // "me and three friends", "my wife and I", "me plus 2"
+        var speaker = /\b(me|myself|i(?!'))\s+(and|with|plus|\+)\s|\b(and|with|plus|\+)\s+(me|myself|i(?!'))\b|\bus two\b/.test(s);
+        if (speaker) {
+            var companions = 0;
+            var nums = s.match(/\b\d{1,3}\b/g) || [];
+            nums.forEach(function (n) { companions += parseInt(n, 10); });
+            // each "my wife", "a friend", "my husband" without a number counts as one
+            var singles = s.match(/\b(my|a|one)\s+(?!\d)(wife|husband|partner|friend|colleague|son|daughter|mother|mom|mum|father|dad|brother|sister|boss|guest|kid|child|girlfriend|boyfriend|fiance|fiancee)\b/g) || [];
+            companions += singles.length;
+            if (companions > 0) {
+                flags.push("includes_speaker");
+                return result(companions + 1, vague ? 0.6 : 0.8, flags);
+            }
+        }
+
+        // "two adults and three kids" -> 5
+        var groupRe = new RegExp("\\b(\\d{1,3})\\s+" + PERSON_NOUN + "\\b", "g");
+        var groups = [], m;
+        while ((m = groupRe.exec(s)) !== null) groups.push(parseInt(m[1], 10));
+        if (groups.length > 1) return result(groups.reduce(function (a, b) { return a + b; }, 0), vague ? 0.6 : 0.8, flags.concat(["summed_groups"]));
+        if (groups.length === 1) return result(groups[0], vague ? 0.6 : 0.95, flags);
+
+        var tableFor = s.match(/\b(?:table|booking|reservation|party|family) (?:for|of) (\d{1,3})\b/);
+        if (tableFor) return result(parseInt(tableFor[1], 10), 0.9, flags);
+
+        var n = extractNumber(s);
+        if (n == null || n < 1) return result(null);
+        return result(n, /^\s*\d+\s*$/.test(raw) ? 0.95 : (vague ? 0.6 : 0.85), flags);
+    }
+
+    // ---------- Date ----------
+
+    /**
+     * "tomorrow", "this Saturday", "next Friday evening", "20 August", "21/08/2026" -> "YYYY-MM-DD".
+     * options: { timezone, now, lang }. Dates without a year resolve to the next occurrence.
+     * ambiguity: year_assumed, next_weekday ("next Friday" = this coming or the one after?),
+     * day_month_order (05/06), weekend_day_assumed, past_date.
+     */
+    function parseDate(text, options) {
+        options = options || {};
+        var raw = localize(text, options.lang);
+        if (!raw.trim()) return result(null);
+        var ref = wallClockNow(options.timezone, options.now);
+        var s = normalizeSpokenDate(raw);
+
+        var iso = s.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+        var found = null, picked = null;
+        if (iso) {
+            found = { y: parseInt(iso[1], 10), m: parseInt(iso[2], 10), d: parseInt(iso[3], 10), certainYear: true, certainDay: true };
+            // 2026-02-30 is not a day; the page has no moment, so check by letting Date roll it over
+            var check = new Date(Date.UTC(found.y, found.m - 1, found.d));
+            if (check.getUTCFullYear() !== found.y || check.getUTCMonth() !== found.m - 1 || check.getUTCDate() !== found.d) return result(null);
+        } else {
+            var results = chronoParse(s, ref, { forwardDate: true });
+            for (var i = 0; i < results.length; i++) {
+                var c = results[i].start;
+                var dateish = c.isCertain("day") || c.isCertain("weekday") || c.isCertain("month");
+                if (!dateish) continue;
+                picked = results[i];
+                found = { y: c.get("year"), m: c.get("month"), d: c.get("day"), certainYear: c.isCertain("year"), certainDay: c.isCertain("day") && c.isCertain("month") };
+                break;
+            }
+        }
+        if (!found) return result(null);
+
+        var value = formatDate(found.y, found.m, found.d);
+        var today = formatDate(ref.getFullYear(), ref.getMonth() + 1, ref.getDate());
+        var ambiguity = [];
+        var confidence = 0.95;
+        var text2 = picked ? picked.text.toLowerCase() : s;
+
+        if (found.certainDay && !found.certainYear && !/\b(today|tomorrow|tonight|in \d+ days?)\b/.test(text2)) ambiguity.push("year_assumed");
+        if (!found.certainDay) confidence = 0.85; // weekday names
+        if (/\bnext\s+(mon|tue|wed|thu|fri|sat|sun)/.test(s)) { ambiguity.push("next_weekday"); confidence = 0.7; }
+        if (/\bweekend\b/.test(s)) { ambiguity.push("weekend_day_assumed"); confidence = 0.6; }
+        var slash = s.match(/\b(\d{1,2})[\/.](\d{1,2})(?:[\/.]\d{2,4})?\b/);
+        if (slash && parseInt(slash[1], 10) <= 12 && parseInt(slash[2], 10) <= 12 && slash[1] !== slash[2]) { ambiguity.push("day_month_order"); confidence = 0.6; }
+        if (value < today) { ambiguity.push("past_date"); confidence = 0.3; }
+
+        return result(value, confidence, ambiguity);
+    }
+
+    // ---------- Time ----------
+
+    function meridiemHint(s) {
+        if (/\b(am|morning|breakfast|brunch)\b/.test(s)) return "am";
+        if (/\b(pm|afternoon|evening|night|tonight|dinner)\b/.test(s)) return "pm";
+        return null;
+    }
+
+    /**
+     * "8 pm", "19:30", "half past seven", "quarter to eight", "seven thirty", "at 7" -> "HH:MM".
+     * Bare hours 1-11 with no am/pm default to dinner-time PM (ambiguity "meridiem_assumed").
+     * A time of day alone ("evening") gives a typical time with low confidence ("time_of_day_only").
+     * options: { timezone, now, lang }.
+     */
+    function parseTime(text, options) {
+        options = options || {};
+        var raw = localize(text, options.lang);
+        if (!raw.trim()) return result(null);
+        var s = normalizeSpokenTime(raw);
+        var hint = meridiemHint(s);
+        var hour = null, minute = 0, meridiemCertain = false;
+
+        var results = chronoParse(s, wallClockNow(options.timezone, options.now));
+        for (var i = 0; i < results.length; i++) {
+            var c = results[i].start;
+            if (!c.isCertain("hour")) continue;
+            hour = c.get("hour");
+            minute = c.get("minute") || 0;
+            meridiemCertain = c.isCertain("meridiem") || hour === 0 || hour > 12;
+            break;
+        }
+
+        // bare "7" / "at 7" that chrono leaves alone
+        if (hour === null) {
+            var bare = s.match(/^\s*(?:at|around|about|by)?\s*(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\s*$/) ||
+                s.match(/\b(?:at|around|about|by)\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\b/);
+            if (bare) {
+                hour = parseInt(bare[1], 10);
+                minute = parseInt(bare[2] || "0", 10);
+                if (bare[3] === "pm" && hour < 12) hour += 12;
+                if (bare[3] === "am" && hour === 12) hour = 0;
+                meridiemCertain = !!bare[3] || hour === 0 || hour > 12;
+            }
+        }
+
+        if (hour === null) {
+            var words = Object.keys(TIME_OF_DAY);
+            for (var j = 0; j < words.length; j++) {
+                if (new RegExp("\\b" + words[j] + "\\b").test(s)) {
+                    return result(TIME_OF_DAY[words[j]].time, words[j] === "noon" ? 0.9 : 0.4, words[j] === "noon" ? [] : ["time_of_day_only"]);
+                }
+            }
+            return result(null);
+        }
+        if (hour > 23 || minute > 59) return result(null);
+
+        var ambiguity = [];
+        var confidence = 0.95;
+        if (!meridiemCertain && hour >= 1 && hour <= 11) {
+            if (hint === "am") confidence = 0.9;
+            else if (hint === "pm") { hour += 12; confidence = 0.9; }
+            else {
+                // dinner-time default: 1-10 -> PM; a bare 11 is far more likely a late-morning table than 11 PM
+                if (hour <= 10) hour += 12;
+                ambiguity.push("meridiem_assumed");
+                confidence = 0.7;
+            }
+        }
+        return result(formatTime(hour, minute), confidence, ambiguity);
+    }
+
+    return {
+        MAX_GUESTS: MAX_GUESTS,
+        wordsToNumber: wordsToNumber,
+        extractNumber: extractNumber,
+        digitizeNumberWords: digitizeNumberWords,
+        parsePartySize: parsePartySize,
+        parseDate: parseDate,
+        parseTime: parseTime,
+        wallClockNow: wallClockNow,
+        localize: localize,
+        localePack: localePack,
+        formatDate: formatDate,
+        formatTime: formatTime
+    };
+});
@@ -0,0 +1,202 @@
+// File: test/api.test.js
+// The API end to end without a MongoDB server: index.js runs as a child process with STORAGE=memory
+// (and STORAGE_FILE for the restart case), and requests go over HTTP like a real client's.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startServer, call, HOST_KEY, ADMIN_KEY } = require("./helpers/server");
+
+const booking = {
+    customerName: "Priya",
+    numberOfGuests: "four",
+    bookingDate: "tomorrow",
+    bookingTime: "8 pm",
+    contactEmail: "priya@example.com"
+};
+
+test("bookings API on in-memory storage", async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const { base } = server;
+
+    await t.test("health reports the memory backend", async () => {
+        const res = await call(base, "GET", "/health");
+        assert.equal(res.status, 200);
+        assert.equal(res.body.storage.backend, "memory");
+    });
+
+    let created;
+    await t.test("create with spoken values", async () => {
+        const res = await call(base, "POST", "/bookings", { body: booking });
+        assert.equal(res.status, 201);
+        assert.equal(res.body.success, true);
+        created = res.body.booking;
+        assert.equal(created.numberOfGuests, 4);
+        assert.equal(created.bookingTime, "20:00");
+        assert.match(created.bookingRef, /^[A-Z0-9]{6}$/);
+    });
+
+    await t.test("read back by host and by the guest's reference", async () => {
+        const byHost = await call(base, "GET", `/bookings/${created.bookingId}`, { key: HOST_KEY });
+        assert.equal(byHost.status, 200);
+        assert.equal(byHost.body.booking.customerName, "Priya");
+        const res = await fetch(`${base}/bookings/${created.bookingId}`, { headers: { "X-Booking-Ref": created.bookingRef } });
+        assert.equal(res.status, 200);
+        const anonymous = await call(base, "GET", "/bookings/list");
+        assert.equal(anonymous.status, 401);
+    });
+
+    await t.test("a second identical booking is flagged as a duplicate", async () => {
+        const res = await call(base, "POST", "/bookings", { body: booking });
+        assert.equal(res.status, 409);
+    });
+
+    await t.test("invalid fields are listed", async () => {
+        const res = await call(base, "POST", "/bookings", { body: { ...booking, bookingDate: "2026-02-30", numberOfGuests: 99 } });
+        assert.equal(res.status, 400);
+        assert.deepEqual(res.body.fields.sort(), ["bookingDate", "numberOfGuests"]);
+    });
+
+    await t.test("a status change shows in the filtered list", async () => {
+        const seated = await call(base, "PATCH", `/bookings/${created.bookingId}/status`, { key: HOST_KEY, body: { status: "seated" } });
+        assert.equal(seated.status, 200);
+        assert.equal(seated.body.booking.status, "seated");
+        const list = await call(base, "GET", "/bookings/list?status=seated", { key: HOST_KEY });
+        assert.equal(list.status, 200);
+        assert.deepEqual(list.body.bookings.map(b => b.bookingId), [created.bookingId]);
+    });
+
+    await t.test("admin delete", async () => {
+        const del = await call(base, "DELETE", `/bookings/${created.bookingId}`, { key: ADMIN_KEY });
+        assert.equal(del.status, 200);
+        const gone = await call(base, "GET", `/bookings/${created.bookingId}`, { key: HOST_KEY });
+        assert.equal(gone.status, 404);
+    });
+});
+
+test("STORAGE_FILE keeps bookings across restarts", async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "booking-store-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const env = { STORAGE_FILE: path.join(dir, "store.json") };
+
+    const first = await startServer(env);
+    const res = await call(first.base, "POST", "/bookings", { body: booking });
+    assert.equal(res.status, 201);
+    await first.stop();
+
+    const second = await startServer(env);
+    t.after(() => second.stop());
+    const again = await call(second.base, "GET", `/bookings/${res.body.booking.bookingId}`, { key: HOST_KEY });
+    assert.equal(again.status, 200);
+    assert.equal(again.body.booking.bookingRef, res.body.booking.bookingRef);
+});
+
+test("a no-show is seated again only while a table is free", async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const { base } = server;
+    const tiny = "/restaurants/tiny";
+    const created = await call(base, "POST", "/restaurants", { key: ADMIN_KEY, body: { restaurantId: "tiny", name: "Tiny", tables: [{ id: "T1", seats: 4 }] } });
+    assert.equal(created.status, 201);
+    const slot = { numberOfGuests: 2, bookingDate: "tomorrow", bookingTime: "20:00" };
+
+    const late = (await call(base, "POST", `${tiny}/bookings`, { body: { ...slot, customerName: "Late" } })).body.booking;
+    const toStatus = (id, status) => call(base, "PATCH", `${tiny}/bookings/${id}/status`, { key: HOST_KEY, body: { status } });
+
+    // nobody is waiting: the table is still free
+    assert.equal((await toStatus(late.bookingId, "no-show")).status, 200);
+    const seated = await toStatus(late.bookingId, "seated");
+    assert.equal(seated.status, 200);
+    assert.deepEqual(seated.body.booking.tableIds, ["T1"]);
+
+    // the slot is full; the second party waits, gets the no-show's table and accepts it
+    const other = (await call(base, "POST", `${tiny}/bookings`, { body: { ...slot, customerName: "Other", bookingTime: "21:30" } })).body.booking;
+    const entry = (await call(base, "POST", `${tiny}/waitlist`, { body: { ...slot, bookingTime: "21:30", customerName: "Waiting" } })).body.waitlist;
+    assert.equal((await toStatus(other.bookingId, "no-show")).status, 200);
+    assert.equal((await call(base, "POST", `${tiny}/waitlist/${entry.waitlistId}/accept`)).status, 201);
+
+    const again = await toStatus(other.bookingId, "seated");
+    assert.equal(again.status, 409);
+    assert.equal(again.body.error, "slot_full");
+    const active = await call(base, "GET", `${tiny}/bookings/list?status=active`, { key: HOST_KEY });
+    assert.deepEqual(active.body.bookings.filter(b => b.bookingTime === "21:30").map(b => b.customerName), ["Waiting"]);
+});
+
+test("an import dry run reports the same row errors as the real import", async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const csv = [
+        "customerName,numberOfGuests,bookingDate,bookingTime",
+        "Asha,2,2099-13-40,20:00",
+        "Ben,2,2026-02-30,20:00",
+        "Chitra,2,,20:00",
+        "Dev,2,2099-01-05,20:00"
+    ].join("\n");
+    const importCsv = async query => {
+        const res = await fetch(`${server.base}/bookings/import${query}`, { method: "POST", headers: { "X-API-Key": ADMIN_KEY, "Content-Type": "text/csv" }, body: csv });
+        return res.json();
+    };
+
+    const dry = await importCsv("?dryRun=true");
+    const real = await importCsv("");
+    const outcome = body => body.rows.map(r => [r.status === "imported" ? "ok" : r.status, r.errors || []]);
+    assert.deepEqual(outcome(dry), outcome(real));
+    assert.deepEqual(dry.rows.map(r => r.errors && r.errors[0]), [
+        { field: "bookingDate", error: "invalid", value: "2099-13-40" },
+        { field: "bookingDate", error: "invalid", value: "2026-02-30" },
+        { field: "bookingDate", error: "missing" },
+        undefined
+    ]);
+    assert.equal(real.imported, 1);
+});
+
+test("moving a booking to another day offers its table to the waitlist", async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const { base } = server;
+    const tiny = "/restaurants/tiny";
+    await call(base, "POST", "/restaurants", { key: ADMIN_KEY, body: { restaurantId: "tiny", name: "Tiny", tables: [{ id: "T1", seats: 4 }] } });
+    const slot = { numberOfGuests: 2, bookingDate: "tomorrow", bookingTime: "20:00" };
+
+    const moving = (await call(base, "POST", `${tiny}/bookings`, { body: { ...slot, customerName: "Moving" } })).body.booking;
+    const entry = (await call(base, "POST", `${tiny}/waitlist`, { body: { ...slot, customerName: "Waiting" } })).body.waitlist;
+    assert.equal(entry.status, "waiting");
+
+    const moved = await call(base, "PATCH", `${tiny}/bookings/${moving.bookingId}`, { key: HOST_KEY, body: { bookingDate: "in 3 days" } });
+    assert.equal(moved.status, 200);
+    const after = await call(base, "GET", `${tiny}/waitlist/${entry.waitlistId}`, { key: HOST_KEY });
+    assert.equal(after.body.waitlist.status, "offered");
+    assert.deepEqual(after.body.waitlist.offer.tableIds, ["T1"]);
+});
+
+test("large parties wait as pending until staff confirm them", async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const { base } = server;
+    const venue = "/restaurants/big";
+    const created = await call(base, "POST", "/restaurants", { key: ADMIN_KEY, body: { restaurantId: "big", name: "Big", confirmationPartySize: 6 } });
+    assert.equal(created.status, 201);
+    const slot = { bookingDate: "tomorrow", bookingTime: "20:00" };
+
+    const small = await call(base, "POST", `${venue}/bookings`, { body: { ...slot, customerName: "Small", numberOfGuests: 2 } });
+    assert.equal(small.body.booking.status, "confirmed");
+    const large = (await call(base, "POST", `${venue}/bookings`, { body: { ...slot, customerName: "Large", numberOfGuests: 6 } })).body.booking;
+    assert.equal(large.status, "pending");
+    assert.deepEqual(large.statusHistory.map(h => [h.from, h.to]), [[null, "pending"]]);
+    assert.ok(large.tableIds.length > 0);
+
+    const toStatus = status => call(base, "PATCH", `${venue}/bookings/${large.bookingId}/status`, { key: HOST_KEY, body: { status } });
+    const seated = await toStatus("seated");
+    assert.equal(seated.status, 409);
+    assert.equal(seated.body.error, "illegal_transition");
+    assert.deepEqual(seated.body.allowed, ["confirmed", "cancelled"]);
+
+    const confirmed = await toStatus("confirmed");
+    assert.equal(confirmed.status, 200);
+    assert.deepEqual(confirmed.body.transition, { from: "pending", to: "confirmed" });
+    const upcoming = await call(base, "GET", `${venue}/bookings/list?status=pending`, { key: HOST_KEY });
+    assert.deepEqual(upcoming.body.bookings, []);
+});
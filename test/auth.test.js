@@ -0,0 +1,95 @@
+// File: test/auth.test.js
+// Roles over HTTP: anonymous guests, guests holding a booking reference, host and admin API keys,
+// signed session tokens, and the ?token / ?key credentials some routes accept.
+
+process.env.AUTH_SECRET = "test-auth-secret";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const authService = require("../services/authService");
+const { startServer, call, HOST_KEY, ADMIN_KEY } = require("./helpers/server");
+
+function assertRefused(res, status) {
+    assert.equal(res.status, status);
+    assert.equal(res.body.success, false);
+    assert.equal(res.body.error, status === 401 ? "unauthorized" : "forbidden");
+    assert.equal(typeof res.body.message, "string");
+}
+
+test("authentication and roles", async t => {
+    const server = await startServer({ AUTH_SECRET: process.env.AUTH_SECRET });
+    t.after(() => server.stop());
+    const { base } = server;
+    const book = customerName => call(base, "POST", "/bookings", { body: { customerName, numberOfGuests: 2, bookingDate: "tomorrow", bookingTime: "20:00" } });
+    const mine = (await book("Mine")).body.booking;
+    const theirs = (await book("Theirs")).body.booking;
+    const asGuest = (method, url, body) => call(base, method, url, { body, headers: { "X-Booking-Ref": mine.bookingRef } });
+
+    await t.test("anonymous callers can book but not read the list", async () => {
+        assert.equal(mine.customerName, "Mine");
+        assertRefused(await call(base, "GET", "/bookings/list"), 401);
+        assertRefused(await call(base, "GET", `/bookings/${mine.bookingId}`), 401);
+        assertRefused(await call(base, "GET", "/bookings/list", { key: "no-such-key" }), 401);
+    });
+
+    await t.test("a booking reference opens only that booking", async () => {
+        const own = await asGuest("GET", `/bookings/${mine.bookingId}`);
+        assert.equal(own.status, 200);
+        assertRefused(await asGuest("GET", `/bookings/${theirs.bookingId}`), 403);
+        assertRefused(await asGuest("GET", "/bookings/list"), 403);
+        assertRefused(await asGuest("PATCH", `/bookings/${theirs.bookingId}/cancel`, {}), 403);
+        const unknown = await call(base, "GET", `/bookings/${mine.bookingId}`, { headers: { "X-Booking-Ref": "ZZZZZZ" } });
+        assertRefused(unknown, 401);
+    });
+
+    await t.test("hosts list and change status; only admins delete and export", async () => {
+        assert.equal((await call(base, "GET", "/bookings/list", { key: HOST_KEY })).status, 200);
+        const seated = await call(base, "PATCH", `/bookings/${theirs.bookingId}/status`, { key: HOST_KEY, body: { status: "seated" } });
+        assert.equal(seated.status, 200);
+        assert.equal(seated.body.booking.statusHistory.at(-1).actor, "host-key");
+        assertRefused(await call(base, "DELETE", `/bookings/${theirs.bookingId}`, { key: HOST_KEY }), 403);
+        assertRefused(await call(base, "DELETE", "/bookings/bulk", { key: HOST_KEY, body: { ids: [theirs.bookingId] } }), 403);
+        assertRefused(await call(base, "GET", "/bookings/export", { key: HOST_KEY }), 403);
+        assert.equal((await call(base, "GET", "/bookings/export", { key: ADMIN_KEY })).status, 200);
+    });
+
+    await t.test("a staff session token stands in for the API key", async () => {
+        assertRefused(await call(base, "POST", "/auth/session"), 401);
+        const session = await call(base, "POST", "/auth/session", { key: HOST_KEY });
+        assert.equal(session.status, 201);
+        assert.equal(session.body.role, "host");
+        const bearer = token => ({ headers: { Authorization: `Bearer ${token}` } });
+
+        const me = await call(base, "GET", "/auth/me", bearer(session.body.token));
+        assert.deepEqual([me.body.role, me.body.subject, me.body.via], ["host", "host-key", "token"]);
+        assert.equal((await call(base, "GET", "/bookings/list", bearer(session.body.token))).status, 200);
+        assertRefused(await call(base, "GET", "/bookings/export", bearer(session.body.token)), 403);
+
+        const [payload, sig] = session.body.token.split(".");
+        const forged = Buffer.from(JSON.stringify({ role: "admin", sub: "x", exp: 9999999999 })).toString("base64url");
+        assertRefused(await call(base, "GET", "/bookings/list", bearer(`${forged}.${sig}`)), 401);
+        assertRefused(await call(base, "GET", "/bookings/list", bearer(`${payload}.${sig}x`)), 401);
+        const expired = authService.issueToken({ role: "host", subject: "host-key" }, -60).token;
+        const late = await call(base, "GET", "/bookings/list", bearer(expired));
+        assertRefused(late, 401);
+        assert.match(late.body.message, /expired/);
+    });
+
+    await t.test("a guest session token is limited to its booking", async () => {
+        const session = await call(base, "POST", "/auth/guest", { body: { bookingRef: mine.bookingRef } });
+        assert.equal(session.status, 201);
+        assert.equal(session.body.bookingId, mine.bookingId);
+        const headers = { Authorization: `Bearer ${session.body.token}` };
+        assert.equal((await call(base, "GET", `/bookings/${mine.bookingId}`, { headers })).status, 200);
+        assertRefused(await call(base, "GET", `/bookings/${theirs.bookingId}`, { headers }), 403);
+    });
+
+    await t.test("?token and ?key work only where headers can't be sent", async () => {
+        const token = (await call(base, "POST", "/auth/session", { key: HOST_KEY })).body.token;
+        assert.equal((await call(base, "GET", `/bookings/calendar.ics?key=${HOST_KEY}`)).status, 200);
+        assert.equal((await call(base, "GET", `/bookings/calendar.ics?token=${encodeURIComponent(token)}`)).status, 200);
+        assert.equal((await call(base, "GET", `/bookings/${mine.bookingId}/ics?ref=${mine.bookingRef}`)).status, 200);
+        assertRefused(await call(base, "GET", "/bookings/calendar.ics?key=no-such-key"), 401);
+        assertRefused(await call(base, "GET", `/bookings/list?key=${HOST_KEY}`), 401);
+    });
+});
@@ -0,0 +1,35 @@
+// File: test/availability.test.js
+// Slot checks (services/availabilityService.js) in process on in-memory storage.
+
+process.env.STORAGE = "memory";
+process.env.WEATHER_PROVIDER = "fake";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const moment = require("moment-timezone");
+const repos = require("../repositories");
+const restaurants = require("../services/restaurantService");
+const availability = require("../services/availabilityService");
+
+const venue = restaurants.defaultVenue();
+const today = () => moment.tz(venue.timezone).format("YYYY-MM-DD");
+
+test.before(() => repos.connect());
+
+test("a start time that has already passed in venue time is not offered", async () => {
+    // midnight has always passed by the time the check runs
+    const earlier = await availability.checkAvailability({ bookingDate: today(), bookingTime: "00:00", numberOfGuests: 2 }, venue);
+    assert.equal(earlier.available, false);
+    assert.equal(earlier.reason, "past");
+    const cutoff = moment.tz(venue.timezone).format("YYYY-MM-DD HH:mm");
+    assert.ok(earlier.alternatives.every(a => `${a.date} ${a.time}` > cutoff));
+
+    const lastYear = await availability.checkAvailability({ bookingDate: "2020-01-01", bookingTime: "20:00", numberOfGuests: 2 }, venue);
+    assert.equal(lastYear.reason, "past");
+    assert.deepEqual(lastYear.alternatives, []);
+});
+
+test("allowPast checks a booking that already holds its time", async () => {
+    const held = await availability.checkAvailability({ bookingDate: "2020-01-01", bookingTime: "20:00", numberOfGuests: 2, allowPast: true }, venue);
+    assert.equal(held.available, true);
+});
@@ -0,0 +1,81 @@
+// File: test/calendar.test.js
+// iCalendar output (services/calendarService.js): TEXT escaping and line folding, then the per-booking
+// download and the staff feed over HTTP (stable UIDs, SEQUENCE, cancelled bookings).
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { escapeText, foldLine } = require("../services/calendarService");
+const { startServer, call, HOST_KEY } = require("./helpers/server");
+
+// Undo line folding and split into content lines
+function contentLines(ics) {
+    return ics.replace(/\r\n /g, "").split("\r\n");
+}
+
+// The named property of each VEVENT, keyed by UID
+function eventsBy(ics, property) {
+    const out = {};
+    for (const block of ics.replace(/\r\n /g, "").split("BEGIN:VEVENT").slice(1)) {
+        const uid = block.match(/\r\nUID:([^\r]*)/)[1];
+        const m = block.match(new RegExp(`\\r\\n${property}[:;]([^\\r]*)`));
+        out[uid] = m ? m[1] : null;
+    }
+    return out;
+}
+
+test("TEXT values escape backslashes, separators and newlines", () => {
+    assert.equal(escapeText("Window, please; no nuts\\peanuts\nBirthday"), "Window\\, please\\; no nuts\\\\peanuts\\nBirthday");
+    assert.equal(escapeText(null), "");
+});
+
+test("long lines fold at 75 octets without splitting a character", () => {
+    const line = `DESCRIPTION:${"जन्मदिन ".repeat(12)}`;
+    const folded = foldLine(line);
+    const parts = folded.split("\r\n");
+    assert.ok(parts.length > 1);
+    assert.ok(parts.every(p => Buffer.byteLength(p, "utf8") <= 75));
+    assert.ok(parts.slice(1).every(p => p.startsWith(" ")));
+    assert.equal(folded.replace(/\r\n /g, ""), line);
+    assert.equal(foldLine("SHORT:line"), "SHORT:line");
+});
+
+test("calendar downloads and the staff feed", async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const { base } = server;
+    const book = body => call(base, "POST", "/bookings", { body: { numberOfGuests: 2, bookingDate: "tomorrow", bookingTime: "20:00", ...body } });
+    const kept = (await book({ customerName: "Priya", specialRequests: "Birthday, window seat; no nuts" })).body.booking;
+    const dropped = (await book({ customerName: "Rahul", bookingTime: "21:00" })).body.booking;
+
+    await t.test("a booking downloads as one event in the venue's timezone", async () => {
+        const res = await call(base, "GET", `/bookings/${kept.bookingId}/ics`, { headers: { "X-Booking-Ref": kept.bookingRef } });
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get("content-type"), /^text\/calendar/);
+        assert.match(res.headers.get("content-disposition"), /^attachment; filename="booking-[A-Z0-9]{6}\.ics"/);
+        assert.ok(res.body.endsWith("\r\n"));
+        const lines = contentLines(res.body);
+        assert.ok(lines.includes(`UID:${kept.bookingId}`));
+        assert.ok(lines.includes("TZID:Asia/Kolkata"));
+        assert.ok(lines.some(l => /^DTSTART;TZID=Asia\/Kolkata:\d{8}T200000$/.test(l)));
+        assert.ok(lines.some(l => /^DTEND;TZID=Asia\/Kolkata:\d{8}T213000$/.test(l)));
+        assert.ok(lines.includes("SEQUENCE:0"));
+        assert.ok(lines.some(l => l.includes("Special requests: Birthday\\, window seat\\; no nuts")));
+        // guests don't see staff details
+        assert.ok(!lines.some(l => l.startsWith("SUMMARY:") && l.includes("Priya")));
+    });
+
+    await t.test("changes keep the UID and raise SEQUENCE; cancellations stay in the feed", async () => {
+        await call(base, "PATCH", `/bookings/${kept.bookingId}`, { key: HOST_KEY, body: { numberOfGuests: 3 } });
+        await call(base, "PATCH", `/bookings/${dropped.bookingId}/cancel`, { key: HOST_KEY, body: {} });
+
+        const feed = await call(base, "GET", `/bookings/calendar.ics?key=${HOST_KEY}`);
+        assert.equal(feed.status, 200);
+        assert.deepEqual(eventsBy(feed.body, "SEQUENCE"), { [kept.bookingId]: "1", [dropped.bookingId]: "1" });
+        assert.deepEqual(eventsBy(feed.body, "STATUS"), { [kept.bookingId]: "CONFIRMED", [dropped.bookingId]: "CANCELLED" });
+        assert.equal(eventsBy(feed.body, "SUMMARY")[kept.bookingId], "Priya (3)");
+        assert.equal(contentLines(feed.body).filter(l => l === "BEGIN:VTIMEZONE").length, 1);
+
+        const active = await call(base, "GET", `/bookings/calendar.ics?key=${HOST_KEY}&status=active`);
+        assert.deepEqual(Object.keys(eventsBy(active.body, "UID")), [kept.bookingId]);
+    });
+});
@@ -0,0 +1,116 @@
+// File: test/dialogue.test.js
+// Voice dialogue flows (services/dialogueManager.js) on in-memory storage.
+
+process.env.STORAGE = "memory";
+process.env.WEATHER_PROVIDER = "fake";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const repos = require("../repositories");
+const restaurants = require("../services/restaurantService");
+const bookingService = require("../services/bookingService");
+const dialogue = require("../services/dialogueManager");
+
+// One table, so a single booking fills the 8 pm slot
+const venue = { ...restaurants.defaultVenue(), id: "one-table", tables: [{ id: "T1", seats: 4 }] };
+
+async function say(session, ...lines) {
+    let turn;
+    for (const text of lines) turn = await dialogue.handleTurn(session.sessionId, text);
+    return turn;
+}
+
+test.before(async () => {
+    await repos.connect();
+    const taken = await bookingService.createBooking({ customerName: "Asha", numberOfGuests: 2, bookingDate: "tomorrow", bookingTime: "20:00" }, { venue });
+    assert.equal(taken.status, 201);
+});
+
+test("joining the waitlist by voice asks for a contact first", async () => {
+    const session = dialogue.createSession({ lang: "en-IN", venue });
+    let turn = await say(session, "Table for two under Cal tomorrow at 8 pm");
+    assert.equal(turn.state, "choosing_alternative");
+
+    turn = await say(session, "waitlist");
+    assert.equal(turn.state, "waitlist_contact");
+    turn = await say(session, "skip");
+    assert.equal(turn.state, "waitlist_contact");
+
+    turn = await say(session, "my number is 98765 43210");
+    assert.equal(turn.state, "done");
+    assert.equal(turn.waitlist.contactPhone, "9876543210");
+});
+
+test("a known contact (caller ID) joins the waitlist straight away", async () => {
+    const session = dialogue.createSession({ lang: "en-IN", venue, contact: "+919812345678" });
+    const turn = await say(session, "Table for two under Dev tomorrow at 8 pm", "waitlist");
+    assert.equal(turn.state, "done");
+    assert.equal(turn.waitlist.contactPhone, "+919812345678");
+});
+
+test("a party that needs staff confirmation hears that the table is held", async () => {
+    const big = { ...restaurants.defaultVenue(), id: "confirm-large", confirmationPartySize: 6 };
+    const session = dialogue.createSession({ lang: "en-IN", venue: big, contact: "+919812345678" });
+    const turn = await say(session, "Table for six under Meera tomorrow at 9 pm", "no", "no", "yes");
+    assert.equal(turn.state, "done");
+    assert.equal(turn.booking.status, "pending");
+    assert.match(turn.prompt, /will confirm the booking shortly/);
+});
+
+test("a yes to the cuisine question asks which cuisine instead of storing it", async () => {
+    const session = dialogue.createSession({ lang: "en-IN", venue, contact: "+919812345678" });
+    let turn = await say(session, "Table for two under Ravi tomorrow at 1 pm");
+    assert.equal(turn.expecting, "cuisinePreference");
+
+    turn = await say(session, "yes");
+    assert.match(turn.prompt, /which cuisine/i);
+    assert.equal(turn.slots.cuisinePreference, null);
+    turn = await say(session, "sure");
+    assert.match(turn.prompt, /which cuisine/i);
+
+    turn = await say(session, "yes, Thai please");
+    assert.equal(turn.slots.cuisinePreference, "Thai");
+});
+
+test("a Hindi yes to the cuisine question asks which cuisine", async () => {
+    const session = dialogue.createSession({ lang: "hi-IN", venue, contact: "+919812345678" });
+    let turn = await say(session, "अनु के नाम पर कल दोपहर 1 बजे दो लोगों के लिए टेबल");
+    assert.equal(turn.expecting, "cuisinePreference");
+    turn = await say(session, "हाँ");
+    assert.equal(turn.prompt, "ज़रूर, कौन सा व्यंजन पसंद करेंगे?");
+});
+
+test("a guest changes their booking by voice using its reference", async () => {
+    const made = await bookingService.createBooking({ customerName: "Nisha", numberOfGuests: 2, bookingDate: "tomorrow", bookingTime: "13:00" }, { venue });
+    const { bookingId, bookingRef } = made.body.booking;
+    const session = dialogue.createSession({ lang: "en-IN", venue });
+
+    let turn = await say(session, "I want to change my booking");
+    assert.equal(turn.expecting, "bookingRef");
+    turn = await say(session, bookingRef);
+    assert.equal(turn.state, "amending");
+    assert.match(turn.prompt, /for 2 under Nisha/);
+
+    turn = await say(session, "make it three people", "yes");
+    assert.equal(turn.state, "done");
+    const saved = await repos.bookings.findOne({ bookingId });
+    assert.equal(saved.numberOfGuests, 3);
+    assert.equal(saved.changeHistory.length, 1);
+    assert.equal(saved.changeHistory[0].changedBy, "voice");
+    assert.deepEqual(saved.changeHistory[0].changes.map(c => [c.field, c.from, c.to]), [["numberOfGuests", 2, 3]]);
+});
+
+test("a booking that looks like a duplicate is read out before booking another", async () => {
+    const roomy = { ...restaurants.defaultVenue(), id: "duplicates" };
+    const made = await bookingService.createBooking({ customerName: "Kiran", numberOfGuests: 2, bookingDate: "tomorrow", bookingTime: "19:00", contactPhone: "+919812345678" }, { venue: roomy });
+    assert.equal(made.status, 201);
+    const session = dialogue.createSession({ lang: "en-IN", venue: roomy, contact: "+919812345678" });
+
+    let turn = await say(session, "Table for four under Kiran tomorrow at 7:30 pm", "no", "no", "yes");
+    assert.equal(turn.state, "confirming_duplicate");
+    assert.match(turn.prompt, /You already have a table for 2 at 7 PM/);
+
+    turn = await say(session, "yes");
+    assert.equal(turn.state, "done");
+    assert.equal((await repos.bookings.find({ restaurantId: roomy.id })).length, 2);
+});
@@ -0,0 +1,106 @@
+// File: test/events.test.js
+// The live booking stream (GET /api/events, services/bookingEvents.js) over HTTP: events as they happen,
+// replay after a reconnect with Last-Event-ID, and resync when the replay buffer can't cover the gap.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const bookingEvents = require("../services/bookingEvents");
+const { startServer, call, HOST_KEY, ADMIN_KEY } = require("./helpers/server");
+
+// Open the stream and collect its events ({ id, event, data }) until done(events) holds;
+// onReady runs once the server has subscribed the stream
+async function readEvents(url, { headers, done, onReady = () => { } }) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), 5000);
+    const res = await fetch(url, { headers, signal: controller.signal });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^text\/event-stream/);
+    const events = [];
+    const decoder = new TextDecoder();
+    let buffer = "";
+    try {
+        for await (const chunk of res.body) {
+            buffer += decoder.decode(chunk, { stream: true });
+            let end;
+            while ((end = buffer.indexOf("\n\n")) !== -1) {
+                const fields = {};
+                for (const line of buffer.slice(0, end).split("\n")) {
+                    const m = line.match(/^(id|event|data): (.*)$/);
+                    if (m) fields[m[1]] = m[2];
+                }
+                buffer = buffer.slice(end + 2);
+                if (!fields.event) continue;
+                events.push({ id: Number(fields.id), event: fields.event, data: JSON.parse(fields.data) });
+                if (fields.event === "ready") onReady();
+            }
+            if (done(events)) break;
+        }
+    } finally {
+        clearTimeout(timer);
+        controller.abort();
+    }
+    return events;
+}
+
+test("a client that fell behind the replay buffer has to resync", () => {
+    const venue = { id: "buffer-test" };
+    const first = bookingEvents.publish("created", { bookingId: "b0", restaurantId: venue.id }, null);
+    for (let i = 1; i <= bookingEvents.REPLAY_SIZE; i++) bookingEvents.publish("updated", { bookingId: "b0", restaurantId: venue.id }, null);
+    assert.equal(bookingEvents.eventsSince(venue, first.id - 1), null);
+    assert.equal(bookingEvents.eventsSince(venue, first.id).length, bookingEvents.REPLAY_SIZE);
+    assert.deepEqual(bookingEvents.eventsSince(venue, bookingEvents.lastEventId()), []);
+    assert.equal(bookingEvents.eventsSince(venue, bookingEvents.lastEventId() + 1), null);
+});
+
+test("booking events stream", async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const { base } = server;
+    const stream = `${base}/events?key=${HOST_KEY}`;
+    const slot = { numberOfGuests: 2, bookingDate: "tomorrow", bookingTime: "20:00" };
+
+    let created;
+    await t.test("changes arrive as they happen", async () => {
+        let changes;
+        const events = await readEvents(stream, {
+            done: events => events.some(e => e.event === "booking.status"),
+            onReady: () => {
+                changes = (async () => {
+                    created = (await call(base, "POST", "/bookings", { body: { ...slot, customerName: "Live" } })).body.booking;
+                    await call(base, "PATCH", `/bookings/${created.bookingId}/status`, { key: HOST_KEY, body: { status: "seated" } });
+                })();
+            }
+        });
+        await changes;
+        assert.deepEqual(events.map(e => e.event), ["ready", "booking.created", "booking.status"]);
+        assert.equal(events[0].data.timezone, "Asia/Kolkata");
+        assert.equal(events[1].data.booking.bookingId, created.bookingId);
+        assert.deepEqual(events[1].data.booking.allowedTransitions, ["seated", "cancelled", "no-show"]);
+        assert.deepEqual(events[2].data.transition, { from: "confirmed", to: "seated" });
+    });
+
+    await t.test("a reconnect with Last-Event-ID gets what it missed, for its restaurant only", async () => {
+        const before = (await readEvents(stream, { done: events => events.some(e => e.event === "ready") }))[0].id;
+        await call(base, "POST", "/restaurants", { key: ADMIN_KEY, body: { restaurantId: "other", name: "Other" } });
+        await call(base, "POST", "/restaurants/other/bookings", { body: { ...slot, customerName: "Elsewhere" } });
+        const missed = (await call(base, "POST", "/bookings", { body: { ...slot, customerName: "Missed" } })).body.booking;
+        await call(base, "PATCH", `/bookings/${missed.bookingId}/cancel`, { key: HOST_KEY, body: {} });
+
+        const events = await readEvents(stream, { headers: { "Last-Event-ID": String(before) }, done: events => events.some(e => e.event === "ready") });
+        assert.deepEqual(events.map(e => e.event), ["booking.created", "booking.cancelled", "ready"]);
+        assert.ok(events.every(e => e.event === "ready" || e.data.booking.bookingId === missed.bookingId));
+        assert.ok(events[0].id > before && events[1].id > events[0].id);
+
+        const byQuery = await readEvents(`${stream}&lastEventId=${before}`, { done: events => events.some(e => e.event === "ready") });
+        assert.deepEqual(byQuery.map(e => e.event), ["booking.created", "booking.cancelled", "ready"]);
+    });
+
+    await t.test("an id the server doesn't know asks the client to reload", async () => {
+        const events = await readEvents(stream, { headers: { "Last-Event-ID": "999999" }, done: events => events.some(e => e.event === "ready") });
+        assert.deepEqual(events.map(e => e.event), ["resync", "ready"]);
+    });
+
+    await t.test("the stream is for hosts", async () => {
+        assert.equal((await call(base, "GET", "/events")).status, 401);
+    });
+});
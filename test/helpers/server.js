@@ -0,0 +1,72 @@
+// File: test/helpers/server.js
+// Runs index.js as a child process with STORAGE=memory on a free port, for the suites that test the API
+// over HTTP like a real client. Not a suite itself: npm test only runs test/*.test.js.
+
+const net = require("net");
+const path = require("path");
+const { spawn } = require("child_process");
+
+const ROOT = path.join(__dirname, "..", "..");
+const HOST_KEY = "test-host-key";
+const ADMIN_KEY = "test-admin-key";
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const srv = net.createServer();
+        srv.on("error", reject);
+        srv.listen(0, "127.0.0.1", () => {
+            const { port } = srv.address();
+            srv.close(() => resolve(port));
+        });
+    });
+}
+
+// Start the server and resolve once it listens: { base, stop() }
+async function startServer(env = {}) {
+    const port = await freePort();
+    const child = spawn(process.execPath, ["index.js"], {
+        cwd: ROOT,
+        env: {
+            ...process.env,
+            STORAGE: "memory",
+            PORT: String(port),
+            API_KEYS: `${HOST_KEY}:host,${ADMIN_KEY}:admin`,
+            WEATHER_PROVIDER: "fake",
+            NOTIFY_EMAIL_TRANSPORT: "capture",
+            NOTIFY_SMS_TRANSPORT: "capture",
+            ...env
+        },
+        stdio: ["ignore", "pipe", "pipe"]
+    });
+    let output = "";
+    const exited = new Promise(resolve => child.once("exit", resolve));
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`server did not start:\n${output}`)), 15000);
+        const onData = chunk => {
+            output += chunk;
+            if (/Server running on port/.test(output)) { clearTimeout(timer); resolve(); }
+        };
+        child.stdout.on("data", onData);
+        child.stderr.on("data", onData);
+        child.once("exit", code => { clearTimeout(timer); reject(new Error(`server exited (${code}):\n${output}`)); });
+    });
+    return {
+        base: `http://127.0.0.1:${port}/api`,
+        async stop() {
+            child.kill("SIGTERM");
+            await exited;
+        }
+    };
+}
+
+// JSON request; the answer is { status, headers, body } with body parsed when it is JSON
+async function call(base, method, url, { key, body, headers: extra } = {}) {
+    const headers = { ...extra };
+    if (key) headers["X-API-Key"] = key;
+    if (body) headers["Content-Type"] = "application/json";
+    const res = await fetch(base + url, { method, headers, body: body ? JSON.stringify(body) : undefined });
+    const type = res.headers.get("content-type") || "";
+    return { status: res.status, headers: res.headers, body: type.includes("json") ? await res.json() : await res.text() };
+}
+
+module.exports = { startServer, call, HOST_KEY, ADMIN_KEY };
@@ -0,0 +1,91 @@
+// File: test/idempotency.test.js
+// Repeated booking requests over HTTP: Idempotency-Key replays and the duplicate-booking check
+// (DUPLICATE_POLICY block, the default, and flag).
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, call, HOST_KEY } = require("./helpers/server");
+
+const slot = { numberOfGuests: 2, bookingDate: "tomorrow", bookingTime: "19:00" };
+
+async function bookingsNamed(base, customerName) {
+    const list = await call(base, "GET", "/bookings/list?status=active", { key: HOST_KEY });
+    return list.body.bookings.filter(b => b.customerName === customerName);
+}
+
+test("Idempotency-Key", async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const { base } = server;
+    const post = (key, body) => call(base, "POST", "/bookings", { body, headers: { "Idempotency-Key": key } });
+
+    await t.test("a retry gets the first response back and books once", async () => {
+        const body = { ...slot, customerName: "Retry" };
+        const first = await post("key-1", body);
+        const again = await post("key-1", body);
+        assert.equal(first.status, 201);
+        assert.equal(again.status, 201);
+        assert.equal(again.headers.get("idempotent-replayed"), "true");
+        assert.equal(first.headers.get("idempotent-replayed"), null);
+        assert.equal(again.body.booking.bookingId, first.body.booking.bookingId);
+        assert.equal((await bookingsNamed(base, "Retry")).length, 1);
+    });
+
+    await t.test("a double-click books once", async () => {
+        const body = { ...slot, customerName: "Double", bookingTime: "21:00" };
+        const [a, b] = await Promise.all([post("key-2", body), post("key-2", body)]);
+        assert.equal(a.status, 201);
+        assert.equal(b.status, 201);
+        assert.equal(a.body.booking.bookingId, b.body.booking.bookingId);
+        assert.equal((await bookingsNamed(base, "Double")).length, 1);
+    });
+
+    await t.test("a key reused with a different body is refused", async () => {
+        const res = await post("key-1", { ...slot, customerName: "Someone else" });
+        assert.equal(res.status, 422);
+        assert.equal(res.body.error, "idempotency_key_reused");
+        assert.equal((await bookingsNamed(base, "Someone else")).length, 0);
+    });
+});
+
+test("duplicate bookings are refused unless allowed", async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const { base } = server;
+    const first = await call(base, "POST", "/bookings", { body: { ...slot, customerName: "Kiran", contactPhone: "+91 98123 45678" } });
+    assert.equal(first.status, 201);
+
+    await t.test("the same guest at an overlapping time gets possible_duplicate", async () => {
+        // same phone number, different spelling of the name, half an hour later
+        const res = await call(base, "POST", "/bookings", { body: { ...slot, customerName: "Kiran K", contactPhone: "9812345678", bookingTime: "19:30" } });
+        assert.equal(res.status, 409);
+        assert.equal(res.body.error, "possible_duplicate");
+        assert.deepEqual(res.body.duplicates.map(d => d.bookingId), [first.body.booking.bookingId]);
+        assert.match(res.body.message, /already has a table for 2 at 19:00/);
+    });
+
+    await t.test("previews report the match without refusing", async () => {
+        const res = await call(base, "POST", "/bookings?preview=true", { body: { ...slot, customerName: "kiran" } });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.possibleDuplicates.length, 1);
+    });
+
+    await t.test("allowDuplicate books it anyway, and a later time is no duplicate", async () => {
+        const allowed = await call(base, "POST", "/bookings", { body: { ...slot, customerName: "Kiran", allowDuplicate: true } });
+        assert.equal(allowed.status, 201);
+        assert.equal(allowed.body.possibleDuplicates.length, 1);
+        const later = await call(base, "POST", "/bookings", { body: { ...slot, customerName: "Kiran", bookingTime: "21:00" } });
+        assert.equal(later.status, 201);
+        assert.equal(later.body.possibleDuplicates, undefined);
+    });
+});
+
+test("DUPLICATE_POLICY=flag saves the booking and reports the match", async t => {
+    const server = await startServer({ DUPLICATE_POLICY: "flag" });
+    t.after(() => server.stop());
+    const body = { ...slot, customerName: "Flag", contactEmail: "flag@example.com" };
+    assert.equal((await call(server.base, "POST", "/bookings", { body })).status, 201);
+    const again = await call(server.base, "POST", "/bookings", { body });
+    assert.equal(again.status, 201);
+    assert.equal(again.body.possibleDuplicates.length, 1);
+});
@@ -0,0 +1,75 @@
+// File: test/modify.test.js
+// PATCH /api/bookings/:id over HTTP: the edited fields go through the same normalization and checks as
+// POST /, and every change is logged in changeHistory with who made it.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, call, HOST_KEY } = require("./helpers/server");
+
+test("modifying a booking", async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const { base } = server;
+    const created = await call(base, "POST", "/bookings", { body: { customerName: "Priya", numberOfGuests: 2, bookingDate: "tomorrow", bookingTime: "19:30" } });
+    assert.equal(created.status, 201);
+    const { bookingId } = created.body.booking;
+    const patch = (body, key = HOST_KEY) => call(base, "PATCH", `/bookings/${bookingId}`, { key, body });
+
+    await t.test("spoken values and aliases are normalized like a new booking's", async () => {
+        const res = await patch({ guests: "four", time: "9 pm", notes: "window seat" });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.booking.numberOfGuests, 4);
+        assert.equal(res.body.booking.bookingTime, "21:00");
+        assert.equal(res.body.booking.specialRequests, "window seat");
+        assert.deepEqual(res.body.changes, [
+            { field: "numberOfGuests", from: 2, to: 4 },
+            { field: "bookingTime", from: "19:30", to: "21:00" },
+            { field: "specialRequests", from: null, to: "window seat" }
+        ]);
+        assert.ok(res.body.booking.weatherInfo);
+    });
+
+    await t.test("each change is logged with the caller", async () => {
+        await patch({ customerName: "Priya Sharma" });
+        const res = await call(base, "GET", `/bookings/${bookingId}`, { key: HOST_KEY });
+        const history = res.body.booking.changeHistory;
+        assert.equal(history.length, 2);
+        assert.ok(history.every(h => h.changedBy === "host-key" && h.changedAt));
+        assert.deepEqual(history[1].changes, [{ field: "customerName", from: "Priya", to: "Priya Sharma" }]);
+    });
+
+    await t.test("sending the current values changes nothing", async () => {
+        const res = await patch({ numberOfGuests: 4, bookingTime: "21:00" });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.changes, []);
+        const after = await call(base, "GET", `/bookings/${bookingId}`, { key: HOST_KEY });
+        assert.equal(after.body.booking.changeHistory.length, 2);
+    });
+
+    await t.test("invalid fields are listed and nothing is saved", async () => {
+        const res = await patch({ bookingDate: "2026-02-30", bookingTime: "teatime" });
+        assert.equal(res.status, 400);
+        assert.deepEqual(res.body.fields.sort(), ["bookingDate", "bookingTime"]);
+        const empty = await patch({});
+        assert.equal(empty.status, 400);
+        assert.equal(empty.body.error, "no_changes");
+        const after = await call(base, "GET", `/bookings/${bookingId}`, { key: HOST_KEY });
+        assert.equal(after.body.booking.bookingTime, "21:00");
+    });
+
+    await t.test("a party over the limit is refused like a new booking's", async () => {
+        const res = await patch({ numberOfGuests: 40 });
+        assert.equal(res.status, 400);
+        assert.deepEqual(res.body.fields, ["numberOfGuests"]);
+        const after = await call(base, "GET", `/bookings/${bookingId}`, { key: HOST_KEY });
+        assert.equal(after.body.booking.numberOfGuests, 4);
+    });
+
+    await t.test("guests can't modify, and cancelled bookings can't be modified", async () => {
+        assert.equal((await patch({ numberOfGuests: 3 }, null)).status, 401);
+        await call(base, "PATCH", `/bookings/${bookingId}/cancel`, { key: HOST_KEY, body: {} });
+        const res = await patch({ numberOfGuests: 3 });
+        assert.equal(res.status, 409);
+        assert.equal(res.body.error, "not_modifiable");
+    });
+});
@@ -0,0 +1,67 @@
+// File: test/nlu.test.js
+// One-shot extraction (services/nluService.js): every field from a single sentence, in English and Hindi.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const nlu = require("../services/nluService");
+
+const NOW = "2026-10-19T06:30:00Z";
+const IST = "Asia/Kolkata";
+
+const UTTERANCES = [
+    {
+        input: "Table for four under Priya tomorrow at 8, Italian, it's a birthday",
+        expected: { customerName: "Priya", numberOfGuests: 4, bookingDate: "2026-10-20", bookingTime: "20:00", cuisinePreference: "Italian", specialRequests: "Birthday" }
+    },
+    {
+        input: "प्रिया के नाम पर कल शाम साढ़े सात बजे चार लोगों के लिए टेबल, इटालियन, जन्मदिन है",
+        lang: "hi-IN",
+        expected: { customerName: "प्रिया", numberOfGuests: 4, bookingDate: "2026-10-20", bookingTime: "19:30", cuisinePreference: "Italian", specialRequests: "जन्मदिन है" }
+    },
+    {
+        input: "कल रात 8 बजे राहुल शर्मा के नाम से दो लोगों की टेबल, हमारी सालगिरह है, चाइनीज़ खाना",
+        lang: "hi-IN",
+        expected: { customerName: "राहुल शर्मा", numberOfGuests: 2, bookingDate: "2026-10-20", bookingTime: "20:00", cuisinePreference: "Chinese", specialRequests: "हमारी सालगिरह है" }
+    },
+    {
+        // without lang every locale pack is tried
+        input: "मेरा नाम अनु है, परसों दोपहर 1 बजे तीन लोग",
+        expected: { customerName: "अनु", numberOfGuests: 3, bookingDate: "2026-10-21", bookingTime: "13:00", cuisinePreference: null, specialRequests: null }
+    },
+    // "I am" / "I'm" only introduce a name when a name follows
+    {
+        input: "I am allergic to nuts, table for 3 tomorrow at 8 pm",
+        expected: { customerName: null, numberOfGuests: 3, bookingDate: "2026-10-20", bookingTime: "20:00", cuisinePreference: null, specialRequests: "I am allergic to nuts" }
+    },
+    {
+        input: "I'm celebrating a birthday, table for 4 tomorrow at 8 pm",
+        expected: { customerName: null, numberOfGuests: 4, bookingDate: "2026-10-20", bookingTime: "20:00", cuisinePreference: null, specialRequests: "I'm celebrating a birthday" }
+    },
+    {
+        input: "I am allergic to nuts and my name is Anu, table for 2 tomorrow at 8 pm",
+        expected: { customerName: "Anu", numberOfGuests: 2, bookingDate: "2026-10-20", bookingTime: "20:00", cuisinePreference: null, specialRequests: "I am allergic to nuts and my name is Anu" }
+    },
+    {
+        input: "I'm Priya, table for two tomorrow at 7 pm",
+        expected: { customerName: "Priya", numberOfGuests: 2, bookingDate: "2026-10-20", bookingTime: "19:00", cuisinePreference: null, specialRequests: null }
+    },
+    {
+        // typed without capitals: only the word list rules a word out
+        input: "i am rahul sharma, table for two tomorrow at 7 pm",
+        expected: { customerName: "Rahul Sharma", numberOfGuests: 2, bookingDate: "2026-10-20", bookingTime: "19:00", cuisinePreference: null, specialRequests: null }
+    },
+    {
+        input: "i am vegan, table for two tomorrow at 7 pm",
+        expected: { customerName: null, numberOfGuests: 2, bookingDate: "2026-10-20", bookingTime: "19:00", cuisinePreference: "Vegan", specialRequests: null }
+    }
+];
+
+test("extractBookingFields", async t => {
+    for (const row of UTTERANCES) {
+        await t.test(row.input, () => {
+            const out = nlu.extractBookingFields(row.input, { now: NOW, timezone: IST, lang: row.lang });
+            assert.deepEqual(out.slots, row.expected);
+            assert.equal(out.intent, "book_table");
+        });
+    }
+});
@@ -0,0 +1,95 @@
+// File: test/notifications.test.js
+// Notifications end to end through the capture transport on in-memory storage: queueing on create,
+// delivery by runDue(), the reminder schedule, the guest's language, and cancellation.
+
+process.env.STORAGE = "memory";
+process.env.REMINDER_HOURS_BEFORE = "24";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const moment = require("moment-timezone");
+const repos = require("../repositories");
+const restaurants = require("../services/restaurantService");
+const notifications = require("../services/notificationService");
+
+const venue = restaurants.defaultVenue();
+const email = notifications.setTransport("email", "capture");
+const sms = notifications.setTransport("sms", "capture");
+
+let seq = 0;
+async function makeBooking(fields = {}) {
+    seq++;
+    return repos.bookings.create({
+        bookingId: `test-${seq}`,
+        bookingRef: `TST00${seq}`,
+        customerName: "Priya",
+        numberOfGuests: 4,
+        bookingDate: moment.tz(venue.timezone).add(3, "days").startOf("day").toDate(),
+        bookingTime: "20:00",
+        status: "confirmed",
+        restaurantId: venue.id,
+        contactEmail: "priya@example.com",
+        contactPhone: "+919876543210",
+        ...fields
+    });
+}
+
+test.before(() => repos.connect());
+
+test.beforeEach(() => {
+    email.clear();
+    sms.clear();
+});
+
+test("a new booking sends a confirmation by email and SMS and schedules a reminder", async () => {
+    const booking = await makeBooking();
+    const jobs = await notifications.bookingCreated(booking, venue);
+    assert.deepEqual(jobs.map(j => `${j.type}/${j.channel}`).sort(), ["confirmation/email", "confirmation/sms", "reminder/email", "reminder/sms"]);
+
+    await notifications.runDue();
+    assert.equal(email.messages.length, 1);
+    assert.equal(sms.messages.length, 1);
+    assert.equal(email.messages[0].to, "priya@example.com");
+    assert.equal(email.messages[0].type, "confirmation");
+    assert.match(email.messages[0].text, /TST001/);
+
+    const reminder = jobs.find(j => j.type === "reminder");
+    assert.equal(reminder.status, "pending");
+    const start = moment.tz(`${moment(booking.bookingDate).tz(venue.timezone).format("YYYY-MM-DD")} 20:00`, "YYYY-MM-DD HH:mm", venue.timezone);
+    assert.equal(reminder.runAt.getTime(), start.clone().subtract(24, "hours").valueOf());
+});
+
+test("a pending booking gets a request notice, and the confirmation once staff confirm it", async () => {
+    const booking = await makeBooking({ status: "pending" });
+    await notifications.bookingCreated(booking, venue);
+    await notifications.runDue();
+    assert.deepEqual(email.messages.map(m => m.type), ["request"]);
+    assert.match(email.messages[0].text, /confirm shortly/);
+
+    await notifications.bookingConfirmed(booking, venue);
+    await notifications.runDue();
+    assert.deepEqual(email.messages.map(m => m.type), ["request", "confirmation"]);
+});
+
+test("messages use the guest's language", async () => {
+    const booking = await makeBooking({ language: "hi-IN", contactPhone: null });
+    await notifications.bookingCreated(booking, venue);
+    await notifications.runDue();
+    assert.equal(sms.messages.length, 0);
+    assert.equal(email.messages.length, 1);
+    assert.match(email.messages[0].text, /बुकिंग कोड/);
+});
+
+test("cancelling sends a cancellation and drops the pending reminder", async () => {
+    const booking = await makeBooking();
+    await notifications.bookingCreated(booking, venue);
+    await notifications.runDue();
+    email.clear();
+
+    await notifications.bookingCancelled(booking, venue);
+    await notifications.runDue();
+    assert.deepEqual(email.messages.map(m => m.type), ["cancellation"]);
+    const reminders = await repos.notifications.find({ bookingId: booking.bookingId, type: "reminder" });
+    assert.ok(reminders.length > 0);
+    assert.ok(reminders.every(r => r.status === "cancelled"));
+});
@@ -0,0 +1,87 @@
+// File: test/parsing.test.js
+// Table-driven cases for shared/parsing.js. Each row: input, reference "now", timezone, expected value
+// and the ambiguity flags the parser should raise. Run with npm test.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const parsing = require("../shared/parsing");
+
+// Monday 19 October 2026, midday in India
+const NOW = "2026-10-19T06:30:00Z";
+const IST = "Asia/Kolkata";
+
+const DATES = [
+    { input: "tomorrow", now: NOW, timezone: IST, expected: "2026-10-20", ambiguity: [] },
+    { input: "today", now: NOW, timezone: IST, expected: "2026-10-19", ambiguity: [] },
+    { input: "this Saturday", now: NOW, timezone: IST, expected: "2026-10-24", ambiguity: [] },
+    { input: "next Friday evening", now: NOW, timezone: IST, expected: "2026-10-30", ambiguity: ["next_weekday"] },
+    { input: "this weekend", now: NOW, timezone: IST, expected: "2026-10-24", ambiguity: ["weekend_day_assumed"] },
+    { input: "in 3 days", now: NOW, timezone: IST, expected: "2026-10-22", ambiguity: [] },
+    { input: "20 August", now: NOW, timezone: IST, expected: "2027-08-20", ambiguity: ["year_assumed"] },
+    { input: "21/08/2027", now: NOW, timezone: IST, expected: "2027-08-21", ambiguity: [] },
+    { input: "05/06", now: NOW, timezone: IST, expected: "2027-06-05", ambiguity: ["year_assumed", "day_month_order"] },
+    { input: "2026-11-02", now: NOW, timezone: IST, expected: "2026-11-02", ambiguity: [] },
+    { input: "2026-02-30", now: NOW, timezone: IST, expected: null, ambiguity: [] },
+    { input: "yesterday", now: NOW, timezone: IST, expected: "2026-10-18", ambiguity: ["past_date"] },
+    // 20:00 UTC is already the 20th in India but still the 19th in New York
+    { input: "tomorrow", now: "2026-10-19T20:00:00Z", timezone: IST, expected: "2026-10-21", ambiguity: [] },
+    { input: "tomorrow", now: "2026-10-19T20:00:00Z", timezone: "America/New_York", expected: "2026-10-20", ambiguity: [] },
+    { input: "कल", lang: "hi", now: NOW, timezone: IST, expected: "2026-10-20", ambiguity: [] },
+    { input: "20 अगस्त", lang: "hi", now: NOW, timezone: IST, expected: "2027-08-20", ambiguity: ["year_assumed"] },
+    { input: "banana", now: NOW, timezone: IST, expected: null, ambiguity: [] }
+];
+
+const TIMES = [
+    { input: "8 pm", now: NOW, timezone: IST, expected: "20:00", ambiguity: [] },
+    { input: "19:30", now: NOW, timezone: IST, expected: "19:30", ambiguity: [] },
+    { input: "7 am", now: NOW, timezone: IST, expected: "07:00", ambiguity: [] },
+    { input: "half past seven", now: NOW, timezone: IST, expected: "19:30", ambiguity: ["meridiem_assumed"] },
+    { input: "quarter to eight", now: NOW, timezone: IST, expected: "19:45", ambiguity: ["meridiem_assumed"] },
+    { input: "quarter past eight", now: NOW, timezone: IST, expected: "20:15", ambiguity: ["meridiem_assumed"] },
+    { input: "seven thirty", now: NOW, timezone: IST, expected: "19:30", ambiguity: ["meridiem_assumed"] },
+    // bare hours default to dinner-time PM; 11 stays a late-morning table
+    { input: "7", now: NOW, timezone: IST, expected: "19:00", ambiguity: ["meridiem_assumed"] },
+    { input: "at 7", now: NOW, timezone: IST, expected: "19:00", ambiguity: ["meridiem_assumed"] },
+    { input: "11", now: NOW, timezone: IST, expected: "11:00", ambiguity: ["meridiem_assumed"] },
+    { input: "dinner at 8", now: NOW, timezone: IST, expected: "20:00", ambiguity: [] },
+    { input: "12:30", now: NOW, timezone: IST, expected: "12:30", ambiguity: [] },
+    { input: "noon", now: NOW, timezone: IST, expected: "12:00", ambiguity: [] },
+    { input: "evening", now: NOW, timezone: IST, expected: "19:00", ambiguity: ["time_of_day_only"] },
+    { input: "शाम 7 बजे", lang: "hi", now: NOW, timezone: IST, expected: "19:00", ambiguity: [] },
+    { input: "साढ़े सात", lang: "hi", now: NOW, timezone: IST, expected: "19:30", ambiguity: ["meridiem_assumed"] },
+    { input: "nothing", now: NOW, timezone: IST, expected: null, ambiguity: [] }
+];
+
+const PARTY_SIZES = [
+    { input: "4", now: NOW, timezone: IST, expected: 4, ambiguity: [] },
+    { input: "four people", now: NOW, timezone: IST, expected: 4, ambiguity: [] },
+    { input: "table for six", now: NOW, timezone: IST, expected: 6, ambiguity: [] },
+    { input: "just me", now: NOW, timezone: IST, expected: 1, ambiguity: [] },
+    { input: "a couple", now: NOW, timezone: IST, expected: 2, ambiguity: [] },
+    { input: "a couple of friends", now: NOW, timezone: IST, expected: 2, ambiguity: ["vague_quantity"] },
+    { input: "a few of us", now: NOW, timezone: IST, expected: 3, ambiguity: ["vague_quantity"] },
+    { input: "me and three friends", now: NOW, timezone: IST, expected: 4, ambiguity: ["includes_speaker"] },
+    { input: "my wife and I", now: NOW, timezone: IST, expected: 2, ambiguity: ["includes_speaker"] },
+    { input: "two adults and two kids", now: NOW, timezone: IST, expected: 4, ambiguity: ["summed_groups"] },
+    { input: "चार लोग", lang: "hi", now: NOW, timezone: IST, expected: 4, ambiguity: [] },
+    { input: "zero", now: NOW, timezone: IST, expected: null, ambiguity: [] },
+    { input: "banana", now: NOW, timezone: IST, expected: null, ambiguity: [] }
+];
+
+function runTable(name, parse, rows) {
+    test(name, async t => {
+        for (const row of rows) {
+            await t.test(`${row.input} (${row.timezone})`, () => {
+                const out = parse(row.input, { now: row.now, timezone: row.timezone, lang: row.lang });
+                assert.equal(out.value, row.expected);
+                assert.deepEqual(out.ambiguity, row.ambiguity);
+                if (row.expected === null) assert.equal(out.confidence, 0);
+                else assert.ok(out.confidence > 0 && out.confidence <= 1, `confidence ${out.confidence}`);
+            });
+        }
+    });
+}
+
+runTable("parseDate", parsing.parseDate, DATES);
+runTable("parseTime", parsing.parseTime, TIMES);
+runTable("parsePartySize", parsing.parsePartySize, PARTY_SIZES);
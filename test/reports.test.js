@@ -0,0 +1,112 @@
+// File: test/reports.test.js
+// Booking reports (services/reportService.js) in process on in-memory storage, and their CSV download
+// over HTTP. Days and weekdays are the venue's: the bookings below are stored at Kolkata midnight,
+// which is still the previous day in UTC.
+
+process.env.STORAGE = "memory";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const moment = require("moment-timezone");
+const repos = require("../repositories");
+const restaurants = require("../services/restaurantService");
+const reports = require("../services/reportService");
+const { startServer, call, HOST_KEY } = require("./helpers/server");
+
+const venue = { ...restaurants.defaultVenue(), id: "reports", isDefault: false };
+const range = { startDate: "2026-03-02", endDate: "2026-03-03" }; // Monday and Tuesday
+
+let seq = 0;
+function booking(day, bookingTime, numberOfGuests, status, fields = {}) {
+    seq++;
+    return repos.bookings.create({
+        bookingId: `report-${seq}`,
+        restaurantId: venue.id,
+        customerName: `Guest ${seq}`,
+        bookingDate: moment.tz(day, venue.timezone).toDate(),
+        bookingTime,
+        numberOfGuests,
+        status,
+        ...fields
+    });
+}
+
+async function run(name, params = range) {
+    const res = await reports.runReport(name, params, venue);
+    assert.equal(res.status, 200);
+    return res.body;
+}
+
+test.before(async () => {
+    await repos.connect();
+    await booking("2026-03-01", "20:00", 8, "completed"); // Sunday, outside the range
+    await booking("2026-03-02", "20:00", 4, "confirmed", { cuisinePreference: "Italian", seatingPreference: "outdoor", weatherInfo: { category: "good" } });
+    await booking("2026-03-02", "20:30", 2, "seated", { cuisinePreference: " italian ", seatingPreference: "indoor", weatherInfo: { category: "bad" } });
+    await booking("2026-03-03", "13:00", 2, "no-show", { seatingPreference: "indoor", weatherInfo: { category: "good" } });
+    await booking("2026-03-03", "13:00", 6, "cancelled");
+});
+
+test("volume reports group by the venue-local day and leave cancelled bookings out", async () => {
+    const byWeekday = await run("by-weekday");
+    assert.equal(byWeekday.timezone, "Asia/Kolkata");
+    assert.deepEqual(byWeekday.rows.filter(r => r.bookings).map(r => [r.weekday, r.bookings, r.covers]), [["mon", 2, 6], ["tue", 1, 2]]);
+    assert.deepEqual(byWeekday.summary, { bookings: 3, covers: 8 });
+
+    const byHour = await run("by-hour");
+    assert.deepEqual(byHour.rows, [{ hour: "13:00", bookings: 1, covers: 2 }, { hour: "20:00", bookings: 2, covers: 6 }]);
+
+    const byCuisine = await run("by-cuisine");
+    assert.deepEqual(byCuisine.rows.map(r => [r.cuisine, r.bookings]), [["italian", 2], ["(none)", 1]]);
+
+    const cancelled = await run("by-hour", { ...range, status: "cancelled" });
+    assert.deepEqual(cancelled.rows, [{ hour: "13:00", bookings: 1, covers: 6 }]);
+});
+
+test("party sizes, outcomes and seating by weather", async () => {
+    const sizes = await run("party-sizes");
+    assert.deepEqual(sizes.rows.map(r => [r.partySize, r.bookings, r.share]), [[2, 2, 0.667], [4, 1, 0.333]]);
+    assert.equal(sizes.summary.averagePartySize, 2.7);
+
+    const outcomes = await run("outcomes");
+    assert.equal(outcomes.summary.bookings, 4);
+    assert.equal(outcomes.summary.cancellationRate, 0.25);
+    assert.equal(outcomes.summary.noShowRate, 0.5); // one no-show out of two settled visits
+
+    const seating = await run("seating-by-weather");
+    assert.deepEqual(seating.rows.map(r => [r.weather, r.indoorBookings, r.outdoorBookings]), [["bad", 1, 0], ["good", 1, 1]]);
+    assert.equal(seating.summary.outdoorShare, 0.333);
+});
+
+test("bad ranges and unknown reports are refused", async () => {
+    assert.equal((await reports.runReport("by-hour", { startDate: "2026-03-03", endDate: "2026-03-02" }, venue)).body.error, "bad_range");
+    assert.equal((await reports.runReport("by-hour", { startDate: "2026-02-30" }, venue)).body.error, "bad_date");
+    assert.equal((await reports.runReport("by-guest", range, venue)).status, 404);
+});
+
+test("CSV has the rows under a header, then the summary", async () => {
+    const csv = reports.toCsv(await run("by-cuisine"));
+    assert.equal(csv, [
+        "cuisine,bookings,covers",
+        "italian,2,6",
+        "(none),1,2",
+        "",
+        "metric,value",
+        "bookings,3",
+        "covers,8",
+        ""
+    ].join("\r\n"));
+});
+
+test("reports download as CSV over HTTP", async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const res = await call(server.base, "GET", "/reports/by-hour?startDate=2026-03-02&endDate=2026-03-03&format=csv", { key: HOST_KEY });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^text\/csv/);
+    assert.equal(res.headers.get("content-disposition"), 'attachment; filename="by-hour-default-2026-03-02-2026-03-03.csv"');
+    assert.ok(res.body.startsWith("hour,bookings,covers\r\n"));
+
+    const json = await call(server.base, "GET", "/reports/by-hour?format=json", { key: HOST_KEY });
+    assert.equal(json.body.report, "by-hour");
+    assert.equal((await call(server.base, "GET", "/reports/by-hour")).status, 401);
+});
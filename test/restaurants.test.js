@@ -0,0 +1,75 @@
+// File: test/restaurants.test.js
+// Several restaurants on one server over HTTP: bookings stay within their restaurant, dates are read and
+// grouped in the restaurant's own timezone, and each one keeps its own hours and voice language.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const moment = require("moment-timezone");
+const { startServer, call, HOST_KEY, ADMIN_KEY } = require("./helpers/server");
+
+const NY = "America/New_York";
+
+test("restaurants", async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const { base } = server;
+    const nyc = "/restaurants/nyc";
+    const created = await call(base, "POST", "/restaurants", { key: ADMIN_KEY, body: { restaurantId: "NYC", name: "New York", timezone: NY, voice: { lang: "hi-IN" } } });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.restaurant.restaurantId, "nyc");
+
+    const slot = { customerName: "Sam", numberOfGuests: 2, bookingDate: "tomorrow", bookingTime: "20:00" };
+    const there = (await call(base, "POST", `${nyc}/bookings`, { body: slot })).body.booking;
+    const here = (await call(base, "POST", "/bookings", { body: { ...slot, customerName: "Asha" } })).body.booking;
+
+    await t.test("relative dates are read in the restaurant's timezone", async () => {
+        const tomorrow = moment.tz(NY).add(1, "day").format("YYYY-MM-DD");
+        assert.equal(there.restaurantId, "nyc");
+        assert.equal(there.bookingDate, moment.tz(tomorrow, NY).toISOString());
+        assert.equal(there.bookingDateLocal, moment.tz(tomorrow, NY).format());
+    });
+
+    await t.test("each restaurant sees only its own bookings", async () => {
+        const theirs = await call(base, "GET", `${nyc}/bookings/list`, { key: HOST_KEY });
+        assert.deepEqual(theirs.body.bookings.map(b => b.bookingId), [there.bookingId]);
+        const ours = await call(base, "GET", "/bookings/list", { key: HOST_KEY });
+        assert.deepEqual(ours.body.bookings.map(b => b.bookingId), [here.bookingId]);
+        assert.equal((await call(base, "GET", `${nyc}/bookings/${here.bookingId}`, { key: HOST_KEY })).status, 404);
+        assert.equal((await call(base, "GET", `/restaurants/default/bookings/${here.bookingId}`, { key: HOST_KEY })).status, 200);
+    });
+
+    await t.test("counts group by the restaurant's local day", async () => {
+        const day = moment.tz(there.bookingDateLocal, NY).format("YYYY-MM-DD");
+        const count = await call(base, "GET", `${nyc}/bookings/count?date=${day}`, { key: HOST_KEY });
+        assert.equal(count.body.count, 1);
+        const daily = await call(base, "GET", `${nyc}/bookings/count/daily?startDate=${day}&endDate=${day}`, { key: HOST_KEY });
+        assert.deepEqual(daily.body.daily, [{ date: day, count: 1 }]);
+
+        // local midnight in Kolkata is still the previous day in UTC
+        const ist = moment.tz(here.bookingDateLocal, "Asia/Kolkata").format("YYYY-MM-DD");
+        const before = moment(ist).subtract(1, "day").format("YYYY-MM-DD");
+        const ours = await call(base, "GET", `/bookings/count/daily?startDate=${before}&endDate=${ist}`, { key: HOST_KEY });
+        assert.deepEqual(ours.body.daily, [{ date: before, count: 0 }, { date: ist, count: 1 }]);
+    });
+
+    await t.test("opening hours and voice language are per restaurant", async () => {
+        const lunch = { mon: [["12:00", "15:00"]], tue: [["12:00", "15:00"]], wed: [["12:00", "15:00"]], thu: [["12:00", "15:00"]], fri: [["12:00", "15:00"]], sat: [["12:00", "15:00"]], sun: [["12:00", "15:00"]] };
+        assert.equal((await call(base, "PATCH", nyc, { key: ADMIN_KEY, body: { openingHours: lunch } })).status, 200);
+        const dinner = await call(base, "POST", `${nyc}/bookings`, { body: { ...slot, customerName: "Late" } });
+        assert.equal(dinner.status, 409);
+        assert.equal(dinner.body.error, "closed");
+        assert.equal((await call(base, "POST", "/bookings", { body: { ...slot, customerName: "Late" } })).status, 201);
+
+        const conversation = await call(base, "POST", `${nyc}/conversations`, { body: {} });
+        assert.equal(conversation.status, 201);
+        assert.equal(conversation.body.lang, "hi-IN");
+    });
+
+    await t.test("unknown and deactivated restaurants are not found", async () => {
+        assert.equal((await call(base, "POST", "/restaurants/nowhere/bookings", { body: slot })).status, 404);
+        assert.equal((await call(base, "PATCH", nyc, { key: ADMIN_KEY, body: { active: false } })).status, 200);
+        assert.equal((await call(base, "GET", `${nyc}/bookings/list`, { key: HOST_KEY })).status, 404);
+        const listed = await call(base, "GET", "/restaurants");
+        assert.deepEqual(listed.body.restaurants.map(r => r.restaurantId), ["default"]);
+    });
+});
@@ -0,0 +1,84 @@
+// File: test/telephony.test.js
+// Phone bookings over the telephony webhooks (routes/telephony.js), signed the way the provider signs
+// them: a whole call from the incoming-call webhook to the saved booking, and the spoken failures.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { signature } = require("../services/telephonyService");
+const { startServer, call, HOST_KEY } = require("./helpers/server");
+
+const TOKEN = "test-auth-token";
+const PUBLIC_ORIGIN = "https://book.example.com";
+
+// Post a webhook as the provider would; sig overrides the correct signature
+async function webhook(server, path, params, sig) {
+    const origin = server.base.replace(/\/api$/, "");
+    const res = await fetch(origin + path, {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/x-www-form-urlencoded",
+            "X-Twilio-Signature": sig === undefined ? signature(PUBLIC_ORIGIN + path, params, TOKEN) : sig
+        },
+        body: new URLSearchParams(params)
+    });
+    return { status: res.status, type: res.headers.get("content-type") || "", xml: await res.text() };
+}
+
+// Where the caller's next answer goes: the <Gather> action
+function gatherAction(xml) {
+    const m = xml.match(/<Gather [^>]*action="([^"]*)"/);
+    return m ? m[1].replace(/&amp;/g, "&") : null;
+}
+
+function spoken(xml) {
+    return [...xml.matchAll(/<Say [^>]*>([^<]*)<\/Say>/g)].map(m => m[1]).join(" ");
+}
+
+test("telephony webhooks", async t => {
+    const server = await startServer({ TELEPHONY_AUTH_TOKEN: TOKEN, TELEPHONY_BASE_URL: PUBLIC_ORIGIN });
+    t.after(() => server.stop());
+
+    await t.test("a call from greeting to hang-up saves the booking", async () => {
+        let turn = await webhook(server, "/api/telephony/voice", { CallSid: "CA1", From: "+91 98765 43210" });
+        assert.equal(turn.status, 200);
+        assert.match(turn.type, /text\/xml/);
+        assert.match(spoken(turn.xml), /What name should I use/);
+
+        for (const said of ["Table for four under Priya tomorrow at 8 pm", "no", "no", "yes"]) {
+            const action = gatherAction(turn.xml);
+            assert.ok(action, `no <Gather> before "${said}":\n${turn.xml}`);
+            turn = await webhook(server, action, { CallSid: "CA1", SpeechResult: said });
+            assert.equal(turn.status, 200);
+        }
+        assert.match(turn.xml, /<Hangup\/>/);
+        assert.match(spoken(turn.xml), /Your table is booked/);
+
+        const list = await call(server.base, "GET", "/bookings/list?status=active", { key: HOST_KEY });
+        const saved = list.body.bookings.filter(b => b.customerName === "Priya");
+        assert.equal(saved.length, 1);
+        assert.equal(saved[0].numberOfGuests, 4);
+        assert.equal(saved[0].bookingTime, "20:00");
+        assert.equal(saved[0].contactPhone, "+919876543210");
+    });
+
+    await t.test("a bad signature is refused with a spoken error", async () => {
+        const res = await webhook(server, "/api/telephony/voice", { CallSid: "CA2", From: "+919876543210" }, "not-the-signature");
+        assert.equal(res.status, 403);
+        assert.match(res.type, /text\/xml/);
+        assert.match(res.xml, /<Say [^>]*>[^<]+<\/Say><Hangup\/>/);
+        const unsigned = await webhook(server, "/api/telephony/voice", { CallSid: "CA2" }, "");
+        assert.equal(unsigned.status, 403);
+    });
+
+    await t.test("invalid fields and an unknown restaurant are spoken errors too", async () => {
+        const invalid = await webhook(server, "/api/telephony/voice?lang=not%20a%20tag", { CallSid: "CA3" });
+        assert.equal(invalid.status, 400);
+        assert.match(invalid.type, /text\/xml/);
+        assert.match(invalid.xml, /<Say language="en-IN">/);
+
+        const unknown = await webhook(server, "/api/restaurants/nowhere/telephony/voice?lang=hi-IN", { CallSid: "CA4" });
+        assert.equal(unknown.status, 404);
+        assert.match(unknown.type, /text\/xml/);
+        assert.match(unknown.xml, /<Say language="hi-IN">[^<]+<\/Say><Hangup\/>/);
+    });
+});
@@ -0,0 +1,97 @@
+// File: test/validation.test.js
+// Request validation (schemas/validator.js, middleware/validate.js) and the OpenAPI document built from
+// the same schemas: uniform 400 invalid_fields answers, and a document that covers every route.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { validate } = require("../schemas/validator");
+const { operations: bookingOps } = require("../schemas/bookings");
+const { startServer, call, HOST_KEY } = require("./helpers/server");
+
+const ROUTES_DIR = path.join(__dirname, "..", "routes");
+
+test("the validator converts and reads values, and reports every problem", () => {
+    const ok = validate(bookingOps.searchBookings.query, { limit: "20", status: "active" }, { location: "query" });
+    assert.deepEqual(ok.errors, []);
+    assert.equal(ok.value.limit, 20);
+    assert.equal(ok.value.skip, 0);
+    assert.equal(ok.value.sort, "-createdAt");
+
+    const spoken = validate(bookingOps.createBooking.body, { name: "Priya", guests: "four", date: "tomorrow", time: "half past seven" });
+    assert.deepEqual(spoken.errors, []);
+    assert.equal(spoken.value.guests, 4);
+
+    const bad = validate(bookingOps.createBooking.body, { numberOfGuests: 0, contactEmail: "nope", bookingTime: "teatime", language: "english!", preview: "maybe" });
+    assert.deepEqual(bad.errors.map(e => e.field).sort(), ["bookingTime", "contactEmail", "language", "numberOfGuests", "preview"]);
+    assert.ok(bad.errors.every(e => e.in === "body" && typeof e.message === "string"));
+    assert.equal(bad.errors.find(e => e.field === "numberOfGuests").message, "must be at least 1");
+});
+
+test("invalid requests get one 400 listing each field", async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const { base } = server;
+
+    await t.test("query strings", async () => {
+        const res = await call(base, "GET", "/bookings/all?limit=abc&skip=-1&sort=password&startDate=2026-02-30", { key: HOST_KEY });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.success, false);
+        assert.equal(res.body.error, "invalid_fields");
+        assert.deepEqual(res.body.fields.sort(), ["limit", "skip", "sort", "startDate"]);
+        assert.ok(res.body.errors.every(e => e.in === "query"));
+        assert.match(res.body.message, /^Invalid: /);
+        assert.equal((await call(base, "GET", "/bookings/all?limit=5000", { key: HOST_KEY })).status, 200);
+        assert.equal((await call(base, "GET", "/bookings/all?limit=5001", { key: HOST_KEY })).status, 400);
+    });
+
+    await t.test("bodies, aliases included", async () => {
+        const res = await call(base, "POST", "/bookings", { body: { name: "Priya", guests: 31, date: "someday", time: "20:00" } });
+        assert.equal(res.status, 400);
+        assert.deepEqual(res.body.fields.sort(), ["date", "guests"]);
+        const aliased = await call(base, "POST", "/bookings", { body: { name: "Priya", guests: "four", date: "tomorrow", time: "8 pm" } });
+        assert.equal(aliased.status, 201);
+        assert.equal(aliased.body.booking.numberOfGuests, 4);
+        assert.equal(aliased.body.booking.bookingTime, "20:00");
+    });
+});
+
+test("the OpenAPI document", async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const res = await call(server.base, "GET", "/openapi.json");
+    assert.equal(res.status, 200);
+    const doc = res.body;
+    assert.equal(doc.openapi, "3.1.0");
+
+    await t.test("documents every route with its method", () => {
+        for (const file of fs.readdirSync(ROUTES_DIR)) {
+            const mount = `/api/${path.basename(file, ".js")}`;
+            const src = fs.readFileSync(path.join(ROUTES_DIR, file), "utf8");
+            for (const [, method, route] of src.matchAll(/router\.(get|post|put|patch|delete)\(\s*['"]([^'"]+)['"]/g)) {
+                const documented = mount + (route === "/" ? "" : route.replace(/:(\w+)/g, "{$1}"));
+                assert.ok(doc.paths[documented] && doc.paths[documented][method], `${method.toUpperCase()} ${documented} is not documented`);
+            }
+        }
+        assert.ok(doc.paths["/api/restaurants/{rid}/bookings/{id}"].patch);
+    });
+
+    await t.test("publishes the schemas the server checks", () => {
+        const create = doc.paths["/api/bookings"].post;
+        const body = create.requestBody.content["application/json"].schema;
+        assert.deepEqual(body.properties.numberOfGuests, bookingOps.createBooking.body.properties.numberOfGuests);
+        assert.equal(body.properties.guests.description, "Alias of numberOfGuests");
+        assert.ok(create.responses[400]);
+        const limit = doc.paths["/api/bookings/all"].get.parameters.find(p => p.name === "limit");
+        assert.deepEqual([limit.in, limit.schema.maximum], ["query", 5000]);
+    });
+
+    await t.test("has unique operation ids and resolvable references", () => {
+        const ids = Object.values(doc.paths).flatMap(p => Object.values(p).map(op => op.operationId));
+        assert.equal(new Set(ids).size, ids.length);
+        const refs = [...JSON.stringify(doc).matchAll(/"\$ref":"#\/components\/schemas\/(\w+)"/g)].map(m => m[1]);
+        assert.ok(refs.length > 0);
+        for (const name of new Set(refs)) assert.ok(doc.components.schemas[name], `missing component ${name}`);
+    });
+});
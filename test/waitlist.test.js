@@ -0,0 +1,52 @@
+// File: test/waitlist.test.js
+// Waitlist offers (services/waitlistService.js) in process on in-memory storage.
+
+process.env.STORAGE = "memory";
+process.env.WEATHER_PROVIDER = "fake";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const repos = require("../repositories");
+const restaurants = require("../services/restaurantService");
+const bookingService = require("../services/bookingService");
+const waitlist = require("../services/waitlistService");
+
+const venue = { ...restaurants.defaultVenue(), id: "two-tables", tables: [{ id: "T1", seats: 4 }, { id: "T2", seats: 4 }] };
+const slot = { numberOfGuests: 2, bookingDate: "tomorrow", bookingTime: "20:00" };
+
+async function book(customerName) {
+    const res = await bookingService.createBooking({ ...slot, customerName }, { venue });
+    assert.equal(res.status, 201);
+    return res.body.booking;
+}
+
+async function release(booking) {
+    await repos.bookings.updateOne({ bookingId: booking.bookingId }, { $set: { status: "cancelled" } });
+    return waitlist.promoteAfterRelease(venue, [booking]);
+}
+
+test.before(() => repos.connect());
+
+test("two accepts of one offer book the held table once", async () => {
+    const first = await book("First");
+    const second = await book("Second");
+    const joined = await waitlist.joinWaitlist({ ...slot, customerName: "Waiting", contactPhone: "+919812345678" }, { venue });
+    assert.equal(joined.status, 201);
+    const entry = joined.body.waitlist;
+
+    // one table is held for the entry and the other is simply free, so each accept would find a table
+    const offered = await release(first);
+    assert.deepEqual(offered.map(e => e.waitlistId), [entry.waitlistId]);
+    await release(second);
+
+    // a double tap, or the SMS link and the voice flow together
+    const accepts = await Promise.all([waitlist.acceptOffer(entry.waitlistRef, { venue }), waitlist.acceptOffer(entry.waitlistId, { venue })]);
+    assert.deepEqual(accepts.map(r => r.status).sort(), [201, 409]);
+    assert.equal(accepts.find(r => r.status === 409).body.error, "not_offered");
+
+    const booked = await repos.bookings.find({ restaurantId: venue.id, customerName: "Waiting" });
+    assert.equal(booked.length, 1);
+    const after = await waitlist.getEntry(entry.waitlistId, { venue });
+    assert.equal(after.body.waitlist.status, "accepted");
+    assert.equal(after.body.waitlist.bookingId, booked[0].bookingId);
+});
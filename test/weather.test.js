@@ -0,0 +1,54 @@
+// File: test/weather.test.js
+// Weather lookup through the fixture provider (services/weather/fakeProvider.js), offline: forecast
+// block matching, the cache, the climatology fallback and the seating suggestion built on top of it.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const moment = require("moment-timezone");
+const weatherService = require("../services/weatherService");
+const { createFakeProvider } = require("../services/weather/fakeProvider");
+const { lookupSeating } = require("../services/bookingService");
+
+// Fixture blocks are counted from today 00:00 UTC
+const today = moment.utc().format("YYYY-MM-DD");
+const tomorrow = moment.utc().add(1, "day").format("YYYY-MM-DD");
+
+test("picks the fixture block for the booking's date and time", async () => {
+    weatherService.setProvider(createFakeProvider({ fixture: "default" }));
+    const clear = await weatherService.getWeatherForDate(today, "Bengaluru", { time: "12:00", timezone: "UTC" });
+    assert.equal(clear.weatherInfo.source, "fake");
+    assert.equal(clear.weatherInfo.condition, "Clear");
+    // offset 36 h: the fixture's rain block
+    const rain = await weatherService.getWeatherForDate(tomorrow, "Bengaluru", { time: "12:00", timezone: "UTC" });
+    assert.equal(rain.weatherInfo.condition, "Rain");
+});
+
+test("repeated lookups for the same location and hour are cached", async () => {
+    const provider = weatherService.setProvider(createFakeProvider({ fixture: "default" }));
+    await weatherService.getWeatherForDate(today, "Bengaluru", { time: "12:00", timezone: "UTC" });
+    await weatherService.getWeatherForDate(today, "bengaluru", { time: "12:20", timezone: "UTC" });
+    assert.equal(provider.calls, 1);
+    await weatherService.getWeatherForDate(today, "Mumbai", { time: "12:00", timezone: "UTC" });
+    assert.equal(provider.calls, 2);
+});
+
+test("dates beyond the forecast horizon fall back to climatology", async () => {
+    const provider = weatherService.setProvider(createFakeProvider({ fixture: "default" }));
+    const later = moment.utc().add(30, "days").format("YYYY-MM-DD");
+    const out = await weatherService.getWeatherForDate(later, "Bengaluru", { time: "19:00", timezone: "UTC" });
+    assert.equal(out.weatherInfo.source, "climatology");
+    assert.match(out.weatherInfo.note, /beyond forecast horizon/);
+    assert.equal(provider.calls, 0);
+});
+
+test("seating suggestion follows the forecast", async () => {
+    weatherService.setProvider(createFakeProvider({ fixture: "default" }));
+    const dry = await lookupSeating({ bookingDate: today, bookingTime: "12:00", location: "Bengaluru", clientProvidedDate: true, timezone: "UTC" });
+    assert.equal(dry.seatingPreference, "outdoor");
+    assert.equal(dry.weatherError, null);
+
+    weatherService.setProvider(createFakeProvider({ fixture: "monsoon" }));
+    const wet = await lookupSeating({ bookingDate: today, bookingTime: "12:00", location: "Bengaluru", clientProvidedDate: true, timezone: "UTC" });
+    assert.equal(wet.seatingPreference, "indoor");
+    assert.equal(wet.weatherInfo.category, "bad");
+});